@@ -0,0 +1,93 @@
+/**
+ * LLM providers and the provider/model used for each analysis step.
+ *
+ * A route is a list of "provider:model" entries tried in order: the first is the
+ * primary and the rest are fallbacks. Each step's default route can be replaced with
+ * AI_STEP_<STEP> (e.g. AI_STEP_CLARITY=local:llama3.1,openai:gpt-4), and a project's
+ * AI policy can replace it again or restrict it to self-hosted providers.
+ */
+
+const AI_PROVIDERS = {
+  openai: {
+    type: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    defaultModel: 'gpt-4',
+    contextTokens: parseInt(process.env.OPENAI_CONTEXT_TOKENS) || 8192,
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000,
+    maxRetries: 1,
+    selfHosted: false
+  },
+  anthropic: {
+    type: 'anthropic',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    defaultModel: 'claude-3-sonnet-20240229',
+    contextTokens: parseInt(process.env.ANTHROPIC_CONTEXT_TOKENS) || 200000,
+    timeoutMs: parseInt(process.env.ANTHROPIC_TIMEOUT_MS) || 60000,
+    maxRetries: 1,
+    selfHosted: false
+  },
+  // Any server speaking the OpenAI chat completions API: Ollama, llama.cpp, vLLM
+  local: {
+    type: 'openai-compatible',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    contextTokens: parseInt(process.env.LOCAL_LLM_CONTEXT_TOKENS) || 8192,
+    timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 120000,
+    maxRetries: 0,
+    selfHosted: true
+  }
+};
+
+// Steps of an analysis run and the route each takes unless configured otherwise
+const DEFAULT_STEP_ROUTES = {
+  completeness: ['openai:gpt-4', 'anthropic:claude-3-sonnet-20240229'],
+  clarity: ['anthropic:claude-3-sonnet-20240229', 'openai:gpt-4'],
+  marketFit: ['openai:gpt-4', 'anthropic:claude-3-sonnet-20240229'],
+  competitive: ['anthropic:claude-3-sonnet-20240229', 'openai:gpt-4'],
+  recommendations: ['openai:gpt-4', 'anthropic:claude-3-sonnet-20240229'],
+  rubric: ['openai:gpt-4', 'anthropic:claude-3-sonnet-20240229'],
+  rewrite: ['anthropic:claude-3-sonnet-20240229', 'openai:gpt-4'],
+  chat: ['anthropic:claude-3-sonnet-20240229', 'openai:gpt-4'],
+  executiveSummary: ['openai:gpt-4', 'anthropic:claude-3-sonnet-20240229']
+};
+
+const ANALYSIS_STEPS = Object.keys(DEFAULT_STEP_ROUTES);
+
+/**
+ * Parse a route: "provider:model" strings, as an array or one comma-separated string.
+ * A bare provider name uses that provider's default model.
+ * @returns {Array<Object>} `[{ provider, model }]`
+ */
+function parseRoute(route) {
+  const entries = Array.isArray(route) ? route : String(route || '').split(',');
+
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const provider = separator === -1 ? entry : entry.slice(0, separator);
+      const model = separator === -1 ? '' : entry.slice(separator + 1);
+      if (!AI_PROVIDERS[provider]) {
+        throw new Error(`Unknown AI provider: ${provider}`);
+      }
+      return { provider, model: model || AI_PROVIDERS[provider].defaultModel };
+    });
+}
+
+/**
+ * Env var that overrides a step's route, e.g. marketFit -> AI_STEP_MARKET_FIT
+ */
+function stepEnvName(step) {
+  return `AI_STEP_${step.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+module.exports = {
+  AI_PROVIDERS,
+  DEFAULT_STEP_ROUTES,
+  ANALYSIS_STEPS,
+  parseRoute,
+  stepEnvName
+};
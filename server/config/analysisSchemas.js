@@ -0,0 +1,250 @@
+/**
+ * JSON Schemas for each analysis dimension, matching the structure the prompts ask for.
+ * Fields the prompts document are required; extra fields a model adds are kept.
+ */
+
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const looseList = { type: 'array' };
+
+// Findings are `{ finding, quote }`; plain strings are still accepted and count as unquoted
+const findingList = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        required: ['finding', 'quote'],
+        properties: {
+          finding: { type: 'string' },
+          quote: { type: ['string', 'null'] }
+        }
+      }
+    ]
+  }
+};
+
+const sectionAssessment = {
+  type: 'object',
+  required: ['present', 'quality', 'issues'],
+  properties: {
+    present: { type: 'boolean' },
+    quality: { type: 'number', minimum: 0, maximum: 100 },
+    issues: findingList
+  }
+};
+
+const ANALYSIS_SCHEMAS = {
+  completenessAnalysis: {
+    type: 'object',
+    required: ['completenessScore', 'sectionAnalysis', 'missingElements', 'recommendations', 'overallAssessment'],
+    properties: {
+      completenessScore: score,
+      sectionAnalysis: {
+        type: 'object',
+        required: ['problemStatement', 'solution', 'targetMarket', 'successMetrics', 'features'],
+        additionalProperties: sectionAssessment
+      },
+      missingElements: looseList,
+      recommendations: findingList,
+      overallAssessment: { type: 'string' }
+    }
+  },
+
+  clarityAnalysis: {
+    type: 'object',
+    required: ['clarityScore', 'strengths', 'areasForImprovement', 'ambiguousStatements', 'recommendations', 'overallAssessment'],
+    properties: {
+      clarityScore: score,
+      strengths: looseList,
+      areasForImprovement: looseList,
+      ambiguousStatements: findingList,
+      recommendations: findingList,
+      overallAssessment: { type: 'string' }
+    }
+  },
+
+  marketFitAnalysis: {
+    type: 'object',
+    required: [
+      'marketFitScore', 'marketOpportunity', 'targetAudience', 'problemSolutionFit',
+      'competitiveAdvantage', 'recommendations', 'overallAssessment'
+    ],
+    properties: {
+      marketFitScore: score,
+      marketOpportunity: {
+        type: 'object',
+        required: ['size', 'validation'],
+        properties: {
+          size: { type: 'string' },
+          validation: { type: 'string' },
+          trends: looseList
+        }
+      },
+      targetAudience: {
+        type: 'object',
+        required: ['defined', 'clarity'],
+        properties: {
+          defined: { type: 'boolean' },
+          clarity: { type: 'number', minimum: 0, maximum: 100 },
+          sizing: { type: 'string' }
+        }
+      },
+      problemSolutionFit: {
+        type: 'object',
+        required: ['problemClarity', 'solutionAlignment'],
+        properties: {
+          problemClarity: { type: 'number', minimum: 0, maximum: 100 },
+          solutionAlignment: { type: 'number', minimum: 0, maximum: 100 },
+          validation: { type: 'string' }
+        }
+      },
+      competitiveAdvantage: {
+        type: 'object',
+        required: ['differentiation'],
+        properties: {
+          differentiation: { type: 'string' },
+          moats: looseList,
+          risks: looseList
+        }
+      },
+      recommendations: findingList,
+      overallAssessment: { type: 'string' }
+    }
+  },
+
+  competitiveAnalysis: {
+    type: 'object',
+    required: [
+      'positioningScore', 'competitiveLandscape', 'positioningStrategy',
+      'competitiveThreats', 'opportunities', 'recommendations', 'overallAssessment'
+    ],
+    properties: {
+      positioningScore: score,
+      competitiveLandscape: {
+        type: 'object',
+        required: ['directCompetitors', 'indirectCompetitors', 'marketGaps'],
+        properties: {
+          directCompetitors: looseList,
+          indirectCompetitors: looseList,
+          marketGaps: looseList
+        }
+      },
+      positioningStrategy: {
+        type: 'object',
+        required: ['valueProposition', 'targetSegments', 'differentiation'],
+        properties: {
+          valueProposition: { type: 'string' },
+          targetSegments: looseList,
+          differentiation: looseList
+        }
+      },
+      competitiveThreats: looseList,
+      opportunities: looseList,
+      recommendations: findingList,
+      overallAssessment: { type: 'string' }
+    }
+  },
+
+  recommendations: {
+    type: 'object',
+    required: ['highPriority', 'contentEnhancements', 'researchRecommendations', 'overallRoadmap'],
+    properties: {
+      highPriority: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title', 'description', 'impact', 'effort'],
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string' },
+            impact: { enum: ['high', 'medium', 'low'] },
+            effort: { enum: ['high', 'medium', 'low'] },
+            timeline: { type: 'string' }
+          }
+        }
+      },
+      contentEnhancements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['section', 'improvement'],
+          properties: {
+            section: { type: 'string' },
+            improvement: { type: 'string' },
+            rationale: { type: 'string' }
+          }
+        }
+      },
+      researchRecommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['area', 'method'],
+          properties: {
+            area: { type: 'string' },
+            method: { type: 'string' },
+            timeline: { type: 'string' }
+          }
+        }
+      },
+      overallRoadmap: { type: 'string' }
+    }
+  },
+
+  // LLM-evaluated criteria of a custom rubric, keyed by criterion key
+  rubricEvaluation: {
+    type: 'object',
+    required: ['criteria'],
+    properties: {
+      criteria: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['score', 'present', 'evidence', 'rationale'],
+          properties: {
+            score,
+            present: { type: 'boolean' },
+            evidence: { type: 'array', items: { type: 'string' } },
+            rationale: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  // Replacement text for one passage of a PRD
+  rewrite: {
+    type: 'object',
+    required: ['replacement', 'rationale'],
+    properties: {
+      replacement: { type: 'string', minLength: 1 },
+      rationale: { type: 'string' }
+    }
+  },
+
+  // Answer to a question about PRD excerpts, citing the excerpts by source id
+  chatAnswer: {
+    type: 'object',
+    required: ['answer', 'covered', 'citations'],
+    properties: {
+      answer: { type: 'string', minLength: 1 },
+      covered: { type: 'boolean' },
+      citations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['source', 'quote'],
+          properties: {
+            source: { type: 'string' },
+            quote: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  ANALYSIS_SCHEMAS
+};
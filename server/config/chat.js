@@ -0,0 +1,27 @@
+/**
+ * Settings for question answering over stored PRDs.
+ */
+
+// Earlier messages of a thread sent with each question, so follow-ups make sense
+const CHAT_HISTORY_MESSAGES = 6;
+
+// Most documents of a project searched for an answer, most recently updated first
+const MAX_PROJECT_DOCUMENTS = 50;
+
+// Tokens of PRD excerpts sent with a question; whole documents are sent when they fit
+const MAX_EXCERPT_TOKENS = 6000;
+
+// Words too common to say which section a question is about
+const STOPWORDS = [
+  'about', 'after', 'also', 'and', 'any', 'are', 'can', 'could', 'did', 'does', 'for', 'from',
+  'has', 'have', 'how', 'into', 'its', 'may', 'our', 'should', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'was', 'were', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'prd', 'document'
+];
+
+module.exports = {
+  CHAT_HISTORY_MESSAGES,
+  MAX_PROJECT_DOCUMENTS,
+  MAX_EXCERPT_TOKENS,
+  STOPWORDS
+};
@@ -99,12 +99,14 @@ const initializeDatabase = async () => {
         document_id VARCHAR(255) UNIQUE NOT NULL,
         project_id VARCHAR(255),
         user_id VARCHAR(255) NOT NULL,
+        title VARCHAR(255),
         filename VARCHAR(255) NOT NULL,
         original_filename VARCHAR(255) NOT NULL,
         file_type VARCHAR(50) NOT NULL,
         file_size BIGINT NOT NULL,
         content TEXT,
         structured_data JSONB,
+        metadata JSONB,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (project_id) REFERENCES projects(project_id),
@@ -112,6 +114,44 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Add prd_documents columns introduced after the initial schema
+    await client.query(`
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS metadata JSONB;
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS current_version INTEGER DEFAULT 1;
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS storage_key VARCHAR(512);
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS minhash JSONB;
+      ALTER TABLE prd_documents ADD COLUMN IF NOT EXISTS minhash_bands TEXT[];
+    `);
+
+    // Create prd_document_versions table (one row per uploaded revision)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prd_document_versions (
+        id SERIAL PRIMARY KEY,
+        version_id VARCHAR(255) UNIQUE NOT NULL,
+        document_id VARCHAR(255) NOT NULL,
+        version_number INTEGER NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        original_filename VARCHAR(255) NOT NULL,
+        file_type VARCHAR(50) NOT NULL,
+        file_size BIGINT NOT NULL,
+        content TEXT,
+        structured_data JSONB,
+        metadata JSONB,
+        created_by VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES prd_documents(document_id),
+        FOREIGN KEY (created_by) REFERENCES users(user_id),
+        UNIQUE(document_id, version_number)
+      )
+    `);
+
+    // Add prd_document_versions columns introduced after the initial schema
+    await client.query(`
+      ALTER TABLE prd_document_versions ADD COLUMN IF NOT EXISTS storage_key VARCHAR(512);
+    `);
+
     // Create validation_results table
     await client.query(`
       CREATE TABLE IF NOT EXISTS validation_results (
@@ -136,6 +176,15 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Scores are null when a dimension fails or a rubric replaces the built-in dimensions
+    await client.query(`
+      ALTER TABLE validation_results ALTER COLUMN overall_score DROP NOT NULL;
+      ALTER TABLE validation_results ALTER COLUMN completeness_score DROP NOT NULL;
+      ALTER TABLE validation_results ALTER COLUMN clarity_score DROP NOT NULL;
+      ALTER TABLE validation_results ALTER COLUMN market_fit_score DROP NOT NULL;
+      ALTER TABLE validation_results ALTER COLUMN competitive_score DROP NOT NULL;
+    `);
+
     // Create competitive_intelligence table
     await client.query(`
       CREATE TABLE IF NOT EXISTS competitive_intelligence (
@@ -172,6 +221,139 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Create section_taxonomies table (one per organisation or project)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS section_taxonomies (
+        id SERIAL PRIMARY KEY,
+        taxonomy_id VARCHAR(255) UNIQUE NOT NULL,
+        scope_type VARCHAR(50) NOT NULL,
+        scope_id VARCHAR(255) NOT NULL,
+        sections JSONB NOT NULL,
+        created_by VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(user_id),
+        UNIQUE(scope_type, scope_id)
+      )
+    `);
+
+    // Create prd_templates table (private, organisation-wide or project templates)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prd_templates (
+        id SERIAL PRIMARY KEY,
+        template_id VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        category VARCHAR(100),
+        sections JSONB NOT NULL,
+        visibility VARCHAR(50) DEFAULT 'private',
+        organization VARCHAR(255),
+        project_id VARCHAR(255),
+        created_by VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(project_id),
+        FOREIGN KEY (created_by) REFERENCES users(user_id)
+      )
+    `);
+
+    // Create rubrics table (organisation-specific validation criteria)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rubrics (
+        id SERIAL PRIMARY KEY,
+        rubric_id VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        criteria JSONB NOT NULL,
+        visibility VARCHAR(50) DEFAULT 'private',
+        organization VARCHAR(255),
+        project_id VARCHAR(255),
+        created_by VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(project_id),
+        FOREIGN KEY (created_by) REFERENCES users(user_id)
+      )
+    `);
+
+    // Create document_patches table (suggested rewrites of part of a document, applied as new versions)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_patches (
+        id SERIAL PRIMARY KEY,
+        patch_id VARCHAR(255) UNIQUE NOT NULL,
+        document_id VARCHAR(255) NOT NULL,
+        base_version INTEGER NOT NULL,
+        target JSONB NOT NULL,
+        start_offset INTEGER NOT NULL,
+        end_offset INTEGER NOT NULL,
+        original_text TEXT NOT NULL,
+        replacement_text TEXT NOT NULL,
+        rationale TEXT,
+        status VARCHAR(50) DEFAULT 'pending',
+        applied_version INTEGER,
+        created_by VARCHAR(255) NOT NULL,
+        resolved_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES prd_documents(document_id),
+        FOREIGN KEY (created_by) REFERENCES users(user_id)
+      )
+    `);
+
+    // Create chat_threads table (a user's questions about one document or a whole project)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chat_threads (
+        id SERIAL PRIMARY KEY,
+        thread_id VARCHAR(255) UNIQUE NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        document_id VARCHAR(255),
+        project_id VARCHAR(255),
+        title VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id),
+        FOREIGN KEY (document_id) REFERENCES prd_documents(document_id),
+        FOREIGN KEY (project_id) REFERENCES projects(project_id)
+      )
+    `);
+
+    // Create chat_messages table (questions and cited answers of a thread)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id SERIAL PRIMARY KEY,
+        message_id VARCHAR(255) UNIQUE NOT NULL,
+        thread_id VARCHAR(255) NOT NULL,
+        role VARCHAR(50) NOT NULL,
+        content TEXT NOT NULL,
+        citations JSONB,
+        coverage VARCHAR(50),
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (thread_id) REFERENCES chat_threads(thread_id)
+      )
+    `);
+
+    // Create project_settings table (per-project policies such as which AI providers may see content)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_settings (
+        id SERIAL PRIMARY KEY,
+        project_id VARCHAR(255) UNIQUE NOT NULL,
+        ai_policy JSONB,
+        updated_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(project_id),
+        FOREIGN KEY (updated_by) REFERENCES users(user_id)
+      )
+    `);
+
+    // Add project_settings columns introduced after the initial schema
+    await client.query(`
+      ALTER TABLE project_settings ADD COLUMN IF NOT EXISTS scoring JSONB;
+      ALTER TABLE project_settings ADD COLUMN IF NOT EXISTS rubric JSONB;
+      ALTER TABLE project_settings ADD COLUMN IF NOT EXISTS lint_rules JSONB;
+    `);
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -182,11 +364,25 @@ const initializeDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
       CREATE INDEX IF NOT EXISTS idx_prd_documents_user_id ON prd_documents(user_id);
       CREATE INDEX IF NOT EXISTS idx_prd_documents_project_id ON prd_documents(project_id);
+      CREATE INDEX IF NOT EXISTS idx_prd_documents_updated_at ON prd_documents(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_prd_documents_content_hash ON prd_documents(content_hash);
+      CREATE INDEX IF NOT EXISTS idx_prd_documents_minhash_bands ON prd_documents USING GIN (minhash_bands);
+      CREATE INDEX IF NOT EXISTS idx_prd_document_versions_document_id ON prd_document_versions(document_id);
       CREATE INDEX IF NOT EXISTS idx_validation_results_document_id ON validation_results(document_id);
       CREATE INDEX IF NOT EXISTS idx_validation_results_user_id ON validation_results(user_id);
       CREATE INDEX IF NOT EXISTS idx_competitive_intelligence_user_id ON competitive_intelligence(user_id);
       CREATE INDEX IF NOT EXISTS idx_analytics_events_user_id ON analytics_events(user_id);
       CREATE INDEX IF NOT EXISTS idx_analytics_events_created_at ON analytics_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_prd_templates_created_by ON prd_templates(created_by);
+      CREATE INDEX IF NOT EXISTS idx_prd_templates_organization ON prd_templates(organization);
+      CREATE INDEX IF NOT EXISTS idx_prd_templates_project_id ON prd_templates(project_id);
+      CREATE INDEX IF NOT EXISTS idx_rubrics_created_by ON rubrics(created_by);
+      CREATE INDEX IF NOT EXISTS idx_rubrics_organization ON rubrics(organization);
+      CREATE INDEX IF NOT EXISTS idx_rubrics_project_id ON rubrics(project_id);
+      CREATE INDEX IF NOT EXISTS idx_document_patches_document_id ON document_patches(document_id);
+      CREATE INDEX IF NOT EXISTS idx_chat_threads_user_id ON chat_threads(user_id);
+      CREATE INDEX IF NOT EXISTS idx_chat_threads_document_id ON chat_threads(document_id);
+      CREATE INDEX IF NOT EXISTS idx_chat_messages_thread_id ON chat_messages(thread_id);
     `);
 
     client.release();
@@ -0,0 +1,25 @@
+/**
+ * Settings for the configurable PRD lint rules.
+ *
+ * A rules config maps rule IDs to a severity, or to `[severity, options]`, in the style of
+ * ESLint: `{ rules: { 'no-todo': 'error', 'vague-term': ['warning', { ignore: ['simple'] }] } }`.
+ */
+
+// Severities a rule can be set to, least to most severe
+const LINT_SEVERITIES = ['off', 'info', 'warning', 'error'];
+
+// Markers of unfinished text
+const TODO_MARKERS = ['TODO', 'FIXME', 'XXX'];
+
+// Wording the no-todo fix puts in place of a marker, so the gap reads as a question for reviewers
+const OPEN_QUESTION_LABEL = 'Open question:';
+
+// Section titles that count as a non-goals section when the taxonomy did not tag one
+const NON_GOALS_TITLES = ['non-goals', 'non goals', 'nongoals', 'out of scope', 'not in scope'];
+
+module.exports = {
+  LINT_SEVERITIES,
+  TODO_MARKERS,
+  OPEN_QUESTION_LABEL,
+  NON_GOALS_TITLES
+};
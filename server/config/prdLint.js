@@ -0,0 +1,102 @@
+/**
+ * Word lists and thresholds for the offline PRD linter.
+ *
+ * Vague terms are matched as whole words, case-insensitively. Each has a category
+ * and a hint for what to write instead.
+ */
+const VAGUE_TERMS = [
+  // Unmeasurable qualities
+  { term: 'fast', category: 'vague-quality', hint: 'State a time or throughput target' },
+  { term: 'quick', category: 'vague-quality', hint: 'State a time target' },
+  { term: 'quickly', category: 'vague-quality', hint: 'State a time target' },
+  { term: 'slow', category: 'vague-quality', hint: 'State the current and acceptable times' },
+  { term: 'responsive', category: 'vague-quality', hint: 'State a latency target' },
+  { term: 'user-friendly', category: 'vague-quality', hint: 'Describe the task and its success criterion' },
+  { term: 'easy', category: 'vague-quality', hint: 'Describe the task and its success criterion' },
+  { term: 'easy to use', category: 'vague-quality', hint: 'Describe the task and its success criterion' },
+  { term: 'simple', category: 'vague-quality', hint: 'Say what makes it simple, e.g. number of steps' },
+  { term: 'intuitive', category: 'vague-quality', hint: 'Describe how users will discover it, or a usability target' },
+  { term: 'seamless', category: 'vague-quality', hint: 'Name the steps or hand-offs that must not be visible' },
+  { term: 'robust', category: 'vague-quality', hint: 'List the failure cases it must handle' },
+  { term: 'scalable', category: 'vague-quality', hint: 'State the load it must support' },
+  { term: 'flexible', category: 'vague-quality', hint: 'Name the variations it must support' },
+  { term: 'efficient', category: 'vague-quality', hint: 'State the resource or time budget' },
+  { term: 'reliable', category: 'vague-quality', hint: 'State an availability or error-rate target' },
+  { term: 'secure', category: 'vague-quality', hint: 'Name the threats or standards it must meet' },
+  { term: 'modern', category: 'vague-quality', hint: 'Name the specific capabilities meant' },
+  { term: 'state-of-the-art', category: 'vague-quality', hint: 'Name the specific capabilities meant' },
+  { term: 'best-in-class', category: 'vague-quality', hint: 'Name the benchmark and the target' },
+  { term: 'high quality', category: 'vague-quality', hint: 'State the quality criteria' },
+  { term: 'high performance', category: 'vague-quality', hint: 'State the performance target' },
+
+  // Unmeasurable amounts
+  { term: 'some', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'several', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'many', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'most', category: 'vague-quantity', hint: 'Give a percentage' },
+  { term: 'few', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'various', category: 'vague-quantity', hint: 'List them' },
+  { term: 'numerous', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'significant', category: 'vague-quantity', hint: 'Give the size of the change' },
+  { term: 'significantly', category: 'vague-quantity', hint: 'Give the size of the change' },
+  { term: 'minimal', category: 'vague-quantity', hint: 'Give an upper bound' },
+  { term: 'large', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'small', category: 'vague-quantity', hint: 'Give a number or range' },
+  { term: 'approximately', category: 'vague-quantity', hint: 'Give the tolerance' },
+  { term: 'adequate', category: 'vague-quantity', hint: 'State what is enough' },
+  { term: 'sufficient', category: 'vague-quantity', hint: 'State what is enough' },
+  { term: 'reasonable', category: 'vague-quantity', hint: 'State the limit' },
+
+  // Open-ended clauses
+  { term: 'etc.', category: 'open-ended', hint: 'List every case' },
+  { term: 'and so on', category: 'open-ended', hint: 'List every case' },
+  { term: 'and/or', category: 'open-ended', hint: 'Say whether both, either or only one applies' },
+  { term: 'as needed', category: 'open-ended', hint: 'Say who decides and when' },
+  { term: 'as appropriate', category: 'open-ended', hint: 'Say who decides and on what criteria' },
+  { term: 'as required', category: 'open-ended', hint: 'Say what requires it' },
+  { term: 'if possible', category: 'open-ended', hint: 'Decide whether it is required' },
+  { term: 'where possible', category: 'open-ended', hint: 'Decide where it is required' },
+  { term: 'as soon as possible', category: 'open-ended', hint: 'Give a date or time limit' },
+  { term: 'asap', category: 'open-ended', hint: 'Give a date or time limit' },
+  { term: 'including but not limited to', category: 'open-ended', hint: 'List every case' },
+
+  // Unfinished content
+  { term: 'TBD', category: 'placeholder', hint: 'Decide it, or record an owner and a date' },
+  { term: 'TBC', category: 'placeholder', hint: 'Confirm it, or record an owner and a date' },
+  { term: 'TBA', category: 'placeholder', hint: 'Decide it, or record an owner and a date' },
+  { term: 'to be determined', category: 'placeholder', hint: 'Decide it, or record an owner and a date' },
+  { term: 'to be confirmed', category: 'placeholder', hint: 'Confirm it, or record an owner and a date' }
+];
+
+// Acronyms common enough not to need defining
+const COMMON_ACRONYMS = [
+  'API', 'APIs', 'CEO', 'CSV', 'CTO', 'EU', 'FAQ', 'GB', 'HTML', 'HTTP', 'HTTPS', 'ID', 'IDs', 'IT',
+  'JSON', 'KB', 'MB', 'OK', 'PDF', 'PM', 'PRD', 'PRDs', 'Q1', 'Q2', 'Q3', 'Q4', 'SQL', 'TV', 'UI',
+  'UK', 'URL', 'URLs', 'US', 'USA', 'USD', 'UX', 'EUR', 'GBP', 'FAQs', 'AM', 'AI', 'ASAP',
+  // Placeholders are reported as vague terms, and markers by the no-todo rule, instead
+  'TBD', 'TBC', 'TBA', 'TODO', 'FIXME'
+];
+
+// Modal verbs that set how binding a requirement is
+const MODALITY_TERMS = {
+  mandatory: ['shall', 'must'],
+  recommended: ['should'],
+  optional: ['may', 'could']
+};
+
+// Sections harder to read than this get an info finding
+const READABILITY_LIMITS = {
+  fleschKincaidGrade: 14,
+  gunningFog: 17
+};
+
+// Sections shorter than this are too short for readability scores to mean anything
+const MIN_READABILITY_WORDS = 30;
+
+module.exports = {
+  VAGUE_TERMS,
+  COMMON_ACRONYMS,
+  MODALITY_TERMS,
+  READABILITY_LIMITS,
+  MIN_READABILITY_WORDS
+};
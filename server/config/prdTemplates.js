@@ -0,0 +1,121 @@
+/**
+ * Built-in PRD templates.
+ *
+ * Template sections refer to section taxonomy keys (config/sectionTaxonomy.js);
+ * the heading defaults to the taxonomy display name so documents created from a
+ * template are recognised by the parser. Guidance is shown to the author and is
+ * not written into generated documents.
+ */
+
+// Default guidance per taxonomy key, used when a template section gives none
+const SECTION_GUIDANCE = {
+  background: 'What context does a reader need? Link prior work, research and decisions that led here.',
+  problemStatement: 'Describe the user or business problem in one or two paragraphs. Who has it, how often, and what evidence shows it matters?',
+  targetMarket: 'Which segment is this for? Size the opportunity and say why now.',
+  userPersonas: 'List the primary and secondary personas, their goals and the jobs they are trying to get done.',
+  solution: 'Summarise the proposed solution and the key design decisions. Note alternatives that were considered and rejected.',
+  features: 'List requirements as user stories ("As a …, I want …, so that …") with a MoSCoW or P0/P1/P2 priority, and Given/When/Then acceptance criteria for each.',
+  successMetrics: 'For each metric give a name, baseline, target, unit and deadline, e.g. "Increase checkout conversion from 2.1% to 3.5% by Q3 2025". A table with Metric | Baseline | Target | Deadline columns works well.',
+  timeline: 'List milestones with dates or quarters ("Beta: Q3 2025", "GA: 6 weeks after beta").',
+  risks: 'List risks, assumptions and dependencies, each with its likelihood, impact and mitigation.',
+  competitiveAnalysis: 'Who else solves this problem? How is this approach different or better?',
+  nonGoals: 'What is explicitly out of scope for this work, and why?',
+  openQuestions: 'List unresolved questions, who owns each one and when it needs an answer.',
+  launchPlan: 'How will this roll out? Cover feature flags, beta cohorts, communication, support readiness and rollback.'
+};
+
+const BUILT_IN_TEMPLATES = [
+  {
+    templateId: 'builtin-feature-prd',
+    name: 'Feature PRD',
+    description: 'A customer-facing feature, from problem through launch.',
+    category: 'feature',
+    sections: [
+      { key: 'background' },
+      { key: 'problemStatement' },
+      { key: 'userPersonas' },
+      { key: 'solution' },
+      { key: 'features' },
+      { key: 'nonGoals' },
+      { key: 'successMetrics' },
+      { key: 'timeline' },
+      { key: 'risks' },
+      { key: 'launchPlan' },
+      { key: 'openQuestions' }
+    ]
+  },
+  {
+    templateId: 'builtin-platform-prd',
+    name: 'Platform PRD',
+    description: 'Infrastructure, APIs or internal platforms whose users are other teams.',
+    category: 'platform',
+    sections: [
+      { key: 'background' },
+      {
+        key: 'problemStatement',
+        guidance: 'Which teams or systems are blocked or slowed down today, and what does that cost?'
+      },
+      {
+        key: 'userPersonas',
+        title: 'Target Users',
+        guidance: 'List the consuming teams and services, and what each needs from the platform.'
+      },
+      {
+        key: 'solution',
+        title: 'Proposed Solution',
+        guidance: 'Describe the architecture, interfaces and data flow. Link design docs and API specs.'
+      },
+      {
+        key: 'features',
+        title: 'Functional Requirements',
+        guidance: 'List the capabilities the platform must provide, with priorities and acceptance criteria. Include non-functional requirements such as latency, availability and scale.'
+      },
+      { key: 'nonGoals' },
+      {
+        key: 'successMetrics',
+        guidance: 'Define adoption targets and service level objectives with baselines and deadlines, e.g. "Reduce p95 latency from 800 ms to 300 ms by Q2 2026".'
+      },
+      {
+        key: 'launchPlan',
+        title: 'Rollout Plan',
+        guidance: 'Cover migration of existing consumers, backwards compatibility, deprecation dates and rollback.'
+      },
+      { key: 'timeline' },
+      { key: 'risks' },
+      { key: 'openQuestions' }
+    ]
+  },
+  {
+    templateId: 'builtin-experiment-brief',
+    name: 'Experiment Brief',
+    description: 'A short brief for an A/B test or other product experiment.',
+    category: 'experiment',
+    sections: [
+      {
+        key: 'background',
+        guidance: 'What have we observed that prompts this experiment?'
+      },
+      {
+        key: 'problemStatement',
+        guidance: 'State the hypothesis: "We believe that <change> for <users> will <outcome>, because <reason>."'
+      },
+      {
+        key: 'solution',
+        title: 'Proposed Solution',
+        guidance: 'Describe the variants, the audience and allocation, and how long the experiment runs.'
+      },
+      {
+        key: 'successMetrics',
+        guidance: 'Name the primary metric with its baseline, minimum detectable effect and decision deadline, plus guardrail metrics that must not regress.'
+      },
+      { key: 'timeline' },
+      { key: 'risks' },
+      { key: 'openQuestions' }
+    ]
+  }
+];
+
+module.exports = {
+  SECTION_GUIDANCE,
+  BUILT_IN_TEMPLATES
+};
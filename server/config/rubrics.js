@@ -0,0 +1,31 @@
+/**
+ * Custom rubrics: organisation-specific validation criteria.
+ *
+ * A rubric is a list of weighted criteria. Each criterion is either deterministic
+ * (a check run locally against the PRD's sections) or LLM-evaluated (a prompt the
+ * model scores 0-100 against the criterion's scoring guide). A project attaches a
+ * rubric in project_settings.rubric, and analyses then run it:
+ * - alongside: the rubric counts as one more scoring dimension next to the built-in four
+ * - instead: only the rubric is run and scored
+ */
+const CRITERION_TYPES = ['deterministic', 'llm'];
+
+/**
+ * Deterministic checks:
+ * - section: one of `sections` (heading titles or taxonomy keys) is present, with at
+ *   least `minWords` words
+ * - keywords: at least `minMatches` of `keywords` appear in the document
+ */
+const CHECK_KINDS = ['section', 'keywords'];
+
+const RUBRIC_MODES = ['alongside', 'instead'];
+
+// Weight of a rubric run alongside the built-in dimensions (which total 100 by default)
+const DEFAULT_RUBRIC_WEIGHT = 20;
+
+module.exports = {
+  CRITERION_TYPES,
+  CHECK_KINDS,
+  RUBRIC_MODES,
+  DEFAULT_RUBRIC_WEIGHT
+};
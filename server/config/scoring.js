@@ -0,0 +1,52 @@
+/**
+ * Overall score model.
+ *
+ * Each dimension reads one score (0-100) from the AI analysis results and counts
+ * by its weight. Projects can set their own weights and choose what happens when
+ * a dimension is missing (stored in project_settings.scoring):
+ * - renormalize: share the missing weight across the dimensions that scored
+ * - incomplete: report no overall score, only the partial one
+ */
+const SCORING_DIMENSIONS = [
+  {
+    key: 'completeness',
+    label: 'Completeness',
+    resultKey: 'completenessAnalysis',
+    scoreField: 'completenessScore',
+    weight: 40
+  },
+  {
+    key: 'clarity',
+    label: 'Clarity',
+    resultKey: 'clarityAnalysis',
+    scoreField: 'clarityScore',
+    weight: 25
+  },
+  {
+    key: 'marketFit',
+    label: 'Market Fit',
+    resultKey: 'marketFitAnalysis',
+    scoreField: 'marketFitScore',
+    weight: 20
+  },
+  {
+    key: 'competitive',
+    label: 'Competitive Position',
+    resultKey: 'competitiveAnalysis',
+    scoreField: 'positioningScore',
+    weight: 15
+  }
+];
+
+const MISSING_DIMENSION_POLICIES = ['renormalize', 'incomplete'];
+
+const DEFAULT_SCORING = {
+  weights: Object.fromEntries(SCORING_DIMENSIONS.map(dimension => [dimension.key, dimension.weight])),
+  missingPolicy: 'renormalize'
+};
+
+module.exports = {
+  SCORING_DIMENSIONS,
+  MISSING_DIMENSION_POLICIES,
+  DEFAULT_SCORING
+};
@@ -0,0 +1,123 @@
+/**
+ * Default PRD section taxonomy.
+ *
+ * Organisations and projects can replace it with their own list (stored in
+ * section_taxonomies). Synonyms are matched against heading titles; weight is
+ * the number of points a section contributes to the structure score.
+ */
+const DEFAULT_SECTION_TAXONOMY = [
+  {
+    key: 'problemStatement',
+    displayName: 'Problem Statement',
+    synonyms: ['problem statement', 'problem definition'],
+    required: true,
+    weight: 20
+  },
+  {
+    key: 'solution',
+    displayName: 'Solution',
+    synonyms: ['solution', 'proposed solution'],
+    required: true,
+    weight: 20
+  },
+  {
+    key: 'targetMarket',
+    displayName: 'Target Market',
+    synonyms: ['target market', 'market analysis'],
+    required: true,
+    weight: 20
+  },
+  {
+    key: 'userPersonas',
+    displayName: 'User Personas',
+    synonyms: ['user personas', 'target users', 'personas'],
+    required: false,
+    weight: 10
+  },
+  {
+    key: 'features',
+    displayName: 'Features',
+    synonyms: ['features', 'functional requirements'],
+    required: true,
+    weight: 20
+  },
+  {
+    key: 'successMetrics',
+    displayName: 'Success Metrics',
+    synonyms: ['success metrics', 'kpis', 'key performance indicators'],
+    required: true,
+    weight: 20
+  },
+  {
+    key: 'timeline',
+    displayName: 'Timeline',
+    synonyms: ['timeline', 'roadmap', 'milestones'],
+    required: false,
+    weight: 10
+  },
+  {
+    key: 'risks',
+    displayName: 'Risks',
+    synonyms: ['risks', 'challenges', 'assumptions'],
+    required: false,
+    weight: 10
+  },
+  {
+    key: 'competitiveAnalysis',
+    displayName: 'Competitive Analysis',
+    synonyms: ['competitive analysis', 'competitors'],
+    required: false,
+    weight: 10
+  }
+];
+
+/**
+ * Sections many PRD templates use but that are not part of the default taxonomy, so that
+ * they do not change default scores. An organisation or project adds them by saving a
+ * taxonomy that includes them, such as the `extended` preset.
+ */
+const ADDITIONAL_SECTIONS = [
+  {
+    key: 'background',
+    displayName: 'Background',
+    synonyms: ['background'],
+    required: false,
+    weight: 10
+  },
+  {
+    key: 'nonGoals',
+    displayName: 'Non-goals',
+    synonyms: ['non-goals', 'out of scope', 'not in scope'],
+    required: false,
+    weight: 10
+  },
+  {
+    key: 'openQuestions',
+    displayName: 'Open Questions',
+    synonyms: ['open questions', 'open issues', 'unresolved questions'],
+    required: false,
+    weight: 10
+  },
+  {
+    key: 'launchPlan',
+    displayName: 'Launch Plan',
+    synonyms: ['launch plan', 'go-to-market', 'rollout plan', 'release plan'],
+    required: false,
+    weight: 10
+  }
+];
+
+// Ready-made taxonomies to save for an organisation or project
+const SECTION_TAXONOMY_PRESETS = {
+  extended: {
+    name: 'Extended PRD',
+    description: 'The default sections plus Background, Non-goals, Open Questions and Launch Plan',
+    sections: [...DEFAULT_SECTION_TAXONOMY, ...ADDITIONAL_SECTIONS]
+  }
+};
+
+module.exports = {
+  DEFAULT_SECTION_TAXONOMY,
+  ADDITIONAL_SECTIONS,
+  SECTION_TAXONOMY_PRESETS
+};
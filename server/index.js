@@ -3,7 +3,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const dotenv = require('dotenv');
-const path = require('path');
 
 // Load environment variables
 dotenv.config();
@@ -15,9 +14,14 @@ const analyticsRoutes = require('./routes/analytics');
 const competitiveRoutes = require('./routes/competitive');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
+const taxonomyRoutes = require('./routes/taxonomies');
+const templateRoutes = require('./routes/templates');
+const projectSettingsRoutes = require('./routes/projectSettings');
+const rubricRoutes = require('./routes/rubrics');
+const chatRoutes = require('./routes/chat');
 
 // Import middleware
-const authMiddleware = require('./middleware/auth');
+const { authMiddleware } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 
@@ -36,9 +40,6 @@ app.use(compression());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -54,7 +55,12 @@ app.use('/api/validation', authMiddleware, validationRoutes);
 app.use('/api/analytics', authMiddleware, analyticsRoutes);
 app.use('/api/competitive', authMiddleware, competitiveRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/projects/:projectId/settings', authMiddleware, projectSettingsRoutes);
 app.use('/api/projects', authMiddleware, projectRoutes);
+app.use('/api/taxonomies', authMiddleware, taxonomyRoutes);
+app.use('/api/templates', authMiddleware, templateRoutes);
+app.use('/api/rubrics', authMiddleware, rubricRoutes);
+app.use('/api/chat', authMiddleware, chatRoutes);
 
 // Error handling
 app.use(errorHandler);
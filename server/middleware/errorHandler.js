@@ -57,6 +57,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    const message = 'Too many files';
+    error = { message, statusCode: 413 };
+  }
+
   // Rate limiting errors
   if (err.statusCode === 429) {
     const message = 'Too many requests, please try again later';
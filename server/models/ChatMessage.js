@@ -0,0 +1,85 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Who wrote a message: the user's question or the generated answer
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+class ChatMessage {
+  constructor(data) {
+    this.id = data.id;
+    this.messageId = data.message_id;
+    this.threadId = data.thread_id;
+    this.role = data.role;
+    this.content = data.content;
+    this.citations = data.citations || [];
+    this.coverage = data.coverage;
+    this.metadata = data.metadata;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Add a message to a thread
+   * @param {Object} messageData - threadId, role, content; for answers also citations,
+   *   coverage and metadata
+   */
+  static async create(messageData) {
+    if (!MESSAGE_ROLES.includes(messageData.role)) {
+      throw new Error(`Invalid message role: ${messageData.role}`);
+    }
+
+    try {
+      const query = `
+        INSERT INTO chat_messages (message_id, thread_id, role, content, citations, coverage, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `;
+
+      const values = [
+        uuidv4(),
+        messageData.threadId,
+        messageData.role,
+        messageData.content,
+        messageData.citations ? JSON.stringify(messageData.citations) : null,
+        messageData.coverage || null,
+        messageData.metadata ? JSON.stringify(messageData.metadata) : null
+      ];
+
+      const result = await db.query(query, values);
+      return new ChatMessage(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to save chat message: ${error.message}`);
+    }
+  }
+
+  // List a thread's messages, oldest first; with a limit, only the latest ones
+  static async findByThread(threadId, { limit = null } = {}) {
+    try {
+      const query = limit
+        ? `SELECT * FROM (
+             SELECT * FROM chat_messages WHERE thread_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2
+           ) latest ORDER BY created_at ASC, id ASC`
+        : 'SELECT * FROM chat_messages WHERE thread_id = $1 ORDER BY created_at ASC, id ASC';
+
+      const result = await db.query(query, limit ? [threadId, limit] : [threadId]);
+      return result.rows.map(row => new ChatMessage(row));
+    } catch (error) {
+      throw new Error(`Failed to list chat messages: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      messageId: this.messageId,
+      threadId: this.threadId,
+      role: this.role,
+      content: this.content,
+      citations: this.citations,
+      coverage: this.coverage,
+      metadata: this.metadata,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = ChatMessage;
@@ -0,0 +1,131 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+class ChatThread {
+  constructor(data) {
+    this.id = data.id;
+    this.threadId = data.thread_id;
+    this.userId = data.user_id;
+    this.documentId = data.document_id;
+    this.projectId = data.project_id;
+    this.title = data.title;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Start a thread about one document or about every document in a project
+   * @param {Object} threadData - userId, and documentId or projectId; title optional
+   */
+  static async create(threadData) {
+    if (Boolean(threadData.documentId) === Boolean(threadData.projectId)) {
+      throw new Error('A thread is about either a document or a project');
+    }
+
+    try {
+      const query = `
+        INSERT INTO chat_threads (thread_id, user_id, document_id, project_id, title)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+
+      const values = [
+        uuidv4(),
+        threadData.userId,
+        threadData.documentId || null,
+        threadData.projectId || null,
+        threadData.title || null
+      ];
+
+      const result = await db.query(query, values);
+      return new ChatThread(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create chat thread: ${error.message}`);
+    }
+  }
+
+  // Find a thread by ID
+  static async findById(threadId) {
+    try {
+      const result = await db.query('SELECT * FROM chat_threads WHERE thread_id = $1', [threadId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new ChatThread(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find chat thread: ${error.message}`);
+    }
+  }
+
+  // List a user's threads, most recently active first, optionally for one document or project
+  static async findByUser(userId, { documentId, projectId } = {}) {
+    try {
+      const values = [userId];
+      const conditions = ['user_id = $1'];
+
+      if (documentId) {
+        values.push(documentId);
+        conditions.push(`document_id = $${values.length}`);
+      }
+      if (projectId) {
+        values.push(projectId);
+        conditions.push(`project_id = $${values.length}`);
+      }
+
+      const result = await db.query(
+        `SELECT * FROM chat_threads WHERE ${conditions.join(' AND ')} ORDER BY updated_at DESC`,
+        values
+      );
+      return result.rows.map(row => new ChatThread(row));
+    } catch (error) {
+      throw new Error(`Failed to list chat threads: ${error.message}`);
+    }
+  }
+
+  // Mark the thread active now, naming it after its first question if it has no title
+  async touch(firstQuestion = null) {
+    try {
+      const result = await db.query(`
+        UPDATE chat_threads
+        SET title = COALESCE(title, $1), updated_at = CURRENT_TIMESTAMP
+        WHERE thread_id = $2
+        RETURNING *
+      `, [firstQuestion ? firstQuestion.slice(0, 255) : null, this.threadId]);
+
+      return new ChatThread(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update chat thread: ${error.message}`);
+    }
+  }
+
+  // Delete the thread and its messages
+  async delete() {
+    try {
+      await db.transaction(async (client) => {
+        await client.query('DELETE FROM chat_messages WHERE thread_id = $1', [this.threadId]);
+        await client.query('DELETE FROM chat_threads WHERE thread_id = $1', [this.threadId]);
+      });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete chat thread: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      threadId: this.threadId,
+      userId: this.userId,
+      documentId: this.documentId,
+      projectId: this.projectId,
+      scope: this.documentId ? 'document' : 'project',
+      title: this.title,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ChatThread;
@@ -0,0 +1,453 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const DocumentVersion = require('./DocumentVersion');
+const { fingerprint } = require('../utils/fingerprint');
+
+// Project member roles that may modify documents in a project
+const EDITOR_ROLES = ['owner', 'admin', 'editor'];
+
+// Documents a user can see ($1): their own plus documents in their projects (needs "projects p" joined)
+const ACCESSIBLE_CONDITION = `(
+  d.user_id = $1
+  OR p.owner_id = $1
+  OR EXISTS (
+    SELECT 1 FROM project_members pm
+    WHERE pm.project_id = d.project_id AND pm.user_id = $1
+  )
+)`;
+
+class Document {
+  constructor(data) {
+    this.id = data.id;
+    this.documentId = data.document_id;
+    this.projectId = data.project_id;
+    this.userId = data.user_id;
+    this.title = data.title;
+    this.filename = data.filename;
+    this.originalFilename = data.original_filename;
+    this.fileType = data.file_type;
+    this.fileSize = data.file_size !== undefined && data.file_size !== null ? parseInt(data.file_size) : null;
+    this.storageKey = data.storage_key;
+    this.contentHash = data.content_hash;
+    this.minhash = data.minhash;
+    this.content = data.content;
+    this.structuredData = data.structured_data;
+    this.metadata = data.metadata;
+    this.currentVersion = data.current_version !== undefined && data.current_version !== null ? parseInt(data.current_version) : 1;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Create a new document and record it as version 1
+  static async create(documentData) {
+    try {
+      const documentId = uuidv4();
+
+      const query = `
+        INSERT INTO prd_documents (
+          document_id, project_id, user_id, title, filename, original_filename,
+          file_type, file_size, content, structured_data, metadata, storage_key,
+          content_hash, minhash, minhash_bands
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+      `;
+
+      const fingerprints = fingerprint(documentData.content);
+      const values = [
+        documentId,
+        documentData.projectId || null,
+        documentData.userId,
+        documentData.title || documentData.originalFilename,
+        documentData.filename,
+        documentData.originalFilename,
+        documentData.fileType,
+        documentData.fileSize,
+        documentData.content,
+        documentData.structuredData ? JSON.stringify(documentData.structuredData) : null,
+        documentData.metadata ? JSON.stringify(documentData.metadata) : null,
+        documentData.storageKey || null,
+        fingerprints.contentHash,
+        fingerprints.minhash ? JSON.stringify(fingerprints.minhash) : null,
+        fingerprints.minhashBands
+      ];
+
+      return await db.transaction(async (client) => {
+        const result = await client.query(query, values);
+        const document = new Document(result.rows[0]);
+
+        await DocumentVersion.insert(client, {
+          ...documentData,
+          documentId,
+          versionNumber: document.currentVersion
+        });
+
+        return document;
+      });
+    } catch (error) {
+      throw new Error(`Failed to create document: ${error.message}`);
+    }
+  }
+
+  // Find document by ID
+  static async findById(documentId) {
+    try {
+      const query = 'SELECT * FROM prd_documents WHERE document_id = $1';
+      const result = await db.query(query, [documentId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Document(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find document by ID: ${error.message}`);
+    }
+  }
+
+  // List documents visible to a user (own documents plus documents in their projects)
+  static async findAccessible(userId, { projectId, search, limit = 20, offset = 0 } = {}) {
+    try {
+      const conditions = [ACCESSIBLE_CONDITION];
+      const values = [userId];
+
+      if (projectId) {
+        values.push(projectId);
+        conditions.push(`d.project_id = $${values.length}`);
+      }
+
+      if (search) {
+        values.push(`%${search}%`);
+        conditions.push(`(d.title ILIKE $${values.length} OR d.original_filename ILIKE $${values.length})`);
+      }
+
+      const where = conditions.join(' AND ');
+
+      // Content is left out of list results; fetch a single document to get it
+      const listQuery = `
+        SELECT d.id, d.document_id, d.project_id, d.user_id, d.title, d.filename,
+               d.original_filename, d.file_type, d.file_size, d.metadata, d.current_version, d.storage_key,
+               d.created_at, d.updated_at
+        FROM prd_documents d
+        LEFT JOIN projects p ON d.project_id = p.project_id
+        WHERE ${where}
+        ORDER BY d.updated_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `;
+
+      const countQuery = `
+        SELECT COUNT(*) AS total
+        FROM prd_documents d
+        LEFT JOIN projects p ON d.project_id = p.project_id
+        WHERE ${where}
+      `;
+
+      const [listResult, countResult] = await Promise.all([
+        db.query(listQuery, [...values, limit, offset]),
+        db.query(countQuery, values)
+      ]);
+
+      return {
+        documents: listResult.rows.map(row => new Document(row)),
+        total: parseInt(countResult.rows[0].total) || 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to list documents: ${error.message}`);
+    }
+  }
+
+  // List a project's documents with their content, most recently updated first
+  static async findByProject(projectId, { limit = 50 } = {}) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM prd_documents WHERE project_id = $1 ORDER BY updated_at DESC LIMIT $2',
+        [projectId, limit]
+      );
+      return result.rows.map(row => new Document(row));
+    } catch (error) {
+      throw new Error(`Failed to list project documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find accessible documents with the same content hash or a shared MinHash band
+   * @returns {Promise<Array<Document>>} Candidates without content; compare `minhash` to rank them
+   */
+  static async findDuplicateCandidates(userId, { contentHash, minhashBands = [], excludeDocumentId = null }) {
+    try {
+      const query = `
+        SELECT d.id, d.document_id, d.project_id, d.user_id, d.title, d.filename,
+               d.original_filename, d.file_type, d.file_size, d.metadata, d.current_version,
+               d.storage_key, d.content_hash, d.minhash, d.created_at, d.updated_at
+        FROM prd_documents d
+        LEFT JOIN projects p ON d.project_id = p.project_id
+        WHERE ${ACCESSIBLE_CONDITION}
+          AND (d.content_hash = $2 OR d.minhash_bands && $3::text[])
+          AND ($4::varchar IS NULL OR d.document_id <> $4)
+        ORDER BY d.updated_at DESC
+        LIMIT 50
+      `;
+      const result = await db.query(query, [userId, contentHash, minhashBands, excludeDocumentId]);
+      return result.rows.map(row => new Document(row));
+    } catch (error) {
+      throw new Error(`Failed to find duplicate documents: ${error.message}`);
+    }
+  }
+
+  // Latest stored validation result for this document, if any
+  async getLatestValidation() {
+    try {
+      const query = `
+        SELECT validation_id, overall_score, completeness_score, clarity_score,
+               market_fit_score, competitive_score, created_at
+        FROM validation_results
+        WHERE document_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+      const result = await db.query(query, [this.documentId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const row = result.rows[0];
+      return {
+        validationId: row.validation_id,
+        overallScore: row.overall_score,
+        completenessScore: row.completeness_score,
+        clarityScore: row.clarity_score,
+        marketFitScore: row.market_fit_score,
+        competitiveScore: row.competitive_score,
+        createdAt: row.created_at
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch latest validation: ${error.message}`);
+    }
+  }
+
+  // Look up a user's relationship to a project: 'owner', a member role, or null
+  static async getProjectRole(projectId, userId) {
+    try {
+      const query = `
+        SELECT p.owner_id, pm.role AS member_role
+        FROM projects p
+        LEFT JOIN project_members pm
+          ON pm.project_id = p.project_id AND pm.user_id = $2
+        WHERE p.project_id = $1
+      `;
+      const result = await db.query(query, [projectId, userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const row = result.rows[0];
+      if (row.owner_id === userId) {
+        return 'owner';
+      }
+
+      return row.member_role || null;
+    } catch (error) {
+      throw new Error(`Failed to check project access: ${error.message}`);
+    }
+  }
+
+  // Check whether a user may add documents to a project
+  static async canWriteToProject(projectId, user) {
+    if (user.role === 'admin') {
+      return true;
+    }
+
+    const projectRole = await Document.getProjectRole(projectId, user.userId);
+    return EDITOR_ROLES.includes(projectRole);
+  }
+
+  // Check whether a user may read this document
+  async canRead(user) {
+    if (this.userId === user.userId || user.role === 'admin') {
+      return true;
+    }
+
+    if (!this.projectId) {
+      return false;
+    }
+
+    const projectRole = await Document.getProjectRole(this.projectId, user.userId);
+    return projectRole !== null;
+  }
+
+  // Check whether a user may modify or delete this document
+  async canWrite(user) {
+    if (this.userId === user.userId || user.role === 'admin') {
+      return true;
+    }
+
+    if (!this.projectId) {
+      return false;
+    }
+
+    const projectRole = await Document.getProjectRole(this.projectId, user.userId);
+    return EDITOR_ROLES.includes(projectRole);
+  }
+
+  // Update document
+  async update(updateData) {
+    try {
+      const fieldMap = {
+        title: 'title',
+        projectId: 'project_id'
+      };
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (fieldMap[key] && value !== undefined) {
+          updates.push(`${fieldMap[key]} = $${paramCount}`);
+          values.push(value);
+          paramCount++;
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(this.documentId);
+
+      const query = `
+        UPDATE prd_documents
+        SET ${updates.join(', ')}
+        WHERE document_id = $${paramCount}
+        RETURNING *
+      `;
+
+      const result = await db.query(query, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Document not found');
+      }
+
+      return new Document(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a re-uploaded revision and make it the document's current content
+   * @param {Object} versionData - filename, originalFilename, fileType, fileSize, content,
+   *   structuredData, metadata, storageKey, userId; `expectedVersion` to add the version only
+   *   if it is still the document's current version
+   * @returns {Promise<Document|null>} The updated document, or null when another version was
+   *   added after `expectedVersion`
+   */
+  async addVersion(versionData) {
+    try {
+      return await db.transaction(async (client) => {
+        // Lock the document so concurrent uploads get distinct version numbers
+        const locked = await client.query(
+          'SELECT current_version FROM prd_documents WHERE document_id = $1 FOR UPDATE',
+          [this.documentId]
+        );
+
+        if (locked.rows.length === 0) {
+          throw new Error('Document not found');
+        }
+
+        const currentVersion = parseInt(locked.rows[0].current_version) || 1;
+        if (versionData.expectedVersion !== undefined && currentVersion !== versionData.expectedVersion) {
+          return null;
+        }
+
+        await DocumentVersion.backfill(client, this.documentId);
+
+        const versionNumber = currentVersion + 1;
+        const fingerprints = fingerprint(versionData.content);
+        await DocumentVersion.insert(client, {
+          ...versionData,
+          documentId: this.documentId,
+          versionNumber
+        });
+
+        const result = await client.query(`
+          UPDATE prd_documents
+          SET filename = $1, original_filename = $2, file_type = $3, file_size = $4,
+              content = $5, structured_data = $6, metadata = $7, title = COALESCE($8, title),
+              current_version = $9, storage_key = $10, content_hash = $11, minhash = $12,
+              minhash_bands = $13, updated_at = CURRENT_TIMESTAMP
+          WHERE document_id = $14
+          RETURNING *
+        `, [
+          versionData.filename,
+          versionData.originalFilename,
+          versionData.fileType,
+          versionData.fileSize,
+          versionData.content,
+          versionData.structuredData ? JSON.stringify(versionData.structuredData) : null,
+          versionData.metadata ? JSON.stringify(versionData.metadata) : null,
+          versionData.title || null,
+          versionNumber,
+          versionData.storageKey || null,
+          fingerprints.contentHash,
+          fingerprints.minhash ? JSON.stringify(fingerprints.minhash) : null,
+          fingerprints.minhashBands,
+          this.documentId
+        ]);
+
+        return new Document(result.rows[0]);
+      });
+    } catch (error) {
+      throw new Error(`Failed to add document version: ${error.message}`);
+    }
+  }
+
+  // Delete document together with its revisions and validation results
+  async delete() {
+    try {
+      await db.transaction(async (client) => {
+        await client.query('DELETE FROM validation_results WHERE document_id = $1', [this.documentId]);
+        await client.query('DELETE FROM document_patches WHERE document_id = $1', [this.documentId]);
+        await client.query(
+          'DELETE FROM chat_messages WHERE thread_id IN (SELECT thread_id FROM chat_threads WHERE document_id = $1)',
+          [this.documentId]
+        );
+        await client.query('DELETE FROM chat_threads WHERE document_id = $1', [this.documentId]);
+        await client.query('DELETE FROM prd_document_versions WHERE document_id = $1', [this.documentId]);
+        await client.query('DELETE FROM prd_documents WHERE document_id = $1', [this.documentId]);
+      });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete document: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (content only when requested)
+  toJSON({ includeContent = true } = {}) {
+    const json = {
+      documentId: this.documentId,
+      projectId: this.projectId,
+      userId: this.userId,
+      title: this.title,
+      filename: this.originalFilename,
+      fileType: this.fileType,
+      fileSize: this.fileSize,
+      metadata: this.metadata,
+      currentVersion: this.currentVersion,
+      hasOriginal: Boolean(this.storageKey),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+
+    if (includeContent) {
+      json.content = this.content;
+      json.structuredData = this.structuredData;
+    }
+
+    return json;
+  }
+}
+
+module.exports = Document;
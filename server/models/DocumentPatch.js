@@ -0,0 +1,202 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// A patch is pending until someone applies or rejects it
+const PATCH_STATUSES = ['pending', 'applied', 'rejected'];
+
+class DocumentPatch {
+  constructor(data) {
+    this.id = data.id;
+    this.patchId = data.patch_id;
+    this.documentId = data.document_id;
+    this.baseVersion = data.base_version !== undefined && data.base_version !== null ? parseInt(data.base_version) : null;
+    this.target = data.target;
+    this.startOffset = parseInt(data.start_offset);
+    this.endOffset = parseInt(data.end_offset);
+    this.originalText = data.original_text;
+    this.replacementText = data.replacement_text;
+    this.rationale = data.rationale;
+    this.status = data.status;
+    this.appliedVersion = data.applied_version !== undefined && data.applied_version !== null ? parseInt(data.applied_version) : null;
+    this.createdBy = data.created_by;
+    this.resolvedBy = data.resolved_by;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Store a suggested replacement for a range of a document version's content
+   * @param {Object} patchData - documentId, baseVersion, target, start, end, originalText,
+   *   replacementText, rationale, userId
+   */
+  static async create(patchData) {
+    try {
+      const query = `
+        INSERT INTO document_patches (
+          patch_id, document_id, base_version, target, start_offset, end_offset,
+          original_text, replacement_text, rationale, created_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `;
+
+      const values = [
+        uuidv4(),
+        patchData.documentId,
+        patchData.baseVersion,
+        JSON.stringify(patchData.target),
+        patchData.start,
+        patchData.end,
+        patchData.originalText,
+        patchData.replacementText,
+        patchData.rationale || null,
+        patchData.userId
+      ];
+
+      const result = await db.query(query, values);
+      return new DocumentPatch(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create patch: ${error.message}`);
+    }
+  }
+
+  // Find a patch of a document
+  static async findById(documentId, patchId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM document_patches WHERE document_id = $1 AND patch_id = $2',
+        [documentId, patchId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new DocumentPatch(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find patch: ${error.message}`);
+    }
+  }
+
+  // List a document's patches, newest first, optionally with one status
+  static async findByDocument(documentId, { status } = {}) {
+    try {
+      const params = [documentId];
+      let query = 'SELECT * FROM document_patches WHERE document_id = $1';
+
+      if (status) {
+        params.push(status);
+        query += ` AND status = $${params.length}`;
+      }
+      query += ' ORDER BY created_at DESC';
+
+      const result = await db.query(query, params);
+      return result.rows.map(row => new DocumentPatch(row));
+    } catch (error) {
+      throw new Error(`Failed to list patches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a pending patch to 'applied' or 'rejected'. Only one caller wins when two resolve the
+   * same patch at once.
+   * @returns {Promise<DocumentPatch|null>} The updated patch, or null when it was no longer pending
+   */
+  async resolve(status, userId, { appliedVersion = null } = {}) {
+    if (!PATCH_STATUSES.includes(status) || status === 'pending') {
+      throw new Error(`Invalid patch status: ${status}`);
+    }
+
+    try {
+      const result = await db.query(`
+        UPDATE document_patches
+        SET status = $1, resolved_by = $2, applied_version = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE patch_id = $4 AND status = 'pending'
+        RETURNING *
+      `, [status, userId, appliedVersion, this.patchId]);
+
+      return result.rows.length > 0 ? new DocumentPatch(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to update patch: ${error.message}`);
+    }
+  }
+
+  // Record the version an applied patch created
+  async setAppliedVersion(versionNumber) {
+    try {
+      const result = await db.query(`
+        UPDATE document_patches
+        SET applied_version = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE patch_id = $2
+        RETURNING *
+      `, [versionNumber, this.patchId]);
+
+      return new DocumentPatch(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update patch: ${error.message}`);
+    }
+  }
+
+  // Put a patch back to pending, when applying it failed after it was claimed
+  async reopen() {
+    try {
+      await db.query(`
+        UPDATE document_patches
+        SET status = 'pending', resolved_by = NULL, applied_version = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE patch_id = $1
+      `, [this.patchId]);
+    } catch (error) {
+      throw new Error(`Failed to update patch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the patch to content. Content edited since the patch was made still takes it when
+   * the original text is unchanged at its offsets, or appears exactly once elsewhere.
+   * @returns {Object|null} `{ content, start, end, relocated }`, or null when the original text is gone
+   */
+  applyTo(content) {
+    const text = content || '';
+    let start = this.startOffset;
+
+    if (text.slice(this.startOffset, this.endOffset) !== this.originalText) {
+      // An insertion (empty original) cannot be placed again once its surroundings changed
+      const first = this.originalText ? text.indexOf(this.originalText) : -1;
+      if (first === -1 || text.indexOf(this.originalText, first + 1) !== -1) {
+        return null;
+      }
+      start = first;
+    }
+
+    const end = start + this.originalText.length;
+    return {
+      content: text.slice(0, start) + this.replacementText + text.slice(end),
+      start,
+      end: start + this.replacementText.length,
+      relocated: start !== this.startOffset
+    };
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      patchId: this.patchId,
+      documentId: this.documentId,
+      baseVersion: this.baseVersion,
+      target: this.target,
+      start: this.startOffset,
+      end: this.endOffset,
+      originalText: this.originalText,
+      replacementText: this.replacementText,
+      rationale: this.rationale,
+      status: this.status,
+      appliedVersion: this.appliedVersion,
+      createdBy: this.createdBy,
+      resolvedBy: this.resolvedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = DocumentPatch;
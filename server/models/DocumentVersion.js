@@ -0,0 +1,132 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+class DocumentVersion {
+  constructor(data) {
+    this.id = data.id;
+    this.versionId = data.version_id;
+    this.documentId = data.document_id;
+    this.versionNumber = data.version_number !== undefined && data.version_number !== null ? parseInt(data.version_number) : null;
+    this.filename = data.filename;
+    this.originalFilename = data.original_filename;
+    this.fileType = data.file_type;
+    this.fileSize = data.file_size !== undefined && data.file_size !== null ? parseInt(data.file_size) : null;
+    this.storageKey = data.storage_key;
+    this.content = data.content;
+    this.structuredData = data.structured_data;
+    this.metadata = data.metadata;
+    this.createdBy = data.created_by;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Insert a revision using a transaction client
+   * @param {Object} client - Client from db.transaction
+   * @param {Object} versionData - Document fields plus `documentId`, `versionNumber` and `userId`
+   */
+  static async insert(client, versionData) {
+    const query = `
+      INSERT INTO prd_document_versions (
+        version_id, document_id, version_number, filename, original_filename,
+        file_type, file_size, content, structured_data, metadata, storage_key, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `;
+
+    const values = [
+      uuidv4(),
+      versionData.documentId,
+      versionData.versionNumber,
+      versionData.filename,
+      versionData.originalFilename,
+      versionData.fileType,
+      versionData.fileSize,
+      versionData.content,
+      versionData.structuredData ? JSON.stringify(versionData.structuredData) : null,
+      versionData.metadata ? JSON.stringify(versionData.metadata) : null,
+      versionData.storageKey || null,
+      versionData.userId
+    ];
+
+    const result = await client.query(query, values);
+    return new DocumentVersion(result.rows[0]);
+  }
+
+  // Snapshot a document's current revision if it predates version history
+  static async backfill(client, documentId) {
+    await client.query(`
+      INSERT INTO prd_document_versions (
+        version_id, document_id, version_number, filename, original_filename,
+        file_type, file_size, content, structured_data, metadata, storage_key, created_by, created_at
+      )
+      SELECT $1, d.document_id, d.current_version, d.filename, d.original_filename,
+             d.file_type, d.file_size, d.content, d.structured_data, d.metadata, d.storage_key,
+             d.user_id, d.updated_at
+      FROM prd_documents d
+      WHERE d.document_id = $2
+        AND NOT EXISTS (
+          SELECT 1 FROM prd_document_versions v
+          WHERE v.document_id = d.document_id AND v.version_number = d.current_version
+        )
+    `, [uuidv4(), documentId]);
+  }
+
+  // List a document's revisions, newest first (content is left out)
+  static async findByDocument(documentId) {
+    try {
+      const query = `
+        SELECT id, version_id, document_id, version_number, filename, original_filename,
+               file_type, file_size, metadata, storage_key, created_by, created_at
+        FROM prd_document_versions
+        WHERE document_id = $1
+        ORDER BY version_number DESC
+      `;
+      const result = await db.query(query, [documentId]);
+      return result.rows.map(row => new DocumentVersion(row));
+    } catch (error) {
+      throw new Error(`Failed to list document versions: ${error.message}`);
+    }
+  }
+
+  // Find one revision of a document
+  static async findByNumber(documentId, versionNumber) {
+    try {
+      const query = 'SELECT * FROM prd_document_versions WHERE document_id = $1 AND version_number = $2';
+      const result = await db.query(query, [documentId, versionNumber]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new DocumentVersion(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find document version: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (content only when requested)
+  toJSON({ includeContent = true } = {}) {
+    const json = {
+      versionId: this.versionId,
+      documentId: this.documentId,
+      versionNumber: this.versionNumber,
+      filename: this.originalFilename,
+      fileType: this.fileType,
+      fileSize: this.fileSize,
+      metadata: this.metadata,
+      hasOriginal: Boolean(this.storageKey),
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+
+    if (includeContent) {
+      json.content = this.content;
+      json.structuredData = this.structuredData;
+    }
+
+    return json;
+  }
+}
+
+module.exports = DocumentVersion;
@@ -0,0 +1,124 @@
+const db = require('../config/database');
+const { DEFAULT_SCORING } = require('../config/scoring');
+
+// Settings columns by API field name
+const SETTING_COLUMNS = {
+  aiPolicy: 'ai_policy',
+  scoring: 'scoring',
+  rubric: 'rubric',
+  lintRules: 'lint_rules'
+};
+
+class ProjectSettings {
+  constructor(data) {
+    this.id = data.id;
+    this.projectId = data.project_id;
+    this.aiPolicy = data.ai_policy;
+    this.scoring = data.scoring;
+    this.rubric = data.rubric;
+    this.lintRules = data.lint_rules;
+    this.updatedBy = data.updated_by;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find a project's settings
+  static async findByProject(projectId) {
+    try {
+      const result = await db.query('SELECT * FROM project_settings WHERE project_id = $1', [projectId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new ProjectSettings(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find project settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set some of a project's settings, creating the row on first use
+   * @param {string} projectId - Project
+   * @param {Object} settings - Fields to change, e.g. `{ aiPolicy }`; null clears a setting
+   * @param {string} userId - User making the change
+   */
+  static async upsert(projectId, settings, userId) {
+    const fields = Object.keys(settings).filter(field => SETTING_COLUMNS[field]);
+    if (fields.length === 0) {
+      throw new Error('No valid settings to update');
+    }
+
+    try {
+      const columns = fields.map(field => SETTING_COLUMNS[field]);
+      const values = fields.map(field => (settings[field] === null ? null : JSON.stringify(settings[field])));
+
+      const query = `
+        INSERT INTO project_settings (project_id, updated_by, ${columns.join(', ')})
+        VALUES ($1, $2, ${columns.map((column, i) => `$${i + 3}`).join(', ')})
+        ON CONFLICT (project_id)
+        DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+          updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [projectId, userId, ...values]);
+      return new ProjectSettings(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to save project settings: ${error.message}`);
+    }
+  }
+
+  // Get a project's AI provider policy (null when the project has none)
+  static async getAIPolicy(projectId) {
+    if (!projectId) {
+      return null;
+    }
+    const settings = await ProjectSettings.findByProject(projectId);
+    return settings?.aiPolicy || null;
+  }
+
+  // Get a project's scoring weights and missing-dimension policy, falling back to the defaults
+  static async getScoring(projectId) {
+    const settings = projectId ? await ProjectSettings.findByProject(projectId) : null;
+    return {
+      weights: { ...DEFAULT_SCORING.weights, ...(settings?.scoring?.weights || {}) },
+      missingPolicy: settings?.scoring?.missingPolicy || DEFAULT_SCORING.missingPolicy,
+      source: settings?.scoring ? 'project' : 'default'
+    };
+  }
+
+  // Get the rubric attached to a project, `{ rubricId, mode, weight }` (null when there is none)
+  static async getRubric(projectId) {
+    if (!projectId) {
+      return null;
+    }
+    const settings = await ProjectSettings.findByProject(projectId);
+    return settings?.rubric || null;
+  }
+
+  // Get a project's lint rules config, `{ rules, maxWarnings }` (null when there is none)
+  static async getLintRules(projectId) {
+    if (!projectId) {
+      return null;
+    }
+    const settings = await ProjectSettings.findByProject(projectId);
+    return settings?.lintRules || null;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      projectId: this.projectId,
+      aiPolicy: this.aiPolicy,
+      scoring: this.scoring,
+      rubric: this.rubric,
+      lintRules: this.lintRules,
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ProjectSettings;
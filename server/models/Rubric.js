@@ -0,0 +1,227 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Document = require('./Document');
+const SectionTaxonomy = require('./SectionTaxonomy');
+
+// Who can see a rubric besides its creator
+const VISIBILITIES = ['private', 'organization', 'project'];
+
+class Rubric {
+  constructor(data) {
+    this.id = data.id;
+    this.rubricId = data.rubric_id;
+    this.name = data.name;
+    this.description = data.description;
+    this.criteria = data.criteria;
+    this.visibility = data.visibility;
+    this.organization = data.organization;
+    this.projectId = data.project_id;
+    this.createdBy = data.created_by;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Create a new rubric
+  static async create(rubricData) {
+    if (!VISIBILITIES.includes(rubricData.visibility)) {
+      throw new Error(`Invalid rubric visibility: ${rubricData.visibility}`);
+    }
+
+    try {
+      const query = `
+        INSERT INTO rubrics (
+          rubric_id, name, description, criteria,
+          visibility, organization, project_id, created_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+
+      const values = [
+        uuidv4(),
+        rubricData.name,
+        rubricData.description || null,
+        JSON.stringify(rubricData.criteria),
+        rubricData.visibility,
+        rubricData.organization || null,
+        rubricData.projectId || null,
+        rubricData.userId
+      ];
+
+      const result = await db.query(query, values);
+      return new Rubric(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create rubric: ${error.message}`);
+    }
+  }
+
+  // Find rubric by ID
+  static async findById(rubricId) {
+    try {
+      const result = await db.query('SELECT * FROM rubrics WHERE rubric_id = $1', [rubricId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Rubric(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find rubric by ID: ${error.message}`);
+    }
+  }
+
+  // Find a rubric a user may read; null when it does not exist or is hidden from them
+  static async findReadable(rubricId, user) {
+    const rubric = await Rubric.findById(rubricId);
+    if (!rubric) {
+      return null;
+    }
+
+    const organization = rubric.visibility === 'organization'
+      ? await SectionTaxonomy.getOrganization(user.userId)
+      : null;
+
+    return (await rubric.canRead(user, organization)) ? rubric : null;
+  }
+
+  // List rubrics visible to a user: their own, their organisation's and their projects'
+  static async findAccessible(userId, { organization, projectId } = {}) {
+    try {
+      const conditions = [`(
+        r.created_by = $1
+        OR (r.visibility = 'organization' AND r.organization = $2)
+        OR (r.visibility = 'project' AND (
+          p.owner_id = $1
+          OR EXISTS (
+            SELECT 1 FROM project_members pm
+            WHERE pm.project_id = r.project_id AND pm.user_id = $1
+          )
+        ))
+      )`];
+      const values = [userId, organization || null];
+
+      if (projectId) {
+        values.push(projectId);
+        conditions.push(`(r.project_id = $${values.length} OR r.project_id IS NULL)`);
+      }
+
+      const query = `
+        SELECT r.*
+        FROM rubrics r
+        LEFT JOIN projects p ON r.project_id = p.project_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY r.name ASC
+      `;
+
+      const result = await db.query(query, values);
+      return result.rows.map(row => new Rubric(row));
+    } catch (error) {
+      throw new Error(`Failed to list rubrics: ${error.message}`);
+    }
+  }
+
+  // Check whether a user may see and run this rubric
+  async canRead(user, organization) {
+    if (this.createdBy === user.userId || user.role === 'admin') {
+      return true;
+    }
+
+    if (this.visibility === 'organization') {
+      return Boolean(organization) && this.organization === organization;
+    }
+
+    if (this.visibility === 'project' && this.projectId) {
+      return (await Document.getProjectRole(this.projectId, user.userId)) !== null;
+    }
+
+    return false;
+  }
+
+  // Check whether a user may modify or delete this rubric
+  async canWrite(user) {
+    if (this.createdBy === user.userId || user.role === 'admin') {
+      return true;
+    }
+
+    if (this.visibility === 'project' && this.projectId) {
+      return Document.canWriteToProject(this.projectId, user);
+    }
+
+    return false;
+  }
+
+  // Update rubric
+  async update(updateData) {
+    try {
+      const fieldMap = {
+        name: 'name',
+        description: 'description',
+        criteria: 'criteria'
+      };
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (fieldMap[key] && value !== undefined) {
+          updates.push(`${fieldMap[key]} = $${paramCount}`);
+          values.push(key === 'criteria' ? JSON.stringify(value) : value);
+          paramCount++;
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(this.rubricId);
+
+      const query = `
+        UPDATE rubrics
+        SET ${updates.join(', ')}
+        WHERE rubric_id = $${paramCount}
+        RETURNING *
+      `;
+
+      const result = await db.query(query, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Rubric not found');
+      }
+
+      return new Rubric(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update rubric: ${error.message}`);
+    }
+  }
+
+  // Delete rubric; projects it was attached to go back to the built-in dimensions
+  async delete() {
+    try {
+      await db.query('UPDATE project_settings SET rubric = NULL WHERE rubric->>\'rubricId\' = $1', [this.rubricId]);
+      await db.query('DELETE FROM rubrics WHERE rubric_id = $1', [this.rubricId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete rubric: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      rubricId: this.rubricId,
+      name: this.name,
+      description: this.description,
+      criteria: this.criteria,
+      visibility: this.visibility,
+      organization: this.organization,
+      projectId: this.projectId,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Rubric;
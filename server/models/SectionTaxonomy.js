@@ -0,0 +1,117 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_SECTION_TAXONOMY } = require('../config/sectionTaxonomy');
+
+// Taxonomies can be set for a whole organisation (users.company) or a single project
+const SCOPE_TYPES = ['organization', 'project'];
+
+class SectionTaxonomy {
+  constructor(data) {
+    this.id = data.id;
+    this.taxonomyId = data.taxonomy_id;
+    this.scopeType = data.scope_type;
+    this.scopeId = data.scope_id;
+    this.sections = data.sections;
+    this.createdBy = data.created_by;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find the taxonomy set for an organisation or project
+  static async findByScope(scopeType, scopeId) {
+    try {
+      const query = 'SELECT * FROM section_taxonomies WHERE scope_type = $1 AND scope_id = $2';
+      const result = await db.query(query, [scopeType, scopeId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new SectionTaxonomy(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find section taxonomy: ${error.message}`);
+    }
+  }
+
+  // Create or replace the taxonomy for an organisation or project
+  static async upsert({ scopeType, scopeId, sections, userId }) {
+    if (!SCOPE_TYPES.includes(scopeType)) {
+      throw new Error(`Invalid taxonomy scope: ${scopeType}`);
+    }
+
+    try {
+      const query = `
+        INSERT INTO section_taxonomies (taxonomy_id, scope_type, scope_id, sections, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (scope_type, scope_id)
+        DO UPDATE SET sections = EXCLUDED.sections, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [uuidv4(), scopeType, scopeId, JSON.stringify(sections), userId]);
+      return new SectionTaxonomy(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to save section taxonomy: ${error.message}`);
+    }
+  }
+
+  // Look up the organisation key (company name) for a user
+  static async getOrganization(userId) {
+    try {
+      const result = await db.query('SELECT company FROM users WHERE user_id = $1', [userId]);
+      const company = result.rows[0]?.company?.trim();
+      return company || null;
+    } catch (error) {
+      throw new Error(`Failed to look up organisation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the taxonomy that applies to a user's work: the project's own taxonomy,
+   * then their organisation's, then the built-in default
+   * @returns {Object} `{ source, scopeId, sections }`
+   */
+  static async resolve({ projectId, userId } = {}) {
+    if (projectId) {
+      const projectTaxonomy = await SectionTaxonomy.findByScope('project', projectId);
+      if (projectTaxonomy) {
+        return { source: 'project', scopeId: projectId, sections: projectTaxonomy.sections };
+      }
+    }
+
+    const organization = userId ? await SectionTaxonomy.getOrganization(userId) : null;
+    if (organization) {
+      const organizationTaxonomy = await SectionTaxonomy.findByScope('organization', organization);
+      if (organizationTaxonomy) {
+        return { source: 'organization', scopeId: organization, sections: organizationTaxonomy.sections };
+      }
+    }
+
+    return { source: 'default', scopeId: null, sections: DEFAULT_SECTION_TAXONOMY };
+  }
+
+  // Delete taxonomy (the scope falls back to the next level)
+  async delete() {
+    try {
+      await db.query('DELETE FROM section_taxonomies WHERE taxonomy_id = $1', [this.taxonomyId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete section taxonomy: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      taxonomyId: this.taxonomyId,
+      scopeType: this.scopeType,
+      scopeId: this.scopeId,
+      sections: this.sections,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SectionTaxonomy;
@@ -0,0 +1,268 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Document = require('./Document');
+const { BUILT_IN_TEMPLATES, SECTION_GUIDANCE } = require('../config/prdTemplates');
+const { ADDITIONAL_SECTIONS } = require('../config/sectionTaxonomy');
+
+// Who can see a stored template besides its creator
+const VISIBILITIES = ['private', 'organization', 'project'];
+
+class Template {
+  constructor(data) {
+    this.id = data.id;
+    this.templateId = data.template_id;
+    this.name = data.name;
+    this.description = data.description;
+    this.category = data.category;
+    this.sections = data.sections;
+    this.visibility = data.visibility;
+    this.organization = data.organization;
+    this.projectId = data.project_id;
+    this.createdBy = data.created_by;
+    this.builtIn = Boolean(data.built_in);
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Built-in templates, shaped like stored rows
+  static builtIns() {
+    return BUILT_IN_TEMPLATES.map(template => new Template({
+      template_id: template.templateId,
+      name: template.name,
+      description: template.description,
+      category: template.category,
+      sections: template.sections,
+      visibility: 'public',
+      built_in: true
+    }));
+  }
+
+  // Create a new template
+  static async create(templateData) {
+    if (!VISIBILITIES.includes(templateData.visibility)) {
+      throw new Error(`Invalid template visibility: ${templateData.visibility}`);
+    }
+
+    try {
+      const query = `
+        INSERT INTO prd_templates (
+          template_id, name, description, category, sections,
+          visibility, organization, project_id, created_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `;
+
+      const values = [
+        uuidv4(),
+        templateData.name,
+        templateData.description || null,
+        templateData.category || null,
+        JSON.stringify(templateData.sections),
+        templateData.visibility,
+        templateData.organization || null,
+        templateData.projectId || null,
+        templateData.userId
+      ];
+
+      const result = await db.query(query, values);
+      return new Template(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create template: ${error.message}`);
+    }
+  }
+
+  // Find a built-in or stored template by ID
+  static async findById(templateId) {
+    const builtIn = Template.builtIns().find(template => template.templateId === templateId);
+    if (builtIn) {
+      return builtIn;
+    }
+
+    try {
+      const result = await db.query('SELECT * FROM prd_templates WHERE template_id = $1', [templateId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Template(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find template by ID: ${error.message}`);
+    }
+  }
+
+  // List stored templates visible to a user: their own, their organisation's and their projects'
+  static async findAccessible(userId, { organization, projectId, category } = {}) {
+    try {
+      const conditions = [`(
+        t.created_by = $1
+        OR (t.visibility = 'organization' AND t.organization = $2)
+        OR (t.visibility = 'project' AND (
+          p.owner_id = $1
+          OR EXISTS (
+            SELECT 1 FROM project_members pm
+            WHERE pm.project_id = t.project_id AND pm.user_id = $1
+          )
+        ))
+      )`];
+      const values = [userId, organization || null];
+
+      if (projectId) {
+        values.push(projectId);
+        conditions.push(`(t.project_id = $${values.length} OR t.project_id IS NULL)`);
+      }
+
+      if (category) {
+        values.push(category);
+        conditions.push(`t.category = $${values.length}`);
+      }
+
+      const query = `
+        SELECT t.*
+        FROM prd_templates t
+        LEFT JOIN projects p ON t.project_id = p.project_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY t.name ASC
+      `;
+
+      const result = await db.query(query, values);
+      return result.rows.map(row => new Template(row));
+    } catch (error) {
+      throw new Error(`Failed to list templates: ${error.message}`);
+    }
+  }
+
+  // Check whether a user may use this template
+  async canRead(user, organization) {
+    if (this.builtIn || this.createdBy === user.userId || user.role === 'admin') {
+      return true;
+    }
+
+    if (this.visibility === 'organization') {
+      return Boolean(organization) && this.organization === organization;
+    }
+
+    if (this.visibility === 'project' && this.projectId) {
+      return (await Document.getProjectRole(this.projectId, user.userId)) !== null;
+    }
+
+    return false;
+  }
+
+  // Check whether a user may modify or delete this template
+  async canWrite(user) {
+    if (this.builtIn) {
+      return false;
+    }
+
+    if (this.createdBy === user.userId || user.role === 'admin') {
+      return true;
+    }
+
+    if (this.visibility === 'project' && this.projectId) {
+      return Document.canWriteToProject(this.projectId, user);
+    }
+
+    return false;
+  }
+
+  /**
+   * Fill in each section's heading, guidance and required flag from a taxonomy
+   * @param {Array} taxonomy - Effective section taxonomy
+   * @returns {Array} `[{ key, title, guidance, required }]`
+   */
+  resolveSections(taxonomy) {
+    return this.sections.map(section => {
+      // Sections outside the taxonomy keep their usual heading, e.g. "Background" under the default one
+      const entry = taxonomy.find(candidate => candidate.key === section.key) ||
+        ADDITIONAL_SECTIONS.find(candidate => candidate.key === section.key);
+      return {
+        key: section.key,
+        title: section.title || entry?.displayName || section.key,
+        guidance: section.guidance || SECTION_GUIDANCE[section.key] || null,
+        required: section.required ?? entry?.required ?? false
+      };
+    });
+  }
+
+  // Update template
+  async update(updateData) {
+    try {
+      const fieldMap = {
+        name: 'name',
+        description: 'description',
+        category: 'category',
+        sections: 'sections',
+        visibility: 'visibility',
+        organization: 'organization',
+        projectId: 'project_id'
+      };
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (fieldMap[key] && value !== undefined) {
+          updates.push(`${fieldMap[key]} = $${paramCount}`);
+          values.push(key === 'sections' ? JSON.stringify(value) : value);
+          paramCount++;
+        }
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(this.templateId);
+
+      const query = `
+        UPDATE prd_templates
+        SET ${updates.join(', ')}
+        WHERE template_id = $${paramCount}
+        RETURNING *
+      `;
+
+      const result = await db.query(query, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Template not found');
+      }
+
+      return new Template(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+  }
+
+  // Delete template (documents created from it are kept)
+  async delete() {
+    try {
+      await db.query('DELETE FROM prd_templates WHERE template_id = $1', [this.templateId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete template: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      templateId: this.templateId,
+      name: this.name,
+      description: this.description,
+      category: this.category,
+      sections: this.sections,
+      visibility: this.visibility,
+      organization: this.organization,
+      projectId: this.projectId,
+      builtIn: this.builtIn,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Template;
@@ -0,0 +1,64 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+class ValidationResult {
+  constructor(data) {
+    this.id = data.id;
+    this.validationId = data.validation_id;
+    this.documentId = data.document_id;
+    this.userId = data.user_id;
+    this.overallScore = data.overall_score;
+    this.completenessScore = data.completeness_score;
+    this.clarityScore = data.clarity_score;
+    this.marketFitScore = data.market_fit_score;
+    this.competitiveScore = data.competitive_score;
+    this.sectionAnalysis = data.section_analysis;
+    this.executiveSummary = data.executive_summary;
+    this.analysisMetadata = data.analysis_metadata;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Store an analysis run of a stored document
+   * @param {Object} resultData - documentId, userId, `scoring` from ScoringEngine, sectionAnalysis,
+   *   executiveSummary, and `metadata` such as the analysis type, providers and redaction report
+   */
+  static async create(resultData) {
+    try {
+      const dimensionScore = (key) => {
+        const dimension = resultData.scoring.dimensions.find(candidate => candidate.key === key);
+        return dimension?.status === 'scored' ? Math.round(dimension.score) : null;
+      };
+
+      const query = `
+        INSERT INTO validation_results (
+          validation_id, document_id, user_id, overall_score, completeness_score, clarity_score,
+          market_fit_score, competitive_score, section_analysis, executive_summary, analysis_metadata
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `;
+
+      const values = [
+        uuidv4(),
+        resultData.documentId,
+        resultData.userId,
+        resultData.scoring.overallScore,
+        dimensionScore('completeness'),
+        dimensionScore('clarity'),
+        dimensionScore('marketFit'),
+        dimensionScore('competitive'),
+        JSON.stringify(resultData.sectionAnalysis || {}),
+        resultData.executiveSummary || null,
+        resultData.metadata ? JSON.stringify(resultData.metadata) : null
+      ];
+
+      const result = await db.query(query, values);
+      return new ValidationResult(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to save validation result: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ValidationResult;
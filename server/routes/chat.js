@@ -0,0 +1,267 @@
+const express = require('express');
+const Joi = require('joi');
+const ChatThread = require('../models/ChatThread');
+const ChatMessage = require('../models/ChatMessage');
+const Document = require('../models/Document');
+const ProjectSettings = require('../models/ProjectSettings');
+const AIAnalysisService = require('../services/aiAnalysis');
+const DocumentQA = require('../services/documentQA');
+const { CHAT_HISTORY_MESSAGES, MAX_PROJECT_DOCUMENTS } = require('../config/chat');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const createThreadSchema = Joi.object({
+  documentId: Joi.string().optional(),
+  projectId: Joi.string().optional(),
+  title: Joi.string().min(1).max(255).optional()
+}).xor('documentId', 'projectId');
+
+const askSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(2000).required(),
+  redactTerms: Joi.array().items(Joi.string().min(1).max(255)).max(100).optional()
+});
+
+/**
+ * GET /api/chat/threads
+ * List the user's threads, optionally for one document (`documentId`) or project (`projectId`)
+ */
+router.get('/threads', async (req, res) => {
+  try {
+    const threads = await ChatThread.findByUser(req.user.userId, {
+      documentId: req.query.documentId,
+      projectId: req.query.projectId
+    });
+
+    res.json({
+      success: true,
+      data: threads
+    });
+
+  } catch (error) {
+    logger.error('Failed to list chat threads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list chat threads'
+    });
+  }
+});
+
+/**
+ * POST /api/chat/threads
+ * Start a thread about a document or about every document in a project
+ */
+router.post('/threads', async (req, res) => {
+  try {
+    const { error, value } = createThreadSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const scope = await loadScope(value, req.user);
+
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const thread = await ChatThread.create({
+      ...value,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: thread
+    });
+
+  } catch (error) {
+    logger.error('Chat thread creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create chat thread'
+    });
+  }
+});
+
+/**
+ * GET /api/chat/threads/:threadId
+ * Get a thread with its messages
+ */
+router.get('/threads/:threadId', async (req, res) => {
+  try {
+    const thread = await findOwnThread(req.params.threadId, req.user, res);
+    if (!thread) return;
+
+    const messages = await ChatMessage.findByThread(thread.threadId);
+
+    res.json({
+      success: true,
+      data: {
+        ...thread.toJSON(),
+        messages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch chat thread:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch chat thread'
+    });
+  }
+});
+
+/**
+ * POST /api/chat/threads/:threadId/messages
+ * Ask a question; the answer cites the sections it comes from, or says the documents do not cover it
+ */
+router.post('/threads/:threadId/messages', async (req, res) => {
+  try {
+    const { error, value } = askSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const thread = await findOwnThread(req.params.threadId, req.user, res);
+    if (!thread) return;
+
+    // Access is checked again on every question, since project membership can change
+    const scope = await loadScope(thread, req.user);
+
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        error: scope.error
+      });
+    }
+
+    const history = await ChatMessage.findByThread(thread.threadId, { limit: CHAT_HISTORY_MESSAGES });
+    const aiService = new AIAnalysisService({
+      redactTerms: value.redactTerms,
+      aiPolicy: await ProjectSettings.getAIPolicy(scope.projectId)
+    });
+    const result = await new DocumentQA(aiService).answer(scope.documents, value.question, history);
+
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        error: `Could not answer the question: ${result.error}`
+      });
+    }
+
+    const question = await ChatMessage.create({
+      threadId: thread.threadId,
+      role: 'user',
+      content: value.question
+    });
+    const answer = await ChatMessage.create({
+      threadId: thread.threadId,
+      role: 'assistant',
+      content: result.answer,
+      citations: result.citations,
+      coverage: result.coverage,
+      metadata: { searched: result.searched }
+    });
+    await thread.touch(value.question);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        question,
+        answer
+      }
+    });
+
+  } catch (error) {
+    logger.error('Chat question failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to answer question'
+    });
+  }
+});
+
+/**
+ * DELETE /api/chat/threads/:threadId
+ * Delete a thread and its messages
+ */
+router.delete('/threads/:threadId', async (req, res) => {
+  try {
+    const thread = await findOwnThread(req.params.threadId, req.user, res);
+    if (!thread) return;
+
+    await thread.delete();
+
+    res.json({
+      success: true,
+      message: 'Chat thread deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Chat thread deletion failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete chat thread'
+    });
+  }
+});
+
+/**
+ * Load a thread of the user's own, sending a 404 response otherwise. Threads are private,
+ * so another user's thread is reported as missing.
+ */
+async function findOwnThread(threadId, user, res) {
+  const thread = await ChatThread.findById(threadId);
+
+  if (!thread || thread.userId !== user.userId) {
+    res.status(404).json({
+      success: false,
+      error: 'Chat thread not found'
+    });
+    return null;
+  }
+
+  return thread;
+}
+
+/**
+ * The documents a thread answers from, if the user may read them
+ * @param {Object} target - `{ documentId }` or `{ projectId }`
+ * @returns {Promise<Object>} `{ documents, projectId }`, or `{ error, status }`
+ */
+async function loadScope({ documentId, projectId }, user) {
+  if (documentId) {
+    const document = await Document.findById(documentId);
+
+    if (!document) {
+      return { error: 'Document not found', status: 404 };
+    }
+    if (!(await document.canRead(user))) {
+      return { error: 'Access denied', status: 403 };
+    }
+    return { documents: [document], projectId: document.projectId };
+  }
+
+  if (user.role !== 'admin' && (await Document.getProjectRole(projectId, user.userId)) === null) {
+    return { error: 'Access denied', status: 403 };
+  }
+
+  return {
+    documents: await Document.findByProject(projectId, { limit: MAX_PROJECT_DOCUMENTS }),
+    projectId
+  };
+}
+
+module.exports = router;
@@ -2,11 +2,53 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const Joi = require('joi');
 const DocumentParser = require('../services/documentParser');
+const MetricsParser = require('../services/metricsParser');
+const VersionDiff = require('../services/versionDiff');
+const BatchImporter = require('../services/batchImporter');
+const DuplicateDetector = require('../services/duplicateDetector');
+const AIAnalysisService = require('../services/aiAnalysis');
+const RewriteSuggester = require('../services/rewriteSuggester');
+const { getFileStorage, originalFileKey, contentTypeFor } = require('../services/fileStorage');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const DocumentPatch = require('../models/DocumentPatch');
+const ProjectSettings = require('../models/ProjectSettings');
+const SectionTaxonomy = require('../models/SectionTaxonomy');
 const logger = require('../utils/logger');
+const { getSectionTextByKey } = require('../utils/sectionTree');
+const { mentionsSection } = require('../utils/taxonomy');
 
 const router = express.Router();
 
+// Validation schemas
+const updateDocumentSchema = Joi.object({
+  title: Joi.string().min(1).max(255).optional(),
+  projectId: Joi.string().allow(null).optional()
+}).min(1);
+
+const findingSchema = Joi.alternatives().try(
+  Joi.string().min(1).max(4000),
+  Joi.object({
+    finding: Joi.string().min(1).max(4000).required(),
+    quote: Joi.string().max(4000).allow(null, '').optional(),
+    sectionId: Joi.string().max(255).optional(),
+    section: Joi.string().max(255).optional()
+  }).unknown(true)
+);
+
+const rewriteSchema = Joi.object({
+  sectionId: Joi.string().max(255).optional(),
+  section: Joi.string().max(255).optional(),
+  finding: findingSchema.optional(),
+  instructions: Joi.string().max(2000).allow('').optional(),
+  redactTerms: Joi.array().items(Joi.string().min(1).max(255)).max(100).optional()
+}).or('sectionId', 'section', 'finding');
+
+// What to do when an upload duplicates an existing document
+const DUPLICATE_ACTIONS = ['reject', 'version', 'keep'];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -25,17 +67,29 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024 // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.docx', '.doc', '.txt'];
+    const allowedTypes = new DocumentParser().supportedFormats;
     const ext = path.extname(file.originalname).toLowerCase();
     
     if (allowedTypes.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOCX, DOC, and TXT files are allowed.'));
+      cb(new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`));
     }
   }
 });
 
+// Formats the original-file route will show in the browser rather than download
+const INLINE_CONTENT_TYPES = ['application/pdf', 'text/plain; charset=utf-8', 'text/markdown; charset=utf-8'];
+
+// Batch imports accept zip archives and report unsupported files instead of rejecting them
+const batchUpload = multer({
+  storage,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB per archive, which is unzipped in memory
+    files: 500
+  }
+});
+
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
   const uploadsDir = path.join(__dirname, '../uploads');
@@ -50,9 +104,11 @@ ensureUploadsDir();
 
 /**
  * POST /api/documents/upload
- * Upload and parse a PRD document
+ * Upload, parse and store a PRD document
  */
 router.post('/upload', upload.single('document'), async (req, res) => {
+  let storageKey = null;
+
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -61,24 +117,77 @@ router.post('/upload', upload.single('document'), async (req, res) => {
       });
     }
 
-    const documentParser = new DocumentParser();
+    const { projectId, title, onDuplicate = 'reject' } = req.body;
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      await removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (projectId && !(await Document.canWriteToProject(projectId, req.user))) {
+      await removeUploadedFile(req.file);
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+    const documentParser = new DocumentParser({ taxonomy: taxonomy.sections });
     const result = await documentParser.parseDocument(req.file.path);
 
     if (!result.success) {
+      await removeUploadedFile(req.file);
       return res.status(400).json(result);
     }
 
-    // Clean up uploaded file after parsing
-    try {
-      await fs.unlink(req.file.path);
-    } catch (error) {
-      logger.warn('Failed to delete uploaded file:', error);
+    const duplicateDetector = new DuplicateDetector();
+    const duplicate = await duplicateDetector.findDuplicate(req.user.userId, result.content);
+
+    if (duplicate && onDuplicate !== 'keep') {
+      const refusal = await checkDuplicateAction(duplicate, onDuplicate, req.user, duplicateDetector);
+      if (refusal) {
+        await removeUploadedFile(req.file);
+        return res.status(refusal.status).json(refusal.body);
+      }
     }
 
-    res.json({
+    // Keep the original in file storage; the multer upload is only a temporary copy
+    storageKey = await storeOriginalFile(req.file);
+    await removeUploadedFile(req.file);
+
+    const fileData = {
+      filename: req.file.filename,
+      originalFilename: req.file.originalname,
+      fileType: result.metadata.format,
+      fileSize: result.metadata.fileSize,
+      content: result.content,
+      structuredData: result.structuredData,
+      metadata: result.metadata,
+      storageKey
+    };
+
+    const document = duplicate && onDuplicate === 'version'
+      ? await duplicate.document.addVersion({ ...fileData, title, userId: req.user.userId })
+      : await Document.create({
+        ...fileData,
+        projectId,
+        userId: req.user.userId,
+        title: title || result.metadata.title || req.file.originalname
+      });
+
+    res.status(201).json({
       success: true,
       data: {
+        documentId: document.documentId,
+        projectId: document.projectId,
+        title: document.title,
+        versionNumber: document.currentVersion,
         filename: req.file.originalname,
+        duplicate: duplicate ? await duplicateDetector.describe(duplicate) : null,
         ...result
       }
     });
@@ -88,11 +197,10 @@ router.post('/upload', upload.single('document'), async (req, res) => {
     
     // Clean up file on error
     if (req.file) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (cleanupError) {
-        logger.warn('Failed to cleanup file on error:', cleanupError);
-      }
+      await removeUploadedFile(req.file);
+    }
+    if (storageKey) {
+      await removeStoredFiles([storageKey]);
     }
 
     res.status(500).json({
@@ -104,11 +212,11 @@ router.post('/upload', upload.single('document'), async (req, res) => {
 
 /**
  * POST /api/documents/parse-text
- * Parse PRD content from text input
+ * Parse and store PRD content from text input
  */
 router.post('/parse-text', async (req, res) => {
   try {
-    const { content, title } = req.body;
+    const { content, title, projectId, onDuplicate = 'reject' } = req.body;
 
     if (!content || typeof content !== 'string') {
       return res.status(400).json({
@@ -117,20 +225,69 @@ router.post('/parse-text', async (req, res) => {
       });
     }
 
-    const documentParser = new DocumentParser();
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({
+        success: false,
+        error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (projectId && !(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+    const documentParser = new DocumentParser({ taxonomy: taxonomy.sections });
+    const duplicateDetector = new DuplicateDetector();
+    const duplicate = await duplicateDetector.findDuplicate(req.user.userId, content);
+
+    if (duplicate && onDuplicate !== 'keep') {
+      const refusal = await checkDuplicateAction(duplicate, onDuplicate, req.user, duplicateDetector);
+      if (refusal) {
+        return res.status(refusal.status).json(refusal.body);
+      }
+    }
+
     const structuredData = documentParser.extractStructuredData(content);
+    const metadata = {
+      format: 'text',
+      wordCount: content.split(/\s+/).length,
+      characterCount: content.length,
+      parsedAt: new Date().toISOString()
+    };
 
-    res.json({
+    const textData = {
+      filename: 'text-input',
+      originalFilename: title || 'Untitled PRD',
+      fileType: 'text',
+      fileSize: Buffer.byteLength(content, 'utf-8'),
+      content,
+      structuredData,
+      metadata
+    };
+
+    const document = duplicate && onDuplicate === 'version'
+      ? await duplicate.document.addVersion({ ...textData, title, userId: req.user.userId })
+      : await Document.create({
+        ...textData,
+        projectId,
+        userId: req.user.userId,
+        title: title || 'Untitled PRD'
+      });
+
+    res.status(201).json({
       success: true,
       data: {
-        title: title || 'Untitled PRD',
+        documentId: document.documentId,
+        projectId: document.projectId,
+        title: document.title,
+        versionNumber: document.currentVersion,
+        duplicate: duplicate ? await duplicateDetector.describe(duplicate) : null,
         content,
-        metadata: {
-          format: 'text',
-          wordCount: content.split(/\s+/).length,
-          characterCount: content.length,
-          parsedAt: new Date().toISOString()
-        },
+        metadata,
         structuredData
       }
     });
@@ -144,6 +301,130 @@ router.post('/parse-text', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/documents/batch
+ * Import a zip archive or several files into a project, reporting on each file
+ */
+router.post('/batch', batchUpload.array('documents'), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const { projectId, onDuplicate = 'reject' } = req.body;
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files provided'
+      });
+    }
+
+    if (!projectId) {
+      await Promise.all(files.map(removeUploadedFile));
+      return res.status(400).json({
+        success: false,
+        error: 'projectId is required for batch imports'
+      });
+    }
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      await Promise.all(files.map(removeUploadedFile));
+      return res.status(400).json({
+        success: false,
+        error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      await Promise.all(files.map(removeUploadedFile));
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+    const importer = new BatchImporter({
+      parser: new DocumentParser({ taxonomy: taxonomy.sections }),
+      storage: getFileStorage(),
+      projectId,
+      user: req.user,
+      duplicateDetector: new DuplicateDetector(),
+      onDuplicate
+    });
+    const report = await importer.importFiles(files);
+
+    await Promise.all(files.map(removeUploadedFile));
+
+    logger.info(`Batch import into ${projectId}: ${report.summary.imported}/${report.summary.total} documents imported`);
+
+    res.status(report.summary.imported > 0 ? 201 : 200).json({
+      success: true,
+      data: {
+        projectId,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    logger.error('Batch import failed:', error);
+    await Promise.all(files.map(removeUploadedFile));
+
+    res.status(500).json({
+      success: false,
+      error: 'Batch import failed'
+    });
+  }
+});
+
+/**
+ * GET /api/documents
+ * List stored documents the user can access
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (projectId && req.user.role !== 'admin') {
+      const projectRole = await Document.getProjectRole(projectId, req.user.userId);
+      if (!projectRole) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+    }
+
+    const { documents, total } = await Document.findAccessible(req.user.userId, {
+      projectId,
+      search,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        documents: documents.map(document => document.toJSON({ includeContent: false })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents'
+    });
+  }
+});
+
 /**
  * GET /api/documents/supported-formats
  * Get list of supported document formats
@@ -161,11 +442,11 @@ router.get('/supported-formats', (req, res) => {
 
 /**
  * POST /api/documents/validate-structure
- * Validate PRD structure and completeness
+ * Validate PRD structure and completeness against the applicable section taxonomy
  */
 router.post('/validate-structure', async (req, res) => {
   try {
-    const { structuredData, content } = req.body;
+    const { structuredData, content, projectId } = req.body;
 
     if (!structuredData && !content) {
       return res.status(400).json({
@@ -174,7 +455,8 @@ router.post('/validate-structure', async (req, res) => {
       });
     }
 
-    const validation = await validatePRDStructure(structuredData, content);
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+    const validation = await validatePRDStructure(structuredData, content, taxonomy.sections);
 
     res.json({
       success: true,
@@ -191,122 +473,913 @@ router.post('/validate-structure', async (req, res) => {
 });
 
 /**
- * Validate PRD structure and completeness
+ * GET /api/documents/:id
+ * Get a stored document with its content and structured data
  */
-async function validatePRDStructure(structuredData, content) {
-  const requiredSections = [
-    'problemStatement',
-    'solution',
-    'targetMarket',
-    'successMetrics',
-    'features'
-  ];
+router.get('/:id', async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id);
 
-  const optionalSections = [
-    'userPersonas',
-    'timeline',
-    'risks',
-    'competitiveAnalysis'
-  ];
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
 
-  const validation = {
-    overallScore: 0,
-    completenessScore: 0,
-    sectionAnalysis: {},
-    recommendations: [],
-    missingSections: [],
-    strengths: [],
-    areasForImprovement: []
-  };
+    if (!(await document.canRead(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
 
-  let totalScore = 0;
-  let maxScore = 0;
+    res.json({
+      success: true,
+      data: document
+    });
 
-  // Check required sections
-  requiredSections.forEach(section => {
-    const hasSection = structuredData?.sections?.[section] || 
-                      (content && checkSectionInContent(content, section));
-    
-    if (hasSection) {
-      const sectionScore = 20; // 20 points per required section
-      validation.sectionAnalysis[section] = {
-        present: true,
-        score: sectionScore,
-        completeness: calculateSectionCompleteness(structuredData?.sections?.[section] || content)
-      };
-      totalScore += sectionScore;
-      validation.strengths.push(`Strong ${section.replace(/([A-Z])/g, ' $1').toLowerCase()}`);
-    } else {
-      validation.sectionAnalysis[section] = {
-        present: false,
-        score: 0,
-        completeness: 0
-      };
-      validation.missingSections.push(section);
-      validation.recommendations.push(`Add a comprehensive ${section.replace(/([A-Z])/g, ' $1').toLowerCase()} section`);
+  } catch (error) {
+    logger.error('Failed to fetch document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document'
+    });
+  }
+});
+
+/**
+ * PATCH /api/documents/:id
+ * Update document title or project
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { error, value } = updateDocumentSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
     }
-    maxScore += 20;
-  });
 
-  // Check optional sections
-  optionalSections.forEach(section => {
-    const hasSection = structuredData?.sections?.[section] || 
-                      (content && checkSectionInContent(content, section));
-    
-    if (hasSection) {
-      const sectionScore = 10; // 10 points per optional section
-      validation.sectionAnalysis[section] = {
-        present: true,
-        score: sectionScore,
-        completeness: calculateSectionCompleteness(structuredData?.sections?.[section] || content)
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (!(await document.canWrite(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    // Moving a document into a project requires write access to that project
+    if (value.projectId && value.projectId !== document.projectId &&
+        !(await Document.canWriteToProject(value.projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const updatedDocument = await document.update(value);
+
+    res.json({
+      success: true,
+      data: updatedDocument.toJSON({ includeContent: false })
+    });
+
+  } catch (error) {
+    logger.error('Document update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update document'
+    });
+  }
+});
+
+/**
+ * POST /api/documents/:id/versions
+ * Upload a revised file (or send revised text as `content`) as a new version of a document
+ */
+router.post('/:id/versions', upload.single('document'), async (req, res) => {
+  let storageKey = null;
+
+  try {
+    const { content, title } = req.body;
+
+    if (!req.file && (!content || typeof content !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'A document file or text content is required'
+      });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document || !(await document.canWrite(req.user))) {
+      if (req.file) {
+        await removeUploadedFile(req.file);
+      }
+      return res.status(document ? 403 : 404).json({
+        success: false,
+        error: document ? 'Permission denied' : 'Document not found'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId: document.projectId, userId: req.user.userId });
+    const documentParser = new DocumentParser({ taxonomy: taxonomy.sections });
+    let revision;
+
+    if (req.file) {
+      const result = await documentParser.parseDocument(req.file.path);
+
+      if (!result.success) {
+        await removeUploadedFile(req.file);
+        return res.status(400).json(result);
+      }
+
+      storageKey = await storeOriginalFile(req.file);
+      await removeUploadedFile(req.file);
+
+      revision = {
+        filename: req.file.filename,
+        originalFilename: req.file.originalname,
+        fileType: result.metadata.format,
+        fileSize: result.metadata.fileSize,
+        content: result.content,
+        structuredData: result.structuredData,
+        metadata: result.metadata,
+        storageKey
       };
-      totalScore += sectionScore;
-      validation.strengths.push(`Includes ${section.replace(/([A-Z])/g, ' $1').toLowerCase()}`);
     } else {
-      validation.sectionAnalysis[section] = {
-        present: false,
-        score: 0,
-        completeness: 0
-      };
-      validation.areasForImprovement.push(`Consider adding ${section.replace(/([A-Z])/g, ' $1').toLowerCase()}`);
+      revision = textRevision(content, title || document.originalFilename, documentParser);
     }
-    maxScore += 10;
-  });
 
-  // Calculate scores
-  validation.overallScore = Math.round((totalScore / maxScore) * 100);
-  validation.completenessScore = Math.round((totalScore / maxScore) * 100);
+    const updatedDocument = await document.addVersion({
+      ...revision,
+      title,
+      userId: req.user.userId
+    });
 
-  // Add general recommendations
-  if (validation.overallScore < 60) {
-    validation.recommendations.push('Focus on adding missing required sections first');
-  } else if (validation.overallScore < 80) {
-    validation.recommendations.push('Consider adding optional sections to improve completeness');
-  } else {
-    validation.recommendations.push('Great structure! Consider adding more detail to existing sections');
-  }
+    res.status(201).json({
+      success: true,
+      data: {
+        documentId: updatedDocument.documentId,
+        versionNumber: updatedDocument.currentVersion,
+        previousVersion: document.currentVersion,
+        title: updatedDocument.title,
+        content: revision.content,
+        metadata: revision.metadata,
+        structuredData: revision.structuredData
+      }
+    });
 
-  return validation;
-}
+  } catch (error) {
+    logger.error('Document version upload failed:', error);
+
+    if (req.file) {
+      await removeUploadedFile(req.file);
+    }
+    if (storageKey) {
+      await removeStoredFiles([storageKey]);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add document version'
+    });
+  }
+});
 
 /**
- * Check if a section exists in content
+ * GET /api/documents/:id/versions
+ * List a document's versions, newest first
  */
-function checkSectionInContent(content, sectionName) {
-  const sectionPatterns = {
-    problemStatement: /problem\s+statement|problem\s+definition/i,
-    solution: /solution|proposed\s+solution/i,
-    targetMarket: /target\s+market|market\s+analysis/i,
-    userPersonas: /user\s+personas|target\s+users/i,
-    features: /features|functional\s+requirements/i,
-    successMetrics: /success\s+metrics|kpis|key\s+performance\s+indicators/i,
-    timeline: /timeline|roadmap|milestones/i,
-    risks: /risks|challenges|assumptions/i,
-    competitiveAnalysis: /competitive\s+analysis|competitors/i
-  };
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const document = await findReadableDocument(req.params.id, req.user, res);
+    if (!document) return;
+
+    const versions = await DocumentVersion.findByDocument(document.documentId);
 
-  const pattern = sectionPatterns[sectionName];
-  return pattern ? pattern.test(content) : false;
+    // Documents stored before version history have only their current revision
+    const listed = versions.length > 0
+      ? versions.map(version => version.toJSON({ includeContent: false }))
+      : [documentAsVersion(document).toJSON({ includeContent: false })];
+
+    res.json({
+      success: true,
+      data: {
+        documentId: document.documentId,
+        currentVersion: document.currentVersion,
+        versions: listed
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list document versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list document versions'
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/versions/:version
+ * Get one version of a document with its content and structured data
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const document = await findReadableDocument(req.params.id, req.user, res);
+    if (!document) return;
+
+    const version = await loadVersion(document, parseInt(req.params.version));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch document version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document version'
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/diff
+ * Section-by-section diff and score deltas between two versions
+ * (`from` defaults to the version before `to`, `to` to the current version)
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const document = await findReadableDocument(req.params.id, req.user, res);
+    if (!document) return;
+
+    const to = req.query.to ? parseInt(req.query.to) : document.currentVersion;
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from === to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be two different version numbers'
+      });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      loadVersion(document, from),
+      loadVersion(document, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        error: `Document version ${fromVersion ? to : from} not found`
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId: document.projectId, userId: req.user.userId });
+    const [fromScores, toScores] = await Promise.all([
+      validatePRDStructure(fromVersion.structuredData, fromVersion.content, taxonomy.sections),
+      validatePRDStructure(toVersion.structuredData, toVersion.content, taxonomy.sections)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        documentId: document.documentId,
+        from: { versionNumber: from, createdAt: fromVersion.createdAt, createdBy: fromVersion.createdBy },
+        to: { versionNumber: to, createdAt: toVersion.createdAt, createdBy: toVersion.createdBy },
+        ...new VersionDiff().diff(fromVersion, toVersion),
+        scores: compareScores(fromScores, toScores)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Document diff failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare document versions'
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/original
+ * Download the originally uploaded file (`version` defaults to the current one).
+ * `inline=true` previews PDFs and plain text in the browser; other formats always download.
+ */
+router.get('/:id/original', async (req, res) => {
+  try {
+    const document = await findReadableDocument(req.params.id, req.user, res);
+    if (!document) return;
+
+    const version = req.query.version
+      ? await loadVersion(document, parseInt(req.query.version))
+      : documentAsVersion(document);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document version not found'
+      });
+    }
+
+    const stored = version.storageKey ? await getFileStorage().read(version.storageKey) : null;
+
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: 'The original file is not available for this document'
+      });
+    }
+
+    const filename = version.originalFilename || 'document';
+    const contentType = contentTypeFor(filename);
+    // Anything that could run script (HTML) is never rendered inline on our origin
+    const inline = req.query.inline === 'true' && INLINE_CONTENT_TYPES.includes(contentType);
+
+    res.setHeader('Content-Type', inline && contentType.startsWith('text/') ? 'text/plain; charset=utf-8' : contentType);
+    res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', filename));
+    if (stored.size) {
+      res.setHeader('Content-Length', stored.size);
+    }
+
+    stored.stream.on('error', (error) => {
+      logger.error('Original file stream failed:', error);
+      res.destroy(error);
+    });
+    stored.stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Failed to download original file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download original file'
+    });
+  }
+});
+
+/**
+ * POST /api/documents/:id/rewrite
+ * Ask the AI for replacement text for a section, or for the passage a finding quotes, and store
+ * it as a pending patch against the current version
+ */
+router.post('/:id/rewrite', async (req, res) => {
+  try {
+    const { error, value } = rewriteSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    // Suggestions cost AI calls and become patches, so they are for editors only
+    if (!document || !(await document.canWrite(req.user))) {
+      return res.status(document ? 403 : 404).json({
+        success: false,
+        error: document ? 'Permission denied' : 'Document not found'
+      });
+    }
+
+    const aiService = new AIAnalysisService({
+      redactTerms: value.redactTerms,
+      aiPolicy: await ProjectSettings.getAIPolicy(document.projectId)
+    });
+    const suggestion = await new RewriteSuggester(aiService).suggest(document, value);
+
+    if (suggestion.error) {
+      return res.status(suggestion.status).json({
+        success: false,
+        error: suggestion.error
+      });
+    }
+
+    const patch = await DocumentPatch.create({
+      ...suggestion,
+      documentId: document.documentId,
+      baseVersion: document.currentVersion,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: patch
+    });
+
+  } catch (error) {
+    logger.error('Rewrite suggestion failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to suggest a rewrite'
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/patches
+ * List a document's rewrite patches (filter with `status`); pending ones say whether they
+ * still apply to the current content
+ */
+router.get('/:id/patches', async (req, res) => {
+  try {
+    const document = await findReadableDocument(req.params.id, req.user, res);
+    if (!document) return;
+
+    const patches = await DocumentPatch.findByDocument(document.documentId, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: patches.map(patch => ({
+        ...patch.toJSON(),
+        applicable: patch.status === 'pending' ? patch.applyTo(document.content) !== null : null
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to list patches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list patches'
+    });
+  }
+});
+
+/**
+ * POST /api/documents/:id/patches/:patchId/apply
+ * Apply a pending patch to the current content, saving the result as a new version
+ */
+router.post('/:id/patches/:patchId/apply', async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id);
+
+    if (!document || !(await document.canWrite(req.user))) {
+      return res.status(document ? 403 : 404).json({
+        success: false,
+        error: document ? 'Permission denied' : 'Document not found'
+      });
+    }
+
+    const patch = await DocumentPatch.findById(document.documentId, req.params.patchId);
+
+    if (!patch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patch not found'
+      });
+    }
+
+    if (patch.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Patch is already ${patch.status}`
+      });
+    }
+
+    const applied = patch.applyTo(document.content);
+
+    if (!applied) {
+      return res.status(409).json({
+        success: false,
+        error: 'The text this patch replaces has changed since it was suggested; request a new rewrite'
+      });
+    }
+
+    // Claim the patch first so two clicks on "apply" cannot create two versions
+    const claimed = await patch.resolve('applied', req.user.userId);
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Patch is no longer pending'
+      });
+    }
+
+    let updatedDocument;
+    let revision;
+    try {
+      const taxonomy = await SectionTaxonomy.resolve({ projectId: document.projectId, userId: req.user.userId });
+      revision = textRevision(applied.content, document.originalFilename, new DocumentParser({ taxonomy: taxonomy.sections }));
+      revision.metadata.patchId = patch.patchId;
+
+      // The patch was applied to the content read above, so a version added since then must not be overwritten
+      updatedDocument = await document.addVersion({
+        ...revision,
+        expectedVersion: document.currentVersion,
+        userId: req.user.userId
+      });
+    } catch (error) {
+      await patch.reopen();
+      throw error;
+    }
+
+    if (!updatedDocument) {
+      await patch.reopen();
+      return res.status(409).json({
+        success: false,
+        error: 'The document changed while the patch was being applied; try again'
+      });
+    }
+
+    const updatedPatch = await claimed.setAppliedVersion(updatedDocument.currentVersion);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        documentId: updatedDocument.documentId,
+        versionNumber: updatedDocument.currentVersion,
+        previousVersion: document.currentVersion,
+        patch: updatedPatch,
+        change: { start: applied.start, end: applied.end, relocated: applied.relocated },
+        content: revision.content,
+        structuredData: revision.structuredData
+      }
+    });
+
+  } catch (error) {
+    logger.error('Patch apply failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply patch'
+    });
+  }
+});
+
+/**
+ * POST /api/documents/:id/patches/:patchId/reject
+ * Dismiss a pending patch
+ */
+router.post('/:id/patches/:patchId/reject', async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id);
+
+    if (!document || !(await document.canWrite(req.user))) {
+      return res.status(document ? 403 : 404).json({
+        success: false,
+        error: document ? 'Permission denied' : 'Document not found'
+      });
+    }
+
+    const patch = await DocumentPatch.findById(document.documentId, req.params.patchId);
+
+    if (!patch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patch not found'
+      });
+    }
+
+    const rejected = await patch.resolve('rejected', req.user.userId);
+
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        error: 'Patch is no longer pending'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rejected
+    });
+
+  } catch (error) {
+    logger.error('Patch rejection failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject patch'
+    });
+  }
+});
+
+/**
+ * DELETE /api/documents/:id
+ * Delete a stored document
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (!(await document.canWrite(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const versions = await DocumentVersion.findByDocument(document.documentId);
+    const storageKeys = [...new Set([document.storageKey, ...versions.map(version => version.storageKey)].filter(Boolean))];
+
+    await document.delete();
+    await removeStoredFiles(storageKeys);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Document deletion failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete document'
+    });
+  }
+});
+
+/**
+ * Load a document the user may read, sending a 404/403 response otherwise
+ */
+async function findReadableDocument(documentId, user, res) {
+  const document = await Document.findById(documentId);
+
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      error: 'Document not found'
+    });
+    return null;
+  }
+
+  if (!(await document.canRead(user))) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return document;
+}
+
+/**
+ * A revision made of plain text, parsed like pasted content
+ */
+function textRevision(content, originalFilename, documentParser) {
+  return {
+    filename: 'text-input',
+    originalFilename,
+    fileType: 'text',
+    fileSize: Buffer.byteLength(content, 'utf-8'),
+    content,
+    structuredData: documentParser.extractStructuredData(content),
+    metadata: {
+      format: 'text',
+      wordCount: content.split(/\s+/).length,
+      characterCount: content.length,
+      parsedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Present a document's current revision as a version record
+ */
+function documentAsVersion(document) {
+  return new DocumentVersion({
+    document_id: document.documentId,
+    version_number: document.currentVersion,
+    filename: document.filename,
+    original_filename: document.originalFilename,
+    file_type: document.fileType,
+    file_size: document.fileSize,
+    content: document.content,
+    structured_data: document.structuredData,
+    metadata: document.metadata,
+    storage_key: document.storageKey,
+    created_by: document.userId,
+    created_at: document.updatedAt
+  });
+}
+
+/**
+ * Load a stored version, falling back to the document itself for its current version
+ */
+async function loadVersion(document, versionNumber) {
+  if (!Number.isInteger(versionNumber)) {
+    return null;
+  }
+
+  const version = await DocumentVersion.findByNumber(document.documentId, versionNumber);
+  if (version) {
+    return version;
+  }
+
+  return versionNumber === document.currentVersion ? documentAsVersion(document) : null;
+}
+
+/**
+ * Score changes between two structure validations
+ */
+function compareScores(before, after) {
+  const delta = (from, to) => ({ from, to, delta: to - from });
+  const sectionKeys = new Set([...Object.keys(before.sectionAnalysis), ...Object.keys(after.sectionAnalysis)]);
+  const sections = {};
+
+  sectionKeys.forEach(key => {
+    const from = before.sectionAnalysis[key]?.score || 0;
+    const to = after.sectionAnalysis[key]?.score || 0;
+    if (from !== to) {
+      sections[key] = delta(from, to);
+    }
+  });
+
+  return {
+    overall: delta(before.overallScore, after.overallScore),
+    completeness: delta(before.completenessScore, after.completenessScore),
+    metricsQuality: delta(before.metricsAnalysis?.score || 0, after.metricsAnalysis?.score || 0),
+    sections,
+    requiredSectionsAdded: before.missingSections.filter(key => !after.missingSections.includes(key)),
+    requiredSectionsRemoved: after.missingSections.filter(key => !before.missingSections.includes(key))
+  };
+}
+
+/**
+ * Decide whether an upload that duplicates an existing document may go ahead
+ * @returns {Promise<Object|null>} `{ status, body }` to send instead, or null to continue
+ */
+async function checkDuplicateAction(duplicate, onDuplicate, user, duplicateDetector) {
+  if (onDuplicate === 'version') {
+    if (await duplicate.document.canWrite(user)) {
+      return null;
+    }
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: 'Permission denied to add a version to the existing document'
+      }
+    };
+  }
+
+  return {
+    status: 409,
+    body: {
+      success: false,
+      error: duplicate.type === 'exact'
+        ? 'This document has already been uploaded'
+        : 'A very similar document has already been uploaded',
+      data: {
+        duplicate: await duplicateDetector.describe(duplicate),
+        // Send the upload again with one of these to continue
+        options: {
+          version: 'onDuplicate=version adds the upload as a new version of the existing document',
+          keep: 'onDuplicate=keep stores the upload as a separate document'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Content-Disposition header with an ASCII fallback name and the UTF-8 original
+ */
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Copy a multer upload into file storage as the document's original
+ */
+async function storeOriginalFile(file) {
+  return getFileStorage().save(originalFileKey(file.filename), file.path);
+}
+
+/**
+ * Remove stored originals, logging rather than failing on errors
+ */
+async function removeStoredFiles(keys) {
+  const storage = getFileStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.warn(`Failed to delete stored file ${key}:`, error);
+    }
+  }
+}
+
+/**
+ * Remove a multer upload from disk
+ */
+async function removeUploadedFile(file) {
+  try {
+    await fs.unlink(file.path);
+  } catch (error) {
+    logger.warn('Failed to delete uploaded file:', error);
+  }
+}
+
+/**
+ * Validate PRD structure and completeness
+ * Required and optional sections, and their weights, come from the section taxonomy
+ */
+async function validatePRDStructure(structuredData, content, taxonomy) {
+  const validation = {
+    overallScore: 0,
+    completenessScore: 0,
+    sectionAnalysis: {},
+    recommendations: [],
+    missingSections: [],
+    metricsAnalysis: null,
+    strengths: [],
+    areasForImprovement: []
+  };
+
+  let totalScore = 0;
+  let maxScore = 0;
+
+  // Success metrics earn half their points for being present and half for passing the SMART check
+  const metricsQuality = new MetricsParser().evaluate(structuredData?.metrics);
+  validation.metricsAnalysis = metricsQuality;
+
+  // Required sections first, then optional ones
+  const sections = [
+    ...taxonomy.filter(section => section.required),
+    ...taxonomy.filter(section => !section.required)
+  ];
+
+  sections.forEach(section => {
+    const sectionText = getSectionTextByKey(structuredData?.sections, section.key);
+    const hasSection = sectionText || (content && mentionsSection(taxonomy, section.key, content));
+    const name = section.displayName.toLowerCase();
+
+    if (hasSection) {
+      const sectionScore = section.key === 'successMetrics'
+        ? section.weight / 2 + (section.weight / 2) * (metricsQuality.score / 100)
+        : section.weight;
+      validation.sectionAnalysis[section.key] = {
+        present: true,
+        required: section.required,
+        score: Math.round(sectionScore),
+        completeness: calculateSectionCompleteness(sectionText || content)
+      };
+      totalScore += sectionScore;
+      validation.strengths.push(section.required ? `Strong ${name}` : `Includes ${name}`);
+    } else {
+      validation.sectionAnalysis[section.key] = {
+        present: false,
+        required: section.required,
+        score: 0,
+        completeness: 0
+      };
+      if (section.required) {
+        validation.missingSections.push(section.key);
+        validation.recommendations.push(`Add a comprehensive ${name} section`);
+      } else {
+        validation.areasForImprovement.push(`Consider adding ${name}`);
+      }
+    }
+    maxScore += section.weight;
+  });
+
+  validation.areasForImprovement.push(...metricsQuality.recommendations);
+
+  // Calculate scores
+  const score = maxScore > 0 ? Math.round((totalScore / maxScore) * 100) : 0;
+  validation.overallScore = score;
+  validation.completenessScore = score;
+
+  // Add general recommendations
+  if (validation.overallScore < 60) {
+    validation.recommendations.push('Focus on adding missing required sections first');
+  } else if (validation.overallScore < 80) {
+    validation.recommendations.push('Consider adding optional sections to improve completeness');
+  } else {
+    validation.recommendations.push('Great structure! Consider adding more detail to existing sections');
+  }
+
+  return validation;
 }
 
 /**
@@ -0,0 +1,456 @@
+const express = require('express');
+const Joi = require('joi');
+const ProjectSettings = require('../models/ProjectSettings');
+const Document = require('../models/Document');
+const Rubric = require('../models/Rubric');
+const LLMRouter = require('../services/llmRouter');
+const LintRuleEngine = require('../services/lintRuleEngine');
+const { AI_PROVIDERS, ANALYSIS_STEPS, parseRoute } = require('../config/aiProviders');
+const { SCORING_DIMENSIONS, MISSING_DIMENSION_POLICIES } = require('../config/scoring');
+const { RUBRIC_MODES, DEFAULT_RUBRIC_WEIGHT } = require('../config/rubrics');
+const logger = require('../utils/logger');
+
+// Mounted under /api/projects/:projectId/settings
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const routeSchema = Joi.alternatives().try(
+  Joi.string().min(1),
+  Joi.array().items(Joi.string().min(1)).min(1)
+);
+
+const aiPolicySchema = Joi.object({
+  selfHostedOnly: Joi.boolean().default(false),
+  allowedProviders: Joi.array().items(Joi.string().valid(...Object.keys(AI_PROVIDERS))).min(1).unique().optional(),
+  steps: Joi.object(Object.fromEntries(ANALYSIS_STEPS.map(step => [step, routeSchema]))).optional()
+});
+
+const scoringSchema = Joi.object({
+  weights: Joi.object(Object.fromEntries(SCORING_DIMENSIONS.map(dimension => [dimension.key, Joi.number().min(0).max(1000)])))
+    .min(1)
+    .optional(),
+  missingPolicy: Joi.string().valid(...MISSING_DIMENSION_POLICIES).optional()
+}).or('weights', 'missingPolicy');
+
+const rubricSchema = Joi.object({
+  rubricId: Joi.string().required(),
+  mode: Joi.string().valid(...RUBRIC_MODES).default('alongside'),
+  weight: Joi.number().min(0).max(1000).default(DEFAULT_RUBRIC_WEIGHT)
+});
+
+const lintRulesSchema = Joi.object({
+  rules: Joi.object().pattern(Joi.string(), Joi.any()).min(1).required(),
+  maxWarnings: Joi.number().integer().min(0).allow(null).optional()
+});
+
+/**
+ * GET /api/projects/:projectId/settings
+ * Get a project's settings, the AI provider route each analysis step will take and the scoring in effect
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await canReadProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const settings = await ProjectSettings.findByProject(projectId);
+
+    res.json({
+      success: true,
+      data: {
+        ...(settings ? settings.toJSON() : { projectId, aiPolicy: null, scoring: null, rubric: null, lintRules: null }),
+        aiRoutes: describeRoutes(settings?.aiPolicy),
+        effectiveScoring: await ProjectSettings.getScoring(projectId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch project settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/settings/ai
+ * Set which AI providers and models may process the project's content (owner or admin)
+ */
+router.put('/ai', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { error, value } = aiPolicySchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const policyError = findPolicyError(value);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError
+      });
+    }
+
+    if (!(await canManageProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the project owner can change its AI policy'
+      });
+    }
+
+    const settings = await ProjectSettings.upsert(projectId, { aiPolicy: value }, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings.toJSON(),
+        aiRoutes: describeRoutes(settings.aiPolicy)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to save project AI policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:projectId/settings/ai
+ * Remove the project's AI policy so the server-wide routes apply (owner or admin)
+ */
+router.delete('/ai', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await canManageProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the project owner can change its AI policy'
+      });
+    }
+
+    await ProjectSettings.upsert(projectId, { aiPolicy: null }, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'AI policy removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove project AI policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/settings/scoring
+ * Set the project's dimension weights and how missing dimensions are scored
+ */
+router.put('/scoring', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { error, value } = scoringSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (value.weights && !Object.values(value.weights).some(weight => weight > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one dimension needs a weight above zero'
+      });
+    }
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const settings = await ProjectSettings.upsert(projectId, { scoring: value }, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings.toJSON(),
+        effectiveScoring: await ProjectSettings.getScoring(projectId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to save project scoring:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:projectId/settings/scoring
+ * Remove the project's scoring so the default weights apply
+ */
+router.delete('/scoring', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    await ProjectSettings.upsert(projectId, { scoring: null }, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Scoring settings removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove project scoring:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/settings/rubric
+ * Attach a custom rubric, run alongside or instead of the built-in dimensions
+ */
+router.put('/rubric', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { error, value } = rubricSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const rubric = await Rubric.findReadable(value.rubricId, req.user);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rubric not found'
+      });
+    }
+
+    const settings = await ProjectSettings.upsert(projectId, { rubric: value }, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings.toJSON(),
+        rubricName: rubric.name
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to attach project rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:projectId/settings/rubric
+ * Detach the project's rubric so only the built-in dimensions run
+ */
+router.delete('/rubric', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    await ProjectSettings.upsert(projectId, { rubric: null }, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Rubric detached successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to detach project rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/settings/lint-rules
+ * Turn lint rules on or off, set their severity and options, and cap warnings for the CI gate
+ */
+router.put('/lint-rules', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { error, value } = lintRulesSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const engine = new LintRuleEngine();
+    const rulesError = engine.validateRules(value.rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        error: rulesError
+      });
+    }
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const settings = await ProjectSettings.upsert(projectId, { lintRules: value }, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings.toJSON(),
+        effectiveLintRules: engine.resolveConfig(value)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to save project lint rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:projectId/settings/lint-rules
+ * Remove the project's lint rules config so every rule runs with its defaults
+ */
+router.delete('/lint-rules', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    await ProjectSettings.upsert(projectId, { lintRules: null }, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Lint rules removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove project lint rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save project settings'
+    });
+  }
+});
+
+/**
+ * Check whether a user may read a project's settings
+ */
+async function canReadProject(projectId, user) {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return (await Document.getProjectRole(projectId, user.userId)) !== null;
+}
+
+/**
+ * Policies decide where project content may be sent, so only owners and admins set them
+ */
+async function canManageProject(projectId, user) {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return (await Document.getProjectRole(projectId, user.userId)) === 'owner';
+}
+
+/**
+ * Report a step route naming an unknown provider, or a policy that allows no provider at all
+ */
+function findPolicyError(aiPolicy) {
+  for (const [step, route] of Object.entries(aiPolicy.steps || {})) {
+    try {
+      parseRoute(route);
+    } catch (error) {
+      return `steps.${step}: ${error.message}`;
+    }
+  }
+
+  const llm = new LLMRouter({ policy: aiPolicy });
+  if (!Object.keys(AI_PROVIDERS).some(name => llm.isAllowed(name))) {
+    return 'The policy does not allow any AI provider';
+  }
+  return null;
+}
+
+/**
+ * Providers and models each step will try, in order, under a policy
+ */
+function describeRoutes(aiPolicy) {
+  const llm = new LLMRouter({ policy: aiPolicy });
+  return Object.fromEntries(ANALYSIS_STEPS.map(step => [
+    step,
+    llm.routeFor(step).map(({ provider, model }) => `${provider}:${model}`)
+  ]));
+}
+
+module.exports = router;
@@ -0,0 +1,286 @@
+const express = require('express');
+const Joi = require('joi');
+const Rubric = require('../models/Rubric');
+const Document = require('../models/Document');
+const SectionTaxonomy = require('../models/SectionTaxonomy');
+const { CRITERION_TYPES, CHECK_KINDS } = require('../config/rubrics');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const checkSchema = Joi.object({
+  kind: Joi.string().valid(...CHECK_KINDS).required(),
+  sections: Joi.array().items(Joi.string().min(1).max(255)).min(1).when('kind', {
+    is: 'section',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  minWords: Joi.number().integer().min(0).max(100000).when('kind', {
+    is: 'section',
+    otherwise: Joi.forbidden()
+  }),
+  keywords: Joi.array().items(Joi.string().min(1).max(255)).min(1).max(100).when('kind', {
+    is: 'keywords',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  minMatches: Joi.number().integer().min(1).when('kind', {
+    is: 'keywords',
+    otherwise: Joi.forbidden()
+  })
+});
+
+const criterionSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(64).required(),
+  name: Joi.string().min(1).max(255).required(),
+  description: Joi.string().max(2000).allow('').optional(),
+  weight: Joi.number().min(0).max(1000).default(1),
+  scoringGuide: Joi.string().max(4000).allow('').optional(),
+  type: Joi.string().valid(...CRITERION_TYPES).required(),
+  check: checkSchema.when('type', {
+    is: 'deterministic',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  prompt: Joi.string().min(1).max(4000).when('type', {
+    is: 'llm',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const criteriaSchema = Joi.array().items(criterionSchema).min(1).max(50).unique('key');
+
+const createRubricSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  description: Joi.string().max(2000).allow('').optional(),
+  criteria: criteriaSchema.required(),
+  visibility: Joi.string().valid('private', 'organization', 'project').default('private'),
+  projectId: Joi.string().when('visibility', {
+    is: 'project',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const updateRubricSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  criteria: criteriaSchema.optional()
+}).min(1);
+
+/**
+ * GET /api/rubrics
+ * List the rubrics the user can use
+ */
+router.get('/', async (req, res) => {
+  try {
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+    const rubrics = await Rubric.findAccessible(req.user.userId, { organization, projectId: req.query.projectId });
+
+    res.json({
+      success: true,
+      data: rubrics
+    });
+
+  } catch (error) {
+    logger.error('Failed to list rubrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list rubrics'
+    });
+  }
+});
+
+/**
+ * GET /api/rubrics/:id
+ * Get a rubric with its criteria
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rubric = await Rubric.findReadable(req.params.id, req.user);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rubric not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rubric
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rubric'
+    });
+  }
+});
+
+/**
+ * POST /api/rubrics
+ * Create a rubric of deterministic and LLM-evaluated criteria
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createRubricSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const weightError = findWeightError(value.criteria);
+    if (weightError) {
+      return res.status(400).json({
+        success: false,
+        error: weightError
+      });
+    }
+
+    if (value.projectId && !(await Document.canWriteToProject(value.projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+
+    if (value.visibility === 'organization' && !organization) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your profile has no company; set one before sharing a rubric with your organisation'
+      });
+    }
+
+    const rubric = await Rubric.create({
+      ...value,
+      organization,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rubric
+    });
+
+  } catch (error) {
+    logger.error('Rubric creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create rubric'
+    });
+  }
+});
+
+/**
+ * PUT /api/rubrics/:id
+ * Update a rubric
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = updateRubricSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const weightError = value.criteria && findWeightError(value.criteria);
+    if (weightError) {
+      return res.status(400).json({
+        success: false,
+        error: weightError
+      });
+    }
+
+    const rubric = await Rubric.findReadable(req.params.id, req.user);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rubric not found'
+      });
+    }
+
+    if (!(await rubric.canWrite(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const updated = await rubric.update(value);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+
+  } catch (error) {
+    logger.error('Rubric update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update rubric'
+    });
+  }
+});
+
+/**
+ * DELETE /api/rubrics/:id
+ * Delete a rubric and detach it from the projects using it
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rubric = await Rubric.findReadable(req.params.id, req.user);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rubric not found'
+      });
+    }
+
+    if (!(await rubric.canWrite(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    await rubric.delete();
+
+    res.json({
+      success: true,
+      message: 'Rubric deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Rubric deletion failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rubric'
+    });
+  }
+});
+
+/**
+ * A rubric whose criteria all weigh nothing cannot produce a score
+ */
+function findWeightError(criteria) {
+  return criteria.some(criterion => criterion.weight > 0)
+    ? null
+    : 'At least one criterion needs a weight above zero';
+}
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const Joi = require('joi');
+const SectionTaxonomy = require('../models/SectionTaxonomy');
+const Document = require('../models/Document');
+const { DEFAULT_SECTION_TAXONOMY, SECTION_TAXONOMY_PRESETS } = require('../config/sectionTaxonomy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const sectionSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(64).required(),
+  displayName: Joi.string().min(1).max(100).required(),
+  synonyms: Joi.array().items(Joi.string().min(1).max(100)).optional(),
+  required: Joi.boolean().default(false),
+  weight: Joi.number().min(0).max(100).default(10)
+});
+
+const taxonomySchema = Joi.object({
+  sections: Joi.array().items(sectionSchema).min(1).unique('key').required()
+});
+
+/**
+ * GET /api/taxonomies/default
+ * Get the built-in section taxonomy
+ */
+router.get('/default', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      source: 'default',
+      sections: DEFAULT_SECTION_TAXONOMY
+    }
+  });
+});
+
+/**
+ * GET /api/taxonomies/presets
+ * Ready-made taxonomies an organisation or project can save as its own
+ */
+router.get('/presets', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(SECTION_TAXONOMY_PRESETS).map(([presetId, preset]) => ({ presetId, ...preset }))
+  });
+});
+
+/**
+ * GET /api/taxonomies/effective
+ * Get the taxonomy that applies to the user, optionally within a project
+ */
+router.get('/effective', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+
+    if (projectId && !(await canReadProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+
+    res.json({
+      success: true,
+      data: taxonomy
+    });
+
+  } catch (error) {
+    logger.error('Failed to resolve section taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve section taxonomy'
+    });
+  }
+});
+
+/**
+ * GET /api/taxonomies/organization
+ * Get the section taxonomy for the user's organisation
+ */
+router.get('/organization', async (req, res) => {
+  try {
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+    const taxonomy = organization ? await SectionTaxonomy.findByScope('organization', organization) : null;
+
+    res.json({
+      success: true,
+      data: taxonomy || {
+        scopeType: 'organization',
+        scopeId: organization,
+        source: 'default',
+        sections: DEFAULT_SECTION_TAXONOMY
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch organisation taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch section taxonomy'
+    });
+  }
+});
+
+/**
+ * PUT /api/taxonomies/organization
+ * Replace the section taxonomy for the user's organisation (admins only)
+ */
+router.put('/organization', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    const { error, value } = taxonomySchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your profile has no company; set one before defining an organisation taxonomy'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.upsert({
+      scopeType: 'organization',
+      scopeId: organization,
+      sections: normalizeSections(value.sections),
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: taxonomy
+    });
+
+  } catch (error) {
+    logger.error('Failed to save organisation taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save section taxonomy'
+    });
+  }
+});
+
+/**
+ * DELETE /api/taxonomies/organization
+ * Remove the organisation taxonomy so the default applies again (admins only)
+ */
+router.delete('/organization', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+    const taxonomy = organization ? await SectionTaxonomy.findByScope('organization', organization) : null;
+
+    if (!taxonomy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Section taxonomy not found'
+      });
+    }
+
+    await taxonomy.delete();
+
+    res.json({
+      success: true,
+      message: 'Section taxonomy deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete organisation taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete section taxonomy'
+    });
+  }
+});
+
+/**
+ * GET /api/taxonomies/projects/:projectId
+ * Get the section taxonomy set on a project
+ */
+router.get('/projects/:projectId', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await canReadProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.findByScope('project', projectId);
+
+    if (!taxonomy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Section taxonomy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: taxonomy
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch project taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch section taxonomy'
+    });
+  }
+});
+
+/**
+ * PUT /api/taxonomies/projects/:projectId
+ * Replace the section taxonomy for a project
+ */
+router.put('/projects/:projectId', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { error, value } = taxonomySchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.upsert({
+      scopeType: 'project',
+      scopeId: projectId,
+      sections: normalizeSections(value.sections),
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: taxonomy
+    });
+
+  } catch (error) {
+    logger.error('Failed to save project taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save section taxonomy'
+    });
+  }
+});
+
+/**
+ * DELETE /api/taxonomies/projects/:projectId
+ * Remove a project's taxonomy so the organisation or default taxonomy applies
+ */
+router.delete('/projects/:projectId', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.findByScope('project', projectId);
+
+    if (!taxonomy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Section taxonomy not found'
+      });
+    }
+
+    await taxonomy.delete();
+
+    res.json({
+      success: true,
+      message: 'Section taxonomy deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete project taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete section taxonomy'
+    });
+  }
+});
+
+/**
+ * Check whether a user may read a project's settings
+ */
+async function canReadProject(projectId, user) {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return (await Document.getProjectRole(projectId, user.userId)) !== null;
+}
+
+/**
+ * Fill in synonyms from the display name when none are given
+ */
+function normalizeSections(sections) {
+  return sections.map(section => ({
+    ...section,
+    synonyms: section.synonyms?.length ? section.synonyms : [section.displayName]
+  }));
+}
+
+module.exports = router;
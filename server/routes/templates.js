@@ -0,0 +1,395 @@
+const express = require('express');
+const Joi = require('joi');
+const Template = require('../models/Template');
+const Document = require('../models/Document');
+const SectionTaxonomy = require('../models/SectionTaxonomy');
+const DocumentParser = require('../services/documentParser');
+const TemplateRenderer = require('../services/templateRenderer');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const templateSectionSchema = Joi.object({
+  key: Joi.string().max(64).required(),
+  title: Joi.string().min(1).max(100).optional(),
+  guidance: Joi.string().max(2000).allow('').optional(),
+  required: Joi.boolean().optional()
+});
+
+const createTemplateSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  description: Joi.string().max(2000).allow('').optional(),
+  category: Joi.string().max(100).optional(),
+  sections: Joi.array().items(templateSectionSchema).min(1).unique('key').required(),
+  visibility: Joi.string().valid('private', 'organization', 'project').default('private'),
+  projectId: Joi.string().when('visibility', {
+    is: 'project',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  category: Joi.string().max(100).optional(),
+  sections: Joi.array().items(templateSectionSchema).min(1).unique('key').optional()
+}).min(1);
+
+const generateSchema = Joi.object({
+  format: Joi.string().valid('document', 'markdown', 'docx').default('document'),
+  title: Joi.string().min(1).max(255).optional(),
+  projectId: Joi.string().optional(),
+  includeGuidance: Joi.boolean().default(true)
+});
+
+/**
+ * GET /api/templates
+ * List built-in templates and the stored templates the user can use
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId, category } = req.query;
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+    const stored = await Template.findAccessible(req.user.userId, { organization, projectId, category });
+    const builtIns = Template.builtIns().filter(template => !category || template.category === category);
+
+    res.json({
+      success: true,
+      data: [...builtIns, ...stored]
+    });
+
+  } catch (error) {
+    logger.error('Failed to list templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list templates'
+    });
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * Get a template with its sections resolved against the effective taxonomy
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await findReadableTemplate(req.params.id, req.user);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({
+      projectId: req.query.projectId || template.projectId,
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...template.toJSON(),
+        sections: template.resolveSections(taxonomy.sections)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch template'
+    });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a template from section taxonomy keys
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createTemplateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (value.projectId && !(await Document.canWriteToProject(value.projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    const organization = await SectionTaxonomy.getOrganization(req.user.userId);
+
+    if (value.visibility === 'organization' && !organization) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your profile has no company; set one before sharing a template with your organisation'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId: value.projectId, userId: req.user.userId });
+    const unknownKeys = findUnknownKeys(value.sections, taxonomy.sections);
+
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown section keys: ${unknownKeys.join(', ')}`
+      });
+    }
+
+    const template = await Template.create({
+      ...value,
+      organization,
+      userId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Template creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create template'
+    });
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Update a stored template
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = updateTemplateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const template = await findReadableTemplate(req.params.id, req.user);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    if (!(await template.canWrite(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: template.builtIn ? 'Built-in templates cannot be modified' : 'Permission denied'
+      });
+    }
+
+    if (value.sections) {
+      const taxonomy = await SectionTaxonomy.resolve({ projectId: template.projectId, userId: req.user.userId });
+      const unknownKeys = findUnknownKeys(value.sections, taxonomy.sections);
+
+      if (unknownKeys.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown section keys: ${unknownKeys.join(', ')}`
+        });
+      }
+    }
+
+    const updated = await template.update(value);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+
+  } catch (error) {
+    logger.error('Template update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update template'
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a stored template
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await findReadableTemplate(req.params.id, req.user);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    if (!(await template.canWrite(req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: template.builtIn ? 'Built-in templates cannot be deleted' : 'Permission denied'
+      });
+    }
+
+    await template.delete();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Template deletion failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete template'
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:id/generate
+ * Start a PRD from a template: create a blank stored document, or download
+ * the template as Markdown or DOCX with guidance for each section
+ */
+router.post('/:id/generate', async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const template = await findReadableTemplate(req.params.id, req.user);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const projectId = value.projectId || template.projectId;
+
+    if (value.format === 'document' && projectId && !(await Document.canWriteToProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+    const sections = template.resolveSections(taxonomy.sections);
+    const title = value.title || `Untitled ${template.name}`;
+    const renderer = new TemplateRenderer();
+
+    if (value.format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(title, 'md')}"`);
+      return res.send(renderer.renderMarkdown(title, sections, { includeGuidance: value.includeGuidance }));
+    }
+
+    if (value.format === 'docx') {
+      const buffer = await renderer.renderDocx(title, sections, { includeGuidance: value.includeGuidance });
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(title, 'docx')}"`);
+      return res.send(buffer);
+    }
+
+    // Stored documents hold only the headings; guidance stays in the metadata
+    const content = renderer.renderMarkdown(title, sections);
+    const documentParser = new DocumentParser({ taxonomy: taxonomy.sections });
+    const structuredData = documentParser.extractStructuredData(content);
+    const metadata = {
+      format: 'markdown',
+      wordCount: content.split(/\s+/).filter(Boolean).length,
+      characterCount: content.length,
+      parsedAt: new Date().toISOString(),
+      template: {
+        templateId: template.templateId,
+        name: template.name,
+        sections
+      }
+    };
+
+    const document = await Document.create({
+      projectId,
+      userId: req.user.userId,
+      title,
+      filename: `template-${template.templateId}`,
+      originalFilename: exportFilename(title, 'md'),
+      fileType: 'markdown',
+      fileSize: Buffer.byteLength(content, 'utf-8'),
+      content,
+      structuredData,
+      metadata
+    });
+
+    res.status(201).json({
+      success: true,
+      data: document
+    });
+
+  } catch (error) {
+    logger.error('Template generation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate document from template'
+    });
+  }
+});
+
+/**
+ * Find a template the user may read; null when it does not exist or is hidden
+ */
+async function findReadableTemplate(templateId, user) {
+  const template = await Template.findById(templateId);
+  if (!template) {
+    return null;
+  }
+
+  const organization = template.visibility === 'organization'
+    ? await SectionTaxonomy.getOrganization(user.userId)
+    : null;
+
+  return (await template.canRead(user, organization)) ? template : null;
+}
+
+/**
+ * Section keys that are not in the taxonomy
+ */
+function findUnknownKeys(sections, taxonomy) {
+  return sections
+    .map(section => section.key)
+    .filter(key => !taxonomy.some(entry => entry.key === key));
+}
+
+/**
+ * Turn a document title into a safe download filename
+ */
+function exportFilename(title, extension) {
+  const base = title.replace(/[^a-zA-Z0-9 _-]+/g, '').trim().replace(/\s+/g, '-') || 'prd';
+  return `${base}.${extension}`;
+}
+
+module.exports = router;
@@ -1,16 +1,39 @@
 const express = require('express');
 const AIAnalysisService = require('../services/aiAnalysis');
+const MetricsParser = require('../services/metricsParser');
+const ScoringEngine = require('../services/scoringEngine');
+const RubricEvaluator = require('../services/rubricEvaluator');
+const PrdLinter = require('../services/prdLinter');
+const LintRuleEngine = require('../services/lintRuleEngine');
+const DocumentParser = require('../services/documentParser');
+const SectionTaxonomy = require('../models/SectionTaxonomy');
+const ProjectSettings = require('../models/ProjectSettings');
+const Rubric = require('../models/Rubric');
+const Document = require('../models/Document');
+const ValidationResult = require('../models/ValidationResult');
 const logger = require('../utils/logger');
+const { getSectionTextByKey } = require('../utils/sectionTree');
+const { RUBRIC_MODES, DEFAULT_RUBRIC_WEIGHT } = require('../config/rubrics');
 
 const router = express.Router();
 
 /**
  * POST /api/validation/analyze
- * Perform comprehensive PRD analysis using AI
+ * Perform comprehensive PRD analysis using AI, plus the project's custom rubric if it has one
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { prdData, analysisType = 'comprehensive', options = {} } = req.body;
+    const { analysisType = 'comprehensive', options = {} } = req.body;
+    const input = await resolveDocumentInput(req.body, req.user);
+
+    if (input.error) {
+      return res.status(input.status).json({
+        success: false,
+        error: input.error
+      });
+    }
+
+    const { prdData, projectId, content } = input;
 
     if (!prdData) {
       return res.status(400).json({
@@ -19,32 +42,91 @@ router.post('/analyze', async (req, res) => {
       });
     }
 
-    const aiService = new AIAnalysisService();
-    const analysis = await aiService.analyzePRD(prdData, analysisType);
+    if (options.rubricMode && !RUBRIC_MODES.includes(options.rubricMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `options.rubricMode must be one of ${RUBRIC_MODES.join(', ')}`
+      });
+    }
+
+    const rubricRun = await resolveRubric(projectId, options, req.user);
+
+    if (options.rubricId && !rubricRun) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rubric not found'
+      });
+    }
+
+    const aiService = new AIAnalysisService({
+      redactTerms: options.redactTerms,
+      aiPolicy: await ProjectSettings.getAIPolicy(projectId)
+    });
+    const rubricEvaluator = new RubricEvaluator(aiService);
+
+    // A rubric run instead of the built-in dimensions skips them entirely
+    const [analysis, rubric] = await Promise.all([
+      rubricRun?.mode === 'instead'
+        ? { success: true, results: {}, evidence: null, failedDimensions: [], timestamp: new Date().toISOString() }
+        : aiService.analyzePRD(prdData, analysisType, { content }),
+      rubricRun ? rubricEvaluator.evaluate(rubricRun.rubric, prdData, { content }) : null
+    ]);
 
     if (!analysis.success) {
       return res.status(500).json(analysis);
     }
 
-    // Calculate overall score
-    const overallScore = calculateOverallScore(analysis.results);
-    
+    // Weighted overall score, with the project's weights when one is given
+    const scoring = new ScoringEngine(await ProjectSettings.getScoring(projectId))
+      .score(analysis.results, rubricScoring(rubricRun, rubric));
+
     // Generate executive summary if requested
     let executiveSummary = null;
     if (options.includeExecutiveSummary) {
-      const summaryResult = await aiService.generateExecutiveSummary(prdData, analysis.results);
+      const summaryResult = await aiService.generateExecutiveSummary(
+        prdData,
+        rubric ? { ...analysis.results, rubric } : analysis.results
+      );
       if (summaryResult.success) {
         executiveSummary = summaryResult.summary;
       }
     }
 
+    const redaction = aiService.redactionReport();
+    logRedaction(req.user, redaction);
+
+    // A stored document's runs are kept, with what was withheld from the providers
+    const validation = input.documentId
+      ? await ValidationResult.create({
+        documentId: input.documentId,
+        userId: req.user.userId,
+        scoring,
+        sectionAnalysis: analysis.results.completenessAnalysis?.sectionAnalysis,
+        executiveSummary,
+        metadata: {
+          analysisType,
+          failedDimensions: analysis.failedDimensions,
+          rubric: rubric && { rubricId: rubric.rubricId, score: rubric.score, mode: rubricRun.mode },
+          providers: aiService.providerUsage(),
+          redaction
+        }
+      })
+      : null;
+
     res.json({
       success: true,
       data: {
+        validationId: validation?.validationId || null,
         ...analysis.results,
-        overallScore,
+        overallScore: scoring.overallScore,
+        scoreBreakdown: scoring,
+        failedDimensions: analysis.failedDimensions,
+        evidence: analysis.evidence,
+        rubric: rubric && { ...rubric, mode: rubricRun.mode, weight: rubricRun.weight },
         executiveSummary,
         analysisType,
+        redaction,
+        providers: aiService.providerUsage(),
         timestamp: analysis.timestamp
       }
     });
@@ -58,13 +140,146 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/validation/lint
+ * Check a PRD for vague terms, passive requirements, undefined acronyms, mixed modality
+ * and readability, offline and without AI
+ */
+router.post('/lint', async (req, res) => {
+  try {
+    const input = await resolveDocumentInput(req.body, req.user);
+
+    if (input.error) {
+      return res.status(input.status).json({
+        success: false,
+        error: input.error
+      });
+    }
+
+    const { content } = input;
+    let { prdData } = input;
+
+    if (!prdData && typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'PRD data or content is required'
+      });
+    }
+
+    if (!prdData) {
+      prdData = await parseContent(content, input.projectId, req.user);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...new PrdLinter().lint(prdData, { content }),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('PRD lint failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Lint failed'
+    });
+  }
+});
+
+/**
+ * GET /api/validation/rules
+ * List the lint rules with their default severity and options
+ */
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: new LintRuleEngine().describeRules()
+  });
+});
+
+/**
+ * POST /api/validation/check
+ * Run the lint rules configured for the project, with machine-readable results and a pass/fail
+ * verdict for CI gates. `rules` and `maxWarnings` in the body override the project's config;
+ * `fix: true` also returns the content with the rules' fixes applied.
+ */
+router.post('/check', async (req, res) => {
+  try {
+    const { rules, maxWarnings, fix = false } = req.body;
+    const engine = new LintRuleEngine();
+    const rulesError = engine.validateRules(rules);
+
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        error: rulesError
+      });
+    }
+
+    if (maxWarnings !== undefined && maxWarnings !== null && !(Number.isInteger(maxWarnings) && maxWarnings >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxWarnings must be a non-negative integer'
+      });
+    }
+
+    const input = await resolveDocumentInput(req.body, req.user);
+
+    if (input.error) {
+      return res.status(input.status).json({
+        success: false,
+        error: input.error
+      });
+    }
+
+    const { content, projectId } = input;
+    let { prdData } = input;
+
+    if (!prdData && typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'PRD data or content is required'
+      });
+    }
+
+    if (!prdData) {
+      prdData = await parseContent(content, projectId, req.user);
+    }
+
+    // A project's config applies to its members only
+    let projectRules = null;
+    if (projectId && (await canUseProject(projectId, req.user))) {
+      projectRules = await ProjectSettings.getLintRules(projectId);
+    }
+
+    const config = engine.resolveConfig(projectRules, { rules, maxWarnings });
+
+    res.json({
+      success: true,
+      data: {
+        ...engine.run(prdData, { content, config, fix: Boolean(fix) }),
+        configSources: ['default', projectRules && 'project', (rules || maxWarnings !== undefined) && 'request'].filter(Boolean),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Lint rules check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Check failed'
+    });
+  }
+});
+
 /**
  * POST /api/validation/quick-score
  * Get a quick validation score without full AI analysis
  */
 router.post('/quick-score', async (req, res) => {
   try {
-    const { prdData } = req.body;
+    const { prdData, projectId } = req.body;
 
     if (!prdData) {
       return res.status(400).json({
@@ -73,7 +288,15 @@ router.post('/quick-score', async (req, res) => {
       });
     }
 
-    const quickScore = calculateQuickScore(prdData);
+    if (projectId && !(await canUseProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: req.user.userId });
+    const quickScore = calculateQuickScore(prdData, taxonomy.sections);
 
     res.json({
       success: true,
@@ -95,7 +318,7 @@ router.post('/quick-score', async (req, res) => {
  */
 router.post('/compare', async (req, res) => {
   try {
-    const { prdVersions, comparisonType = 'side-by-side' } = req.body;
+    const { prdVersions, projectId, comparisonType = 'side-by-side', options = {} } = req.body;
 
     if (!prdVersions || !Array.isArray(prdVersions) || prdVersions.length < 2) {
       return res.status(400).json({
@@ -104,28 +327,49 @@ router.post('/compare', async (req, res) => {
       });
     }
 
-    const aiService = new AIAnalysisService();
+    // A project's AI policy and scoring are for its members
+    if (projectId && !(await canUseProject(projectId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const aiService = new AIAnalysisService({
+      redactTerms: options.redactTerms,
+      aiPolicy: await ProjectSettings.getAIPolicy(projectId)
+    });
+    const scoringEngine = new ScoringEngine(await ProjectSettings.getScoring(projectId));
     const comparisons = [];
 
     // Analyze each version
     for (const version of prdVersions) {
-      const analysis = await aiService.analyzePRD(version.data, 'comprehensive');
+      const analysis = await aiService.analyzePRD(version.data, 'comprehensive', { content: version.content });
+      const scoring = scoringEngine.score(analysis.results);
       comparisons.push({
         version: version.name || 'Version ' + (comparisons.length + 1),
         analysis: analysis.results,
-        overallScore: calculateOverallScore(analysis.results)
+        failedDimensions: analysis.failedDimensions,
+        evidence: analysis.evidence,
+        overallScore: scoring.overallScore,
+        scoreBreakdown: scoring
       });
     }
 
     // Generate comparison insights
     const comparisonInsights = generateComparisonInsights(comparisons);
 
+    const redaction = aiService.redactionReport();
+    logRedaction(req.user, redaction);
+
     res.json({
       success: true,
       data: {
         comparisons,
         insights: comparisonInsights,
         comparisonType,
+        redaction,
+        providers: aiService.providerUsage(),
         timestamp: new Date().toISOString()
       }
     });
@@ -243,46 +487,139 @@ router.post('/export', async (req, res) => {
 });
 
 /**
- * Calculate overall score from analysis results
+ * PRD input from a request body: `prdData` (and optional `content`) as sent, or a stored
+ * document by `documentId`, which supplies its structure, its project and the text
+ * findings are quoted from. A stored document always runs under its own project's settings,
+ * so a different `projectId` in the body is refused; otherwise the user must belong to the project.
+ * @returns {Promise<Object>} `{ prdData, projectId, content, documentId }`, or `{ error, status }`
+ *   when the document does not exist, the user may not read it, the project does not match or
+ *   the user is not in the project
  */
-function calculateOverallScore(results) {
-  const scores = [];
-  
-  if (results.completenessAnalysis?.completenessScore) {
-    scores.push(results.completenessAnalysis.completenessScore);
+async function resolveDocumentInput(body, user) {
+  const input = {
+    prdData: body.prdData || null,
+    projectId: body.projectId || null,
+    content: typeof body.content === 'string' ? body.content : null,
+    documentId: null
+  };
+
+  if (!body.documentId) {
+    if (input.projectId && !(await canUseProject(input.projectId, user))) {
+      return { error: 'Access denied', status: 403 };
+    }
+    return input;
   }
-  
-  if (results.clarityAnalysis?.clarityScore) {
-    scores.push(results.clarityAnalysis.clarityScore);
+
+  const document = await Document.findById(body.documentId);
+  if (!document || !(await document.canRead(user))) {
+    return { error: 'Document not found', status: 404 };
   }
-  
-  if (results.marketFitAnalysis?.marketFitScore) {
-    scores.push(results.marketFitAnalysis.marketFitScore);
+
+  if (input.projectId && input.projectId !== document.projectId) {
+    return { error: 'projectId does not match the document\'s project', status: 400 };
   }
-  
-  if (results.competitiveAnalysis?.positioningScore) {
-    scores.push(results.competitiveAnalysis.positioningScore);
+
+  return {
+    prdData: input.prdData || document.structuredData,
+    projectId: document.projectId,
+    content: document.content,
+    documentId: document.documentId
+  };
+}
+
+/**
+ * Whether the user may run under a project's settings: admins, and the project's owner and members
+ */
+async function canUseProject(projectId, user) {
+  return user.role === 'admin' || (await Document.getProjectRole(projectId, user.userId)) !== null;
+}
+
+/**
+ * Split plain text into sections the same way uploads are, with the project's taxonomy
+ */
+async function parseContent(content, projectId, user) {
+  const taxonomy = await SectionTaxonomy.resolve({ projectId, userId: user.userId });
+  return new DocumentParser({ taxonomy: taxonomy.sections }).extractStructuredData(content);
+}
+
+/**
+ * The rubric to run: the one named in `options.rubricId`, else the one attached to the project.
+ * An attached rubric is shared with the project's members even when they cannot open it.
+ * @returns {Promise<Object|null>} `{ rubric, mode, weight }`, or null when there is none to run
+ */
+async function resolveRubric(projectId, options, user) {
+  let attached = null;
+  if (projectId && (await canUseProject(projectId, user))) {
+    attached = await ProjectSettings.getRubric(projectId);
   }
 
-  if (scores.length === 0) return 0;
-  
-  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  let rubric = null;
+  if (options.rubricId) {
+    rubric = await Rubric.findReadable(options.rubricId, user);
+  } else if (attached) {
+    rubric = await Rubric.findById(attached.rubricId);
+  }
+
+  if (!rubric) {
+    return null;
+  }
+
+  const fromProject = attached?.rubricId === rubric.rubricId ? attached : {};
+  return {
+    rubric,
+    mode: options.rubricMode || fromProject.mode || 'alongside',
+    weight: fromProject.weight ?? DEFAULT_RUBRIC_WEIGHT
+  };
+}
+
+/**
+ * Scoring options that count a rubric's score as one more dimension, or as the only one
+ */
+function rubricScoring(rubricRun, rubric) {
+  if (!rubricRun) {
+    return {};
+  }
+
+  const instead = rubricRun.mode === 'instead';
+  return {
+    includeBuiltIns: !instead,
+    extraDimensions: [{
+      key: 'rubric',
+      label: rubric.name,
+      // On its own the rubric is the whole score, whatever its weight alongside would be
+      weight: instead ? 100 : rubricRun.weight,
+      score: rubric.score,
+      reason: rubric.score === null ? 'No rubric criterion produced a score' : undefined
+    }]
+  };
+}
+
+/**
+ * Log what was withheld from the AI providers in a run (counts only, never values). The full
+ * report is in the response, and stored with the validation result when a document was analysed.
+ */
+function logRedaction(user, redaction) {
+  if (redaction.totalRedactions > 0) {
+    logger.info(`Redacted ${redaction.totalRedactions} values before AI analysis for ${user?.userId}`, redaction.byType);
+  }
 }
 
 /**
  * Calculate quick score without AI analysis
+ * Required sections come from the section taxonomy and share the section points by weight
  */
-function calculateQuickScore(prdData) {
+function calculateQuickScore(prdData, taxonomy) {
   let score = 0;
   const maxScore = 100;
   
   // Check for required sections
-  const requiredSections = ['problemStatement', 'solution', 'targetMarket', 'successMetrics', 'features'];
+  const requiredSections = taxonomy.filter(section => section.required);
+  const requiredWeight = requiredSections.reduce((sum, section) => sum + section.weight, 0);
   const sectionScore = (maxScore / 5) * 2; // 40 points for sections
   
   requiredSections.forEach(section => {
-    if (prdData.sections?.[section] && prdData.sections[section].length > 100) {
-      score += sectionScore / requiredSections.length;
+    if (requiredWeight > 0 && getSectionTextByKey(prdData.sections, section.key).length > 100) {
+      score += sectionScore * (section.weight / requiredWeight);
     }
   });
   
@@ -293,9 +630,10 @@ function calculateQuickScore(prdData) {
   if (totalContent > 5000) score += contentScore * 0.6;
   if (totalContent > 10000) score += contentScore * 0.4;
   
-  // Check for metrics and stakeholders
+  // Check for metrics and stakeholders; metrics are weighted by how many SMART checks they pass
   const metricsScore = (maxScore / 5) * 1.5; // 30 points for metrics
-  if (prdData.metrics?.length > 0) score += metricsScore * 0.5;
+  const metricsQuality = new MetricsParser().evaluate(prdData.metrics);
+  score += metricsScore * 0.5 * (metricsQuality.score / 100);
   if (prdData.stakeholders?.length > 0) score += metricsScore * 0.5;
   
   return {
@@ -305,6 +643,7 @@ function calculateQuickScore(prdData) {
       content: Math.round(score * 0.3),
       metrics: Math.round(score * 0.3)
     },
+    metricsQuality,
     timestamp: new Date().toISOString()
   };
 }
@@ -320,15 +659,22 @@ function generateComparisonInsights(comparisons) {
     recommendations: []
   };
 
-  if (comparisons.length === 0) return insights;
+  // Versions whose score is incomplete cannot be ranked against the others
+  const scored = comparisons.filter(c => c.overallScore !== null);
+  const unscored = comparisons.length - scored.length;
+  if (unscored > 0) {
+    insights.regressions.push(`${unscored} version(s) have an incomplete score and are not ranked`);
+  }
+
+  if (scored.length === 0) return insights;
 
   // Find best version by overall score
-  insights.bestVersion = comparisons.reduce((best, current) => 
+  insights.bestVersion = scored.reduce((best, current) => 
     current.overallScore > best.overallScore ? current : best
   );
 
   // Compare scores
-  const scores = comparisons.map(c => c.overallScore);
+  const scores = scored.map(c => c.overallScore);
   const avgScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
   const maxScore = Math.max(...scores);
   const minScore = Math.min(...scores);
@@ -380,6 +726,10 @@ function convertToCSV(data) {
     rows.push(['Competitive Positioning', data.competitiveAnalysis.positioningScore || 'N/A', 'Strong']);
   }
   
+  if (data.rubric) {
+    rows.push([`"Rubric: ${String(data.rubric.name).replace(/"/g, '""')}"`, data.rubric.score ?? 'N/A', data.rubric.status]);
+  }
+  
   rows.push(['Overall Score', data.overallScore || 'N/A', 'Balanced']);
   
   return rows.map(row => row.join(',')).join('\n');
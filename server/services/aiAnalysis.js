@@ -1,33 +1,68 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const LLMRouter = require('./llmRouter');
+const Redactor = require('./redactor');
+const ResponseValidator = require('./responseValidator');
+const DocumentChunker = require('./documentChunker');
+const AnalysisMerger = require('./analysisMerger');
+const EvidenceLinker = require('./evidenceLinker');
+const PrdLinter = require('./prdLinter');
+const { estimateTokens } = require('../utils/tokens');
 const logger = require('../utils/logger');
 
+// Extra attempts, each told what was wrong, before a dimension is reported as failed
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Raw responses kept on failures are cut to this length
+const MAX_RAW_RESPONSE_LENGTH = 20000;
+
+// Share of a context window held back because token counts are estimates
+const CONTEXT_SAFETY_MARGIN = 0.1;
+
+// Findings quote the PRD so each can be checked against the document and highlighted
+const FINDING_FORMAT = '{ "finding": "string", "quote": "string or null" }';
+const QUOTE_INSTRUCTIONS = 'For each finding, set "quote" to the exact passage of the PRD it is about, copied ' +
+  'word for word (one or two sentences), or null when it concerns something the PRD lacks.';
+
 class AIAnalysisService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
+  /**
+   * @param {Object} options - `redactTerms`: extra terms (customer names, hostnames) to keep
+   *   from the providers for this run, on top of REDACTION_CUSTOM_TERMS; `aiPolicy`: the
+   *   project's provider policy (see LLMRouter)
+   */
+  constructor({ redactTerms = [], aiPolicy = null } = {}) {
+    // Everything sent to a provider goes through this run's redactor first
+    this.redactor = new Redactor({ customTerms: redactTerms });
+
+    // Picks the provider and model for each step, with fallbacks
+    this.llm = new LLMRouter({ policy: aiPolicy });
+    this.responseValidator = new ResponseValidator();
+    this.chunker = new DocumentChunker();
+    this.merger = new AnalysisMerger();
+    this.linter = new PrdLinter();
   }
 
   /**
    * Analyze PRD content using AI models
    * @param {Object} prdData - Structured PRD data
    * @param {string} analysisType - Type of analysis to perform
+   * @param {Object} options - `content`: the full document text, so finding quotes get
+   *   character offsets; without it they are located by section and paragraph
    * @returns {Object} Analysis results
    */
-  async analyzePRD(prdData, analysisType = 'comprehensive') {
+  async analyzePRD(originalPrdData, analysisType = 'comprehensive', { content = null } = {}) {
     try {
+      const prdData = this.redactor.redact(originalPrdData);
       const analysisPromises = [];
 
+      // The offline linter's findings go to the clarity prompt as facts, after redaction like the PRD
+      const lintSignals = ['comprehensive', 'clarity'].includes(analysisType)
+        ? this.redactor.redact(this.linter.signals(this.linter.lint(originalPrdData, { content })))
+        : null;
+
       switch (analysisType) {
         case 'comprehensive':
           analysisPromises.push(
             this.analyzeCompleteness(prdData),
-            this.analyzeClarity(prdData),
+            this.analyzeClarity(prdData, lintSignals),
             this.analyzeMarketFit(prdData),
             this.analyzeCompetitivePositioning(prdData),
             this.generateRecommendations(prdData)
@@ -37,7 +72,7 @@ class AIAnalysisService {
           analysisPromises.push(this.analyzeCompleteness(prdData));
           break;
         case 'clarity':
-          analysisPromises.push(this.analyzeClarity(prdData));
+          analysisPromises.push(this.analyzeClarity(prdData, lintSignals));
           break;
         case 'market-fit':
           analysisPromises.push(this.analyzeMarketFit(prdData));
@@ -46,12 +81,21 @@ class AIAnalysisService {
           analysisPromises.push(this.analyzeCompleteness(prdData));
       }
 
-      const results = await Promise.all(analysisPromises);
-      
+      const results = this.redactor.restore(
+        (await Promise.all(analysisPromises)).reduce((acc, result) => ({ ...acc, ...result }), {})
+      );
+
+      // Quotes are checked against the original text; invented ones are dropped from the findings
+      const evidence = new EvidenceLinker(originalPrdData, content).linkResults(results);
+
       return {
         success: true,
         analysisType,
-        results: results.reduce((acc, result) => ({ ...acc, ...result }), {}),
+        results,
+        evidence,
+        failedDimensions: Object.keys(results).filter(dimension => results[dimension]?.error),
+        redaction: this.redactionReport(),
+        providers: this.providerUsage(),
         timestamp: new Date().toISOString()
       };
 
@@ -65,14 +109,165 @@ class AIAnalysisService {
   }
 
   /**
-   * Analyze PRD completeness using GPT-4
+   * What this run has redacted so far (counts and placeholders, never the values)
+   */
+  redactionReport() {
+    return this.redactor.report();
+  }
+
+  /**
+   * Provider and model that served each step so far, including fallbacks
+   */
+  providerUsage() {
+    return this.llm.usage();
+  }
+
+  /**
+   * Estimated tokens of PRD content a step's prompt can hold: the context window of the
+   * smallest provider on the step's route, less the prompt text, the response, and room
+   * for echoing a response back in a repair round
+   */
+  contentBudget(step, buildPrompt, maxTokens) {
+    const contextTokens = Math.floor(this.llm.contextTokens(step) * (1 - CONTEXT_SAFETY_MARGIN));
+    return contextTokens - 2 * maxTokens - estimateTokens(buildPrompt(''));
+  }
+
+  /**
+   * Analyze one dimension. A PRD that fits the step's context window is sent in one prompt;
+   * a longer one is split into section-aware chunks, each chunk is analyzed on its own (map),
+   * and the results are merged with the sections each finding came from (reduce).
+   * @param {Object} prdData - Redacted PRD data
+   * @param {Function} buildPrompt - Builds the dimension's prompt around PRD content
+   * @returns {Promise<Object>} The analysis; chunked runs add `findingSources` and `chunking`
+   */
+  async runDimension(prdData, step, dimension, buildPrompt, { temperature, maxTokens }) {
+    const content = JSON.stringify(prdData, null, 2);
+    const budget = this.contentBudget(step, buildPrompt, maxTokens);
+
+    if (estimateTokens(content) <= budget) {
+      return this.requestAnalysis(step, dimension, buildPrompt(content), { temperature, maxTokens });
+    }
+
+    const outline = this.chunker.outline(prdData, Math.floor(budget / 4));
+    const partHeader = (index, total) => `
+    This is part ${index + 1} of ${total} of a PRD too long to send at once. Assess the document as
+    far as this part shows; sections outside it are not missing. The full document outline is:
+    ${outline}
+
+    Part ${index + 1} content:
+    `;
+    const chunks = this.chunker.chunk(prdData, budget - estimateTokens(partHeader(0, 1)));
+
+    logger.info(`Analyzing ${dimension} in ${chunks.length} chunks (about ${estimateTokens(content)} tokens)`);
+
+    const partials = [];
+    const failedChunks = [];
+    let lastError = null;
+
+    // One chunk at a time; the dimensions already run in parallel
+    for (const chunk of chunks) {
+      try {
+        const analysis = await this.requestAnalysis(step, dimension, buildPrompt(
+          partHeader(chunk.index, chunks.length) + JSON.stringify(chunk.data, null, 2)
+        ), { temperature, maxTokens });
+        partials.push({ analysis, weight: chunk.tokens, sections: chunk.sections });
+      } catch (error) {
+        logger.warn(`${dimension} failed on chunk ${chunk.index + 1} of ${chunks.length}: ${error.message}`);
+        failedChunks.push({ index: chunk.index, sections: chunk.sections, error: error.message });
+        lastError = error;
+      }
+    }
+
+    if (partials.length === 0) {
+      throw lastError;
+    }
+
+    return {
+      ...this.merger.merge(partials),
+      chunking: {
+        chunks: chunks.map(chunk => ({ index: chunk.index, tokens: chunk.tokens, sections: chunk.sections })),
+        failedChunks
+      }
+    };
+  }
+
+  /**
+   * Ask a step's provider for a dimension's JSON and validate it against the dimension's schema.
+   * Prose and code fences around the JSON, and output cut off mid-object, are tolerated; a
+   * response that still fails validation is sent back with the errors for a bounded number of repairs.
+   * @returns {Promise<Object>} The validated analysis
+   * @throws {Error} With `validationErrors`, `rawResponse` and `attempts` once repairs run out
+   */
+  async requestAnalysis(step, dimension, prompt, { temperature, maxTokens }) {
+    let response = await this.llm.complete(step, { prompt, temperature, maxTokens });
+    let result = this.responseValidator.validate(dimension, response.text);
+    let attempts = 1;
+
+    while (!result.valid && attempts <= MAX_REPAIR_ATTEMPTS) {
+      logger.warn(`${dimension} response from ${response.provider} failed validation (attempt ${attempts}): ${result.errors.join('; ')}`);
+
+      const repairPrompt = `${prompt}
+
+    Your previous response could not be used:
+    ${response.text}
+
+    It had these problems:
+    ${result.errors.map(error => `- ${error}`).join('\n    ')}
+
+    Respond again with only the corrected JSON object, in exactly the structure requested above.
+    `;
+
+      response = await this.llm.complete(step, { prompt: repairPrompt, temperature, maxTokens });
+      result = this.responseValidator.validate(dimension, response.text);
+      attempts++;
+    }
+
+    if (!result.valid) {
+      const error = new Error(`Invalid ${dimension} response after ${attempts} attempts`);
+      error.validationErrors = result.errors;
+      error.rawResponse = response.text;
+      error.provider = response.provider;
+      error.model = response.model;
+      error.attempts = attempts;
+      throw error;
+    }
+
+    if (result.truncated) {
+      logger.warn(`${dimension} response from ${response.provider} was cut off; using the recovered JSON`);
+    }
+
+    return result.value;
+  }
+
+  /**
+   * Failure entry for a dimension: the reason, and for unusable output the validation
+   * errors and the model's last raw response, for debugging
+   */
+  describeFailure(error) {
+    const failure = { error: error.message };
+
+    if (error.validationErrors) {
+      failure.validationErrors = error.validationErrors;
+      failure.provider = error.provider;
+      failure.model = error.model;
+      failure.attempts = error.attempts;
+      failure.rawResponse = typeof error.rawResponse === 'string'
+        ? error.rawResponse.slice(0, MAX_RAW_RESPONSE_LENGTH)
+        : error.rawResponse;
+    }
+
+    return failure;
+  }
+
+  /**
+   * Analyze PRD completeness
    */
   async analyzeCompleteness(prdData) {
-    const prompt = `
+    const buildPrompt = content => `
     Analyze the completeness of this Product Requirements Document (PRD) and provide a detailed assessment.
     
     PRD Content:
-    ${JSON.stringify(prdData, null, 2)}
+    ${content}
     
     Please evaluate:
     1. Required sections present/missing
@@ -80,49 +275,54 @@ class AIAnalysisService {
     3. Completeness score (0-100)
     4. Specific recommendations for improvement
     
+    ${QUOTE_INSTRUCTIONS}
+    
     Respond in JSON format with the following structure:
     {
       "completenessScore": number,
       "sectionAnalysis": {
-        "problemStatement": { "present": boolean, "quality": number, "issues": [] },
-        "solution": { "present": boolean, "quality": number, "issues": [] },
-        "targetMarket": { "present": boolean, "quality": number, "issues": [] },
-        "successMetrics": { "present": boolean, "quality": number, "issues": [] },
-        "features": { "present": boolean, "quality": number, "issues": [] }
+        "problemStatement": { "present": boolean, "quality": number, "issues": [${FINDING_FORMAT}] },
+        "solution": { "present": boolean, "quality": number, "issues": [${FINDING_FORMAT}] },
+        "targetMarket": { "present": boolean, "quality": number, "issues": [${FINDING_FORMAT}] },
+        "successMetrics": { "present": boolean, "quality": number, "issues": [${FINDING_FORMAT}] },
+        "features": { "present": boolean, "quality": number, "issues": [${FINDING_FORMAT}] }
       },
       "missingElements": [],
-      "recommendations": [],
+      "recommendations": [${FINDING_FORMAT}],
       "overallAssessment": "string"
     }
     `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
+      const analysis = await this.runDimension(prdData, 'completeness', 'completenessAnalysis', buildPrompt, {
         temperature: 0.3,
-        max_tokens: 2000
+        maxTokens: 2000
       });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
       return { completenessAnalysis: analysis };
 
     } catch (error) {
       logger.error('Completeness analysis failed:', error);
-      return { completenessAnalysis: { error: error.message } };
+      return { completenessAnalysis: this.describeFailure(error) };
     }
   }
 
   /**
-   * Analyze PRD clarity using Claude
+   * Analyze PRD clarity
+   * @param {Object} lintSignals - Pre-computed PrdLinter signals (vague terms, passive
+   *   requirements, undefined acronyms, modality, readability), or null
    */
-  async analyzeClarity(prdData) {
-    const prompt = `
+  async analyzeClarity(prdData, lintSignals = null) {
+    const signals = lintSignals ? `
+    Deterministic checks already run on the whole PRD (exact counts and scores; rely on them
+    instead of recounting, and judge what they cannot, such as whether a term is vague in context):
+    ${JSON.stringify(lintSignals, null, 2)}
+    ` : '';
+    const buildPrompt = content => `
     Analyze the clarity and readability of this Product Requirements Document (PRD).
     
     PRD Content:
-    ${JSON.stringify(prdData, null, 2)}
-    
+    ${content}
+    ${signals}
     Evaluate:
     1. Language clarity and precision
     2. Structure and organization
@@ -130,43 +330,41 @@ class AIAnalysisService {
     4. Technical vs. business language balance
     5. Clarity score (0-100)
     
+    ${QUOTE_INSTRUCTIONS}
+    
     Respond in JSON format:
     {
       "clarityScore": number,
       "strengths": [],
       "areasForImprovement": [],
-      "ambiguousStatements": [],
-      "recommendations": [],
+      "ambiguousStatements": [${FINDING_FORMAT}],
+      "recommendations": [${FINDING_FORMAT}],
       "overallAssessment": "string"
     }
     `;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: "claude-3-sonnet-20240229",
-        max_tokens: 2000,
+      const analysis = await this.runDimension(prdData, 'clarity', 'clarityAnalysis', buildPrompt, {
         temperature: 0.3,
-        messages: [{ role: "user", content: prompt }]
+        maxTokens: 2000
       });
-
-      const analysis = JSON.parse(response.content[0].text);
       return { clarityAnalysis: analysis };
 
     } catch (error) {
       logger.error('Clarity analysis failed:', error);
-      return { clarityAnalysis: { error: error.message } };
+      return { clarityAnalysis: this.describeFailure(error) };
     }
   }
 
   /**
-   * Analyze market fit using AI
+   * Analyze market fit
    */
   async analyzeMarketFit(prdData) {
-    const prompt = `
+    const buildPrompt = content => `
     Analyze the market fit and positioning of this product based on the PRD.
     
     PRD Content:
-    ${JSON.stringify(prdData, null, 2)}
+    ${content}
     
     Evaluate:
     1. Market opportunity size and validation
@@ -175,6 +373,8 @@ class AIAnalysisService {
     4. Competitive differentiation
     5. Market fit score (0-100)
     
+    ${QUOTE_INSTRUCTIONS}
+    
     Respond in JSON format:
     {
       "marketFitScore": number,
@@ -198,25 +398,21 @@ class AIAnalysisService {
         "moats": [],
         "risks": []
       },
-      "recommendations": [],
+      "recommendations": [${FINDING_FORMAT}],
       "overallAssessment": "string"
     }
     `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
+      const analysis = await this.runDimension(prdData, 'marketFit', 'marketFitAnalysis', buildPrompt, {
         temperature: 0.3,
-        max_tokens: 2000
+        maxTokens: 2000
       });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
       return { marketFitAnalysis: analysis };
 
     } catch (error) {
       logger.error('Market fit analysis failed:', error);
-      return { marketFitAnalysis: { error: error.message } };
+      return { marketFitAnalysis: this.describeFailure(error) };
     }
   }
 
@@ -224,11 +420,11 @@ class AIAnalysisService {
    * Analyze competitive positioning
    */
   async analyzeCompetitivePositioning(prdData) {
-    const prompt = `
+    const buildPrompt = content => `
     Analyze the competitive positioning and market landscape for this product.
     
     PRD Content:
-    ${JSON.stringify(prdData, null, 2)}
+    ${content}
     
     Evaluate:
     1. Competitive landscape analysis
@@ -237,6 +433,8 @@ class AIAnalysisService {
     4. Competitive threats
     5. Positioning score (0-100)
     
+    ${QUOTE_INSTRUCTIONS}
+    
     Respond in JSON format:
     {
       "positioningScore": number,
@@ -252,25 +450,21 @@ class AIAnalysisService {
       },
       "competitiveThreats": [],
       "opportunities": [],
-      "recommendations": [],
+      "recommendations": [${FINDING_FORMAT}],
       "overallAssessment": "string"
     }
     `;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: "claude-3-sonnet-20240229",
-        max_tokens: 2000,
+      const analysis = await this.runDimension(prdData, 'competitive', 'competitiveAnalysis', buildPrompt, {
         temperature: 0.3,
-        messages: [{ role: "user", content: prompt }]
+        maxTokens: 2000
       });
-
-      const analysis = JSON.parse(response.content[0].text);
       return { competitiveAnalysis: analysis };
 
     } catch (error) {
       logger.error('Competitive analysis failed:', error);
-      return { competitiveAnalysis: { error: error.message } };
+      return { competitiveAnalysis: this.describeFailure(error) };
     }
   }
 
@@ -278,11 +472,11 @@ class AIAnalysisService {
    * Generate actionable recommendations
    */
   async generateRecommendations(prdData) {
-    const prompt = `
+    const buildPrompt = content => `
     Generate specific, actionable recommendations to improve this PRD.
     
     PRD Content:
-    ${JSON.stringify(prdData, null, 2)}
+    ${content}
     
     Provide:
     1. High-priority improvements
@@ -321,31 +515,189 @@ class AIAnalysisService {
     `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
+      const analysis = await this.runDimension(prdData, 'recommendations', 'recommendations', buildPrompt, {
         temperature: 0.4,
-        max_tokens: 2000
+        maxTokens: 2000
       });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
       return { recommendations: analysis };
 
     } catch (error) {
       logger.error('Recommendations generation failed:', error);
-      return { recommendations: { error: error.message } };
+      return { recommendations: this.describeFailure(error) };
     }
   }
 
   /**
-   * Generate executive summary
+   * Score a PRD against a rubric's LLM-evaluated criteria, all in one prompt per chunk
+   * @param {Object} originalPrdData - Structured PRD data
+   * @param {Array<Object>} criteria - Criteria of type 'llm' (`{ key, name, description, scoringGuide, prompt }`)
+   * @returns {Promise<Object>} `{ rubricEvaluation }`: `criteria` keyed by criterion key, or a failure entry
+   */
+  async evaluateRubricCriteria(originalPrdData, criteria) {
+    const prdData = this.redactor.redact(originalPrdData);
+    const instructions = this.redactor.redact(criteria.map(criterion => ({
+      key: criterion.key,
+      name: criterion.name,
+      description: criterion.description || '',
+      scoringGuide: criterion.scoringGuide || '',
+      question: criterion.prompt
+    })));
+
+    const buildPrompt = content => `
+    Evaluate this Product Requirements Document (PRD) against the following criteria set by the
+    product organisation.
+    
+    Criteria:
+    ${JSON.stringify(instructions, null, 2)}
+    
+    PRD Content:
+    ${content}
+    
+    For each criterion:
+    1. Answer its question and score the PRD from 0 to 100, following its scoring guide
+    2. Say whether the PRD content contains anything the criterion is about (present)
+    3. Quote the exact passages the score is based on as evidence
+    4. Explain the score in one or two sentences
+    
+    Respond in JSON format, with one entry per criterion key:
+    {
+      "criteria": {
+        "<criterion key>": {
+          "score": number,
+          "present": boolean,
+          "evidence": [],
+          "rationale": "string"
+        }
+      }
+    }
+    `;
+
+    try {
+      const analysis = await this.runDimension(prdData, 'rubric', 'rubricEvaluation', buildPrompt, {
+        temperature: 0.2,
+        maxTokens: Math.min(500 + 250 * criteria.length, 4000)
+      });
+      return { rubricEvaluation: this.redactor.restore(analysis) };
+
+    } catch (error) {
+      logger.error('Rubric evaluation failed:', error);
+      return { rubricEvaluation: this.redactor.restore(this.describeFailure(error)) };
+    }
+  }
+
+  /**
+   * Rewrite one passage of a PRD to resolve a problem with it
+   * @param {Object} request - `passage`: the text to replace; `sectionTitle`; `problem`: the
+   *   finding or goal the rewrite should address; `instructions` from the author; `outline`:
+   *   the document's section titles as indented list lines, for context
+   * @returns {Promise<Object>} `{ rewrite }`: `{ replacement, rationale }`, or a failure entry
+   */
+  async generateRewrite(request) {
+    const { passage, sectionTitle, problem, instructions, outline } = this.redactor.redact(request);
+
+    const prompt = `
+    Rewrite a passage of a Product Requirements Document (PRD) so that it resolves the problem
+    described below. The author will review your text and may apply it in place of the passage.
+
+    Document outline:
+    ${outline.join('\n    ')}
+
+    Section: ${sectionTitle || '(before the first heading)'}
+
+    Problem to resolve:
+    ${problem}
+    ${instructions ? `\n    Author's instructions:\n    ${instructions}\n` : ''}
+    Passage to rewrite:
+    <<<
+    ${passage || '(the section is empty)'}
+    >>>
+
+    Rules:
+    1. Return only the text that replaces the passage, not the rest of the section or document
+    2. Keep the passage's language and format (Markdown lists, tables, emphasis) and do not add a heading
+    3. Keep every fact in the passage that the problem does not concern
+    4. Do not invent numbers, dates, names or research results; where the PRD needs one the author
+       must supply, write a placeholder in square brackets, e.g. "[baseline conversion rate]"
+
+    Respond in JSON format:
+    {
+      "replacement": "string",
+      "rationale": "string"
+    }
+    `;
+
+    try {
+      const rewrite = await this.requestAnalysis('rewrite', 'rewrite', prompt, {
+        temperature: 0.3,
+        maxTokens: Math.min(Math.max(2 * estimateTokens(passage || ''), 300) + 300, 4000)
+      });
+      return { rewrite: this.redactor.restore(rewrite) };
+
+    } catch (error) {
+      logger.error('Rewrite generation failed:', error);
+      return { rewrite: this.redactor.restore(this.describeFailure(error)) };
+    }
+  }
+
+  /**
+   * Answer a question from PRD excerpts, citing the excerpts it relies on
+   * @param {Object} request - `question`; `excerpts`: `[{ source, documentTitle, sectionTitle, text }]`;
+   *   `history`: earlier messages of the thread, `[{ role, content }]`
+   * @returns {Promise<Object>} `{ chatAnswer }`: `{ answer, covered, citations: [{ source, quote }] }`,
+   *   or a failure entry
    */
-  async generateExecutiveSummary(prdData, analysisResults) {
+  async answerQuestion(request) {
+    const { question, excerpts, history } = this.redactor.redact(request);
+
     const prompt = `
+    Answer a stakeholder's question about a Product Requirements Document (PRD) using only the
+    excerpts below. Each excerpt is labelled with a source id.
+
+    Excerpts:
+    ${excerpts.map(excerpt => `[${excerpt.source}] Document: "${excerpt.documentTitle}", section: "${excerpt.sectionTitle}"\n${excerpt.text}`).join('\n\n    ')}
+    ${history.length > 0 ? `\n    Conversation so far:\n    ${history.map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`).join('\n    ')}\n` : ''}
+    Question: ${question}
+
+    Rules:
+    1. Answer only from the excerpts; do not use outside knowledge and do not guess
+    2. Cite each excerpt the answer relies on by its source id, with a short passage of it copied
+       word for word as the quote
+    3. If the excerpts do not answer the question, set "covered" to false, start the answer with
+       "The document doesn't cover this." and mention the closest related content, if any
+    4. Keep the answer short and direct
+
+    Respond in JSON format:
+    {
+      "answer": "string",
+      "covered": boolean,
+      "citations": [{ "source": "string", "quote": "string" }]
+    }
+    `;
+
+    try {
+      const chatAnswer = await this.requestAnalysis('chat', 'chatAnswer', prompt, {
+        temperature: 0.2,
+        maxTokens: 1000
+      });
+      return { chatAnswer: this.redactor.restore(chatAnswer) };
+
+    } catch (error) {
+      logger.error('Question answering failed:', error);
+      return { chatAnswer: this.redactor.restore(this.describeFailure(error)) };
+    }
+  }
+
+  /**
+   * Generate executive summary
+   */
+  async generateExecutiveSummary(originalPrdData, originalAnalysisResults) {
+    const prdData = this.redactor.redact(originalPrdData);
+    const analysisResults = this.redactor.redact(originalAnalysisResults);
+    const buildPrompt = content => `
     Generate a concise executive summary of this PRD and its validation results.
     
     PRD Content:
-    ${JSON.stringify(prdData, null, 2)}
+    ${content}
     
     Analysis Results:
     ${JSON.stringify(analysisResults, null, 2)}
@@ -361,16 +713,20 @@ class AIAnalysisService {
     `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
+      // A PRD too long to include is summarised from its outline and the analysis results
+      const content = JSON.stringify(prdData, null, 2);
+      const budget = this.contentBudget('executiveSummary', buildPrompt, 500);
+      const response = await this.llm.complete('executiveSummary', {
+        prompt: buildPrompt(estimateTokens(content) <= budget
+          ? content
+          : `(Outline only; the full PRD is too long to include)\n${this.chunker.outline(prdData, budget)}`),
         temperature: 0.3,
-        max_tokens: 500
+        maxTokens: 500
       });
 
       return {
         success: true,
-        summary: response.choices[0].message.content
+        summary: this.redactor.restore(response.text)
       };
 
     } catch (error) {
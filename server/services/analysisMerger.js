@@ -0,0 +1,122 @@
+// Free-text fields where each chunk's view is kept rather than picking one
+const SUMMARY_FIELDS = ['overallAssessment', 'overallRoadmap'];
+
+class AnalysisMerger {
+  /**
+   * Reduce per-chunk analyses of one dimension into a single analysis of the same shape.
+   * Scores are averaged by chunk size, flags are OR-ed, lists are concatenated without
+   * duplicates, and section assessments only count chunks where the section was present.
+   * @param {Array<Object>} partials - `{ analysis, weight, sections: [{ sectionId, title }] }` per chunk
+   * @returns {Object} The merged analysis plus `findingSources`: for each list (by path, e.g.
+   *   "sectionAnalysis.features.issues") the section ids each item came from, in item order
+   */
+  merge(partials) {
+    const findingSources = {};
+    const merged = this.mergeNode(
+      partials.map(partial => ({ value: partial.analysis, partial })),
+      '',
+      findingSources
+    );
+
+    return { ...merged, findingSources };
+  }
+
+  mergeNode(entries, path, findingSources) {
+    let present = entries.filter(entry => entry.value !== undefined && entry.value !== null);
+    if (present.length === 0) {
+      return undefined;
+    }
+
+    const sample = present[0].value;
+
+    if (Array.isArray(sample)) {
+      return this.mergeList(present.filter(entry => Array.isArray(entry.value)), path, findingSources);
+    }
+
+    if (typeof sample === 'number') {
+      const numeric = present.filter(entry => typeof entry.value === 'number');
+      const totalWeight = numeric.reduce((sum, entry) => sum + entry.partial.weight, 0);
+      return Math.round(numeric.reduce((sum, entry) => sum + entry.value * entry.partial.weight, 0) / totalWeight);
+    }
+
+    if (typeof sample === 'boolean') {
+      return present.some(entry => entry.value === true);
+    }
+
+    if (typeof sample === 'string') {
+      const field = path.split('.').pop();
+      if (SUMMARY_FIELDS.includes(field)) {
+        return [...new Set(present.map(entry => entry.value.trim()).filter(Boolean))].join('\n\n');
+      }
+      // Other strings (a market size, a value proposition) come from the largest chunk
+      return [...present].sort((a, b) => b.partial.weight - a.partial.weight)[0].value;
+    }
+
+    if (typeof sample === 'object') {
+      // An assessment of something a chunk did not contain says nothing about its quality
+      if (present.some(entry => entry.value.present === true)) {
+        present = present.filter(entry => entry.value.present === true);
+      }
+
+      const keys = [...new Set(present.flatMap(entry => Object.keys(entry.value || {})))];
+      return Object.fromEntries(keys.map(key => [
+        key,
+        this.mergeNode(
+          present.map(entry => ({ value: entry.value?.[key], partial: entry.partial })),
+          path ? `${path}.${key}` : key,
+          findingSources
+        )
+      ]));
+    }
+
+    return sample;
+  }
+
+  mergeList(entries, path, findingSources) {
+    const items = [];
+    const sources = [];
+    const positions = new Map();
+
+    entries.forEach(({ value, partial }) => {
+      value.forEach(item => {
+        const identity = normalizeFinding(item);
+        const sectionIds = attributeFinding(item, partial.sections);
+
+        if (positions.has(identity)) {
+          const position = positions.get(identity);
+          sources[position] = [...new Set([...sources[position], ...sectionIds])];
+          return;
+        }
+
+        positions.set(identity, items.length);
+        items.push(item);
+        sources.push(sectionIds);
+      });
+    });
+
+    if (items.length > 0) {
+      findingSources[path] = sources;
+    }
+    return items;
+  }
+}
+
+function normalizeFinding(item) {
+  const text = typeof item === 'string' ? item : JSON.stringify(item);
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Sections a finding came from: those of its chunk it names, or all of its chunk's sections
+ */
+function attributeFinding(item, sections) {
+  const text = (typeof item === 'string' ? item : JSON.stringify(item)).toLowerCase();
+  const named = sections
+    .filter(section => section.title && text.includes(section.title.toLowerCase()))
+    // "Functional" is not named separately when "Non-functional" is
+    .filter((section, index, matches) => !matches.some(other => other !== section &&
+      other.title.toLowerCase().includes(section.title.toLowerCase()) && other.title.length > section.title.length));
+  return (named.length > 0 ? named : sections).map(section => section.sectionId);
+}
+
+module.exports = AnalysisMerger;
@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+const Document = require('../models/Document');
+const { originalFileKey } = require('./fileStorage');
+const logger = require('../utils/logger');
+
+// Limits on a single archive and what it may expand to. JSZip reads the whole archive into
+// memory, so its size is capped too.
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = 1000;
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+// Archive entries that are never documents (macOS resource forks, dotfiles)
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX|\.[^/]*)(\/|$)/;
+
+class BatchImporter {
+  /**
+   * @param {Object} options - `parser` (a DocumentParser), `storage` for the original files,
+   *   `projectId` and `user` for stored documents, and optionally a `duplicateDetector` with
+   *   `onDuplicate` ('reject' skips duplicates, 'version' adds them as versions, 'keep' stores them)
+   */
+  constructor({ parser, storage, projectId, user, duplicateDetector = null, onDuplicate = 'reject' }) {
+    this.parser = parser;
+    this.storage = storage;
+    this.projectId = projectId;
+    this.user = user;
+    this.duplicateDetector = duplicateDetector;
+    this.onDuplicate = onDuplicate;
+  }
+
+  /**
+   * Parse and store each uploaded file, expanding zip archives; a bad file never stops the batch
+   * @param {Array} files - multer files (`path`, `originalname`, `filename`)
+   * @returns {Promise<Object>} `{ summary, files }` with one report entry per document
+   */
+  async importFiles(files) {
+    const report = [];
+
+    for (const file of files) {
+      if (path.extname(file.originalname).toLowerCase() === '.zip') {
+        report.push(...await this.importArchive(file));
+      } else {
+        report.push(await this.importFile(file.path, {
+          displayName: file.originalname,
+          originalFilename: file.originalname,
+          storedFilename: file.filename
+        }));
+      }
+    }
+
+    return {
+      summary: {
+        total: report.length,
+        imported: report.filter(entry => entry.status === 'imported').length,
+        duplicates: report.filter(entry => entry.status === 'duplicate').length,
+        unsupported: report.filter(entry => entry.status === 'unsupported').length,
+        failed: report.filter(entry => entry.status === 'failed').length
+      },
+      files: report
+    };
+  }
+
+  /**
+   * Extract each archive entry to a temporary file and import it
+   */
+  async importArchive(file) {
+    let zip;
+    try {
+      const { size } = await fs.stat(file.path);
+      if (size > MAX_ARCHIVE_SIZE) {
+        return [{
+          filename: file.originalname,
+          status: 'failed',
+          error: `Archive is larger than ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB`
+        }];
+      }
+      zip = await JSZip.loadAsync(await fs.readFile(file.path));
+    } catch (error) {
+      return [{ filename: file.originalname, status: 'failed', error: `Could not read zip archive: ${error.message}` }];
+    }
+
+    const entries = Object.values(zip.files)
+      .filter(entry => !entry.dir && !IGNORED_ENTRY_PATTERN.test(entry.name));
+
+    if (entries.length > MAX_ARCHIVE_ENTRIES) {
+      return [{
+        filename: file.originalname,
+        status: 'failed',
+        error: `Archive has ${entries.length} files; the limit is ${MAX_ARCHIVE_ENTRIES}`
+      }];
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prd-batch-'));
+    const report = [];
+
+    try {
+      for (const [index, entry] of entries.entries()) {
+        const displayName = `${file.originalname}/${entry.name}`;
+        const extension = path.extname(entry.name).toLowerCase();
+
+        if (!this.parser.supportedFormats.includes(extension)) {
+          report.push(this.unsupported(displayName, extension));
+          continue;
+        }
+
+        // Entry names are untrusted, so temporary files get generated names
+        const tempPath = path.join(tempDir, `entry-${index}${extension}`);
+        try {
+          await extractEntry(entry, tempPath, MAX_ENTRY_SIZE);
+          report.push(await this.importFile(tempPath, {
+            displayName,
+            originalFilename: path.basename(entry.name),
+            storedFilename: `${path.basename(file.filename, '.zip')}-${index}${extension}`
+          }));
+        } catch (error) {
+          report.push({ filename: displayName, status: 'failed', error: error.message });
+        } finally {
+          // The entry is already reported; the directory is removed after the last one anyway
+          await fs.unlink(tempPath).catch(() => {});
+        }
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    return report;
+  }
+
+  /**
+   * Parse one file and store it as a document
+   * @param {string} filePath - File on disk
+   * @param {Object} names - `displayName` for the report (archive entries include the archive name),
+   *   `originalFilename` and `storedFilename` for the document record
+   */
+  async importFile(filePath, { displayName, originalFilename, storedFilename }) {
+    const extension = path.extname(originalFilename).toLowerCase();
+
+    if (!this.parser.supportedFormats.includes(extension)) {
+      return this.unsupported(displayName, extension);
+    }
+
+    const result = await this.parser.parseDocument(filePath);
+
+    if (!result.success) {
+      return { filename: displayName, status: 'failed', error: result.error };
+    }
+
+    let storageKey = null;
+    try {
+      const duplicate = this.duplicateDetector && this.onDuplicate !== 'keep'
+        ? await this.duplicateDetector.findDuplicate(this.user.userId, result.content)
+        : null;
+
+      if (duplicate && this.onDuplicate === 'reject') {
+        return {
+          filename: displayName,
+          status: 'duplicate',
+          duplicateOf: duplicate.document.documentId,
+          duplicateType: duplicate.type,
+          similarity: duplicate.similarity
+        };
+      }
+
+      if (duplicate && !(await duplicate.document.canWrite(this.user))) {
+        return {
+          filename: displayName,
+          status: 'failed',
+          error: 'Permission denied to add a version to the existing document',
+          duplicateOf: duplicate.document.documentId
+        };
+      }
+
+      storageKey = await this.storage.save(originalFileKey(storedFilename), filePath);
+
+      const fileData = {
+        filename: storedFilename,
+        originalFilename,
+        fileType: result.metadata.format,
+        fileSize: result.metadata.fileSize,
+        content: result.content,
+        structuredData: result.structuredData,
+        metadata: result.metadata,
+        storageKey
+      };
+
+      // With onDuplicate=version a duplicate becomes the next version of the existing document
+      const document = duplicate
+        ? await duplicate.document.addVersion({ ...fileData, userId: this.user.userId })
+        : await Document.create({
+          ...fileData,
+          projectId: this.projectId,
+          userId: this.user.userId,
+          title: result.metadata.title || path.basename(originalFilename, extension)
+        });
+
+      return {
+        filename: displayName,
+        status: 'imported',
+        documentId: document.documentId,
+        versionNumber: document.currentVersion,
+        duplicateOf: duplicate ? duplicate.document.documentId : undefined,
+        title: document.title,
+        format: result.metadata.format,
+        warnings: result.metadata.messages?.length ? result.metadata.messages.map(message => message.message) : undefined
+      };
+    } catch (error) {
+      logger.error(`Batch import could not store ${displayName}:`, error);
+      if (storageKey) {
+        await this.storage.remove(storageKey).catch(() => {});
+      }
+      return { filename: displayName, status: 'failed', error: 'Failed to store document' };
+    }
+  }
+
+  unsupported(filename, extension) {
+    return {
+      filename,
+      status: 'unsupported',
+      error: `Unsupported file format: ${extension || 'none'}`
+    };
+  }
+}
+
+/**
+ * Inflate an archive entry to a file, streaming, and fail once it exceeds `maxBytes`, so that
+ * a zip bomb is never expanded in memory. The sizes in zip headers can lie, so only the bytes
+ * actually inflated are counted.
+ */
+async function extractEntry(entry, filePath, maxBytes) {
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(bytes > maxBytes ? new Error('File too large') : null, chunk);
+    }
+  });
+
+  await pipeline(entry.nodeStream('nodebuffer'), limit, createWriteStream(filePath));
+}
+
+module.exports = BatchImporter;
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const { getSectionTextByKey } = require('../utils/sectionTree');
 
 class CompetitiveIntelligenceService {
   constructor() {
@@ -64,24 +65,27 @@ class CompetitiveIntelligenceService {
    */
   extractMarketKeywords(prdData) {
     const keywords = new Set();
+    const problemStatement = getSectionTextByKey(prdData.sections, 'problemStatement');
+    const solution = getSectionTextByKey(prdData.sections, 'solution');
+    const targetMarket = getSectionTextByKey(prdData.sections, 'targetMarket');
     
     // Extract from problem statement
-    if (prdData.sections?.problemStatement) {
-      const problemText = prdData.sections.problemStatement.toLowerCase();
+    if (problemStatement) {
+      const problemText = problemStatement.toLowerCase();
       const marketTerms = problemText.match(/\b(?:saas|software|platform|app|service|tool|solution|market|industry|business|enterprise|consumer|b2b|b2c)\b/g);
       if (marketTerms) marketTerms.forEach(term => keywords.add(term));
     }
 
     // Extract from solution
-    if (prdData.sections?.solution) {
-      const solutionText = prdData.sections.solution.toLowerCase();
+    if (solution) {
+      const solutionText = solution.toLowerCase();
       const techTerms = solutionText.match(/\b(?:ai|ml|blockchain|cloud|mobile|web|api|integration|automation|analytics|dashboard|reporting)\b/g);
       if (techTerms) techTerms.forEach(term => keywords.add(term));
     }
 
     // Extract from target market
-    if (prdData.sections?.targetMarket) {
-      const marketText = prdData.sections.targetMarket.toLowerCase();
+    if (targetMarket) {
+      const marketText = targetMarket.toLowerCase();
       const industryTerms = marketText.match(/\b(?:healthcare|finance|education|retail|manufacturing|logistics|marketing|sales|hr|it|security)\b/g);
       if (industryTerms) industryTerms.forEach(term => keywords.add(term));
     }
@@ -94,9 +98,9 @@ class CompetitiveIntelligenceService {
    */
   extractCompetitors(prdData) {
     const competitors = [];
+    const analysisText = getSectionTextByKey(prdData.sections, 'competitiveAnalysis');
     
-    if (prdData.sections?.competitiveAnalysis) {
-      const analysisText = prdData.sections.competitiveAnalysis;
+    if (analysisText) {
       
       // Look for company names (capitalized words)
       const companyMatches = analysisText.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g);
@@ -0,0 +1,189 @@
+const { getSectionText } = require('../utils/sectionTree');
+const { estimateTokens, estimateJSONTokens } = require('../utils/tokens');
+
+// Smallest chunk budget worth sending; below this the prompt itself is the problem
+const MIN_CHUNK_TOKENS = 200;
+
+class DocumentChunker {
+  /**
+   * Split PRD data into chunks that each fit a token budget, keeping sections whole where
+   * possible. Top-level sections are split into their subsections, then paragraphs, only
+   * when they do not fit; other extracted data (metrics, features, risks) is split by item.
+   * @param {Object} prdData - Structured PRD data: a section tree or legacy `{ key: text }`
+   *   map under `sections`, plus any other fields
+   * @param {number} budget - Maximum estimated tokens of chunk data
+   * @returns {Array<Object>} Chunks of
+   *   `{ index, tokens, sections: [{ sectionId, title }], data: { sections: [...] } }`
+   */
+  chunk(prdData, budget) {
+    const limit = Math.max(budget, MIN_CHUNK_TOKENS);
+    const units = this.buildUnits(prdData, limit);
+    const chunks = [];
+    let current = null;
+
+    units.forEach(unit => {
+      const tokens = estimateJSONTokens(unit);
+      if (!current || current.tokens + tokens > limit) {
+        current = { index: chunks.length, tokens: 0, units: [] };
+        chunks.push(current);
+      }
+      current.units.push(unit);
+      current.tokens += tokens;
+    });
+
+    return chunks.map(chunk => ({
+      index: chunk.index,
+      tokens: chunk.tokens,
+      sections: uniqueSections(chunk.units),
+      data: { sections: chunk.units }
+    }));
+  }
+
+  /**
+   * Section titles and data fields of the whole document, so each chunk's prompt can
+   * judge its part against the full structure
+   * @param {Object} prdData - Structured PRD data
+   * @param {number} maxTokens - Lines past this budget are left out
+   */
+  outline(prdData, maxTokens = Infinity) {
+    const outline = [];
+    const sections = prdData?.sections;
+
+    if (Array.isArray(sections)) {
+      const visit = (nodes, depth) => nodes.forEach(node => {
+        outline.push(`${'  '.repeat(depth)}- ${node.title || node.key || 'Untitled'}`);
+        visit(node.children || [], depth + 1);
+      });
+      visit(sections, 0);
+    } else if (sections && typeof sections === 'object') {
+      Object.keys(sections).forEach(key => outline.push(`- ${key}`));
+    }
+
+    Object.keys(prdData || {})
+      .filter(key => key !== 'sections')
+      .forEach(key => outline.push(`- (${key})`));
+
+    let tokens = 0;
+    const kept = outline.filter(line => {
+      tokens += estimateTokens(line);
+      return tokens <= maxTokens;
+    });
+    if (kept.length < outline.length) {
+      kept.push(`- ... ${outline.length - kept.length} more`);
+    }
+
+    return kept.join('\n');
+  }
+
+  /**
+   * Units are the pieces chunks are packed from: `{ sectionId, title, content }`
+   */
+  buildUnits(prdData, limit) {
+    const units = [];
+    const sections = prdData?.sections;
+
+    if (Array.isArray(sections)) {
+      sections.forEach(node => units.push(...this.sectionUnits(node, limit)));
+    } else if (sections && typeof sections === 'object') {
+      Object.entries(sections).forEach(([key, text]) => {
+        units.push(...this.splitValue({ sectionId: key, title: key }, text, limit));
+      });
+    }
+
+    Object.entries(prdData || {})
+      .filter(([key]) => key !== 'sections')
+      .forEach(([key, value]) => {
+        units.push(...this.splitValue({ sectionId: `data:${key}`, title: key }, value, limit));
+      });
+
+    return units;
+  }
+
+  // A section whole, or its own text and each subsection separately when it is too large
+  sectionUnits(node, limit) {
+    const label = { sectionId: node.id || node.key || node.title, title: node.title };
+    const whole = { ...label, content: getSectionText(node) };
+    if (estimateJSONTokens(whole) <= limit) {
+      return [whole];
+    }
+
+    const units = this.splitValue(label, [node.title, node.body].filter(Boolean).join('\n'), limit);
+    (node.children || []).forEach(child => units.push(...this.sectionUnits(child, limit)));
+    return units;
+  }
+
+  /**
+   * One unit for a value that fits; otherwise text is split by paragraph and arrays by item,
+   * with each part labelled "(part n)"
+   */
+  splitValue(label, value, limit) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    const whole = { ...label, content: value };
+    if (estimateJSONTokens(whole) <= limit) {
+      return [whole];
+    }
+
+    const pieces = typeof value === 'string'
+      ? splitText(value, limit)
+      : Array.isArray(value)
+        ? value
+        : splitText(JSON.stringify(value, null, 2), limit);
+
+    const parts = [];
+    let current = null;
+    pieces.forEach(piece => {
+      const tokens = estimateJSONTokens(piece);
+      if (!current || current.tokens + tokens > limit) {
+        current = { tokens: 0, content: [] };
+        parts.push(current);
+      }
+      current.content.push(piece);
+      current.tokens += tokens;
+    });
+
+    return parts.map((part, i) => ({
+      ...label,
+      title: `${label.title} (part ${i + 1})`,
+      content: Array.isArray(value) ? part.content : part.content.join('\n\n')
+    }));
+  }
+}
+
+/**
+ * Split text into paragraphs that each fit the limit, breaking oversized paragraphs by length
+ */
+function splitText(text, limit) {
+  // Leave room for the JSON wrapper around each piece
+  const maxTokens = Math.max(limit - 50, 50);
+  const pieces = [];
+
+  text.split(/\n\s*\n/).forEach(paragraph => {
+    if (estimateTokens(paragraph) <= maxTokens) {
+      pieces.push(paragraph);
+      return;
+    }
+    // Characters per token in this paragraph, so slices come out near the limit
+    const ratio = paragraph.length / estimateTokens(paragraph);
+    const size = Math.max(Math.floor(maxTokens * ratio), 1);
+    for (let start = 0; start < paragraph.length; start += size) {
+      pieces.push(paragraph.slice(start, start + size));
+    }
+  });
+
+  return pieces;
+}
+
+function uniqueSections(units) {
+  const seen = new Map();
+  units.forEach(unit => {
+    if (!seen.has(unit.sectionId)) {
+      seen.set(unit.sectionId, { sectionId: unit.sectionId, title: (unit.title || '').replace(/ \(part \d+\)$/, '') });
+    }
+  });
+  return [...seen.values()];
+}
+
+module.exports = DocumentChunker;
@@ -1,12 +1,67 @@
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { rtfToBlocks } = require('../utils/rtf');
+const { isCompoundFile } = require('../utils/cfb');
+const { extractWordDocument } = require('../utils/wordBinary');
+const { findSectionAtOffset } = require('../utils/sectionTree');
+const { readTableRows } = require('../utils/tables');
+const { compileTaxonomy, matchSectionKey } = require('../utils/taxonomy');
+const RequirementsExtractor = require('./requirementsExtractor');
+const MetricsParser = require('./metricsParser');
+const TimelineParser = require('./timelineParser');
+
+// Plain-text heading heuristics
+const MAX_HEADING_WORDS = 10;
+const MAX_HEADING_LENGTH = 100;
+
+// A PDF line counts as a heading when its font is this much larger than body text
+const PDF_HEADING_SIZE_RATIO = 1.15;
+
+// Gaps wider than this many font sizes split a PDF line into table cells
+const PDF_COLUMN_GAP_RATIO = 1.5;
+
+// Table header cells that identify feature tables
+const FEATURE_TABLE_COLUMNS = {
+  name: /feature|requirement|capability|user\s+story/i,
+  description: /description|details|notes|summary/i,
+  priority: /priority|moscow|importance/i
+};
+
+// HTML elements that hold blocks rather than inline text
+const HTML_CONTAINER_TAGS = ['div', 'section', 'article', 'main', 'body', 'blockquote'];
+const HTML_BLOCK_TAGS = [...HTML_CONTAINER_TAGS, 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'table', 'pre'];
+const HTML_IGNORED_TAGS = ['script', 'style', 'nav', 'header', 'footer', 'noscript', 'template'];
 
 class DocumentParser {
-  constructor() {
-    this.supportedFormats = ['.pdf', '.docx', '.doc', '.txt'];
+  /**
+   * @param {Object} options - `taxonomy`: section taxonomy used to recognise headings
+   *   (defaults to config/sectionTaxonomy.js)
+   */
+  constructor(options = {}) {
+    this.taxonomy = compileTaxonomy(options.taxonomy);
+
+    // Parsers by file extension; the upload filter and supported-formats endpoint read this list
+    this.parsers = {
+      '.pdf': this.parsePDF,
+      '.docx': this.parseDOCX,
+      '.doc': this.parseDOC,
+      '.txt': this.parseTXT,
+      '.md': this.parseMarkdown,
+      '.markdown': this.parseMarkdown,
+      '.html': this.parseHTML,
+      '.htm': this.parseHTML,
+      '.rtf': this.parseRTF,
+      '.odt': this.parseODT
+    };
+    this.supportedFormats = Object.keys(this.parsers);
+    this.requirementsExtractor = new RequirementsExtractor();
+    this.metricsParser = new MetricsParser();
+    this.timelineParser = new TimelineParser();
   }
 
   /**
@@ -22,23 +77,13 @@ class DocumentParser {
         throw new Error(`Unsupported file format: ${extension}`);
       }
 
-      let content, metadata;
-
-      switch (extension) {
-        case '.pdf':
-          ({ content, metadata } = await this.parsePDF(filePath));
-          break;
-        case '.docx':
-        case '.doc':
-          ({ content, metadata } = await this.parseDOCX(filePath));
-          break;
-        case '.txt':
-          ({ content, metadata } = await this.parseTXT(filePath));
-          break;
-      }
+      const { content, metadata, blocks } = await this.parsers[extension].call(this, filePath);
 
       // Extract structured information from content
-      const structuredData = this.extractStructuredData(content);
+      const structuredData = this.extractStructuredData(content, {
+        blocks,
+        documentDate: metadata.created ? metadata.created.slice(0, 10) : null
+      });
 
       return {
         success: true,
@@ -62,13 +107,20 @@ class DocumentParser {
 
   /**
    * Parse PDF documents
+   * Headings are detected from font sizes, falling back to numbered outline lines
    */
   async parsePDF(filePath) {
     const dataBuffer = await fs.readFile(filePath);
-    const pdfData = await pdfParse(dataBuffer);
+    const lines = [];
+    const pdfData = await pdfParse(dataBuffer, {
+      pagerender: (pageData) => this.renderPDFPage(pageData, lines)
+    });
+    const blocks = this.pdfLinesToBlocks(lines);
+    const { content } = this.assembleBlocks(blocks);
     
     return {
-      content: pdfData.text,
+      content,
+      blocks,
       metadata: {
         format: 'pdf',
         pages: pdfData.numpages,
@@ -76,20 +128,229 @@ class DocumentParser {
         author: pdfData.info?.Author || '',
         subject: pdfData.info?.Subject || '',
         creator: pdfData.info?.Creator || '',
-        producer: pdfData.info?.Producer || ''
+        producer: pdfData.info?.Producer || '',
+        created: this.parsePDFDate(pdfData.info?.CreationDate)
+      }
+    };
+  }
+
+  /**
+   * Convert a PDF date string ("D:20250301120000Z") to an ISO date
+   */
+  parsePDFDate(value) {
+    const match = typeof value === 'string' && value.match(/^(?:D:)?(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  /**
+   * Render a PDF page, collecting its text lines with font sizes and item positions
+   */
+  async renderPDFPage(pageData, lines) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    const pageNumber = pageData.pageIndex + 1;
+    let current = null;
+
+    for (const item of textContent.items) {
+      const y = item.transform[5];
+      const size = Math.round(Math.abs(item.transform[3] || item.height || 0) * 10) / 10;
+
+      const segment = { text: item.str, x: item.transform[4], width: item.width || 0 };
+
+      if (current && current.y === y) {
+        current.text += item.str;
+        current.size = Math.max(current.size, size);
+        current.items.push(segment);
+      } else {
+        current = { text: item.str, size, y, page: pageNumber, items: [segment] };
+        lines.push(current);
+      }
+    }
+
+    return lines
+      .filter(line => line.page === pageNumber)
+      .map(line => line.text)
+      .join('\n');
+  }
+
+  /**
+   * Turn collected PDF lines into heading, paragraph and table blocks
+   */
+  pdfLinesToBlocks(lines) {
+    const textLines = lines
+      .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim(), cells: this.pdfLineCells(line) }))
+      .filter(line => line.text.length > 0);
+
+    // Body text size is the size carrying the most characters
+    const charsBySize = {};
+    textLines.forEach(line => {
+      charsBySize[line.size] = (charsBySize[line.size] || 0) + line.text.length;
+    });
+    const bodySize = Number(Object.keys(charsBySize).sort((a, b) => charsBySize[b] - charsBySize[a])[0]) || 0;
+
+    const isLargeHeading = (line) => bodySize > 0 &&
+      line.size >= bodySize * PDF_HEADING_SIZE_RATIO &&
+      line.text.length <= MAX_HEADING_LENGTH &&
+      /[a-z]/i.test(line.text);
+
+    // Larger fonts map to higher heading levels, capped at 3
+    const headingSizes = [...new Set(textLines.filter(isLargeHeading).map(line => line.size))]
+      .sort((a, b) => b - a);
+
+    const blocks = [];
+    let paragraph = [];
+    let table = null;
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+        paragraph = [];
       }
     };
+    const flushTable = () => {
+      if (!table) {
+        return;
+      }
+      // A single multi-column line is more likely a spaced-out sentence than a table
+      if (table.rows.length >= 2) {
+        flushParagraph();
+        blocks.push({ type: 'table', rows: table.rows });
+      } else {
+        paragraph.push(table.lines[0].text);
+      }
+      table = null;
+    };
+
+    textLines.forEach(line => {
+      // Lines split into aligned columns form table rows
+      if (line.cells.length >= 2) {
+        const row = table && line.page === table.page ? this.alignPDFCells(line.cells, table.columns, line.size) : null;
+        if (row) {
+          table.rows.push(row);
+          table.lines.push(line);
+          return;
+        }
+        flushTable();
+        table = {
+          page: line.page,
+          columns: line.cells.map(cell => cell.x),
+          rows: [line.cells.map(cell => cell.text)],
+          lines: [line]
+        };
+        return;
+      }
+      flushTable();
+
+      let level = null;
+
+      if (isLargeHeading(line)) {
+        level = Math.min(headingSizes.indexOf(line.size) + 1, 3);
+      } else if (this.outlineHeadingLevel(line.text)) {
+        // Body-size numbered headings sit below any font-size heading levels
+        level = Math.min(Math.min(headingSizes.length, 3) + this.outlineHeadingLevel(line.text), 6);
+      }
+
+      if (level) {
+        flushParagraph();
+        blocks.push({ type: 'heading', level, text: line.text });
+      } else {
+        paragraph.push(line.text);
+      }
+    });
+    flushTable();
+    flushParagraph();
+
+    return blocks;
+  }
+
+  /**
+   * Split a PDF line into cells wherever the gap between text items is column-sized
+   */
+  pdfLineCells(line) {
+    const gap = Math.max(line.size, 1) * PDF_COLUMN_GAP_RATIO;
+    const cells = [];
+
+    [...(line.items || [])]
+      .filter(item => item.text.trim())
+      .sort((a, b) => a.x - b.x)
+      .forEach(item => {
+        const last = cells[cells.length - 1];
+        if (last && item.x - last.right < gap) {
+          last.text = `${last.text}${item.x - last.right > 0.5 ? ' ' : ''}${item.text}`.replace(/\s+/g, ' ');
+          last.right = Math.max(last.right, item.x + item.width);
+        } else {
+          cells.push({ text: item.text.replace(/\s+/g, ' '), x: item.x, right: item.x + item.width });
+        }
+      });
+
+    return cells
+      .map(cell => ({ ...cell, text: cell.text.trim() }))
+      .filter(cell => cell.text);
+  }
+
+  /**
+   * Place a line's cells under a table's column starts; null when they do not line up
+   */
+  alignPDFCells(cells, columns, size) {
+    const tolerance = Math.max(size, 1) * PDF_COLUMN_GAP_RATIO;
+    const row = columns.map(() => '');
+    let aligned = 0;
+
+    for (const cell of cells) {
+      if (cell.x + tolerance < columns[0]) {
+        return null;
+      }
+      // Last column starting at or before the cell (right-aligned numbers start late)
+      let column = 0;
+      columns.forEach((x, index) => {
+        if (cell.x + tolerance >= x) {
+          column = index;
+        }
+      });
+      if (Math.abs(cell.x - columns[column]) <= tolerance) {
+        aligned++;
+      }
+      row[column] = row[column] ? `${row[column]} ${cell.text}` : cell.text;
+    }
+
+    return aligned * 2 >= cells.length ? row : null;
   }
 
   /**
-   * Parse DOCX/DOC documents
+   * Heading level for numbered outline lines such as "2.1 Target Users"
+   */
+  outlineHeadingLevel(line) {
+    const match = line.match(/^(\d+(?:\.\d+)*)\.?\s+(.+)$/);
+    if (!match || !this.looksLikeHeadingText(match[2])) {
+      return null;
+    }
+
+    const depth = match[1].split('.').length;
+    // Single-level numbers are usually list items unless the title is a known section
+    if (depth === 1 && !this.matchSectionKey(match[2])) {
+      return null;
+    }
+
+    return Math.min(depth, 3);
+  }
+
+  /**
+   * Parse DOCX documents
+   * Uses mammoth's HTML output so Word heading styles become heading blocks
    */
   async parseDOCX(filePath) {
     const dataBuffer = await fs.readFile(filePath);
-    const result = await mammoth.extractRawText({ buffer: dataBuffer });
+    const result = await mammoth.convertToHtml({ buffer: dataBuffer }, {
+      styleMap: ["p[style-name='Title'] => h1:fresh"]
+    });
+    const blocks = this.htmlToBlocks(result.value);
+    const { content } = this.assembleBlocks(blocks);
     
     return {
-      content: result.value,
+      content,
+      blocks,
       metadata: {
         format: 'docx',
         messages: result.messages || []
@@ -97,6 +358,147 @@ class DocumentParser {
     };
   }
 
+  /**
+   * Parse legacy Word 97-2003 (.doc) documents
+   * Files saved as DOCX or RTF under a .doc name are routed to those parsers
+   */
+  async parseDOC(filePath) {
+    const dataBuffer = await fs.readFile(filePath);
+
+    if (dataBuffer.subarray(0, 2).toString('latin1') === 'PK') {
+      return this.parseDOCX(filePath);
+    }
+    if (dataBuffer.subarray(0, 5).toString('latin1') === '{\\rtf') {
+      return this.parseRTF(filePath);
+    }
+    if (!isCompoundFile(dataBuffer)) {
+      throw new Error('Unrecognised .doc file: expected a Word 97-2003 document');
+    }
+
+    const { paragraphs, title, author } = extractWordDocument(dataBuffer);
+    const blocks = [];
+    let tableRows = [];
+
+    const flushTable = () => {
+      if (tableRows.length > 0) {
+        blocks.push({ type: 'table', rows: tableRows });
+        tableRows = [];
+      }
+    };
+
+    paragraphs.forEach(paragraph => {
+      if (paragraph.inTable) {
+        tableRows.push(paragraph.cells || [paragraph.text]);
+        return;
+      }
+      flushTable();
+      blocks.push(paragraph.headingLevel
+        ? { type: 'heading', level: paragraph.headingLevel, text: paragraph.text.replace(/\s+/g, ' ') }
+        : { type: 'paragraph', text: paragraph.text });
+    });
+    flushTable();
+
+    const { content } = this.assembleBlocks(blocks);
+
+    return {
+      content,
+      blocks,
+      metadata: {
+        format: 'doc',
+        title,
+        author
+      }
+    };
+  }
+
+  /**
+   * Convert HTML into heading, paragraph and table blocks
+   */
+  htmlToBlocks(html) {
+    const $ = cheerio.load(html);
+    const blocks = [];
+    const cleanText = ($el) => $el.text().replace(/\s+/g, ' ').trim();
+
+    $(HTML_IGNORED_TAGS.join(', ')).remove();
+
+    const visitList = ($list, depth) => {
+      const ordered = ($list[0].tagName || '').toLowerCase() === 'ol';
+      $list.children('li').each((index, li) => {
+        const $item = $(li).clone();
+        $item.find('ul, ol').remove();
+        const text = cleanText($item);
+        if (text) {
+          const marker = ordered ? `${index + 1}.` : '-';
+          blocks.push({ type: 'paragraph', text: `${'  '.repeat(depth)}${marker} ${text}` });
+        }
+        $(li).children('ul, ol').each((i, nested) => visitList($(nested), depth + 1));
+      });
+    };
+
+    const visit = (elements) => {
+      elements.each((i, el) => {
+        const tag = (el.tagName || '').toLowerCase();
+        const $el = $(el);
+
+        if (/^h[1-6]$/.test(tag)) {
+          const text = cleanText($el);
+          if (text) {
+            blocks.push({ type: 'heading', level: Number(tag[1]), text });
+          }
+        } else if (tag === 'ul' || tag === 'ol') {
+          visitList($el, 0);
+        } else if (tag === 'table') {
+          // Rows of nested tables belong to the enclosing cell, not this table
+          const rows = [];
+          $el.find('tr').filter((index, tr) => $(tr).closest('table')[0] === el).each((index, tr) => {
+            rows.push($(tr).children('th, td').map((j, cell) => cleanText($(cell))).get());
+          });
+          if (rows.some(row => row.length > 0)) {
+            blocks.push({ type: 'table', rows: rows.filter(row => row.length > 0) });
+          }
+        } else if (tag === 'pre') {
+          const text = $el.text().trim();
+          if (text) {
+            blocks.push({ type: 'paragraph', text });
+          }
+        } else if (HTML_CONTAINER_TAGS.includes(tag) &&
+                   $el.children().filter((j, child) => HTML_BLOCK_TAGS.includes((child.tagName || '').toLowerCase())).length > 0) {
+          visit($el.contents().filter((j, child) => child.type === 'tag'));
+        } else {
+          const text = cleanText($el);
+          if (text) {
+            blocks.push({ type: 'paragraph', text });
+          }
+        }
+      });
+    };
+
+    visit($('body').children());
+    return blocks;
+  }
+
+  /**
+   * Join blocks into document content, recording each block's offsets
+   * Table rows are written as pipe-separated lines
+   */
+  assembleBlocks(blocks) {
+    let content = '';
+
+    blocks.forEach(block => {
+      if (block.type === 'table') {
+        block.text = block.rows.map(row => row.join(' | ')).join('\n');
+      }
+      if (content.length > 0) {
+        content += '\n\n';
+      }
+      block.start = content.length;
+      content += block.text;
+      block.end = content.length;
+    });
+
+    return { content, blocks };
+  }
+
   /**
    * Parse TXT documents
    */
@@ -111,102 +513,516 @@ class DocumentParser {
     };
   }
 
+  /**
+   * Parse Markdown documents
+   * Content keeps its Markdown so headings, lists and tables survive; YAML front matter is dropped
+   */
+  async parseMarkdown(filePath) {
+    let content = await fs.readFile(filePath, 'utf-8');
+    let title = '';
+
+    const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (frontMatter) {
+      title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || '';
+      content = content.slice(frontMatter[0].length);
+    }
+
+    return {
+      content,
+      metadata: {
+        format: 'markdown',
+        title: title || content.match(/^#\s+(.+)$/m)?.[1].trim() || ''
+      }
+    };
+  }
+
+  /**
+   * Parse HTML documents such as Confluence page exports
+   */
+  async parseHTML(filePath) {
+    const html = await fs.readFile(filePath, 'utf-8');
+    const $ = cheerio.load(html);
+    const title = $('title').first().text().trim();
+
+    // Confluence exports wrap the page body in #main-content
+    const main = $('#main-content');
+    const blocks = this.htmlToBlocks(main.length ? `<body>${main.html()}</body>` : html);
+    const { content } = this.assembleBlocks(blocks);
+
+    return {
+      content,
+      blocks,
+      metadata: {
+        format: 'html',
+        title
+      }
+    };
+  }
+
+  /**
+   * Parse RTF documents
+   */
+  async parseRTF(filePath) {
+    const source = await fs.readFile(filePath, 'latin1');
+    const { blocks, title } = rtfToBlocks(source);
+    const { content } = this.assembleBlocks(blocks);
+
+    return {
+      content,
+      blocks,
+      metadata: {
+        format: 'rtf',
+        title
+      }
+    };
+  }
+
+  /**
+   * Parse OpenDocument text (ODT) documents
+   */
+  async parseODT(filePath) {
+    const dataBuffer = await fs.readFile(filePath);
+    const zip = await JSZip.loadAsync(dataBuffer);
+    const contentFile = zip.file('content.xml');
+
+    if (!contentFile) {
+      throw new Error('Invalid ODT document: content.xml not found');
+    }
+
+    const $ = cheerio.load(await contentFile.async('string'), { xml: true });
+    const blocks = this.odtToBlocks($);
+    const { content } = this.assembleBlocks(blocks);
+
+    let title = '';
+    let author = '';
+    let created = null;
+    const metaFile = zip.file('meta.xml');
+    if (metaFile) {
+      const $meta = cheerio.load(await metaFile.async('string'), { xml: true });
+      $meta('*').each((i, el) => {
+        if (el.name === 'dc:title') title = $meta(el).text().trim();
+        if (el.name === 'meta:initial-creator' || (el.name === 'dc:creator' && !author)) author = $meta(el).text().trim();
+        if (el.name === 'meta:creation-date') created = $meta(el).text().trim().slice(0, 10) || null;
+      });
+    }
+
+    return {
+      content,
+      blocks,
+      metadata: {
+        format: 'odt',
+        title,
+        author,
+        created
+      }
+    };
+  }
+
+  /**
+   * Convert ODT content.xml into heading, paragraph and table blocks
+   */
+  odtToBlocks($) {
+    const blocks = [];
+    const body = $('*').filter((i, el) => el.name === 'office:text').first();
+
+    // Inline text with ODF space, tab and line-break elements expanded
+    const inlineText = (node) => {
+      if (node.type === 'text') {
+        return node.data;
+      }
+      if (node.type !== 'tag') {
+        return '';
+      }
+      switch (node.name) {
+        case 'text:s':
+          return ' '.repeat(Number($(node).attr('text:c')) || 1);
+        case 'text:tab':
+          return '\t';
+        case 'text:line-break':
+          return '\n';
+        case 'text:note':
+        case 'office:annotation':
+          return '';
+        default:
+          return (node.children || []).map(inlineText).join('');
+      }
+    };
+
+    const visitList = (list, depth) => {
+      $(list).children().each((index, item) => {
+        if (item.name !== 'text:list-item' && item.name !== 'text:list-header') {
+          return;
+        }
+        $(item).children().each((i, child) => {
+          if (child.name === 'text:list') {
+            visitList(child, depth + 1);
+          } else if (child.name === 'text:p' || child.name === 'text:h') {
+            const text = inlineText(child).trim();
+            if (text) {
+              blocks.push({ type: 'paragraph', text: `${'  '.repeat(depth)}- ${text}` });
+            }
+          }
+        });
+      });
+    };
+
+    const visit = (nodes) => {
+      nodes.each((i, node) => {
+        switch (node.name) {
+          case 'text:h': {
+            const text = inlineText(node).replace(/\s+/g, ' ').trim();
+            if (text) {
+              blocks.push({ type: 'heading', level: Number($(node).attr('text:outline-level')) || 1, text });
+            }
+            break;
+          }
+          case 'text:p': {
+            const text = inlineText(node).trim();
+            if (text) {
+              blocks.push({ type: 'paragraph', text });
+            }
+            break;
+          }
+          case 'text:list':
+            visitList(node, 0);
+            break;
+          case 'table:table': {
+            const rows = [];
+            $(node).find('*').each((j, row) => {
+              if (row.name !== 'table:table-row') {
+                return;
+              }
+              const cells = $(row).children()
+                .filter((k, cell) => cell.name === 'table:table-cell')
+                .map((k, cell) => $(cell).children().map((n, child) => inlineText(child)).get().join(' ').replace(/\s+/g, ' ').trim())
+                .get();
+              rows.push(cells);
+            });
+            if (rows.length > 0) {
+              blocks.push({ type: 'table', rows });
+            }
+            break;
+          }
+          case 'text:section':
+            visit($(node).children());
+            break;
+          default:
+            // Tables of contents, sequence declarations and other metadata carry no body text
+            break;
+        }
+      });
+    };
+
+    visit(body.children());
+    return blocks;
+  }
+
   /**
    * Extract structured data from PRD content
+   * @param {string} content - Document text
+   * @param {Object} options - `blocks` from a format parser and the document's `documentDate`, when available
    */
-  extractStructuredData(content) {
+  extractStructuredData(content, { blocks, documentDate } = {}) {
     const structuredData = {
-      sections: {},
-      metrics: {},
+      sections: [],
+      tables: [],
+      metrics: [],
       stakeholders: [],
       features: [],
+      requirements: { userStories: [], acceptanceCriteria: [] },
       risks: [],
       timeline: null
     };
 
-    // Extract sections using common PRD patterns
-    const sectionPatterns = {
-      problemStatement: /problem\s+statement|problem\s+definition/i,
-      solution: /solution|proposed\s+solution/i,
-      targetMarket: /target\s+market|market\s+analysis/i,
-      userPersonas: /user\s+personas|target\s+users/i,
-      features: /features|functional\s+requirements/i,
-      successMetrics: /success\s+metrics|kpis|key\s+performance\s+indicators/i,
-      timeline: /timeline|roadmap|milestones/i,
-      risks: /risks|challenges|assumptions/i,
-      competitiveAnalysis: /competitive\s+analysis|competitors/i
-    };
+    // Use real document structure when the parser provided it
+    const headings = blocks
+      ? blocks
+          .filter(block => block.type === 'heading')
+          .map(block => ({
+            level: block.level,
+            title: block.text,
+            start: block.start,
+            bodyStart: block.end
+          }))
+      : this.detectTextHeadings(content);
 
-    // Find sections in content
-    const lines = content.split('\n');
-    let currentSection = null;
-    let sectionContent = [];
+    structuredData.sections = this.buildSectionTree(content, headings);
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check if line matches a section header
-      let matchedSection = null;
-      for (const [sectionName, pattern] of Object.entries(sectionPatterns)) {
-        if (pattern.test(line)) {
-          matchedSection = sectionName;
-          break;
-        }
-      }
+    // Tables come from parser blocks, or from pipe-delimited lines in plain text
+    const tables = blocks
+      ? blocks
+          .filter(block => block.type === 'table')
+          .map(block => ({ rows: block.rows, start: block.start, end: block.end }))
+      : this.detectTextTables(content);
 
-      if (matchedSection) {
-        // Save previous section
-        if (currentSection && sectionContent.length > 0) {
-          structuredData.sections[currentSection] = sectionContent.join('\n');
-        }
-        
-        // Start new section
-        currentSection = matchedSection;
-        sectionContent = [line];
-      } else if (currentSection && line.length > 0) {
-        sectionContent.push(line);
-      }
-    }
-
-    // Save last section
-    if (currentSection && sectionContent.length > 0) {
-      structuredData.sections[currentSection] = sectionContent.join('\n');
-    }
+    structuredData.tables = tables
+      .filter(table => table.rows.length > 0)
+      .map((table, i) => {
+        const section = findSectionAtOffset(structuredData.sections, table.start);
+        return {
+          id: `tbl-${i + 1}`,
+          sectionId: section?.id || null,
+          sectionTitle: section?.title || null,
+          header: table.rows[0],
+          rows: table.rows.slice(1),
+          start: table.start,
+          end: table.end
+        };
+      });
 
     // Extract metrics and KPIs
-    structuredData.metrics = this.extractMetrics(content);
+    structuredData.metrics = this.extractMetrics(content, structuredData.tables, structuredData.sections);
     
     // Extract stakeholders
     structuredData.stakeholders = this.extractStakeholders(content);
     
     // Extract features
-    structuredData.features = this.extractFeatures(content);
+    structuredData.features = this.extractFeatures(content, structuredData.tables);
+
+    // Extract user stories and acceptance criteria
+    structuredData.requirements = this.requirementsExtractor.extract(content, structuredData.sections);
     
     // Extract risks
     structuredData.risks = this.extractRisks(content);
 
+    // Build the milestone schedule from the timeline section
+    structuredData.timeline = this.timelineParser.parse(content, {
+      sections: structuredData.sections,
+      tables: structuredData.tables,
+      documentDate
+    });
+
     return structuredData;
   }
 
   /**
-   * Extract metrics and KPIs from content
+   * Detect headings in plain text or Markdown content
+   * Markdown headings win; other heuristics only apply when there are none
    */
-  extractMetrics(content) {
-    const metrics = [];
-    const metricPatterns = [
-      /(\d+(?:\.\d+)?%)\s*(?:increase|decrease|growth|reduction)/gi,
-      /(\d+(?:,\d{3})*)\s*(?:users|customers|revenue|conversions)/gi,
-      /(?:target|goal|objective).*?(\d+(?:\.\d+)?)/gi
-    ];
+  detectTextHeadings(content) {
+    const lines = [];
+    let offset = 0;
+    content.split('\n').forEach(line => {
+      lines.push({ text: line, start: offset, end: offset + line.length });
+      offset += line.length + 1;
+    });
 
-    metricPatterns.forEach(pattern => {
-      const matches = content.match(pattern);
-      if (matches) {
-        metrics.push(...matches);
+    const markdownHeadings = [];
+    let inCodeFence = false;
+
+    lines.forEach((line, i) => {
+      const trimmed = line.text.trim();
+
+      if (/^(```|~~~)/.test(trimmed)) {
+        inCodeFence = !inCodeFence;
+        return;
+      }
+      if (inCodeFence) {
+        return;
+      }
+
+      const atx = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+      if (atx) {
+        markdownHeadings.push({ level: atx[1].length, title: atx[2].trim(), start: line.start, bodyStart: line.end });
+        return;
+      }
+
+      // Setext headings: a line underlined with === or ---
+      const next = lines[i + 1]?.text.trim();
+      if (trimmed && next && /^(=+|-+)$/.test(next) && this.looksLikeHeadingText(trimmed)) {
+        markdownHeadings.push({
+          level: next[0] === '=' ? 1 : 2,
+          title: trimmed,
+          start: line.start,
+          bodyStart: lines[i + 1].end
+        });
+      }
+    });
+
+    if (markdownHeadings.length > 0) {
+      return markdownHeadings;
+    }
+
+    const headings = [];
+    lines.forEach((line, i) => {
+      const trimmed = line.text.trim();
+      const previousBlank = i === 0 || lines[i - 1].text.trim() === '';
+
+      if (!trimmed || !previousBlank) {
+        return;
+      }
+
+      const outlineLevel = this.outlineHeadingLevel(trimmed);
+      if (outlineLevel) {
+        headings.push({ level: outlineLevel, title: trimmed, start: line.start, bodyStart: line.end });
+        return;
+      }
+
+      const title = trimmed.replace(/:$/, '');
+      const isKnownSection = this.matchSectionKey(title) && title.split(/\s+/).length <= 6;
+      const isAllCaps = /[A-Z]/.test(title) && title === title.toUpperCase();
+
+      if (this.looksLikeHeadingText(title) && (isKnownSection || isAllCaps || this.isTitleCase(title))) {
+        headings.push({ level: 1, title, start: line.start, bodyStart: line.end });
       }
     });
 
-    return [...new Set(metrics)]; // Remove duplicates
+    return headings;
+  }
+
+  /**
+   * Detect pipe-delimited tables (Markdown or pasted) in plain text content
+   * The first row is the header; Markdown separator rows are dropped
+   */
+  detectTextTables(content) {
+    const tables = [];
+    let current = null;
+    let inCodeFence = false;
+    let offset = 0;
+
+    const flush = () => {
+      if (current && current.rows.length >= 2) {
+        tables.push(current);
+      }
+      current = null;
+    };
+
+    content.split('\n').forEach(line => {
+      const start = offset;
+      offset += line.length + 1;
+      const trimmed = line.trim();
+
+      if (/^(```|~~~)/.test(trimmed)) {
+        inCodeFence = !inCodeFence;
+        flush();
+        return;
+      }
+
+      const cells = !inCodeFence && trimmed.includes('|') ? this.splitTableRow(trimmed) : null;
+      if (!cells || cells.length < 2) {
+        flush();
+        return;
+      }
+
+      if (!current) {
+        current = { rows: [], start: start + line.indexOf(trimmed), end: 0 };
+      }
+      if (!cells.every(cell => /^:?-{3,}:?$/.test(cell))) {
+        current.rows.push(cells);
+      }
+      current.end = start + line.length;
+    });
+    flush();
+
+    return tables;
+  }
+
+  /**
+   * Split a pipe-delimited line into trimmed cells, honouring escaped pipes
+   */
+  splitTableRow(line) {
+    const cells = line
+      .replace(/^\|/, '')
+      .replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.replace(/\\\|/g, '|').replace(/\*\*|__|`/g, '').trim());
+
+    return cells.some(Boolean) ? cells : null;
+  }
+
+  /**
+   * Whether a line is short enough and shaped like a heading rather than a sentence
+   */
+  looksLikeHeadingText(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    return words.length > 0 &&
+      words.length <= MAX_HEADING_WORDS &&
+      text.length <= MAX_HEADING_LENGTH &&
+      /[a-z]/i.test(text) &&
+      !/[.!?;,|]$/.test(text) &&
+      !text.includes(' | ') &&
+      !/^[-*+•]\s/.test(text);
+  }
+
+  /**
+   * Whether most significant words in a line are capitalised
+   */
+  isTitleCase(text) {
+    const words = text.split(/\s+/).filter(word => word.length > 3);
+    if (words.length === 0) {
+      return /^[A-Z]/.test(text);
+    }
+    const capitalised = words.filter(word => /^[A-Z0-9]/.test(word)).length;
+    return capitalised / words.length >= 0.75;
+  }
+
+  /**
+   * Map a heading title to a section key from the taxonomy
+   */
+  matchSectionKey(title) {
+    return matchSectionKey(this.taxonomy, title);
+  }
+
+  /**
+   * Build a nested section tree from headings ordered by offset
+   * Text before the first heading becomes a level 0 preamble section
+   */
+  buildSectionTree(content, headings) {
+    const roots = [];
+    const stack = [];
+    let sectionCount = 0;
+
+    const firstStart = headings.length > 0 ? headings[0].start : content.length;
+    const preamble = content.slice(0, firstStart).trim();
+    if (preamble) {
+      roots.push({
+        id: 'sec-0',
+        level: 0,
+        title: '',
+        key: null,
+        body: preamble,
+        start: 0,
+        bodyStart: 0,
+        end: firstStart,
+        children: []
+      });
+    }
+
+    headings.forEach((heading, i) => {
+      const next = headings[i + 1];
+      const node = {
+        id: `sec-${++sectionCount}`,
+        level: heading.level,
+        title: heading.title,
+        key: this.matchSectionKey(heading.title),
+        body: content.slice(heading.bodyStart, next ? next.start : content.length).trim(),
+        start: heading.start,
+        bodyStart: heading.bodyStart,
+        end: content.length,
+        children: []
+      };
+
+      // Close sections at the same or a deeper level
+      while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+        stack.pop().end = node.start;
+      }
+
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(node);
+      } else {
+        roots.push(node);
+      }
+      stack.push(node);
+    });
+
+    return roots;
+  }
+
+  /**
+   * Extract success metrics as structured SMART metric objects
+   */
+  extractMetrics(content, tables = [], sections = []) {
+    return this.metricsParser.parse(content, { tables, sections });
   }
 
   /**
@@ -230,9 +1046,16 @@ class DocumentParser {
   }
 
   /**
-   * Extract features from content
+   * Extract features, preferring feature and priority tables over phrases in the prose
    */
-  extractFeatures(content) {
+  extractFeatures(content, tables = []) {
+    const tableFeatures = readTableRows(tables, FEATURE_TABLE_COLUMNS);
+    if (tableFeatures.length > 0) {
+      return tableFeatures.map(({ name, description, priority, source, tableId }) => ({
+        name, description, priority, source, tableId
+      }));
+    }
+
     const features = [];
     const featurePatterns = [
       /(?:feature|functionality|capability):\s*([^\n]+)/gi,
@@ -246,7 +1069,12 @@ class DocumentParser {
       }
     });
 
-    return [...new Set(features)];
+    return [...new Set(features)].map(name => ({
+      name,
+      description: null,
+      priority: null,
+      source: 'text'
+    }));
   }
 
   /**
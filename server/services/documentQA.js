@@ -0,0 +1,208 @@
+const EvidenceLinker = require('./evidenceLinker');
+const { flattenSections } = require('../utils/sectionTree');
+const { estimateTokens } = require('../utils/tokens');
+const { MAX_EXCERPT_TOKENS, STOPWORDS } = require('../config/chat');
+
+const STOPWORD_SET = new Set(STOPWORDS);
+
+// Answer given without calling a model when there is nothing to search
+const NO_CONTENT_ANSWER = 'The document doesn\'t cover this: there is no content to search.';
+
+class DocumentQA {
+  /**
+   * @param {AIAnalysisService} aiService - Answers from the excerpts, with the request's
+   *   redaction and the project's provider policy
+   */
+  constructor(aiService) {
+    this.aiService = aiService;
+  }
+
+  /**
+   * Answer a question from one or more stored PRDs. Whole documents are sent when they fit;
+   * otherwise the sections that best match the question. The model's citations are checked
+   * against the documents, and only quotes found there are kept.
+   * @param {Array<Document>} documents - Documents to answer from, with content and structured data
+   * @param {string} question - The question
+   * @param {Array<Object>} history - Earlier messages of the thread, `[{ role, content }]`
+   * @returns {Promise<Object>} `{ answer, coverage, citations, searched }`, or `{ error }` when the
+   *   model failed. Coverage is 'answered' (backed by a verified citation), 'not_covered' or
+   *   'unverified' (the model claims an answer but none of its quotes were found)
+   */
+  async answer(documents, question, history = []) {
+    const passages = buildPassages(documents);
+    const searched = { documents: documents.length, sections: passages.length, excerpts: 0 };
+
+    if (passages.length === 0) {
+      return { answer: NO_CONTENT_ANSWER, coverage: 'not_covered', citations: [], searched };
+    }
+
+    const excerpts = selectExcerpts(passages, question, MAX_EXCERPT_TOKENS);
+    searched.excerpts = excerpts.length;
+
+    const { chatAnswer } = await this.aiService.answerQuestion({
+      question,
+      history: history.map(message => ({ role: message.role, content: message.content })),
+      excerpts: excerpts.map(excerpt => ({
+        source: excerpt.source,
+        documentTitle: excerpt.documentTitle,
+        sectionTitle: excerpt.sectionTitle,
+        text: excerpt.text
+      }))
+    });
+
+    if (chatAnswer.error) {
+      return { error: chatAnswer.error };
+    }
+
+    const citations = this.verifyCitations(chatAnswer.citations, excerpts, documents);
+    const coverage = !chatAnswer.covered
+      ? 'not_covered'
+      : citations.some(citation => citation.verified) ? 'answered' : 'unverified';
+
+    return { answer: chatAnswer.answer, coverage, citations, searched };
+  }
+
+  /**
+   * Resolve each citation's source id to its document and section, and look its quote up in
+   * that document. Citations of unknown sources are dropped; quotes that are not found are
+   * cleared, leaving an unverified section citation.
+   */
+  verifyCitations(citations, excerpts, documents) {
+    const linkers = new Map();
+    const seen = new Set();
+
+    return (citations || []).flatMap(citation => {
+      const excerpt = excerpts.find(candidate => candidate.source === String(citation.source).replace(/^\[|\]$/g, ''));
+      if (!excerpt) {
+        return [];
+      }
+
+      if (!linkers.has(excerpt.documentId)) {
+        const document = documents.find(candidate => candidate.documentId === excerpt.documentId);
+        linkers.set(excerpt.documentId, new EvidenceLinker(document.structuredData, document.content));
+      }
+
+      const evidence = citation.quote ? linkers.get(excerpt.documentId).locate(citation.quote) : { status: 'rejected' };
+      const verified = evidence.status === 'verified';
+      const entry = {
+        source: excerpt.source,
+        documentId: excerpt.documentId,
+        documentTitle: excerpt.documentTitle,
+        sectionId: (verified && evidence.sectionId) || excerpt.sectionId,
+        sectionTitle: (verified && evidence.sectionTitle) || excerpt.sectionTitle,
+        quote: verified ? evidence.quote : null,
+        verified
+      };
+      if (verified && typeof evidence.start === 'number') {
+        entry.start = evidence.start;
+        entry.end = evidence.end;
+      }
+
+      const key = `${entry.documentId}:${entry.sectionId}:${entry.start ?? entry.quote}`;
+      if (seen.has(key)) {
+        return [];
+      }
+      seen.add(key);
+      return [entry];
+    });
+  }
+}
+
+/**
+ * Every section with a body, of every document, in document order. A document without
+ * sections is one passage.
+ */
+function buildPassages(documents) {
+  return documents.flatMap(document => {
+    const documentTitle = document.title || document.originalFilename || 'Untitled';
+    const nodes = flattenSections(document.structuredData?.sections).filter(node => node.body);
+
+    if (nodes.length === 0) {
+      return document.content && document.content.trim()
+        ? [{ documentId: document.documentId, documentTitle, sectionId: null, sectionTitle: 'Document', text: document.content.trim() }]
+        : [];
+    }
+
+    return nodes.map(node => ({
+      documentId: document.documentId,
+      documentTitle,
+      sectionId: node.id,
+      sectionTitle: node.title,
+      text: node.body
+    }));
+  });
+}
+
+/**
+ * Passages to send, within a token budget, labelled S1, S2, ... in document order. Everything
+ * goes when it fits; otherwise the passages sharing the most (and rarest) words with the question.
+ */
+function selectExcerpts(passages, question, budget) {
+  const maxPassageTokens = Math.floor(budget / 2);
+  const sized = passages.map((passage, index) => {
+    const text = estimateTokens(passage.text) > maxPassageTokens
+      ? `${passage.text.slice(0, maxPassageTokens * 4)}...`
+      : passage.text;
+    return { ...passage, text, index, tokens: estimateTokens(text) + estimateTokens(passage.sectionTitle) };
+  });
+
+  let selected = sized;
+  if (sized.reduce((sum, passage) => sum + passage.tokens, 0) > budget) {
+    const scores = scorePassages(sized, question);
+    let used = 0;
+    selected = sized
+      .map((passage, i) => ({ passage, score: scores[i] }))
+      .sort((a, b) => b.score - a.score || a.passage.index - b.passage.index)
+      .filter(({ passage }) => {
+        if (used + passage.tokens > budget) {
+          return false;
+        }
+        used += passage.tokens;
+        return true;
+      })
+      .map(({ passage }) => passage)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  return selected.map((passage, i) => ({ ...passage, source: `S${i + 1}` }));
+}
+
+/**
+ * TF-IDF overlap between the question and each passage; words in a section title count double
+ */
+function scorePassages(passages, question) {
+  const queryTerms = [...new Set(terms(question))];
+  const passageTerms = passages.map(passage => ({
+    body: countTerms(terms(passage.text)),
+    title: new Set(terms(passage.sectionTitle))
+  }));
+  const idf = term => {
+    const df = passageTerms.filter(entry => entry.body.has(term) || entry.title.has(term)).length;
+    return Math.log(1 + passages.length / (1 + df));
+  };
+  const weights = new Map(queryTerms.map(term => [term, idf(term)]));
+
+  return passageTerms.map(entry => queryTerms.reduce((score, term) => {
+    const tf = entry.body.get(term) || 0;
+    return score +
+      (tf > 0 ? weights.get(term) * (1 + Math.log(tf)) : 0) +
+      (entry.title.has(term) ? 2 * weights.get(term) : 0);
+  }, 0));
+}
+
+/**
+ * Lower-case words of three or more letters, without stopwords, with common suffixes removed
+ */
+function terms(text) {
+  return ((text || '').toLowerCase().match(/[a-z0-9][a-z0-9-]*/g) || [])
+    .filter(word => word.length > 2 && !STOPWORD_SET.has(word))
+    .map(word => (word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word));
+}
+
+function countTerms(words) {
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+}
+
+module.exports = DocumentQA;
@@ -0,0 +1,56 @@
+const Document = require('../models/Document');
+const { fingerprint, estimateSimilarity } = require('../utils/fingerprint');
+
+// Estimated Jaccard similarity at which two documents count as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+class DuplicateDetector {
+  /**
+   * Find the closest existing document the user can access with the same or nearly the same content
+   * @param {string} userId - Uploading user
+   * @param {string} content - Parsed text of the upload
+   * @param {Object} options - `excludeDocumentId` to ignore the document being revised
+   * @returns {Promise<Object|null>} `{ type: 'exact'|'near', similarity, document }`
+   */
+  async findDuplicate(userId, content, { excludeDocumentId = null } = {}) {
+    const { contentHash, minhash, minhashBands } = fingerprint(content);
+    if (!minhash) {
+      return null;
+    }
+
+    const candidates = await Document.findDuplicateCandidates(userId, {
+      contentHash,
+      minhashBands,
+      excludeDocumentId
+    });
+
+    const exact = candidates.find(candidate => candidate.contentHash === contentHash);
+    if (exact) {
+      return { type: 'exact', similarity: 1, document: exact };
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+      const similarity = estimateSimilarity(minhash, candidate.minhash);
+      if (similarity >= NEAR_DUPLICATE_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { type: 'near', similarity: Math.round(similarity * 100) / 100, document: candidate };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Describe a duplicate for an API response, with the existing document's latest validation
+   */
+  async describe(duplicate) {
+    return {
+      type: duplicate.type,
+      similarity: duplicate.similarity,
+      document: duplicate.document.toJSON({ includeContent: false }),
+      latestValidation: await duplicate.document.getLatestValidation()
+    };
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,285 @@
+const { flattenSections, findSectionAtOffset } = require('../utils/sectionTree');
+
+// Quotes shorter than this (after normalising) match too easily to prove anything
+const MIN_QUOTE_LENGTH = 8;
+
+// Most characters an elided quote ("first part ... last part") may span
+const MAX_ELIDED_SPAN = 2000;
+
+// Words each part of an elided quote needs, besides common ones, so that no part can match
+// almost anywhere ("the ... and the")
+const MIN_FRAGMENT_WORDS = 2;
+const COMMON_WORDS = new Set([
+  'a', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from', 'has',
+  'have', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'must', 'no', 'not', 'of', 'on', 'or',
+  'our', 'should', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was',
+  'we', 'were', 'when', 'which', 'will', 'with', 'would'
+]);
+
+/**
+ * Finding lists that carry quotes, by result key. `*` matches every key of an object.
+ */
+const FINDING_LISTS = {
+  completenessAnalysis: ['sectionAnalysis.*.issues', 'recommendations'],
+  clarityAnalysis: ['ambiguousStatements', 'recommendations'],
+  marketFitAnalysis: ['recommendations'],
+  competitiveAnalysis: ['recommendations']
+};
+
+class EvidenceLinker {
+  /**
+   * @param {Object} prdData - Structured PRD data; its section tree (or legacy `{ key: text }`
+   *   map) is searched when the document content is not available
+   * @param {string} content - Full document content; when given, quotes are located in it and
+   *   get character offsets
+   */
+  constructor(prdData, content = null) {
+    this.sections = prdData?.sections;
+    this.content = typeof content === 'string' && content.length > 0 ? content : null;
+    this.sources = this.buildSources();
+  }
+
+  /**
+   * Searchable text: the whole content, or each section's own body
+   */
+  buildSources() {
+    if (this.content) {
+      return [{ text: this.content, normalized: normalize(this.content), section: null }];
+    }
+
+    if (Array.isArray(this.sections)) {
+      return flattenSections(this.sections)
+        .filter(node => node.body)
+        .map(node => ({ text: node.body, normalized: normalize(node.body), section: node }));
+    }
+
+    if (this.sections && typeof this.sections === 'object') {
+      return Object.entries(this.sections)
+        .filter(([, text]) => typeof text === 'string' && text)
+        .map(([key, text]) => ({ text, normalized: normalize(text), section: { id: key, title: key } }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Find a quote in the document. Whitespace, case, typographic quotes and dashes are ignored,
+   * and "..." may stand for omitted text.
+   * @param {string} quote - Text a model claims to have quoted
+   * @returns {Object} `{ status: 'verified', quote, start, end, sectionId, sectionTitle, paragraphIndex, match }`
+   *   with the document's own text as `quote` (offsets only when the content is known), or
+   *   `{ status: 'rejected', claimedQuote, reason }`
+   */
+  locate(quote) {
+    const fragments = String(quote)
+      .split(/\.{3,}|…|\[\.\.\.\]/)
+      .map(fragment => stripQuoteMarks(fragment))
+      .filter(Boolean);
+    const wanted = fragments.map(fragment => normalize(fragment).text);
+
+    if (wanted.join('').length < MIN_QUOTE_LENGTH) {
+      return { status: 'rejected', claimedQuote: quote, reason: 'Quote is too short to locate' };
+    }
+    if (wanted.length > 1 && wanted.some(fragment => countDistinctiveWords(fragment) < MIN_FRAGMENT_WORDS)) {
+      return { status: 'rejected', claimedQuote: quote, reason: 'Part of the elided quote is too short to locate' };
+    }
+
+    for (const source of this.sources) {
+      const span = fragments.length === 1 ? findExact(source.text, fragments[0]) : null;
+      const found = span || findNormalized(source.normalized, wanted);
+      if (found) {
+        return this.describeMatch(source, found.start, found.end, span ? 'exact' : 'normalized');
+      }
+    }
+
+    return { status: 'rejected', claimedQuote: quote, reason: 'Quote not found in the document' };
+  }
+
+  describeMatch(source, start, end, match) {
+    const section = source.section || findSectionAtOffset(this.sections, start);
+    const evidence = {
+      status: 'verified',
+      quote: source.text.slice(start, end),
+      sectionId: section?.id || null,
+      sectionTitle: section?.title || null,
+      paragraphIndex: this.paragraphIndex(source, section, start),
+      match
+    };
+
+    if (!source.section) {
+      evidence.start = start;
+      evidence.end = end;
+    }
+    return evidence;
+  }
+
+  /**
+   * Paragraph of the section body the quote starts in, counting from 0; null for a heading
+   */
+  paragraphIndex(source, section, start) {
+    if (source.section) {
+      return countParagraphs(source.text.slice(0, start));
+    }
+    if (!section) {
+      return countParagraphs(this.content.slice(0, start));
+    }
+    if (typeof section.bodyStart !== 'number' || start < section.bodyStart) {
+      return null;
+    }
+    return countParagraphs(this.content.slice(section.bodyStart, start));
+  }
+
+  /**
+   * Turn a finding (a string, or `{ finding, quote }`) into `{ finding, quote, evidence }`,
+   * keeping only quotes found in the document
+   */
+  linkFinding(item) {
+    const finding = typeof item === 'string' ? { finding: item, quote: null } : { ...item };
+
+    if (typeof finding.quote !== 'string' || !finding.quote.trim()) {
+      return { ...finding, quote: null, evidence: { status: 'unquoted' } };
+    }
+
+    const evidence = this.locate(finding.quote);
+    return {
+      ...finding,
+      quote: evidence.status === 'verified' ? evidence.quote : null,
+      evidence
+    };
+  }
+
+  /**
+   * Link the findings of each dimension in analysis results, in place
+   * @param {Object} results - AI analysis results keyed by result key
+   * @returns {Object} `{ verified, rejected, unquoted }` finding counts
+   */
+  linkResults(results) {
+    const summary = { verified: 0, rejected: 0, unquoted: 0 };
+
+    Object.entries(FINDING_LISTS).forEach(([resultKey, paths]) => {
+      const result = results?.[resultKey];
+      if (!result || result.error) {
+        return;
+      }
+
+      paths.forEach(path => forEachList(result, path.split('.'), (parent, key) => {
+        parent[key] = parent[key].map(item => {
+          const linked = this.linkFinding(item);
+          summary[linked.evidence.status]++;
+          return linked;
+        });
+      }));
+    });
+
+    return summary;
+  }
+}
+
+/**
+ * Call `visit(parent, key)` for each array at a path, expanding `*`
+ */
+function forEachList(node, segments, visit) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(node) : [segment];
+
+  keys.forEach(key => {
+    if (rest.length === 0) {
+      if (Array.isArray(node[key])) {
+        visit(node, key);
+      }
+      return;
+    }
+    forEachList(node[key], rest, visit);
+  });
+}
+
+function findExact(text, fragment) {
+  const start = text.indexOf(fragment);
+  return start === -1 ? null : { start, end: start + fragment.length };
+}
+
+/**
+ * Find fragments in order in normalised text and map the span back to the original offsets
+ */
+function findNormalized(normalized, fragments) {
+  let from = 0;
+  let start = null;
+  let end = null;
+
+  for (const fragment of fragments) {
+    const index = normalized.text.indexOf(fragment, from);
+    if (index === -1) {
+      return null;
+    }
+    if (start === null) {
+      start = index;
+    } else if (index + fragment.length - start > MAX_ELIDED_SPAN) {
+      return null;
+    }
+    end = index + fragment.length;
+    from = end;
+  }
+
+  return { start: normalized.offsets[start], end: normalized.offsets[end - 1] + 1 };
+}
+
+function countDistinctiveWords(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu) || [])
+    .filter(word => !COMMON_WORDS.has(word)).length;
+}
+
+/**
+ * Lower-case text with whitespace runs collapsed and typographic quotes and dashes made plain,
+ * plus the original offset of each character
+ */
+function normalize(text) {
+  let normalized = '';
+  const offsets = [];
+  let lastWasSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if (/\s/.test(char)) {
+      if (lastWasSpace) {
+        continue;
+      }
+      char = ' ';
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+      char = char
+        .replace(/[‘’‚′]/, '\'')
+        .replace(/[“”„″]/, '"')
+        .replace(/[‐-―−]/, '-');
+      // Characters that lower-case to more than one keep their case, so offsets stay one-to-one
+      const lower = char.toLowerCase();
+      char = lower.length === 1 ? lower : char;
+    }
+
+    normalized += char;
+    offsets.push(i);
+  }
+
+  if (normalized.endsWith(' ')) {
+    normalized = normalized.slice(0, -1);
+    offsets.pop();
+  }
+
+  return { text: normalized, offsets };
+}
+
+// Quote marks and whitespace a model puts around a quote
+function stripQuoteMarks(text) {
+  return text.trim().replace(/^["'‘“]+|["'’”]+$/g, '').trim();
+}
+
+function countParagraphs(text) {
+  return (text.trimStart().match(/\n\s*\n/g) || []).length;
+}
+
+module.exports = EvidenceLinker;
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Content types for the formats we accept, used for downloads and S3 metadata
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.rtf': 'application/rtf',
+  '.odt': 'application/vnd.oasis.opendocument.text'
+};
+
+/**
+ * Content type for a filename, by extension
+ */
+function contentTypeFor(filename) {
+  return CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Stores files on local disk under STORAGE_LOCAL_PATH (default ./storage)
+ */
+class LocalFileStorage {
+  constructor({ root } = {}) {
+    this.root = path.resolve(root || process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '../storage'));
+  }
+
+  // Keys are generated by us, but never let one escape the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Copy a file into storage
+   * @param {string} key - Storage key, e.g. "originals/<name>.pdf"
+   * @param {string} sourcePath - File to copy
+   */
+  async save(key, sourcePath) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+    return key;
+  }
+
+  /**
+   * Open a stored file
+   * @returns {Promise<Object|null>} `{ stream, size }`, or null when the key does not exist
+   */
+  async read(key) {
+    const filePath = this.resolve(key);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+/**
+ * Stores files in an S3-compatible bucket (AWS S3, MinIO)
+ */
+class S3FileStorage {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+  } = {}) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for S3 storage');
+    }
+
+    // Loaded lazily so local-disk deployments do not need the AWS SDK
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      // MinIO serves buckets under the path rather than as subdomains
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async save(key, sourcePath) {
+    const { size } = await fs.promises.stat(sourcePath);
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: contentTypeFor(key)
+    }));
+    return key;
+  }
+
+  async read(key) {
+    try {
+      const result = await this.client.send(new this.commands.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return { stream: result.Body, size: result.ContentLength };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+const STORAGE_DRIVERS = {
+  local: LocalFileStorage,
+  s3: S3FileStorage
+};
+
+let fileStorage = null;
+
+/**
+ * Get the configured file storage (STORAGE_DRIVER=local|s3)
+ */
+function getFileStorage() {
+  if (!fileStorage) {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    const Storage = STORAGE_DRIVERS[driver];
+    if (!Storage) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    fileStorage = new Storage();
+    logger.info(`Using ${driver} file storage`);
+  }
+  return fileStorage;
+}
+
+/**
+ * Storage key for an uploaded original; the unique upload name keeps keys distinct
+ */
+function originalFileKey(uploadName) {
+  return `originals/${uploadName}`;
+}
+
+module.exports = {
+  LocalFileStorage,
+  S3FileStorage,
+  getFileStorage,
+  originalFileKey,
+  contentTypeFor
+};
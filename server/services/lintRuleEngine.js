@@ -0,0 +1,246 @@
+const PrdLinter = require('./prdLinter');
+const MetricsParser = require('./metricsParser');
+const { BUILT_IN_RULES } = require('./lintRules');
+const { flattenSections, findSectionAtOffset } = require('../utils/sectionTree');
+const { LINT_SEVERITIES } = require('../config/lintRules');
+
+class LintRuleEngine {
+  /**
+   * @param {Array} rules - Rule definitions, see services/lintRules.js
+   */
+  constructor(rules = BUILT_IN_RULES) {
+    this.rules = new Map(rules.map(rule => [rule.id, rule]));
+    this.linter = new PrdLinter();
+    this.metricsParser = new MetricsParser();
+  }
+
+  /**
+   * The available rules, for clients building a rules config
+   */
+  describeRules() {
+    return [...this.rules.values()].map(rule => ({
+      id: rule.id,
+      description: rule.description,
+      defaultSeverity: rule.defaultSeverity,
+      fixable: rule.fixable,
+      defaultOptions: rule.defaultOptions || {}
+    }));
+  }
+
+  /**
+   * Check a rules map such as `{ 'no-todo': 'error', 'vague-term': ['warning', { ignore: ['simple'] }] }`
+   * @returns {string|null} What is wrong with it, or null when it is valid
+   */
+  validateRules(rules) {
+    for (const [id, entry] of Object.entries(rules || {})) {
+      const rule = this.rules.get(id);
+      if (!rule) {
+        return `Unknown rule: ${id}`;
+      }
+
+      const [severity, options, ...rest] = Array.isArray(entry) ? entry : [entry];
+      if (!LINT_SEVERITIES.includes(severity)) {
+        return `Rule ${id}: severity must be one of ${LINT_SEVERITIES.join(', ')}`;
+      }
+      if (rest.length > 0) {
+        return `Rule ${id}: expected [severity, options]`;
+      }
+      if (options === undefined) {
+        continue;
+      }
+      if (!rule.schema) {
+        return `Rule ${id} takes no options`;
+      }
+
+      const { error } = rule.schema.validate(options);
+      if (error) {
+        return `Rule ${id}: ${error.details[0].message}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge rules configs over the rules' defaults; later configs win, and options given
+   * for a rule are merged over its default options
+   * @param {...Object} configs - `{ rules, maxWarnings }`, e.g. the project's then the request's
+   * @returns {Object} `{ rules: { [id]: { severity, options } }, maxWarnings }`
+   */
+  resolveConfig(...configs) {
+    const rules = {};
+    this.rules.forEach(rule => {
+      rules[rule.id] = { severity: rule.defaultSeverity, options: { ...(rule.defaultOptions || {}) } };
+    });
+
+    let maxWarnings = null;
+    configs.filter(Boolean).forEach(config => {
+      Object.entries(config.rules || {}).forEach(([id, entry]) => {
+        if (!rules[id]) {
+          return;
+        }
+        const [severity, options] = Array.isArray(entry) ? entry : [entry];
+        rules[id] = {
+          severity,
+          options: options ? { ...rules[id].options, ...options } : rules[id].options
+        };
+      });
+      if (config.maxWarnings !== undefined) {
+        maxWarnings = config.maxWarnings;
+      }
+    });
+
+    return { rules, maxWarnings };
+  }
+
+  /**
+   * Run the enabled rules over a PRD
+   * @param {Object} prdData - Structured PRD data with a section tree or legacy `{ key: text }` map
+   * @param {Object} options - `content`: the full document text, needed for offsets and fixes;
+   *   `config`: a resolved config from resolveConfig; `fix`: also return the content with the fixes applied
+   * @returns {Object} `{ passed, errorCount, warningCount, infoCount, fixableCount, maxWarnings, byRule,
+   *   results, failedRules, config }`, plus `output` and `fixesApplied` when fixing. Passing means no
+   *   errors, no rule that failed to run, and no more warnings than `maxWarnings` when it is set.
+   */
+  run(prdData, { content = null, config = this.resolveConfig(), fix = false } = {}) {
+    const context = this.buildContext(prdData, content);
+    const results = [];
+    const failedRules = [];
+
+    Object.entries(config.rules).forEach(([id, { severity, options }]) => {
+      const rule = this.rules.get(id);
+      if (!rule || severity === 'off') {
+        return;
+      }
+
+      try {
+        rule.check(context, options).forEach(result => {
+          const entry = { ruleId: id, severity, ...result };
+          if (!isValidFix(entry.fix, context.content)) {
+            delete entry.fix;
+          }
+          results.push(entry);
+        });
+      } catch (error) {
+        failedRules.push({ ruleId: id, error: error.message });
+      }
+    });
+
+    // Document order; results with no position (e.g. a missing section) go last
+    results.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+
+    const count = severity => results.filter(result => result.severity === severity).length;
+    const byRule = {};
+    results.forEach(result => {
+      byRule[result.ruleId] = (byRule[result.ruleId] || 0) + 1;
+    });
+
+    const report = {
+      passed: false,
+      errorCount: count('error'),
+      warningCount: count('warning'),
+      infoCount: count('info'),
+      fixableCount: results.filter(result => result.fix).length,
+      maxWarnings: config.maxWarnings,
+      byRule,
+      results,
+      failedRules,
+      config: config.rules
+    };
+    report.passed = report.errorCount === 0 &&
+      failedRules.length === 0 &&
+      (config.maxWarnings === null || report.warningCount <= config.maxWarnings);
+
+    if (fix && context.content !== null) {
+      Object.assign(report, this.applyFixes(context.content, results));
+    }
+    return report;
+  }
+
+  /**
+   * Apply the results' fixes to the content. Fixes that overlap one already taken are skipped;
+   * running the rules again on the output picks them up.
+   * @returns {Object} `{ output, fixesApplied }`
+   */
+  applyFixes(content, results) {
+    const fixes = results
+      .map(result => result.fix)
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const accepted = [];
+    fixes.forEach(fix => {
+      const last = accepted[accepted.length - 1];
+      if (!last || fix.start >= last.end && !(fix.start === last.start && fix.end === last.end)) {
+        accepted.push(fix);
+      }
+    });
+
+    const output = accepted.reduceRight(
+      (text, fix) => text.slice(0, fix.start) + fix.text + text.slice(fix.end),
+      content
+    );
+    return { output, fixesApplied: accepted.length };
+  }
+
+  /**
+   * What a rule's check receives: the PRD, its content (or null), its sections as
+   * `{ sectionId, title, key, body, offset }` in document order, lazily parsed metrics,
+   * features and offline lint results, and helpers to place text in the document
+   */
+  buildContext(prdData, content) {
+    const hasContent = typeof content === 'string' && content.length > 0;
+    const tree = Array.isArray(prdData?.sections) ? flattenSections(prdData.sections) : null;
+    const sections = this.linter.buildSections(prdData, content).map((section, i) => ({
+      ...section,
+      key: tree ? tree[i]?.key || null : (prdData?.sections && !Array.isArray(prdData.sections) ? section.sectionId : null)
+    }));
+    const cache = {};
+    const once = (key, compute) => {
+      if (!(key in cache)) {
+        cache[key] = compute();
+      }
+      return cache[key];
+    };
+    const sectionRef = section => ({ sectionId: section?.id || null, sectionTitle: section?.title || null });
+
+    return {
+      prdData,
+      content: hasContent ? content : null,
+      sections,
+      lint: () => once('lint', () => this.linter.lint(prdData, { content })),
+      metrics: () => once('metrics', () => (Array.isArray(prdData?.metrics) ? prdData.metrics : [])
+        .map(metric => (typeof metric === 'string' ? this.metricsParser.parseStatement(metric) : metric))),
+      features: () => once('features', () => (Array.isArray(prdData?.features) ? prdData.features : [])
+        .map(feature => (typeof feature === 'string' ? { name: feature, priority: null } : feature))
+        .filter(feature => feature?.name)),
+      locate: text => {
+        const start = hasContent && text ? content.indexOf(text) : -1;
+        return start === -1 ? null : { start, end: start + text.length };
+      },
+      lineAt: offset => {
+        const start = content.lastIndexOf('\n', offset - 1) + 1;
+        const end = content.indexOf('\n', offset);
+        return content.slice(start, end === -1 ? content.length : end);
+      },
+      sectionAt: offset => sectionRef(findSectionAtOffset(tree || [], offset)),
+      sectionById: id => sectionRef(tree?.find(node => node.id === id)),
+      sectionByTable: tableId => {
+        const table = (prdData?.tables || []).find(candidate => candidate.id === tableId);
+        return { sectionId: table?.sectionId || null, sectionTitle: table?.sectionTitle || null };
+      }
+    };
+  }
+}
+
+/**
+ * A fix is usable when it replaces a range that lies within the content
+ */
+function isValidFix(fix, content) {
+  return Boolean(fix) && content !== null &&
+    Number.isInteger(fix.start) && Number.isInteger(fix.end) &&
+    fix.start >= 0 && fix.start <= fix.end && fix.end <= content.length &&
+    typeof fix.text === 'string';
+}
+
+module.exports = LintRuleEngine;
@@ -0,0 +1,318 @@
+const Joi = require('joi');
+const RequirementsExtractor = require('./requirementsExtractor');
+const { flattenSections } = require('../utils/sectionTree');
+const { VAGUE_TERMS } = require('../config/prdLint');
+const { TODO_MARKERS, OPEN_QUESTION_LABEL, NON_GOALS_TITLES } = require('../config/lintRules');
+const { ADDITIONAL_SECTIONS } = require('../config/sectionTaxonomy');
+
+const requirementsExtractor = new RequirementsExtractor();
+
+// "Priority: High" or "high priority", for priority scales other than MoSCoW and P0-P3
+const PRIORITY_LABEL = /\bpriority\s*[:=-]\s*([A-Za-z0-9]+)|\b(critical|high|medium|low)[\s-]+priority\b/i;
+
+// Section titles the non-goals fix inserts after
+const GOALS_TITLE = /^(?:goals?|objectives?)\b/i;
+
+const TARGET_HINT = 'State the value to reach, e.g. "from 2.1% to 3.5% by Q3 2025"';
+
+const VAGUE_CATEGORIES = [...new Set(VAGUE_TERMS.map(entry => entry.category))];
+
+/**
+ * Built-in lint rules. Each rule has:
+ *   id              - stable identifier used in rules configs and results
+ *   description     - what the rule requires
+ *   defaultSeverity - 'off', 'info', 'warning' or 'error'
+ *   fixable         - whether its results can carry a fix
+ *   schema          - Joi schema for its options
+ *   defaultOptions  - options used when the config gives none
+ *   check(context, options) - returns `[{ message, hint, sectionId, sectionTitle, text, start, end, fix }]`;
+ *     a fix is `{ start, end, text }`, replacing that range of the content
+ * See LintRuleEngine for the context a rule receives.
+ */
+const BUILT_IN_RULES = [
+  {
+    id: 'metric-has-target',
+    description: 'Every success metric states a target value',
+    defaultSeverity: 'error',
+    fixable: false,
+    schema: Joi.object({
+      requireBaseline: Joi.boolean(),
+      requireDeadline: Joi.boolean()
+    }),
+    defaultOptions: { requireBaseline: false, requireDeadline: false },
+    check(context, options) {
+      const results = context.metrics().flatMap(metric => {
+        const missing = [];
+        if (!metric.target) missing.push('target');
+        if (options.requireBaseline && !metric.smart?.hasBaseline) missing.push('baseline');
+        if (options.requireDeadline && !metric.smart?.timeBound) missing.push('deadline');
+
+        if (missing.length === 0) {
+          return [];
+        }
+
+        return [{
+          message: `Metric "${metric.name || metric.sentence}" has no ${missing.join(' or ')}`,
+          hint: TARGET_HINT,
+          ...context.sectionById(metric.sectionId),
+          text: metric.sentence,
+          ...(typeof metric.start === 'number' ? { start: metric.start, end: metric.end } : {})
+        }];
+      });
+
+      // Documents parsed before the metrics parser kept every statement in the success metrics
+      // section have no metrics for items without a value, so list items no metric covers are
+      // metrics with no target
+      const metrics = context.metrics();
+      context.sections
+        .filter(section => section.key === 'successMetrics')
+        .forEach(section => {
+          for (const item of section.body.matchAll(/^[ \t]*(?:[-*+•]|\d+[.)])[ \t]+(.+)$/gm)) {
+            const text = item[1].trim();
+            const start = section.offset !== null ? section.offset + item.index + item[0].indexOf(item[1]) : null;
+            const covered = metrics.some(metric => metric.sentence === text.replace(/\*\*|__/g, '') ||
+              (start !== null && metric.start <= start && start < metric.end));
+            if (covered) {
+              continue;
+            }
+            const result = {
+              message: `Metric "${text}" has no target`,
+              hint: TARGET_HINT,
+              sectionId: section.sectionId,
+              sectionTitle: section.title,
+              text
+            };
+            if (start !== null) {
+              result.start = start;
+              result.end = start + text.length;
+            }
+            results.push(result);
+          }
+        });
+
+      return results;
+    }
+  },
+  {
+    id: 'feature-has-priority',
+    description: 'Every feature has a priority',
+    defaultSeverity: 'warning',
+    fixable: false,
+    schema: Joi.object({
+      priorities: Joi.array().items(Joi.string().min(1).max(64)).unique()
+    }),
+    defaultOptions: { priorities: [] },
+    check(context, options) {
+      const allowed = options.priorities.map(priority => priority.toLowerCase());
+
+      return context.features().flatMap(feature => {
+        const location = context.locate(feature.name);
+        const priority = feature.priority || (location ? priorityOf(context.lineAt(location.start)) : priorityOf(feature.name));
+        const place = location
+          ? { ...context.sectionAt(location.start), text: feature.name, ...location }
+          : { ...context.sectionByTable(feature.tableId), text: feature.name };
+
+        if (!priority) {
+          return [{
+            message: `Feature "${feature.name}" has no priority`,
+            hint: 'Give it a MoSCoW or P0-P3 priority',
+            ...place
+          }];
+        }
+
+        if (allowed.length > 0 && !allowed.includes(String(priority).toLowerCase())) {
+          return [{
+            message: `Feature "${feature.name}" has priority "${priority}", which is not one of ${options.priorities.join(', ')}`,
+            hint: `Use one of ${options.priorities.join(', ')}`,
+            ...place
+          }];
+        }
+
+        return [];
+      });
+    }
+  },
+  {
+    id: 'non-goals-section',
+    description: 'The document has a non-goals section',
+    defaultSeverity: 'warning',
+    fixable: true,
+    schema: Joi.object({
+      titles: Joi.array().items(Joi.string().min(1).max(255)).min(1)
+    }),
+    defaultOptions: { titles: NON_GOALS_TITLES },
+    check(context, options) {
+      const titles = options.titles.map(title => title.trim().toLowerCase());
+      const present = context.sections.some(section =>
+        section.key === 'nonGoals' || titles.includes(section.title.trim().toLowerCase())
+      );
+
+      if (present) {
+        return [];
+      }
+
+      const result = {
+        message: 'No non-goals section',
+        hint: 'Say what is explicitly out of scope for this work, and why',
+        sectionId: null,
+        sectionTitle: null
+      };
+      if (context.content !== null) {
+        result.fix = nonGoalsInsertion(context);
+      }
+      return [result];
+    }
+  },
+  {
+    id: 'no-todo',
+    description: 'No TODO or FIXME markers left in the text',
+    defaultSeverity: 'error',
+    fixable: true,
+    schema: Joi.object({
+      markers: Joi.array().items(Joi.string().pattern(/^\w+$/).max(32)).min(1)
+    }),
+    defaultOptions: { markers: TODO_MARKERS },
+    check(context, options) {
+      const pattern = new RegExp(`\\b(?:${options.markers.join('|')})\\b(?:\\s*[:\\-–]\\s*|[ \\t]+)?`, 'g');
+      const results = [];
+
+      context.sections.forEach(section => {
+        for (const match of section.body.matchAll(pattern)) {
+          const marker = match[0].trim().replace(/[:\-–]$/, '').trim();
+          const result = {
+            message: `${marker} marker left in the text`,
+            hint: 'Resolve it, or record it as an open question with an owner and a date',
+            sectionId: section.sectionId,
+            sectionTitle: section.title,
+            text: marker
+          };
+
+          if (section.offset !== null) {
+            const start = section.offset + match.index;
+            const restOfLine = section.body.slice(match.index + match[0].length).split('\n')[0];
+            result.start = start;
+            result.end = start + marker.length;
+            result.fix = {
+              start,
+              end: start + match[0].length,
+              text: restOfLine.trim() ? `${OPEN_QUESTION_LABEL} ` : OPEN_QUESTION_LABEL
+            };
+          }
+          results.push(result);
+        }
+      });
+
+      return results;
+    }
+  },
+
+  // Checks of the offline linter (services/prdLinter.js), configurable like any other rule
+  {
+    id: 'vague-term',
+    description: 'No vague or unmeasurable wording',
+    defaultSeverity: 'warning',
+    fixable: false,
+    schema: Joi.object({
+      ignore: Joi.array().items(Joi.string().min(1).max(64)),
+      categories: Joi.array().items(Joi.string().valid(...VAGUE_CATEGORIES)).min(1)
+    }),
+    defaultOptions: { ignore: [], categories: VAGUE_CATEGORIES },
+    check(context, options) {
+      const ignored = options.ignore.map(term => term.toLowerCase());
+      return linterResults(context, 'vague-term').filter(result => {
+        const term = result.text.toLowerCase();
+        const entry = VAGUE_TERMS.find(candidate => candidate.term.toLowerCase() === term);
+        return !ignored.includes(term) && (!entry || options.categories.includes(entry.category));
+      });
+    }
+  },
+  {
+    id: 'passive-voice',
+    description: 'Requirements say who or what acts',
+    defaultSeverity: 'warning',
+    fixable: false,
+    check: context => linterResults(context, 'passive-voice')
+  },
+  {
+    id: 'undefined-acronym',
+    description: 'Acronyms are defined on first use',
+    defaultSeverity: 'warning',
+    fixable: false,
+    schema: Joi.object({
+      allow: Joi.array().items(Joi.string().min(1).max(16))
+    }),
+    defaultOptions: { allow: [] },
+    check(context, options) {
+      return linterResults(context, 'undefined-acronym')
+        .filter(result => !options.allow.includes(result.text) && !options.allow.includes(result.text.replace(/s$/, '')));
+    }
+  },
+  {
+    id: 'mixed-modality',
+    description: 'A section does not mix shall, should and may',
+    defaultSeverity: 'warning',
+    fixable: false,
+    check: context => linterResults(context, 'mixed-modality')
+  },
+  {
+    id: 'readability',
+    description: 'Sections are not too hard to read',
+    defaultSeverity: 'info',
+    fixable: false,
+    check: context => linterResults(context, 'readability')
+  }
+];
+
+/**
+ * The offline linter's issues for one of its checks, as rule results
+ */
+function linterResults(context, rule) {
+  return context.lint().issues
+    .filter(issue => issue.rule === rule)
+    .map(({ rule: _rule, severity: _severity, ...result }) => result);
+}
+
+/**
+ * A MoSCoW, P0-P3 or "Priority: High" marker in a piece of text
+ */
+function priorityOf(text) {
+  const classified = requirementsExtractor.classifyPriority(text);
+  if (classified) {
+    return classified.value;
+  }
+  const label = (text || '').match(PRIORITY_LABEL);
+  return label ? label[1] || label[2] : null;
+}
+
+/**
+ * A fix adding an empty non-goals section after the goals section, or at the end of the document
+ */
+function nonGoalsInsertion(context) {
+  const tree = flattenSections(context.prdData?.sections);
+  const goals = tree.find(node => GOALS_TITLE.test((node.title || '').trim()));
+  const level = goals?.level || mostCommonLevel(tree);
+  const title = ADDITIONAL_SECTIONS.find(section => section.key === 'nonGoals')?.displayName || 'Non-goals';
+  const heading = /^#{1,6}\s/m.test(context.content) ? `${'#'.repeat(level)} ${title}` : title;
+  const at = typeof goals?.end === 'number' ? goals.end : context.content.length;
+  const before = context.content.slice(0, at);
+  const lead = before.length === 0 || before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+
+  return { start: at, end: at, text: `${lead}${heading}\n\n- \n${at < context.content.length ? '\n' : ''}` };
+}
+
+/**
+ * The heading level most sections use, so an inserted section sits alongside them; on a tie
+ * the deeper level, since a lone document title is the shallowest
+ */
+function mostCommonLevel(tree) {
+  const counts = {};
+  tree.forEach(node => {
+    counts[node.level] = (counts[node.level] || 0) + 1;
+  });
+  const levels = Object.keys(counts).map(Number);
+  return levels.length > 0 ? levels.reduce((a, b) => (counts[b] > counts[a] || (counts[b] === counts[a] && b > a) ? b : a)) : 2;
+}
+
+module.exports = {
+  BUILT_IN_RULES
+};
@@ -0,0 +1,85 @@
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { AI_PROVIDERS } = require('../config/aiProviders');
+
+/**
+ * OpenAI, and any OpenAI-compatible server (Ollama, llama.cpp) via `baseURL`
+ */
+class OpenAIChatProvider {
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL
+    });
+  }
+
+  async complete({ model, prompt, temperature, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxTokens
+    }, {
+      timeout: this.config.timeoutMs,
+      maxRetries: this.config.maxRetries
+    });
+
+    return response.choices[0].message.content;
+  }
+}
+
+class AnthropicProvider {
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.client = new Anthropic({
+      apiKey: config.apiKey
+    });
+  }
+
+  async complete({ model, prompt, temperature, maxTokens }) {
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }]
+    }, {
+      timeout: this.config.timeoutMs,
+      maxRetries: this.config.maxRetries
+    });
+
+    return response.content[0].text;
+  }
+}
+
+const PROVIDER_CLASSES = {
+  openai: OpenAIChatProvider,
+  'openai-compatible': OpenAIChatProvider,
+  anthropic: AnthropicProvider
+};
+
+const providers = {};
+
+/**
+ * Get the client for a configured provider (created on first use, so providers
+ * that are never routed to need no API key)
+ */
+function getProvider(name) {
+  if (!providers[name]) {
+    const config = AI_PROVIDERS[name];
+    if (!config) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+    const Provider = PROVIDER_CLASSES[config.type];
+    providers[name] = new Provider(name, config);
+  }
+  return providers[name];
+}
+
+module.exports = {
+  OpenAIChatProvider,
+  AnthropicProvider,
+  getProvider
+};
@@ -0,0 +1,104 @@
+const {
+  AI_PROVIDERS,
+  DEFAULT_STEP_ROUTES,
+  parseRoute,
+  stepEnvName
+} = require('../config/aiProviders');
+const { getProvider } = require('./llmProviders');
+const logger = require('../utils/logger');
+
+class LLMRouter {
+  /**
+   * @param {Object} options - `policy`: a project's AI policy, `{ selfHostedOnly, allowedProviders, steps }`
+   *   where `steps` maps an analysis step to its own route
+   */
+  constructor({ policy = {} } = {}) {
+    this.policy = policy || {};
+    this.calls = [];
+  }
+
+  // Whether the project's policy lets content go to a provider
+  isAllowed(providerName) {
+    const config = AI_PROVIDERS[providerName];
+    if (this.policy.selfHostedOnly && !config.selfHosted) {
+      return false;
+    }
+    if (Array.isArray(this.policy.allowedProviders) && !this.policy.allowedProviders.includes(providerName)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Providers and models to try for a step, in order: the project's route, then
+   * AI_STEP_<STEP>, then the default, keeping only providers the policy allows
+   * @returns {Array<Object>} `[{ provider, model }]`
+   */
+  routeFor(step) {
+    if (!DEFAULT_STEP_ROUTES[step]) {
+      throw new Error(`Unknown analysis step: ${step}`);
+    }
+
+    const configured = this.policy.steps?.[step] || process.env[stepEnvName(step)] || DEFAULT_STEP_ROUTES[step];
+    const route = parseRoute(configured).filter(entry => this.isAllowed(entry.provider));
+
+    if (route.length > 0) {
+      return route;
+    }
+
+    // Nothing configured is allowed (e.g. a self-hosted-only project): use the first permitted provider
+    const permitted = Object.keys(AI_PROVIDERS).find(name => this.isAllowed(name));
+    if (!permitted) {
+      throw new Error(`No AI provider is allowed for ${step}`);
+    }
+    return [{ provider: permitted, model: AI_PROVIDERS[permitted].defaultModel }];
+  }
+
+  /**
+   * Context window, in tokens, that a step's prompt and response must fit on every provider
+   * it may fall back to
+   */
+  contextTokens(step) {
+    return Math.min(...this.routeFor(step).map(({ provider }) => AI_PROVIDERS[provider].contextTokens));
+  }
+
+  /**
+   * Run a prompt for a step, falling back along its route when a provider fails or times out
+   * @param {string} step - Analysis step, e.g. 'completeness'
+   * @param {Object} request - `prompt`, `temperature`, `maxTokens`
+   * @returns {Promise<Object>} `{ text, provider, model }`
+   */
+  async complete(step, { prompt, temperature = 0.3, maxTokens = 2000 }) {
+    const route = this.routeFor(step);
+    const failures = [];
+
+    for (const { provider, model } of route) {
+      try {
+        const text = await getProvider(provider).complete({ model, prompt, temperature, maxTokens });
+        this.calls.push({ step, provider, model, failures });
+        return { text, provider, model };
+      } catch (error) {
+        logger.warn(`${step} analysis failed on ${provider}:${model}: ${error.message}`);
+        failures.push({ provider, model, error: error.message });
+      }
+    }
+
+    this.calls.push({ step, provider: null, model: null, failures });
+    throw new Error(`All providers failed for ${step}: ${failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ')}`);
+  }
+
+  /**
+   * Which provider served each step of this run, and any failures before it
+   */
+  usage() {
+    return this.calls.map(call => ({
+      step: call.step,
+      provider: call.provider,
+      model: call.model,
+      fallbackUsed: call.failures.length > 0,
+      failures: call.failures.length > 0 ? call.failures : undefined
+    }));
+  }
+}
+
+module.exports = LLMRouter;
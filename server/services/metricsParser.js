@@ -0,0 +1,400 @@
+const { findDates, findDurations } = require('../utils/dates');
+const { readTableRows } = require('../utils/tables');
+const { findSection, findSectionAtOffset, flattenSections } = require('../utils/sectionTree');
+
+// Table header cells that identify metric tables
+const METRIC_TABLE_COLUMNS = {
+  name: /metric|kpi|measure|indicator/i,
+  baseline: /baseline|current|today/i,
+  target: /target|goal/i,
+  unit: /^unit/i,
+  timeframe: /deadline|timeframe|time\s*frame|by\s+when|due|date/i
+};
+
+// A number with an optional currency prefix and unit suffix
+const MEASURE_PATTERN = /([$€£])?\s?(?<![a-z\d.])(\d[\d,]*(?:\.\d+)?)\s?(%|percent(?:age)?(?:\s+points?)?|pp\b|bps\b|ms\b|milliseconds?|s\b|secs?\b|seconds?|mins?\b|minutes?|h\b|hrs?\b|hours?|days?|weeks?|months?|k\b|m\b|million|bn\b|billion|x\b|points?|pts\b|stars?|[a-z][a-z-]*(?:\s*(?:\/|per)\s*[a-z]+)?)?/i;
+
+// Clauses that introduce a baseline, a target, or a relative change ("by 15%")
+const MEASURE_SOURCE = MEASURE_PATTERN.source;
+const BASELINE_VALUE = new RegExp(`\\b(?:baseline|currently|current(?:ly)?|today|as\\s+of\\s+now)\\b(?:\\s*(?:is|at|of|was|stands\\s+at|[:=-]))*\\s*(${MEASURE_SOURCE})`, 'i');
+const TRAILING_BASELINE_VALUE = new RegExp(`(${MEASURE_SOURCE})\\s*\\(?(?:today|currently|now|baseline|at\\s+present)\\b`, 'i');
+const TARGET_VALUE = new RegExp(`(?:\\bto|\\btarget(?:\\s+of)?|\\bgoal(?:\\s+of)?|\\breach(?:ing)?|\\bachieve|\\bat\\s+least|\\bat\\s+most|\\bbelow|\\bunder|\\babove|\\bover|\\bless\\s+than|\\bmore\\s+than|[<>≤≥=])\\s*(${MEASURE_SOURCE})`, 'i');
+const RELATIVE_TARGET = new RegExp(`\\bby\\s+(${MEASURE_SOURCE})`, 'i');
+
+// Normalised spellings for common units
+const UNIT_ALIASES = {
+  percent: '%', percentage: '%', 'percentage point': 'pp', 'percentage points': 'pp', 'percent points': 'pp',
+  milliseconds: 'ms', millisecond: 'ms',
+  s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+  min: 'min', mins: 'min', minute: 'min', minutes: 'min',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  point: 'points', pts: 'points', star: 'stars',
+  million: 'M', m: 'M', bn: 'B', billion: 'B', k: 'K'
+};
+
+// Words after a number that are not units ("3 of", "5 and")
+const NON_UNIT_WORDS = /^(?:of|and|or|to|by|from|in|on|at|for|with|the|a|an|per|is|are|was|be|within|before|after|than|across|each|every|this|that|our|we)$/i;
+
+// Metric names that are scores in their own right, so a bare number is measurable
+const SCORE_NAMES = /\b(?:nps|csat|ces|score|rating|index|count|number\s+of|rank|rate|per)\b/i;
+
+// A plural noun ending a metric name says what a bare number counts ("weekly active users");
+// words ending in -ss, -is or -us are not plurals
+const COUNTED_NOUN = /\b([a-z]{2,}[a-hj-rtv-z]s)$/i;
+
+const DIRECTION_VERBS = {
+  increase: /\b(?:increas\w*|grow\w*|rais\w*|improv\w*|boost\w*|lift\w*|expand\w*|doubl\w*|tripl\w*|maximi[sz]\w*)\b/i,
+  decrease: /\b(?:reduc\w*|decreas\w*|cut\w*|lower\w*|drop\w*|declin\w*|shrink\w*|minimi[sz]\w*|eliminat\w*|halv\w*)\b/i,
+  maintain: /\b(?:maintain\w*|keep\w*|sustain\w*|stay\w*|remain\w*)\b/i
+};
+
+// Words that make a sentence with a number read as a metric outside a metrics section
+const METRIC_CUES = /\b(?:target|goal|objective|kpi|metric|baseline|measured|from\s+\S+\s+to)\b/i;
+
+const TIMEFRAME_PREPOSITION = /\b(?:by|before|until|no\s+later\s+than|in|during|within|end\s+of|over(?:\s+the\s+next)?|after)\s*$/i;
+
+const SMART_ISSUES = {
+  no_baseline: 'has no baseline',
+  no_deadline: 'has no deadline or timeframe',
+  no_unit: 'has no measurable target value or unit'
+};
+
+class MetricsParser {
+  /**
+   * Parse success metrics from metric tables and metric sentences
+   * @param {string} content - Document text
+   * @param {Object} options - `tables` and `sections` from DocumentParser
+   * @returns {Array} Metric objects with a SMART check attached
+   */
+  parse(content, { tables = [], sections = [], referenceDate = new Date() } = {}) {
+    const tableMetrics = readTableRows(tables, METRIC_TABLE_COLUMNS)
+      .map(record => this.parseTableRow(record, referenceDate));
+
+    // Prose metrics come from the success metrics section when the document has one
+    const metricsSection = findSection(sections, 'successMetrics');
+    const range = metricsSection
+      ? { start: metricsSection.bodyStart, end: metricsSection.end, inSection: true }
+      : { start: 0, end: content.length, inSection: false };
+
+    // Tables and the headings of subsections are not statements
+    const skippedRanges = [
+      ...(tables || []).map(table => [table.start, table.end]),
+      ...(metricsSection ? flattenSections(metricsSection.children).map(node => [node.start, node.bodyStart]) : [])
+    ];
+    const textMetrics = this.splitSentences(content, range.start, range.end)
+      .filter(sentence => !skippedRanges.some(([start, end]) => sentence.start >= start && sentence.start < end))
+      .filter(sentence => this.isMetricSentence(sentence.text, range.inSection))
+      .map(sentence => ({
+        ...this.parseStatement(sentence.text, { referenceDate }),
+        sectionId: findSectionAtOffset(sections, sentence.start)?.id || null,
+        start: sentence.start,
+        end: sentence.end
+      }))
+      .filter(metric => metric.name);
+
+    // Skip sentences that restate a metric already read from a table
+    const tableNames = new Set(tableMetrics.map(metric => metric.name.toLowerCase()));
+    return [
+      ...tableMetrics,
+      ...textMetrics.filter(metric => !tableNames.has(metric.name.toLowerCase()))
+    ];
+  }
+
+  /**
+   * Parse a row read from a metric table
+   */
+  parseTableRow(record, referenceDate) {
+    const baseline = this.parseMeasure(record.baseline);
+    const target = this.parseMeasure(record.target, { relative: /^[+-]|\bby\b/.test(record.target || '') });
+    const unit = record.unit || target?.unit || baseline?.unit || null;
+    const dates = record.timeframe ? findDates(record.timeframe, { referenceDate }) : [];
+    const durations = record.timeframe ? findDurations(record.timeframe) : [];
+
+    return this.withSmartCheck({
+      name: record.name,
+      baseline,
+      target,
+      unit,
+      direction: this.detectDirection(`${record.name} ${record.target || ''}`, baseline, target),
+      timeframe: record.timeframe,
+      deadline: dates[0]?.date || null,
+      hasDuration: durations.length > 0,
+      sentence: record.row.join(' | '),
+      source: 'table',
+      tableId: record.tableId,
+      sectionId: record.sectionId
+    });
+  }
+
+  /**
+   * Parse a single metric sentence, e.g. "Increase checkout conversion from 2.1% to 3.5% by Q3 2025"
+   * Also accepts the bare strings older clients send as metrics
+   */
+  parseStatement(sentence, { referenceDate = new Date() } = {}) {
+    const text = sentence.replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '').replace(/\*\*|__/g, '').trim();
+
+    // Take the timeframe out first so its digits are not read as values
+    const dates = findDates(text, { referenceDate });
+    const durations = findDurations(text);
+    let working = text;
+    let timeframe = null;
+
+    [...dates, ...durations]
+      .sort((a, b) => a.index - b.index)
+      .forEach((expression, i) => {
+        const before = working.slice(0, expression.index);
+        const preposition = before.match(TIMEFRAME_PREPOSITION);
+        const from = preposition ? expression.index - preposition[0].length : expression.index;
+        if (i === 0) {
+          timeframe = text.slice(from, expression.index + expression.raw.length).trim();
+        }
+        working = working.slice(0, from) + ' '.repeat(expression.index + expression.raw.length - from) +
+          working.slice(expression.index + expression.raw.length);
+      });
+
+    const measure = (pattern) => {
+      const match = working.match(pattern);
+      return match ? this.parseMeasure(match[1], { relative: pattern === RELATIVE_TARGET }) : null;
+    };
+
+    let baseline = null;
+    let target = null;
+    const fromTo = working.match(new RegExp(`\\bfrom\\s+(${MEASURE_SOURCE})\\s+(?:to|→|->)\\s+(${MEASURE_SOURCE})`, 'i'));
+    if (fromTo) {
+      baseline = this.parseMeasure(fromTo[1]);
+      target = this.parseMeasure(fromTo[2]);
+    }
+    baseline = baseline || measure(BASELINE_VALUE) || measure(TRAILING_BASELINE_VALUE);
+    target = target || measure(TARGET_VALUE) || measure(RELATIVE_TARGET);
+
+    // Otherwise the first number that is not the baseline is the target
+    if (!target) {
+      const values = [...working.matchAll(new RegExp(MEASURE_SOURCE, 'gi'))]
+        .map(match => this.parseMeasure(match[0]))
+        .filter(value => value && (!baseline || value.raw !== baseline.raw));
+      target = values[0] || null;
+    }
+
+    // "10,000 users by launch" names the metric by its unit
+    const name = this.extractName(working) || (target?.unit && /^[a-z]{3,}/i.test(target.unit) ? target.unit : '');
+
+    return this.withSmartCheck({
+      name,
+      baseline,
+      target,
+      unit: target?.unit || baseline?.unit || null,
+      direction: this.detectDirection(text, baseline, target),
+      timeframe,
+      deadline: dates[0]?.date || null,
+      hasDuration: durations.length > 0,
+      sentence: text,
+      source: 'text'
+    });
+  }
+
+  /**
+   * Parse a number with its unit, e.g. "3.5%", "$1.2M", "250 ms", "+15%"
+   * @returns {Object|null} `{ value, unit, raw, relative }`
+   */
+  parseMeasure(text, { relative = false } = {}) {
+    if (!text) {
+      return null;
+    }
+
+    const match = String(text).match(MEASURE_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    let unit = null;
+    if (match[3] && !NON_UNIT_WORDS.test(match[3])) {
+      const word = match[3].toLowerCase().replace(/\s+/g, ' ');
+      unit = UNIT_ALIASES[word] || word;
+    }
+    if (match[1]) {
+      // Currency with a magnitude suffix, e.g. "$1.2M"
+      unit = unit && ['K', 'M', 'B'].includes(unit) ? `${match[1]}${unit}` : match[1];
+    }
+
+    return {
+      value: Number(match[2].replace(/,/g, '')),
+      unit,
+      raw: unit ? match[0].trim() : `${match[1] || ''}${match[2]}`,
+      relative
+    };
+  }
+
+  /**
+   * Work out whether a metric should go up, down or stay put
+   */
+  detectDirection(text, baseline, target) {
+    if (baseline && target && !target.relative && baseline.unit === target.unit && baseline.value !== target.value) {
+      return target.value > baseline.value ? 'increase' : 'decrease';
+    }
+    if (DIRECTION_VERBS.maintain.test(text)) {
+      return 'maintain';
+    }
+    if (/\b(?:below|under|less\s+than|at\s+most|no\s+more\s+than)\b|[<≤]/i.test(text)) {
+      return 'decrease';
+    }
+    if (/\b(?:above|over|more\s+than|at\s+least|no\s+less\s+than)\b|[>≥]/i.test(text)) {
+      return 'increase';
+    }
+
+    // "Improve load time" means making it smaller
+    const decreaseFirst = /\b(?:latency|load\s+time|response\s+time|churn|errors?|defects?|cost|tickets?|bounce|abandonment|time\s+to)\b/i.test(text);
+    for (const direction of ['decrease', 'increase']) {
+      if (DIRECTION_VERBS[direction].test(text)) {
+        return direction === 'increase' && decreaseFirst && /\bimprov/i.test(text) ? 'decrease' : direction;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pull the metric name out of a sentence whose values and timeframe have been blanked
+   */
+  extractName(text) {
+    // "Checkout conversion: 3.5% by Q3"
+    const labelled = text.match(/^([^:]{2,60}):\s*\S/);
+    if (labelled && labelled[1].trim().split(/\s+/).length <= 8) {
+      return this.cleanName(labelled[1]);
+    }
+
+    const verb = Object.values(DIRECTION_VERBS)
+      .map(pattern => text.match(pattern))
+      .filter(Boolean)
+      .sort((a, b) => a.index - b.index)[0];
+
+    let name;
+    if (verb && verb.index <= 1) {
+      // "Increase checkout conversion from …"
+      name = text.slice(verb.index + verb[0].length);
+    } else if (verb) {
+      // "Checkout conversion increases from …"
+      name = text.slice(0, verb.index).replace(/\b(?:will|should|must|to|is|are)\s*$/i, '');
+    } else {
+      name = text;
+    }
+
+    name = name.split(/\s(?:from|by|to|of\s+at\s+least|at|below|under|above|over|within|before|for|than|reaching|with\s+a\s+target)\s|(?<![a-z\d])\d|[$€£<>≤≥=(]/i)[0];
+    return this.cleanName(name);
+  }
+
+  cleanName(name) {
+    const cleaned = name
+      .replace(/^\s*(?:the|our|a|an|target|goal|kpi)\s+/i, '')
+      .replace(/\s+(?:the|a|an|is|are|of|at|to)\s*$/i, '')
+      .replace(/[\s,;:.\-–—]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return cleaned.split(/\s+/).length <= 10 ? cleaned : cleaned.split(/\s+/).slice(0, 10).join(' ');
+  }
+
+  /**
+   * Attach the deterministic SMART check to a parsed metric. A target without a unit counts
+   * the noun the metric is named after, when there is one.
+   */
+  withSmartCheck({ hasDuration, ...metric }) {
+    const issues = [];
+    const unit = metric.unit || (metric.target && (metric.name || '').trim().match(COUNTED_NOUN)?.[1].toLowerCase()) || null;
+    // A relative target ("by 30%") still needs a stated baseline to be checked against
+    const hasBaseline = Boolean(metric.baseline);
+    const timeBound = Boolean(metric.deadline) || Boolean(hasDuration);
+    const measurable = Boolean(metric.target) && (Boolean(unit) || SCORE_NAMES.test(metric.name || ''));
+
+    if (!hasBaseline) issues.push('no_baseline');
+    if (!timeBound) issues.push('no_deadline');
+    if (!measurable) issues.push('no_unit');
+
+    return {
+      ...metric,
+      unit,
+      smart: {
+        hasBaseline,
+        timeBound,
+        measurable,
+        passed: issues.length === 0,
+        issues
+      }
+    };
+  }
+
+  /**
+   * Summarise metric quality for scoring
+   * @param {Array} metrics - Parsed metrics, or plain metric strings from older clients
+   * @returns {Object} `{ total, smartCount, score, issues, recommendations }`; score is 0-100
+   */
+  evaluate(metrics) {
+    const parsed = (Array.isArray(metrics) ? metrics : [])
+      .map(metric => (typeof metric === 'string' ? this.parseStatement(metric) : metric))
+      .filter(metric => metric && metric.smart);
+
+    const issues = Object.fromEntries(Object.keys(SMART_ISSUES).map(code => [code, 0]));
+    parsed.forEach(metric => metric.smart.issues.forEach(code => {
+      issues[code] = (issues[code] || 0) + 1;
+    }));
+
+    // Each metric earns a third of its share for each SMART check it passes
+    const checksPassed = parsed.reduce((sum, metric) => sum + (3 - metric.smart.issues.length), 0);
+    const score = parsed.length > 0 ? Math.round((checksPassed / (parsed.length * 3)) * 100) : 0;
+
+    const recommendations = Object.entries(issues)
+      .filter(([, count]) => count > 0)
+      .map(([code, count]) => `${count} success metric${count === 1 ? '' : 's'} ${count === 1 ? SMART_ISSUES[code] : SMART_ISSUES[code].replace(/^has/, 'have')}`);
+
+    return {
+      total: parsed.length,
+      smartCount: parsed.filter(metric => metric.smart.passed).length,
+      score,
+      issues,
+      recommendations
+    };
+  }
+
+  /**
+   * Whether a sentence states a metric. Every statement in the success metrics section is one,
+   * with or without a value ("Improve NPS"), so that the SMART check can report what it lacks;
+   * only lead-ins such as "We will track:" are skipped. Elsewhere a sentence needs a number
+   * that is not part of a date, and a metric cue.
+   */
+  isMetricSentence(text, inMetricsSection) {
+    if (inMetricsSection) {
+      return !/:\s*$/.test(text);
+    }
+
+    const withoutDates = findDates(text).reduce((result, date) => result.replace(date.raw, ''), text);
+    if (!/\d/.test(withoutDates)) {
+      return false;
+    }
+    return METRIC_CUES.test(text) || Object.values(DIRECTION_VERBS).some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Split part of the content into sentences and list items with offsets
+   */
+  splitSentences(content, start, end) {
+    const sentences = [];
+    let offset = start;
+
+    content.slice(start, end).split('\n').forEach(line => {
+      const lineStart = offset;
+      offset += line.length + 1;
+
+      let position = 0;
+      line.split(/(?<=[.!?])\s+(?=[A-Z])/).forEach(part => {
+        const index = line.indexOf(part, position);
+        position = index + part.length;
+        if (part.trim()) {
+          sentences.push({ text: part.trim(), start: lineStart + index, end: lineStart + index + part.length });
+        }
+      });
+    });
+
+    return sentences;
+  }
+}
+
+module.exports = MetricsParser;
@@ -0,0 +1,383 @@
+const { flattenSections } = require('../utils/sectionTree');
+const {
+  VAGUE_TERMS,
+  COMMON_ACRONYMS,
+  MODALITY_TERMS,
+  READABILITY_LIMITS,
+  MIN_READABILITY_WORDS
+} = require('../config/prdLint');
+
+// Past participles that do not end in -ed
+const IRREGULAR_PARTICIPLES = [
+  'built', 'bought', 'brought', 'caught', 'chosen', 'done', 'drawn', 'driven', 'found', 'given',
+  'held', 'hidden', 'kept', 'known', 'laid', 'left', 'lost', 'made', 'meant', 'met', 'paid', 'put',
+  'read', 'run', 'said', 'seen', 'sent', 'set', 'shown', 'sold', 'spent', 'taken', 'taught', 'told',
+  'thought', 'understood', 'won', 'written'
+];
+
+// A form of "to be" (or "get") followed by a participle, with an optional adverb between
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(?:be|been|being|is|are|was|were|get|gets|got)\\s+(?:\\w+ly\\s+)?(?:\\w{2,}ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+// Words that make a sentence a requirement
+const REQUIREMENT_PATTERN = /\b(?:shall|must|should|will|may|needs? to|has to|have to|is required to)\b/i;
+
+// Two or more capitals (digits and "&" allowed after the first), with an optional plural "s"
+const ACRONYM_PATTERN = /\b[A-Z][A-Z0-9&]{1,7}s?\b/g;
+const ROMAN_NUMERAL = /^[IVXLCDM]+$/;
+
+// Headings of sections that define terms
+const GLOSSARY_TITLE = /\b(?:glossary|definitions?|acronyms|abbreviations|terminology)\b/i;
+
+const VAGUE_PATTERNS = VAGUE_TERMS.map(entry => ({ ...entry, pattern: termPattern(entry.term) }));
+
+class PrdLinter {
+  /**
+   * Check a PRD for clarity problems without any AI call: vague terms, passive voice in
+   * requirements, undefined acronyms, mixed shall/should/may modality and hard-to-read sections
+   * @param {Object} prdData - Structured PRD data with a section tree or legacy `{ key: text }` map
+   * @param {Object} options - `content`: the full document text, so issues get character
+   *   offsets (and the text to lint when prdData has no sections)
+   * @returns {Object} `{ summary, issues, sections, readability, modality, acronyms }`
+   */
+  lint(prdData, { content = null } = {}) {
+    const sections = this.buildSections(prdData, content);
+    const documentText = sections.map(section => `${section.title}\n${section.body}`).join('\n\n');
+    const definedAcronyms = findDefinedAcronyms(documentText, sections);
+    const seenAcronyms = new Map();
+    const issues = [];
+    const documentModality = { mandatory: 0, recommended: 0, optional: 0 };
+
+    const sectionReports = sections.map(section => {
+      const sentences = splitSentences(section.body);
+      const sectionIssues = [];
+      const modality = { mandatory: 0, recommended: 0, optional: 0 };
+      const modalSentences = [];
+      const report = (rule, severity, message, hint, sentence, index, length) => {
+        sectionIssues.push(this.buildIssue(section, { rule, severity, message, hint, sentence, index, length }));
+      };
+
+      sentences.forEach(sentence => {
+        VAGUE_PATTERNS.forEach(({ category, hint, pattern }) => {
+          for (const match of sentence.text.matchAll(pattern)) {
+            report('vague-term', 'warning', `Vague term "${match[0]}" (${category})`, hint, sentence, match.index, match[0].length);
+          }
+        });
+
+        const isRequirement = REQUIREMENT_PATTERN.test(sentence.text);
+        const passive = isRequirement ? sentence.text.match(PASSIVE_PATTERN) : null;
+        if (passive) {
+          report(
+            'passive-voice', 'warning', `Passive requirement: "${passive[0]}"`,
+            'Name who or what does it, e.g. "The system shall ..."', sentence, passive.index, passive[0].length
+          );
+        }
+
+        const level = modalityLevel(sentence.text);
+        if (level) {
+          modality[level.level]++;
+          documentModality[level.level]++;
+          modalSentences.push({ sentence, ...level });
+        }
+
+        // Lines with no lower-case letters are headings or labels, not prose
+        if (/[a-z]/.test(sentence.text)) {
+          for (const match of sentence.text.matchAll(ACRONYM_PATTERN)) {
+            const acronym = match[0].replace(/s$/, '');
+            if (!isCandidateAcronym(match[0], acronym) || definedAcronyms.has(acronym)) {
+              continue;
+            }
+            const seen = seenAcronyms.get(acronym);
+            if (seen) {
+              seen.occurrences++;
+              continue;
+            }
+            seenAcronyms.set(acronym, { acronym, occurrences: 1 });
+            report(
+              'undefined-acronym', 'warning', `Acronym "${acronym}" is never defined`,
+              `Spell it out on first use, e.g. "Full Name (${acronym})", or add it to a glossary`,
+              sentence, match.index, match[0].length
+            );
+          }
+        }
+      });
+
+      const levels = Object.keys(modality).filter(level => modality[level] > 0);
+      if (levels.length > 1) {
+        const main = levels.reduce((a, b) => (modality[b] > modality[a] ? b : a));
+        const odd = modalSentences.find(entry => entry.level !== main);
+        report(
+          'mixed-modality', 'warning',
+          `Mixes ${levels.map(level => `${level} (${modality[level]})`).join(', ')} requirement wording`,
+          'Use shall/must only for binding requirements and mark optional ones explicitly',
+          odd.sentence, odd.index, odd.term.length
+        );
+      }
+
+      const readability = measureReadability(sentences.map(sentence => sentence.text));
+      if (readability.fleschKincaidGrade !== null && (
+        readability.fleschKincaidGrade > READABILITY_LIMITS.fleschKincaidGrade ||
+        readability.gunningFog > READABILITY_LIMITS.gunningFog
+      )) {
+        report(
+          'readability', 'info',
+          `Hard to read: Flesch-Kincaid grade ${readability.fleschKincaidGrade}, Gunning Fog ${readability.gunningFog}`,
+          'Shorten sentences and prefer plain words', null
+        );
+      }
+
+      issues.push(...sectionIssues);
+      return {
+        sectionId: section.sectionId,
+        title: section.title,
+        ...readability,
+        modality,
+        issues: sectionIssues.length
+      };
+    });
+
+    return {
+      summary: summarize(issues),
+      issues,
+      sections: sectionReports,
+      readability: measureReadability(sections.flatMap(section => splitSentences(section.body).map(sentence => sentence.text))),
+      modality: {
+        ...documentModality,
+        mixed: Object.values(documentModality).filter(count => count > 0).length > 1
+      },
+      acronyms: {
+        defined: [...definedAcronyms].sort(),
+        undefined: [...seenAcronyms.values()]
+      }
+    };
+  }
+
+  /**
+   * Compact lint results for an AI prompt: counts and a few examples of each problem
+   */
+  signals(result, maxExamples = 5) {
+    const examples = rule => result.issues
+      .filter(issue => issue.rule === rule)
+      .slice(0, maxExamples)
+      .map(issue => issue.sentence || issue.message);
+
+    const vagueTerms = {};
+    result.issues
+      .filter(issue => issue.rule === 'vague-term')
+      .forEach(issue => {
+        const term = issue.text.toLowerCase();
+        vagueTerms[term] = (vagueTerms[term] || 0) + 1;
+      });
+
+    return {
+      issueCounts: result.summary.byRule,
+      vagueTerms,
+      passiveRequirements: examples('passive-voice'),
+      undefinedAcronyms: result.acronyms.undefined.map(entry => entry.acronym),
+      modality: result.modality,
+      readability: {
+        document: pickReadability(result.readability),
+        sections: result.sections
+          .filter(section => section.fleschKincaidGrade !== null)
+          .map(section => ({ title: section.title, ...pickReadability(section) }))
+      }
+    };
+  }
+
+  /**
+   * Sections to lint, each with its own body and where that body starts in the content
+   */
+  buildSections(prdData, content) {
+    const sections = prdData?.sections;
+    const hasContent = typeof content === 'string' && content.length > 0;
+
+    if (Array.isArray(sections) && sections.length > 0) {
+      return flattenSections(sections).map(node => {
+        const body = node.body || '';
+        const offset = hasContent && typeof node.bodyStart === 'number' ? content.indexOf(body, node.bodyStart) : -1;
+        return {
+          sectionId: node.id || node.key || node.title,
+          title: node.title || node.key || 'Untitled',
+          isGlossary: GLOSSARY_TITLE.test(node.title || ''),
+          body,
+          offset: offset >= 0 ? offset : null
+        };
+      });
+    }
+
+    if (sections && typeof sections === 'object' && !Array.isArray(sections)) {
+      return Object.entries(sections)
+        .filter(([, text]) => typeof text === 'string')
+        .map(([key, text]) => ({ sectionId: key, title: key, isGlossary: GLOSSARY_TITLE.test(key), body: text, offset: null }));
+    }
+
+    return hasContent
+      ? [{ sectionId: 'document', title: 'Document', isGlossary: false, body: content, offset: 0 }]
+      : [];
+  }
+
+  buildIssue(section, { rule, severity, message, hint, sentence, index, length }) {
+    const issue = {
+      rule,
+      severity,
+      message,
+      hint,
+      sectionId: section.sectionId,
+      sectionTitle: section.title
+    };
+
+    if (sentence) {
+      issue.text = sentence.text.slice(index, index + length);
+      issue.sentence = sentence.text;
+      if (section.offset !== null) {
+        issue.start = section.offset + sentence.start + index;
+        issue.end = issue.start + length;
+      }
+    }
+
+    return issue;
+  }
+}
+
+/**
+ * Whole-word, case-insensitive match of a term; placeholders such as "TBD" only in capitals
+ */
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const start = /^\w/.test(term) ? '\\b' : '';
+  const end = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, term === term.toUpperCase() ? 'g' : 'gi');
+}
+
+/**
+ * Split text into sentences, treating each line (list items, table rows) as its own sentence
+ * @returns {Array<Object>} `{ text, start }` with start offsets into the text
+ */
+function splitSentences(text) {
+  const sentences = [];
+
+  for (const line of (text || '').matchAll(/[^\n]+/g)) {
+    let cursor = 0;
+    line[0].split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/).forEach(part => {
+      const offset = line[0].indexOf(part, cursor);
+      cursor = offset + part.length;
+      // Leading list markers and whitespace are not part of the sentence
+      const marker = part.match(/^\s*(?:[-*•]\s+|\d+[.)]\s+)?/)[0];
+      const sentence = part.slice(marker.length).trimEnd();
+      if (/[A-Za-z]/.test(sentence)) {
+        sentences.push({ text: sentence, start: line.index + offset + marker.length });
+      }
+    });
+  }
+
+  return sentences;
+}
+
+/**
+ * The first modal verb in a requirement sentence and its level. "May" is only modal in
+ * lower case, so the month is not counted.
+ */
+function modalityLevel(text) {
+  let best = null;
+  Object.entries(MODALITY_TERMS).forEach(([level, terms]) => {
+    terms.forEach(term => {
+      const match = text.match(new RegExp(`\\b${term}\\b`, term === 'may' ? '' : 'i'));
+      if (match && (!best || match.index < best.index)) {
+        best = { level, term: match[0], index: match.index };
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Acronyms the document defines: "Full Name (ABC)", "ABC (Full Name)", "ABC: ..." or
+ * "ABC - ..." at the start of a line, "ABC stands for/means", or any acronym in a glossary section
+ */
+function findDefinedAcronyms(documentText, sections) {
+  const defined = new Set();
+  const add = acronym => defined.add(acronym.replace(/s$/, ''));
+
+  for (const match of documentText.matchAll(/\(\s*([A-Z][A-Z0-9&]{1,7}s?)\s*\)/g)) {
+    add(match[1]);
+  }
+  for (const match of documentText.matchAll(/\b([A-Z][A-Z0-9&]{1,7}s?)\s*\(\s*[A-Za-z][a-z]+/g)) {
+    add(match[1]);
+  }
+  for (const match of documentText.matchAll(/^\s*(?:[-*•]\s*)?\**([A-Z][A-Z0-9&]{1,7}s?)\**\s*(?::|–|—|-|=)\s+\S/gm)) {
+    add(match[1]);
+  }
+  for (const match of documentText.matchAll(/\b([A-Z][A-Z0-9&]{1,7}s?)\s+(?:stands for|means|refers to|is short for)\b/g)) {
+    add(match[1]);
+  }
+
+  sections.filter(section => section.isGlossary).forEach(section => {
+    for (const match of section.body.matchAll(ACRONYM_PATTERN)) {
+      add(match[0]);
+    }
+  });
+
+  return defined;
+}
+
+function isCandidateAcronym(word, acronym) {
+  return /[A-Z].*[A-Z]/.test(acronym) &&
+    !ROMAN_NUMERAL.test(acronym) &&
+    !COMMON_ACRONYMS.includes(word) &&
+    !COMMON_ACRONYMS.includes(acronym);
+}
+
+/**
+ * Flesch-Kincaid grade level and Gunning Fog index; null when there is too little prose to score
+ */
+function measureReadability(sentences) {
+  const words = sentences.flatMap(sentence => sentence.match(/[A-Za-z][A-Za-z'-]*/g) || []);
+  const result = { words: words.length, sentences: sentences.length, fleschKincaidGrade: null, gunningFog: null };
+
+  if (words.length < MIN_READABILITY_WORDS || sentences.length === 0) {
+    return result;
+  }
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  // Fog counts words of three or more syllables, leaving out hyphenated words and proper nouns
+  const complexWords = words.filter(word => !word.includes('-') && !/^[A-Z]/.test(word) && countSyllables(word) >= 3).length;
+  const wordsPerSentence = words.length / sentences.length;
+
+  result.fleschKincaidGrade = round(0.39 * wordsPerSentence + 11.8 * (syllables / words.length) - 15.59);
+  result.gunningFog = round(0.4 * (wordsPerSentence + 100 * (complexWords / words.length)));
+  return result;
+}
+
+/**
+ * Estimate syllables from vowel groups, dropping a silent final "e" and "-ed"/"-es" endings
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) {
+    return 1;
+  }
+  const stem = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max((stem.match(/[aeiouy]{1,2}/g) || []).length, 1);
+}
+
+function pickReadability(entry) {
+  return { fleschKincaidGrade: entry.fleschKincaidGrade, gunningFog: entry.gunningFog };
+}
+
+function summarize(issues) {
+  const bySeverity = {};
+  const byRule = {};
+  issues.forEach(issue => {
+    bySeverity[issue.severity] = (bySeverity[issue.severity] || 0) + 1;
+    byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+  });
+  return { total: issues.length, bySeverity, byRule };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = PrdLinter;
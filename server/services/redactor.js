@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Matches any placeholder we issue, e.g. "[EMAIL_3]"
+const PLACEHOLDER_PATTERN = /\[(EMAIL|PHONE|CARD|SECRET|IP|TERM)_(\d+)\]/g;
+
+// Shannon entropy (bits per character) above which a long token looks like a key
+const MIN_SECRET_ENTROPY = 3.5;
+
+/**
+ * Luhn checksum, so only plausible card numbers are redacted
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detectors in the order they run; earlier matches are replaced before later
+ * detectors see the text, so specific patterns (keys, cards) come before loose ones (phones).
+ * Custom terms run last, so a term inside an email address or key cannot break it up and
+ * leave the rest of the value unredacted.
+ * `group` redacts only that capture group, keeping labels such as "api_key=" readable.
+ */
+const DETECTORS = [
+  {
+    type: 'secret',
+    label: 'SECRET',
+    pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+  },
+  {
+    type: 'secret',
+    label: 'SECRET',
+    pattern: /\b(?:api[_-]?key|secret|token|password|passwd|access[_-]?key)\b["']?\s*[:=]\s*["']?([^\s"',;]{8,})/gi,
+    group: 1
+  },
+  {
+    type: 'secret',
+    label: 'SECRET',
+    pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/g,
+    group: 1
+  },
+  {
+    type: 'email',
+    label: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'creditCard',
+    label: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  {
+    type: 'ipAddress',
+    label: 'IP',
+    pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+    validate: match => net.isIPv4(match)
+  },
+  {
+    type: 'ipAddress',
+    label: 'IP',
+    pattern: /(?<![\w:])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![\w:])/g,
+    validate: match => /[0-9A-Fa-f]/.test(match) && net.isIPv6(match)
+  },
+  {
+    type: 'phone',
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,3}(?![\w])/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 && (/^\+|\(/.test(match) || /\d[\s.-]\d/.test(match));
+    }
+  },
+  {
+    // Long mixed-case/digit tokens with high entropy: keys we have no specific pattern for
+    type: 'secret',
+    label: 'SECRET',
+    pattern: /\b[A-Za-z0-9_+/=-]{32,}/g,
+    validate: match => /[A-Za-z]/.test(match) &&
+      /\d/.test(match) &&
+      !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(match) &&
+      shannonEntropy(match) >= MIN_SECRET_ENTROPY
+  }
+];
+
+/**
+ * Replaces PII and secrets with reversible placeholders before content leaves for an
+ * AI provider, and puts the original values back into what the provider returns.
+ *
+ * One instance covers one analysis run: the same value always gets the same placeholder,
+ * so the model can still tell that two mentions refer to the same person or host.
+ * Original values stay in memory only and never appear in the report.
+ */
+class Redactor {
+  /**
+   * @param {Object} options - `customTerms` to redact in addition to REDACTION_CUSTOM_TERMS
+   *   (comma-separated customer names, internal hostnames, codenames)
+   */
+  constructor({ customTerms = [] } = {}) {
+    const configuredTerms = (process.env.REDACTION_CUSTOM_TERMS || '').split(',');
+    const terms = [...new Set([...configuredTerms, ...customTerms]
+      .filter(term => typeof term === 'string')
+      .map(term => term.trim())
+      .filter(Boolean))];
+
+    // Longest first, so "Acme Corp" wins over "Acme"
+    terms.sort((a, b) => b.length - a.length);
+
+    this.detectors = terms.length > 0
+      ? [...DETECTORS, {
+        type: 'customTerm',
+        label: 'TERM',
+        pattern: new RegExp(`(?<![\\w])(?:${terms.map(escapeRegExp).join('|')})(?![\\w])`, 'gi')
+      }]
+      : DETECTORS;
+
+    this.placeholders = new Map(); // placeholder -> { type, value, occurrences }
+    this.byValue = new Map(); // `${label}:${value}` -> placeholder
+    this.counters = {};
+    this.restoredCount = 0;
+  }
+
+  /**
+   * Redact a string, or every string in an object or array (keys are left alone)
+   * @returns {*} A redacted copy of the value
+   */
+  redact(value) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item)]));
+    }
+    return value;
+  }
+
+  redactText(text) {
+    return this.detectors.reduce((current, detector) => {
+      return current.replace(detector.pattern, (match, ...groups) => {
+        const target = detector.group ? groups[detector.group - 1] : match;
+        if (!target || (detector.validate && !detector.validate(target))) {
+          return match;
+        }
+        const placeholder = this.placeholderFor(detector, target);
+        return detector.group ? match.replace(target, placeholder) : placeholder;
+      });
+    }, text);
+  }
+
+  placeholderFor(detector, value) {
+    // Custom terms match case-insensitively, but each casing keeps its own placeholder so that
+    // "ACME" and "Acme" are restored as written
+    const identity = `${detector.label}:${value}`;
+    let placeholder = this.byValue.get(identity);
+
+    if (!placeholder) {
+      this.counters[detector.label] = (this.counters[detector.label] || 0) + 1;
+      placeholder = `[${detector.label}_${this.counters[detector.label]}]`;
+      this.byValue.set(identity, placeholder);
+      this.placeholders.set(placeholder, { type: detector.type, value, occurrences: 0 });
+    }
+
+    this.placeholders.get(placeholder).occurrences++;
+    return placeholder;
+  }
+
+  /**
+   * Put original values back wherever the provider echoed a placeholder
+   * @returns {*} A restored copy of the value
+   */
+  restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, placeholder => {
+        const entry = this.placeholders.get(placeholder);
+        if (!entry) {
+          return placeholder;
+        }
+        this.restoredCount++;
+        return entry.value;
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * What was redacted in this run, without the original values
+   * @returns {Object} `{ totalRedactions, uniqueValues, byType, placeholders, restored }`; each
+   *   placeholder has a `fingerprint` only when REDACTION_FINGERPRINT_SECRET is set
+   */
+  report() {
+    const byType = {};
+    const placeholders = [];
+    const fingerprintSecret = process.env.REDACTION_FINGERPRINT_SECRET;
+    let totalRedactions = 0;
+
+    this.placeholders.forEach((entry, placeholder) => {
+      byType[entry.type] = (byType[entry.type] || 0) + entry.occurrences;
+      totalRedactions += entry.occurrences;
+      const item = { placeholder, type: entry.type, occurrences: entry.occurrences };
+      // Lets a reviewer confirm two runs redacted the same value without revealing it. Keyed,
+      // because card numbers, phones and IPs are few enough to brute-force a plain hash.
+      if (fingerprintSecret) {
+        item.fingerprint = crypto.createHmac('sha256', fingerprintSecret).update(entry.value).digest('hex').slice(0, 16);
+      }
+      placeholders.push(item);
+    });
+
+    return {
+      totalRedactions,
+      uniqueValues: placeholders.length,
+      byType,
+      placeholders,
+      restored: this.restoredCount
+    };
+  }
+}
+
+module.exports = Redactor;
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { findSectionAtOffset } = require('../utils/sectionTree');
+
+// "As a <role>, I want <goal>, so that <benefit>" (clauses stop at sentence, line or table cell ends)
+const USER_STORY_PATTERN = /\bAs\s+an?\*{0,2}\s+([^,.\n|]+?),?\s+I\s+(?:want|need|would\s+like|can|should\s+be\s+able)\s+(?:to\s+)?([^.\n|]+?)(?:,?\s+so\s+that\s+([^.\n|]+?))?\s*(?=[.\n|]|$)/gi;
+
+// Leading list markers, labels and emphasis before a Gherkin keyword
+const CRITERION_PREFIX = /^(?:[-*+•]\s+|\d+[.)]\s+|(?:AC|acceptance\s+criteri(?:on|a))\s*\d*\s*[:.)-]\s*|\*\*|__)*/i;
+const GHERKIN_STEP = /^(given|when|then|and|but)\b[:\s]*(.*)$/i;
+const SCENARIO_LINE = /^(?:scenario(?:\s+outline)?|example)\s*:\s*(.+)$/i;
+
+// MoSCoW labels and P-levels, ranked so 0 is the highest priority
+const MOSCOW_RANKS = { must: 0, should: 1, could: 2, wont: 3 };
+const MOSCOW_PATTERNS = [
+  /\b(must|should|could|won'?t)[\s-]+have\b/i,
+  /\bpriority\s*[:=-]\s*(must|should|could|won'?t)\b/i,
+  /\bmoscow\s*[:=-]\s*(must|should|could|won'?t)\b/i,
+  /[[(](must|should|could|won'?t)[\])]/i
+];
+const P_LEVEL_PATTERN = /\bP([0-3])\b/;
+
+class RequirementsExtractor {
+  /**
+   * Extract user stories and acceptance criteria from PRD content
+   * @param {string} content - Document text
+   * @param {Array} sections - Section tree built by DocumentParser
+   * @returns {Object} `{ userStories, acceptanceCriteria }` linked by ID
+   */
+  extract(content, sections = []) {
+    const usedIds = new Set();
+    const userStories = this.extractUserStories(content, sections, usedIds);
+    const acceptanceCriteria = this.extractAcceptanceCriteria(content, sections);
+
+    // Each criterion belongs to the closest story before it in the same section subtree
+    acceptanceCriteria.forEach(criterion => {
+      const story = [...userStories].reverse().find(candidate =>
+        candidate.start < criterion.start && this.sharesSection(sections, candidate, criterion));
+
+      // Criterion IDs include the story so identical steps under different stories stay distinct
+      criterion.storyId = story ? story.id : null;
+      criterion.id = this.stableId('AC', `${criterion.storyId || ''} ${criterion.text}`, usedIds);
+      if (story) {
+        story.acceptanceCriteria.push(criterion.id);
+      }
+    });
+
+    return {
+      userStories,
+      acceptanceCriteria
+    };
+  }
+
+  /**
+   * Find "As a … I want … so that …" user stories
+   */
+  extractUserStories(content, sections, usedIds) {
+    const stories = [];
+
+    for (const match of content.matchAll(USER_STORY_PATTERN)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const section = findSectionAtOffset(sections, start);
+      const text = match[0].replace(/\*\*|__/g, '').replace(/\s+/g, ' ').trim();
+
+      stories.push({
+        id: this.stableId('US', text, usedIds),
+        text,
+        role: this.cleanClause(match[1]),
+        goal: this.cleanClause(match[2]),
+        benefit: match[3] ? this.cleanClause(match[3]) : null,
+        priority: this.classifyPriority(this.lineAt(content, start)) ||
+          this.classifyPriority(section?.title || ''),
+        sectionId: section?.id || null,
+        start,
+        end,
+        acceptanceCriteria: []
+      });
+    }
+
+    return stories;
+  }
+
+  /**
+   * Find Given/When/Then acceptance criteria, written over several lines or in one sentence
+   */
+  extractAcceptanceCriteria(content, sections) {
+    const criteria = [];
+    let current = null;
+    let clause = null;
+    let scenario = null;
+    let offset = 0;
+
+    const finish = () => {
+      if (current && current.then.length > 0) {
+        const text = content.slice(current.start, current.end)
+          .split('\n')
+          .map(line => line.trim().replace(CRITERION_PREFIX, '').replace(/\*\*|__/g, ''))
+          .join(' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+        const section = findSectionAtOffset(sections, current.start);
+        criteria.push({
+          id: null,
+          storyId: null,
+          scenario: current.scenario,
+          given: current.given,
+          when: current.when,
+          then: current.then,
+          text,
+          priority: this.classifyPriority(current.scenario || '') || this.classifyPriority(text),
+          sectionId: section?.id || null,
+          start: current.start,
+          end: current.end
+        });
+      }
+      current = null;
+      clause = null;
+    };
+
+    content.split('\n').forEach(line => {
+      const lineStart = offset;
+      offset += line.length + 1;
+
+      const trimmed = line.trim().replace(CRITERION_PREFIX, '').replace(/\*\*|__/g, '').trim();
+      if (!trimmed) {
+        // A blank line ends a criterion unless it is still waiting for its outcome
+        if (current && current.then.length > 0) {
+          finish();
+        }
+        return;
+      }
+
+      const scenarioMatch = trimmed.match(SCENARIO_LINE);
+      if (scenarioMatch) {
+        finish();
+        scenario = scenarioMatch[1].trim();
+        return;
+      }
+
+      const step = trimmed.match(GHERKIN_STEP);
+      if (!step) {
+        finish();
+        scenario = null;
+        return;
+      }
+
+      const keyword = step[1].toLowerCase();
+      if (keyword === 'given' || !current) {
+        if (keyword !== 'given' && keyword !== 'when') {
+          return;
+        }
+        finish();
+        current = { scenario, given: [], when: [], then: [], start: lineStart + line.indexOf(line.trim()), end: 0 };
+        scenario = null;
+      }
+
+      // "Given x, when y, then z" on a single line
+      const parts = `${keyword} ${step[2]}`.split(/,?\s+(?=(?:when|then|and|but)\s)/i);
+      parts.forEach(part => {
+        const [, word, text] = part.match(/^(given|when|then|and|but)\s+(.*)$/i) || [];
+        if (!word) {
+          return;
+        }
+        const lower = word.toLowerCase();
+        if (lower === 'given' || lower === 'when' || lower === 'then') {
+          clause = lower;
+        }
+        if (clause && text.trim()) {
+          current[clause].push(this.cleanClause(text));
+        }
+      });
+      current.end = lineStart + line.length;
+    });
+    finish();
+
+    return criteria;
+  }
+
+  /**
+   * Classify a MoSCoW or P0-P3 priority marker in a piece of text
+   * @returns {Object|null} `{ scheme, value, rank }` where rank 0 is the highest priority
+   */
+  classifyPriority(text) {
+    if (!text) {
+      return null;
+    }
+
+    const pLevel = text.match(P_LEVEL_PATTERN);
+    if (pLevel) {
+      return { scheme: 'p-level', value: `P${pLevel[1]}`, rank: Number(pLevel[1]) };
+    }
+
+    // Table cells holding just the label ("Must", "Should have")
+    const cells = text.split('|').map(cell => cell.trim().toLowerCase());
+    const cellMatch = cells.map(cell => cell.match(/^(must|should|could|won'?t)(?:[\s-]+have)?$/)).find(Boolean);
+    const moscow = cellMatch || MOSCOW_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+
+    if (moscow) {
+      const value = moscow[1].toLowerCase().replace("'", '');
+      return { scheme: 'moscow', value, rank: MOSCOW_RANKS[value] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a criterion sits inside the section that holds a story (or one of its subsections)
+   */
+  sharesSection(sections, story, criterion) {
+    const storySection = findSectionAtOffset(sections, story.start);
+    if (!storySection) {
+      return true;
+    }
+    return criterion.start >= storySection.start && criterion.start < storySection.end;
+  }
+
+  /**
+   * The full line of content around an offset
+   */
+  lineAt(content, offset) {
+    const start = content.lastIndexOf('\n', offset - 1) + 1;
+    const end = content.indexOf('\n', offset);
+    return content.slice(start, end === -1 ? content.length : end);
+  }
+
+  cleanClause(text) {
+    return text.replace(/\*\*|__/g, '').replace(/\s+/g, ' ').replace(/[,;:.]$/, '').trim();
+  }
+
+  /**
+   * Build an ID from a hash of the normalised text so it survives re-parsing and reordering
+   */
+  stableId(prefix, text, usedIds) {
+    const normalised = text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const base = `${prefix}-${crypto.createHash('sha1').update(normalised).digest('hex').slice(0, 8)}`;
+
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    usedIds.add(id);
+
+    return id;
+  }
+}
+
+module.exports = RequirementsExtractor;
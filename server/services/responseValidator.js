@@ -0,0 +1,54 @@
+const Ajv = require('ajv');
+const { ANALYSIS_SCHEMAS } = require('../config/analysisSchemas');
+const { extractJSON } = require('../utils/jsonExtractor');
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(ANALYSIS_SCHEMAS).map(([dimension, schema]) => [dimension, ajv.compile(schema)])
+);
+
+class ResponseValidator {
+  /**
+   * Extract and check the JSON in a model response against a dimension's schema
+   * @param {string} dimension - Result key, e.g. 'completenessAnalysis'
+   * @param {string} text - Raw model response
+   * @returns {Object} `{ valid, value, truncated, errors }` where errors are readable strings
+   */
+  validate(dimension, text) {
+    const validator = validators[dimension];
+    if (!validator) {
+      throw new Error(`No response schema for ${dimension}`);
+    }
+
+    let extracted;
+    try {
+      extracted = extractJSON(text);
+    } catch (error) {
+      return { valid: false, value: null, truncated: false, errors: [error.message] };
+    }
+
+    const valid = validator(extracted.value);
+    return {
+      valid,
+      value: extracted.value,
+      truncated: extracted.truncated,
+      errors: valid ? [] : validator.errors.map(formatError)
+    };
+  }
+}
+
+/**
+ * Render an ajv error as "/path must ..." with the offending property where it helps
+ */
+function formatError(error) {
+  const path = error.instancePath || '(root)';
+  if (error.keyword === 'required') {
+    return `${path} must have property "${error.params.missingProperty}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${path} must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+  return `${path} ${error.message}`;
+}
+
+module.exports = ResponseValidator;
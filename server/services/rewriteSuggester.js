@@ -0,0 +1,154 @@
+const EvidenceLinker = require('./evidenceLinker');
+const { flattenSections } = require('../utils/sectionTree');
+const { estimateTokens } = require('../utils/tokens');
+
+// Longest passage rewritten in one call, so that the replacement fits in the response too
+const MAX_PASSAGE_TOKENS = 1800;
+
+// What a section rewrite aims for when no finding is given
+const DEFAULT_PROBLEM = 'The section needs to be more specific, complete and testable for engineers and ' +
+  'stakeholders: replace vague wording with concrete, measurable statements.';
+
+class RewriteSuggester {
+  /**
+   * @param {AIAnalysisService} aiService - Writes the replacement, with the request's
+   *   redaction and the project's provider policy
+   */
+  constructor(aiService) {
+    this.aiService = aiService;
+  }
+
+  /**
+   * Suggest replacement text for a section or for the passage a finding quotes
+   * @param {Document} document - Document whose current content is rewritten
+   * @param {Object} request - `sectionId` or `section` (title or taxonomy key), and/or `finding`
+   *   (a string, or `{ finding, quote, sectionId, section }` as returned by /analyze);
+   *   `instructions` from the author
+   * @returns {Promise<Object>} Patch fields `{ target, start, end, originalText, replacementText,
+   *   rationale }`, or `{ error, status }` with the HTTP status to report
+   */
+  async suggest(document, request) {
+    const target = this.resolveTarget(document, request);
+    if (target.error) {
+      return target;
+    }
+
+    if (estimateTokens(target.text) > MAX_PASSAGE_TOKENS) {
+      return {
+        error: 'The passage is too long to rewrite at once; choose a subsection or a finding',
+        status: 400
+      };
+    }
+
+    const { rewrite } = await this.aiService.generateRewrite({
+      passage: target.text,
+      sectionTitle: target.sectionTitle,
+      problem: target.finding || DEFAULT_PROBLEM,
+      instructions: request.instructions || null,
+      outline: flattenSections(document.structuredData?.sections)
+        .map(node => `${'  '.repeat(Math.max((node.level || 1) - 1, 0))}- ${node.title}`)
+    });
+
+    if (rewrite.error) {
+      return { error: `Rewrite failed: ${rewrite.error}`, status: 502 };
+    }
+
+    // A rewrite of an empty section is inserted after its heading, on its own paragraph
+    const replacementText = target.text ? rewrite.replacement.trim() : `\n\n${rewrite.replacement.trim()}`;
+
+    return {
+      target: {
+        type: target.type,
+        sectionId: target.sectionId,
+        sectionTitle: target.sectionTitle,
+        finding: target.finding,
+        instructions: request.instructions || null
+      },
+      start: target.start,
+      end: target.end,
+      originalText: target.text,
+      replacementText,
+      rationale: rewrite.rationale
+    };
+  }
+
+  /**
+   * The range of the document content a rewrite replaces: the quoted passage when the finding's
+   * quote is found in the document, otherwise the body of the chosen section (without its subsections)
+   * @returns {Object} `{ type, sectionId, sectionTitle, finding, start, end, text }`, or `{ error, status }`
+   */
+  resolveTarget(document, { sectionId, section, finding }) {
+    const content = document.content || '';
+    const tree = flattenSections(document.structuredData?.sections);
+    const findingText = typeof finding === 'string' ? finding : finding?.finding || null;
+    const quote = typeof finding?.quote === 'string' && finding.quote.trim() ? finding.quote : null;
+    const wantedId = sectionId || finding?.sectionId;
+    const wantedName = (section || finding?.section || '').trim().toLowerCase();
+
+    let node = null;
+    if (wantedId) {
+      node = tree.find(candidate => candidate.id === wantedId) || null;
+    } else if (wantedName) {
+      node = tree.find(candidate =>
+        (candidate.title || '').trim().toLowerCase() === wantedName || (candidate.key || '').toLowerCase() === wantedName
+      ) || null;
+    }
+
+    if ((wantedId || wantedName) && !node && !quote) {
+      return { error: 'Section not found', status: 404 };
+    }
+
+    if (quote) {
+      const evidence = new EvidenceLinker(document.structuredData, content).locate(quote);
+      if (evidence.status === 'verified' && typeof evidence.start === 'number') {
+        return {
+          type: 'finding',
+          sectionId: evidence.sectionId,
+          sectionTitle: evidence.sectionTitle,
+          finding: findingText,
+          start: evidence.start,
+          end: evidence.end,
+          text: content.slice(evidence.start, evidence.end)
+        };
+      }
+      if (!node) {
+        return { error: 'The finding\'s quote was not found in the document; choose a section instead', status: 422 };
+      }
+    }
+
+    if (!node) {
+      return { error: 'Choose a section, or a finding with a quote or a section', status: 400 };
+    }
+
+    const range = sectionBodyRange(content, node);
+    if (!range) {
+      return { error: 'The section could not be located in the document content', status: 422 };
+    }
+
+    return {
+      type: findingText ? 'finding' : 'section',
+      sectionId: node.id,
+      sectionTitle: node.title,
+      finding: findingText,
+      ...range,
+      text: content.slice(range.start, range.end)
+    };
+  }
+}
+
+/**
+ * Where a section's own body sits in the content; an empty body is an insertion point after the heading
+ */
+function sectionBodyRange(content, node) {
+  if (typeof node.bodyStart !== 'number') {
+    return null;
+  }
+  if (!node.body) {
+    return { start: node.bodyStart, end: node.bodyStart };
+  }
+
+  const start = content.indexOf(node.body, node.bodyStart);
+  return start === -1 ? null : { start, end: start + node.body.length };
+}
+
+module.exports = RewriteSuggester;
@@ -0,0 +1,237 @@
+const EvidenceLinker = require('./evidenceLinker');
+const { flattenSections, getSectionText } = require('../utils/sectionTree');
+
+// Characters of context kept on each side of a keyword match in its evidence
+const SNIPPET_RADIUS = 80;
+
+// Longest section excerpt quoted as evidence
+const MAX_EXCERPT_LENGTH = 200;
+
+class RubricEvaluator {
+  /**
+   * @param {AIAnalysisService} aiService - Runs the LLM-evaluated criteria, with the
+   *   request's redaction and provider policy
+   */
+  constructor(aiService) {
+    this.aiService = aiService;
+  }
+
+  /**
+   * Score a PRD against a rubric. Deterministic criteria are checked here; LLM criteria
+   * are sent to the model together.
+   * @param {Object} rubric - `{ rubricId, name, criteria }`
+   * @param {Object} prdData - Structured PRD data
+   * @param {Object} options - `content`: the full document text, to locate the model's quotes by offset
+   * @returns {Promise<Object>} `{ rubricId, name, score, status, criteria, failedCriteria, formula }`.
+   *   Each criterion has `{ key, name, type, weight, score, status, evidence, rationale }`;
+   *   status is 'complete', 'partial' (some criteria failed) or 'failed' (no score)
+   */
+  async evaluate(rubric, prdData, { content = null } = {}) {
+    const llmCriteria = rubric.criteria.filter(criterion => criterion.type === 'llm');
+    const llmResult = llmCriteria.length > 0
+      ? (await this.aiService.evaluateRubricCriteria(prdData, llmCriteria)).rubricEvaluation
+      : null;
+
+    const passages = buildPassages(prdData, content);
+    const linker = new EvidenceLinker(prdData, content);
+    const criteria = rubric.criteria.map(criterion => {
+      const entry = {
+        key: criterion.key,
+        name: criterion.name,
+        type: criterion.type,
+        weight: Math.max(Number(criterion.weight) || 0, 0)
+      };
+      return criterion.type === 'llm'
+        ? { ...entry, ...this.llmOutcome(criterion, llmResult, linker) }
+        : { ...entry, ...this.runCheck(criterion.check, passages) };
+    });
+
+    const weighted = criteria.filter(criterion => criterion.weight > 0);
+    const scored = weighted.filter(criterion => criterion.status === 'scored');
+    const scoredWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const score = scoredWeight > 0
+      ? Math.round(scored.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / scoredWeight)
+      : null;
+
+    const result = {
+      rubricId: rubric.rubricId,
+      name: rubric.name,
+      score,
+      status: score === null ? 'failed' : scored.length < weighted.length ? 'partial' : 'complete',
+      criteria,
+      failedCriteria: criteria.filter(criterion => criterion.status === 'failed').map(criterion => criterion.key),
+      formula: scored.length > 0
+        ? `(${scored.map(criterion => `${criterion.score} × ${criterion.weight}`).join(' + ')}) / ${scoredWeight} = ${score}`
+        : 'No criterion produced a score'
+    };
+
+    if (llmResult?.chunking) {
+      result.chunking = llmResult.chunking;
+    }
+    return result;
+  }
+
+  /**
+   * A criterion's score from the model's evaluation, or why it has none. Quotes the model
+   * gave as evidence are checked against the document; invented ones come back rejected.
+   */
+  llmOutcome(criterion, llmResult, linker) {
+    if (llmResult?.error) {
+      return { score: null, status: 'failed', evidence: [], reason: llmResult.error };
+    }
+
+    const outcome = llmResult?.criteria?.[criterion.key];
+    if (!outcome || typeof outcome.score !== 'number') {
+      return { score: null, status: 'failed', evidence: [], reason: 'The model did not evaluate this criterion' };
+    }
+
+    return {
+      score: Math.min(Math.max(Math.round(outcome.score), 0), 100),
+      status: 'scored',
+      evidence: (outcome.evidence || []).map(quote => linker.locate(quote)),
+      rationale: outcome.rationale
+    };
+  }
+
+  /**
+   * Run a deterministic check against the document's passages
+   */
+  runCheck(check, passages) {
+    if (check.kind === 'section') {
+      return sectionCheck(check, passages);
+    }
+    if (check.kind === 'keywords') {
+      return keywordCheck(check, passages);
+    }
+    return { score: null, status: 'failed', evidence: [], reason: `Unknown check: ${check.kind}` };
+  }
+}
+
+/**
+ * The document's prose as searchable passages: one per section (`text` is its own heading and
+ * body, `body` includes its subsections), or the whole content when there are no sections
+ */
+function buildPassages(prdData, content) {
+  const passages = [];
+  const sections = prdData?.sections;
+
+  if (Array.isArray(sections)) {
+    flattenSections(sections).forEach(node => passages.push({
+      sectionId: node.id || node.key || node.title,
+      title: node.title || node.key || '',
+      key: node.key || null,
+      text: [node.title, node.body].filter(Boolean).join('\n'),
+      body: getSectionText({ ...node, title: null })
+    }));
+  } else if (sections && typeof sections === 'object') {
+    Object.entries(sections)
+      .filter(([, text]) => typeof text === 'string')
+      .forEach(([key, text]) => passages.push({ sectionId: key, title: key, key, text, body: text }));
+  }
+
+  // Without sections the whole text is one passage. Other extracted fields are not searched:
+  // their property names and enum values would count as keyword hits.
+  if (passages.length === 0 && typeof content === 'string' && content.trim()) {
+    passages.push({ sectionId: null, title: 'Document', key: null, text: content, body: content, document: true });
+  }
+
+  return passages;
+}
+
+/**
+ * One of the named sections is present with enough words; short sections score in proportion
+ */
+function sectionCheck(check, passages) {
+  const names = check.sections.map(name => name.trim().toLowerCase());
+  const matches = passages.filter(passage => !passage.document && names.some(name =>
+    passage.title.trim().toLowerCase() === name || (passage.key && passage.key.toLowerCase() === name)
+  ));
+
+  if (matches.length === 0) {
+    return {
+      score: 0,
+      status: 'scored',
+      evidence: [],
+      rationale: `No section titled ${check.sections.join(' or ')}`
+    };
+  }
+
+  const minWords = check.minWords || 0;
+  const best = matches
+    .map(passage => ({ passage, words: countWords(passage.body) }))
+    .sort((a, b) => b.words - a.words)[0];
+  const score = minWords > 0 ? Math.min(Math.round(best.words / minWords * 100), 100) : 100;
+
+  return {
+    score,
+    status: 'scored',
+    evidence: [{
+      sectionId: best.passage.sectionId,
+      sectionTitle: best.passage.title,
+      quote: excerpt(best.passage.body)
+    }],
+    rationale: minWords > 0
+      ? `"${best.passage.title}" has ${best.words} of the ${minWords} words required`
+      : `"${best.passage.title}" is present`
+  };
+}
+
+/**
+ * At least `minMatches` of the keywords appear; fewer score in proportion
+ */
+function keywordCheck(check, passages) {
+  const minMatches = check.minMatches || 1;
+  const evidence = [];
+  const missing = [];
+
+  check.keywords.forEach(keyword => {
+    const pattern = keywordPattern(keyword);
+    // Passage text excludes subsections, so the match is credited to the innermost section
+    const passage = passages.find(candidate => pattern.test(candidate.text));
+    if (!passage) {
+      missing.push(keyword);
+      return;
+    }
+    const index = passage.text.search(pattern);
+    evidence.push({
+      keyword,
+      sectionId: passage.sectionId,
+      sectionTitle: passage.title,
+      quote: snippet(passage.text, index, keyword.length)
+    });
+  });
+
+  const found = evidence.length;
+  return {
+    score: Math.min(Math.round(found / minMatches * 100), 100),
+    status: 'scored',
+    evidence,
+    rationale: `Found ${found} of ${check.keywords.length} keywords (${minMatches} required)` +
+      (missing.length > 0 ? `; not found: ${missing.join(', ')}` : '')
+  };
+}
+
+/**
+ * Case-insensitive literal match from a word start, so "flag" finds "flags" but not "misflag"
+ */
+function keywordPattern(keyword) {
+  const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`${/^\w/.test(keyword.trim()) ? '\\b' : ''}${escaped}`, 'i');
+}
+
+function snippet(text, index, length) {
+  const start = Math.max(index - SNIPPET_RADIUS, 0);
+  const end = Math.min(index + length + SNIPPET_RADIUS, text.length);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '...' : ''}`;
+}
+
+function excerpt(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_EXCERPT_LENGTH ? `${clean.slice(0, MAX_EXCERPT_LENGTH)}...` : clean;
+}
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+module.exports = RubricEvaluator;
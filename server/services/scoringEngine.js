@@ -0,0 +1,131 @@
+const { SCORING_DIMENSIONS, DEFAULT_SCORING } = require('../config/scoring');
+
+class ScoringEngine {
+  /**
+   * @param {Object} scoring - `weights` by dimension key (any positive scale; they are
+   *   normalised) and `missingPolicy` ('renormalize' or 'incomplete'); unset values use the defaults
+   */
+  constructor(scoring = {}) {
+    this.weights = { ...DEFAULT_SCORING.weights, ...(scoring?.weights || {}) };
+    this.missingPolicy = scoring?.missingPolicy || DEFAULT_SCORING.missingPolicy;
+  }
+
+  /**
+   * Score analysis results and show the working
+   * @param {Object} results - AI analysis results keyed by dimension result key
+   * @param {Object} options - `extraDimensions`: scores from outside the built-in analysis,
+   *   `[{ key, label, weight, score, reason }]` (a null score counts as failed), such as a
+   *   custom rubric; `includeBuiltIns`: false to score only the extra dimensions
+   * @returns {Object} `{ overallScore, partialScore, status, missingPolicy, dimensions, formula }`.
+   *   status is 'complete', 'renormalized' (missing weight shared out) or 'incomplete'
+   *   (no overall score); overallScore is null when incomplete
+   */
+  score(results = {}, { extraDimensions = [], includeBuiltIns = true } = {}) {
+    const dimensions = [
+      ...(includeBuiltIns
+        ? SCORING_DIMENSIONS.map(dimension => this.scoreDimension(dimension, results[dimension.resultKey]))
+        : []),
+      ...extraDimensions.map(dimension => scoreExtraDimension(dimension))
+    ];
+    const weighted = dimensions.filter(dimension => dimension.weight > 0);
+    const scored = weighted.filter(dimension => dimension.status === 'scored');
+
+    const totalWeight = weighted.reduce((sum, dimension) => sum + dimension.weight, 0);
+    const scoredWeight = scored.reduce((sum, dimension) => sum + dimension.weight, 0);
+    const missing = weighted.filter(dimension => dimension.status !== 'scored');
+
+    dimensions.forEach(dimension => {
+      dimension.nominalShare = totalWeight > 0 ? round(dimension.weight / totalWeight * 100, 1) : 0;
+      dimension.effectiveShare = dimension.status === 'scored' && scoredWeight > 0
+        ? round(dimension.weight / scoredWeight * 100, 1)
+        : 0;
+      dimension.contribution = dimension.status === 'scored' && scoredWeight > 0
+        ? round(dimension.score * dimension.weight / scoredWeight, 2)
+        : 0;
+    });
+
+    const partialScore = scoredWeight > 0
+      ? Math.round(scored.reduce((sum, dimension) => sum + dimension.score * dimension.weight, 0) / scoredWeight)
+      : null;
+
+    let status = 'complete';
+    if (missing.length > 0) {
+      status = this.missingPolicy === 'incomplete' || partialScore === null ? 'incomplete' : 'renormalized';
+    }
+
+    return {
+      overallScore: status === 'incomplete' ? null : partialScore,
+      partialScore,
+      status,
+      missingPolicy: this.missingPolicy,
+      totalWeight,
+      scoredWeight,
+      missingDimensions: missing.map(dimension => dimension.key),
+      dimensions,
+      formula: describeFormula(scored, scoredWeight, partialScore)
+    };
+  }
+
+  // A dimension's score, or why it has none ('not_run' when it was not requested, 'failed' otherwise)
+  scoreDimension(dimension, result) {
+    const entry = {
+      key: dimension.key,
+      label: dimension.label,
+      weight: Math.max(Number(this.weights[dimension.key]) || 0, 0),
+      score: null,
+      status: 'scored'
+    };
+
+    if (result === undefined) {
+      entry.status = 'not_run';
+      return entry;
+    }
+
+    const score = result?.[dimension.scoreField];
+    if (typeof score !== 'number' || !Number.isFinite(score)) {
+      entry.status = 'failed';
+      entry.reason = result?.error || `No ${dimension.scoreField} in the analysis`;
+      return entry;
+    }
+
+    entry.score = Math.min(Math.max(score, 0), 100);
+    return entry;
+  }
+}
+
+function scoreExtraDimension(dimension) {
+  const entry = {
+    key: dimension.key,
+    label: dimension.label,
+    weight: Math.max(Number(dimension.weight) || 0, 0),
+    score: null,
+    status: 'scored'
+  };
+
+  if (typeof dimension.score !== 'number' || !Number.isFinite(dimension.score)) {
+    entry.status = 'failed';
+    entry.reason = dimension.reason || `No ${dimension.label} score`;
+    return entry;
+  }
+
+  entry.score = Math.min(Math.max(dimension.score, 0), 100);
+  return entry;
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * The calculation as text, e.g. "(80 × 40 + 70 × 25) / 65 = 76"
+ */
+function describeFormula(scored, scoredWeight, result) {
+  if (scored.length === 0) {
+    return 'No dimension produced a score';
+  }
+  const terms = scored.map(dimension => `${dimension.score} × ${dimension.weight}`).join(' + ');
+  return `(${terms}) / ${scoredWeight} = ${result}`;
+}
+
+module.exports = ScoringEngine;
@@ -0,0 +1,47 @@
+const { buildDocx } = require('../utils/docxWriter');
+
+class TemplateRenderer {
+  /**
+   * Render a PRD skeleton as Markdown
+   * @param {string} title - Document title
+   * @param {Array} sections - Resolved template sections `[{ key, title, guidance, required }]`
+   * @param {Object} options - `includeGuidance` adds each section's guidance as a blockquote
+   * @returns {string}
+   */
+  renderMarkdown(title, sections, { includeGuidance = false } = {}) {
+    const lines = [`# ${title}`, ''];
+
+    sections.forEach(section => {
+      lines.push(`## ${section.title}`, '');
+      if (includeGuidance && section.guidance) {
+        lines.push(`> ${this.guidanceText(section)}`, '');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a PRD skeleton as a DOCX file
+   * @returns {Promise<Buffer>}
+   */
+  async renderDocx(title, sections, { includeGuidance = false } = {}) {
+    const paragraphs = [{ style: 'Title', text: title }];
+
+    sections.forEach(section => {
+      paragraphs.push({ style: 'Heading1', text: section.title });
+      if (includeGuidance && section.guidance) {
+        paragraphs.push({ style: 'Guidance', text: this.guidanceText(section) });
+      }
+      paragraphs.push({ style: 'Normal', text: '' });
+    });
+
+    return buildDocx(paragraphs, { title });
+  }
+
+  guidanceText(section) {
+    return section.required ? `Required. ${section.guidance}` : section.guidance;
+  }
+}
+
+module.exports = TemplateRenderer;
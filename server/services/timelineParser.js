@@ -0,0 +1,319 @@
+const { findDates, findDurations, addDays, toISODate } = require('../utils/dates');
+const { readTableRows } = require('../utils/tables');
+const { findSection, findSectionAtOffset } = require('../utils/sectionTree');
+
+// Table header cells that identify milestone tables
+const MILESTONE_TABLE_COLUMNS = {
+  name: /milestone|phase|deliverable|release|stage|event/i,
+  date: /date|when|deadline|timing|quarter|target|eta/i
+};
+
+// "6 weeks after beta", "two sprints before launch"
+const RELATIVE_PATTERN = /\b((?:\d+(?:\.\d+)?|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve)\s+(?:business\s+days?|days?|weeks?|months?|quarters?|years?|sprints?))\s+(after|following|post|from|before|prior\s+to)\s+(?:the\s+)?([^,.;:()|\n]+?)\s*(?=$|[,.;:()|\n]|\s+(?:and|with|to)\s)/i;
+
+// "Last updated: 2025-03-01" near the top of a document
+const DOCUMENT_DATE_PATTERN = /\b(?:date|dated|updated|last\s+updated|last\s+modified|revised|revision\s+date|created)\b\s*[:-]?\s*(.+)$/i;
+const DOCUMENT_DATE_LINES = 15;
+
+// Text left around a date once it is removed from a milestone line
+const NAME_NOISE = /\b(?:by|in|on|at|due|target(?:ed)?|planned|scheduled|eta|expected|around|for|until|before|no\s+later\s+than|end\s+of)\s*$/i;
+
+class TimelineParser {
+  /**
+   * Build a dated milestone schedule from a document's timeline section and milestone tables
+   * @param {string} content - Document text
+   * @param {Object} options - `sections`, `tables` and an optional `documentDate` (ISO)
+   * @returns {Object|null} `{ documentDate, milestones, issues }`, or null when there is no timeline
+   */
+  parse(content, { sections = [], tables = [], documentDate = null } = {}) {
+    const timelineSection = findSection(sections, 'timeline');
+    const milestoneRows = readTableRows(tables, MILESTONE_TABLE_COLUMNS)
+      .filter(row => row.date);
+
+    if (!timelineSection && milestoneRows.length === 0) {
+      return null;
+    }
+
+    const resolvedDocumentDate = documentDate || this.findDocumentDate(content) || toISODate(new Date());
+    const referenceDate = new Date(`${resolvedDocumentDate}T00:00:00Z`);
+
+    const tableRanges = tables.map(table => [table.start, table.end]);
+    const candidates = [
+      ...(timelineSection ? this.readLines(content, timelineSection, tableRanges) : []),
+      ...milestoneRows.map(row => ({
+        name: row.name,
+        text: row.date,
+        source: row.row.join(' | '),
+        sectionId: row.sectionId,
+        tableId: row.tableId,
+        start: tables.find(table => table.id === row.tableId)?.start ?? content.length
+      }))
+    ].sort((a, b) => a.start - b.start);
+
+    const milestones = [];
+    let pendingName = null;
+
+    candidates.forEach(candidate => {
+      const milestone = this.parseMilestone(candidate, referenceDate);
+      if (!milestone) {
+        // A line with no date may name the milestone dated on the next line
+        pendingName = this.looksLikeName(candidate.text) ? this.cleanName(candidate.text) : null;
+        return;
+      }
+      if (!milestone.name && pendingName) {
+        milestone.name = pendingName;
+      }
+      pendingName = null;
+      if (milestone.name) {
+        milestone.id = `ms-${milestones.length + 1}`;
+        milestone.order = milestones.length;
+        milestones.push(milestone);
+      }
+    });
+
+    this.resolveRelativeDates(milestones);
+    const issues = this.checkConsistency(milestones, resolvedDocumentDate);
+
+    // Chronological order; milestones without a date keep their document order at the end
+    const scheduled = [...milestones].sort((a, b) => {
+      if (a.date && b.date) return a.date.localeCompare(b.date) || a.order - b.order;
+      if (a.date) return -1;
+      if (b.date) return 1;
+      return a.order - b.order;
+    });
+
+    return {
+      documentDate: resolvedDocumentDate,
+      milestones: scheduled,
+      issues
+    };
+  }
+
+  /**
+   * Lines of the timeline section (including subsections), skipping tables
+   */
+  readLines(content, section, tableRanges) {
+    const lines = [];
+    let offset = section.bodyStart;
+
+    content.slice(section.bodyStart, section.end).split('\n').forEach(line => {
+      const start = offset;
+      offset += line.length + 1;
+
+      const text = line
+        .replace(/^\s*#{1,6}\s+/, '')
+        .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '')
+        .replace(/\*\*|__/g, '')
+        .trim();
+
+      if (!text || tableRanges.some(([from, to]) => start >= from && start < to)) {
+        return;
+      }
+
+      lines.push({
+        text,
+        source: line.trim(),
+        sectionId: findSectionAtOffset([section], start)?.id || section.id,
+        start
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Parse one timeline line or table row into a milestone
+   * @returns {Object|null} null when the text has no date or relative reference
+   */
+  parseMilestone(candidate, referenceDate) {
+    const { text } = candidate;
+    const dates = findDates(text, { referenceDate });
+    const relativeMatch = text.match(RELATIVE_PATTERN);
+
+    if (dates.length === 0 && !relativeMatch) {
+      return null;
+    }
+
+    let relative = null;
+    let remainder = text;
+    let raw;
+
+    if (relativeMatch && (dates.length === 0 || relativeMatch.index < dates[0].index)) {
+      const [duration] = findDurations(relativeMatch[1]);
+      const before = /^(?:before|prior\s+to)$/i.test(relativeMatch[2]);
+      relative = {
+        amount: duration.amount,
+        unit: duration.unit,
+        days: before ? -duration.days : duration.days,
+        direction: before ? 'before' : 'after',
+        reference: relativeMatch[3].trim(),
+        milestoneId: null
+      };
+      raw = relativeMatch[0].trim();
+      remainder = text.slice(0, relativeMatch.index) + text.slice(relativeMatch.index + relativeMatch[0].length);
+    } else {
+      raw = dates[0].raw;
+      remainder = text.slice(0, dates[0].index) + text.slice(dates[0].index + dates[0].raw.length);
+      // A second date on the line ends a range, e.g. "Jul 1, 2025 - Aug 15, 2025"
+      if (dates[1]) {
+        remainder = remainder.replace(dates[1].raw, '').replace(/\s+(?:-|–|—|to|through|until)\s*$/i, '');
+      }
+    }
+
+    const name = candidate.name || this.cleanName(remainder);
+
+    return {
+      id: null,
+      name,
+      date: relative ? null : dates[0].date,
+      endDate: !relative && dates[1] ? dates[1].date : null,
+      precision: relative ? 'relative' : dates[0].precision,
+      assumedYear: relative ? false : dates[0].assumedYear,
+      raw,
+      relative,
+      source: candidate.source,
+      sectionId: candidate.sectionId,
+      tableId: candidate.tableId || null,
+      start: candidate.start
+    };
+  }
+
+  /**
+   * Resolve "N weeks after <milestone>" against other milestones, following chains
+   */
+  resolveRelativeDates(milestones) {
+    const pending = milestones.filter(milestone => milestone.relative);
+
+    pending.forEach(milestone => {
+      const target = this.findReference(milestones, milestone.relative.reference, milestone);
+      milestone.relative.milestoneId = target ? target.id : null;
+    });
+
+    // Each pass resolves milestones whose reference now has a date
+    let progress = true;
+    while (progress) {
+      progress = false;
+      pending.forEach(milestone => {
+        if (milestone.date || !milestone.relative.milestoneId) {
+          return;
+        }
+        const target = milestones.find(candidate => candidate.id === milestone.relative.milestoneId);
+        if (target?.date) {
+          milestone.date = addDays(target.date, milestone.relative.days);
+          progress = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * Match a reference such as "beta" to a milestone name
+   */
+  findReference(milestones, reference, self) {
+    const normalise = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const wanted = normalise(reference);
+    const others = milestones.filter(milestone => milestone !== self);
+
+    return others.find(milestone => normalise(milestone.name) === wanted) ||
+      others.find(milestone => normalise(milestone.name).split(' ').includes(wanted)) ||
+      others.find(milestone => {
+        const name = normalise(milestone.name);
+        return name.includes(wanted) || wanted.includes(name);
+      }) ||
+      null;
+  }
+
+  /**
+   * Flag milestones out of document order, dates before the document date and unresolved references
+   */
+  checkConsistency(milestones, documentDate) {
+    const issues = [];
+    let latest = null;
+
+    milestones.forEach(milestone => {
+      if (milestone.relative && !milestone.relative.milestoneId) {
+        issues.push({
+          type: 'unresolved_reference',
+          milestoneId: milestone.id,
+          message: `"${milestone.name}" is scheduled relative to "${milestone.relative.reference}", which is not a milestone in the timeline`
+        });
+      } else if (milestone.relative && !milestone.date) {
+        issues.push({
+          type: 'unresolved_reference',
+          milestoneId: milestone.id,
+          message: `"${milestone.name}" depends on a milestone that has no date`
+        });
+      }
+
+      if (!milestone.date) {
+        return;
+      }
+
+      if (milestone.date < documentDate) {
+        issues.push({
+          type: 'past_date',
+          milestoneId: milestone.id,
+          message: `"${milestone.name}" (${milestone.date}) is before the document date (${documentDate})`
+        });
+      }
+
+      // Relative milestones are placed by their reference, so only absolute dates can be misordered
+      if (latest && !milestone.relative && milestone.date < latest.date) {
+        issues.push({
+          type: 'out_of_order',
+          milestoneId: milestone.id,
+          message: `"${milestone.name}" (${milestone.date}) is listed after "${latest.name}" (${latest.date}) but happens earlier`
+        });
+      }
+
+      if (milestone.assumedYear) {
+        issues.push({
+          type: 'ambiguous_date',
+          milestoneId: milestone.id,
+          message: `"${milestone.name}" gives "${milestone.raw}" without a year; assumed ${milestone.date.slice(0, 4)}`
+        });
+      }
+
+      if (!latest || milestone.date > latest.date) {
+        latest = milestone;
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Find a "Date:" or "Last updated:" line near the top of the document
+   */
+  findDocumentDate(content) {
+    const lines = content.split('\n').slice(0, DOCUMENT_DATE_LINES);
+    for (const line of lines) {
+      const match = line.replace(/\*\*|__/g, '').match(DOCUMENT_DATE_PATTERN);
+      const date = match && findDates(match[1]).find(found => found.precision === 'day');
+      if (date) {
+        return date.date;
+      }
+    }
+    return null;
+  }
+
+  looksLikeName(text) {
+    return text.length <= 80 && !/[.!?]$/.test(text);
+  }
+
+  cleanName(text) {
+    let name = text.replace(/\s+/g, ' ').trim();
+    let previous;
+    do {
+      previous = name;
+      name = name
+        .replace(/^[\s:–—\-|,()[\]]+|[\s:–—\-|,()[\]]+$/g, '')
+        .replace(NAME_NOISE, '')
+        .replace(/^(?:by|in|on|due)\s+/i, '')
+        .trim();
+    } while (name !== previous);
+    return name;
+  }
+}
+
+module.exports = TimelineParser;
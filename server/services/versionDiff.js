@@ -0,0 +1,265 @@
+const { flattenSections } = require('../utils/sectionTree');
+
+// Removed and added paragraphs this similar are reported as one changed paragraph
+const CHANGED_PARAGRAPH_SIMILARITY = 0.5;
+
+// Lines that are list items or table rows are compared one by one
+const LINE_ITEM_PATTERN = /^\s*(?:[-*+•]|\d+[.)]|\|)|\s\|\s/;
+
+class VersionDiff {
+  /**
+   * Compare two revisions section by section
+   * @param {Object} from - Older revision `{ content, structuredData }`
+   * @param {Object} to - Newer revision `{ content, structuredData }`
+   * @returns {Object} `{ summary, sections }`; each section has a status and paragraph-level changes
+   */
+  diff(from, to) {
+    const fromSections = this.identifySections(from.structuredData?.sections, from.content);
+    const toSections = this.identifySections(to.structuredData?.sections, to.content);
+    const fromById = new Map(fromSections.map(section => [section.identity, section]));
+    const matched = new Set(toSections.map(section => section.identity).filter(identity => fromById.has(identity)));
+
+    const sections = [];
+    let fromIndex = 0;
+
+    // Walk the new revision in order, slotting in removed sections where they used to be
+    const flushRemoved = (untilIdentity) => {
+      while (fromIndex < fromSections.length && fromSections[fromIndex].identity !== untilIdentity) {
+        const removed = fromSections[fromIndex++];
+        if (!matched.has(removed.identity)) {
+          sections.push(this.sectionEntry('removed', removed, null));
+        }
+      }
+    };
+
+    toSections.forEach(section => {
+      if (!matched.has(section.identity)) {
+        sections.push(this.sectionEntry('added', null, section));
+        return;
+      }
+
+      const previous = fromById.get(section.identity);
+      if (fromSections.indexOf(previous) >= fromIndex) {
+        flushRemoved(section.identity);
+        fromIndex++;
+      }
+
+      const changes = this.diffParagraphs(previous.paragraphs, section.paragraphs);
+      const renamed = previous.title !== section.title;
+      sections.push(this.sectionEntry(changes.length > 0 || renamed ? 'changed' : 'unchanged', previous, section, changes));
+    });
+    flushRemoved(null);
+
+    return {
+      summary: this.summarize(sections),
+      sections
+    };
+  }
+
+  /**
+   * Flatten a section tree and give each section an identity that survives edits:
+   * its taxonomy key when it has one, otherwise its heading path
+   */
+  identifySections(sectionTree, content = '') {
+    const nodes = flattenSections(sectionTree);
+    const seen = new Map();
+    const paths = new Map();
+
+    // Fall back to the whole text when a revision has no section tree
+    if (nodes.length === 0 && content.trim()) {
+      nodes.push({ id: 'sec-0', level: 0, title: '', key: null, body: content.trim(), children: [] });
+    }
+
+    const visit = (list, parentPath) => {
+      list.forEach(node => {
+        const path = [...parentPath, this.normalize(node.title)];
+        paths.set(node, path);
+        visit(node.children || [], path);
+      });
+    };
+    visit(sectionTree || nodes, []);
+
+    return nodes.map(node => {
+      let identity;
+      if (node.level === 0 && !node.title) {
+        identity = 'preamble';
+      } else if (node.key) {
+        identity = `key:${node.key}`;
+      } else {
+        identity = `title:${(paths.get(node) || [this.normalize(node.title)]).join('/')}`;
+      }
+
+      const count = (seen.get(identity) || 0) + 1;
+      seen.set(identity, count);
+
+      return {
+        identity: count > 1 ? `${identity}#${count}` : identity,
+        id: node.id,
+        key: node.key || null,
+        title: node.title,
+        paragraphs: this.splitParagraphs(node.body)
+      };
+    });
+  }
+
+  /**
+   * Split section text into paragraphs; list items and table rows count individually
+   */
+  splitParagraphs(text) {
+    if (!text) {
+      return [];
+    }
+
+    return text
+      .split(/\n\s*\n/)
+      .flatMap(block => {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        return lines.length > 1 && lines.some(line => LINE_ITEM_PATTERN.test(line))
+          ? lines
+          : [lines.join(' ')];
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Diff two paragraph lists with a longest common subsequence, pairing similar
+   * removed and added paragraphs into changes
+   */
+  diffParagraphs(before, after) {
+    const a = before.map(paragraph => this.normalize(paragraph));
+    const b = after.map(paragraph => this.normalize(paragraph));
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      changes.push(...this.pairChanges(removed, added));
+      removed = [];
+      added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        flush();
+        i++;
+        j++;
+      } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+        added.push({ index: j, text: after[j++] });
+      } else {
+        removed.push({ index: i, text: before[i++] });
+      }
+    }
+    flush();
+
+    return changes;
+  }
+
+  /**
+   * Turn a run of removed and added paragraphs into changed/removed/added entries
+   */
+  pairChanges(removed, added) {
+    const changes = [];
+    const unpairedAdded = new Set(added);
+
+    removed.forEach(oldParagraph => {
+      let best = null;
+      let bestSimilarity = CHANGED_PARAGRAPH_SIMILARITY;
+      unpairedAdded.forEach(newParagraph => {
+        const similarity = this.similarity(oldParagraph.text, newParagraph.text);
+        if (similarity >= bestSimilarity) {
+          best = newParagraph;
+          bestSimilarity = similarity;
+        }
+      });
+
+      if (best) {
+        unpairedAdded.delete(best);
+        changes.push({
+          type: 'changed',
+          before: oldParagraph.text,
+          after: best.text,
+          similarity: Math.round(bestSimilarity * 100) / 100
+        });
+      } else {
+        changes.push({ type: 'removed', before: oldParagraph.text });
+      }
+    });
+
+    unpairedAdded.forEach(newParagraph => {
+      changes.push({ type: 'added', after: newParagraph.text });
+    });
+
+    return changes;
+  }
+
+  sectionEntry(status, previous, current, changes = null) {
+    const section = current || previous;
+    const paragraphChanges = changes || (status === 'added'
+      ? current.paragraphs.map(text => ({ type: 'added', after: text }))
+      : previous.paragraphs.map(text => ({ type: 'removed', before: text })));
+
+    return {
+      sectionId: current ? current.id : null,
+      previousSectionId: previous ? previous.id : null,
+      key: section.key,
+      title: section.title,
+      previousTitle: previous && current && previous.title !== current.title ? previous.title : undefined,
+      status,
+      changes: paragraphChanges
+    };
+  }
+
+  summarize(sections) {
+    const count = (predicate) => sections.filter(predicate).length;
+    const countChanges = (type) => sections.reduce(
+      (total, section) => total + section.changes.filter(change => change.type === type).length,
+      0
+    );
+
+    return {
+      sectionsAdded: count(section => section.status === 'added'),
+      sectionsRemoved: count(section => section.status === 'removed'),
+      sectionsChanged: count(section => section.status === 'changed'),
+      sectionsUnchanged: count(section => section.status === 'unchanged'),
+      paragraphsAdded: countChanges('added'),
+      paragraphsRemoved: countChanges('removed'),
+      paragraphsChanged: countChanges('changed')
+    };
+  }
+
+  /**
+   * Word-set overlap (Jaccard) between two paragraphs
+   */
+  similarity(a, b) {
+    const words = (text) => new Set(this.normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+    const wordsA = words(a);
+    const wordsB = words(b);
+    if (wordsA.size === 0 && wordsB.size === 0) {
+      return 1;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  normalize(text) {
+    return (text || '').toLowerCase().replace(/[*_`#>]+/g, '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = VersionDiff;
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { isCompoundFile, readCompoundFile } = require('../utils/cfb');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/doc', name));
+
+describe('readCompoundFile', () => {
+  it('lists the streams of a Word document', () => {
+    const { entries } = readCompoundFile(fixture('plain-text.doc'));
+
+    expect(entries.map(entry => [entry.name, entry.type])).toEqual([
+      ['Root Entry', 'root'],
+      ['WordDocument', 'stream'],
+      ['1Table', 'stream'],
+      ['\u0005SummaryInformation', 'stream']
+    ]);
+  });
+
+  it('reads streams from regular sectors and from the mini stream', () => {
+    const compoundFile = readCompoundFile(fixture('plain-text.doc'));
+
+    const wordStream = compoundFile.getStream('WordDocument');
+    expect(wordStream).toHaveLength(4096);
+    expect(wordStream.readUInt16LE(0)).toBe(0xA5EC);
+
+    const summary = compoundFile.getStream('\u0005SummaryInformation');
+    expect(summary.readUInt16LE(0)).toBe(0xFFFE);
+    expect(summary.length).toBeLessThan(4096);
+  });
+
+  it('reads the streams of a file saved by Word', () => {
+    const compoundFile = readCompoundFile(fixture('word97.doc'));
+
+    expect(compoundFile.getStream('WordDocument').readUInt16LE(0)).toBe(0xA5EC);
+    expect(compoundFile.getStream('\u0005DocumentSummaryInformation').readUInt16LE(0)).toBe(0xFFFE);
+  });
+
+  it('looks streams up among the top-level entries, not in embedded objects', () => {
+    const compoundFile = readCompoundFile(fixture('embedded-object.doc'));
+
+    // ObjectPool's embedded document comes first in the directory
+    expect(compoundFile.entries.filter(entry => entry.name === 'WordDocument')).toHaveLength(2);
+    expect(compoundFile.getStream('WordDocument').toString('latin1', 1024, 1062))
+      .toBe('The release notes embed a spreadsheet.');
+  });
+
+  it('returns null for a missing stream', () => {
+    expect(readCompoundFile(fixture('word95.doc')).getStream('1Table')).toBeNull();
+  });
+
+  it('rejects files without the CFB signature', () => {
+    const buffer = Buffer.from('PK\u0003\u0004 not a compound file');
+
+    expect(isCompoundFile(buffer)).toBe(false);
+    expect(() => readCompoundFile(buffer)).toThrow('Not a compound file (missing CFB signature)');
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentParser = require('../services/documentParser');
+const logger = require('../utils/logger');
+const { flattenSections } = require('../utils/sectionTree');
+
+const fixturePath = (name) => path.join(__dirname, 'fixtures/doc', name);
+
+describe('DocumentParser.parseDOC', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new DocumentParser();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('parses text and metadata', async () => {
+    const result = await parser.parseDocument(fixturePath('plain-text.doc'));
+
+    expect(result.success).toBe(true);
+    expect(result.content).toBe([
+      'Checkout takes too many steps on mobile.',
+      'We will cut it to three steps – see the research.',
+      'Owners: “Payments” team.'
+    ].join('\n\n'));
+    expect(result.metadata).toMatchObject({
+      format: 'doc',
+      title: 'Checkout Redesign',
+      author: 'Sam Lee',
+      fileSize: fs.statSync(fixturePath('plain-text.doc')).size
+    });
+  });
+
+  it('parses a document saved by Word', async () => {
+    const result = await parser.parseDocument(fixturePath('word97.doc'));
+
+    expect(result.success).toBe(true);
+    expect(result.content).toBe('test');
+    expect(result.metadata.format).toBe('doc');
+  });
+
+  it('builds sections from Word headings', async () => {
+    const result = await parser.parseDocument(fixturePath('headings.doc'));
+
+    expect(flattenSections(result.structuredData.sections).map(node => [node.title, node.level, node.key])).toEqual([
+      ['Problem Statement', 1, 'problemStatement'],
+      ['Requirements', 1, null],
+      ['Filtering', 2, null],
+      ['Success Metrics', 1, 'successMetrics']
+    ]);
+  });
+
+  it('reads features from a Word table', async () => {
+    const result = await parser.parseDocument(fixturePath('table.doc'));
+
+    expect(result.content).toContain('Feature | Priority\nSaved cards | P0\nGuest checkout | P1');
+    expect(result.structuredData.features.map(feature => [feature.name, feature.priority])).toEqual([
+      ['Saved cards', 'P0'],
+      ['Guest checkout', 'P1']
+    ]);
+  });
+
+  it.each([
+    ['encrypted.doc', 'Password-protected Word documents are not supported'],
+    ['word95.doc', 'Word 6.0/95 documents are not supported; please re-save the file as .docx']
+  ])('reports why %s cannot be read', async (name, message) => {
+    await expect(parser.parseDocument(fixturePath(name))).resolves.toEqual({ success: false, error: message });
+  });
+
+  it('rejects .doc files in other formats', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prd-doc-'));
+    const filePath = path.join(directory, 'notes.doc');
+    fs.writeFileSync(filePath, 'Plain text saved with a .doc extension');
+
+    try {
+      await expect(parser.parseDocument(filePath)).resolves.toEqual({
+        success: false,
+        error: 'Unrecognised .doc file: expected a Word 97-2003 document'
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
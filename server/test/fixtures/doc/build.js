@@ -0,0 +1,437 @@
+/**
+ * Builds the Word 97-2003 (.doc) fixtures in this directory.
+ *
+ * Each file is a version 3 compound file (512-byte sectors) holding a WordDocument stream with
+ * a FIB, the text in a single 8-bit or 16-bit piece, one FKP of paragraph properties, a 1Table
+ * stream with the Clx, stylesheet and PlcBtePapx, and a SummaryInformation property set in the
+ * mini stream, laid out as described in [MS-CFB], [MS-DOC] and [MS-OLEPS].
+ *
+ * Run `node test/fixtures/doc/build.js` from server/ to regenerate them.
+ *
+ * word97.doc was saved by Word itself: it is test.doc from the MIT-licensed `test-files` npm
+ * package (1.0.2). Its streams are kept byte for byte, except that WordDocument is cut to the
+ * first 4 KB, which hold the FIB, the text and the FKPs; the 1.4 MB after them is not
+ * referenced by the FIB. Run `node test/fixtures/doc/build.js --repack <test.doc>` to redo it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const STREAM_SIZE = 4096;
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FREESECT = 0xFFFFFFFF;
+const FATSECT = 0xFFFFFFFD;
+const NOSTREAM = 0xFFFFFFFF;
+
+// Offsets inside the WordDocument stream
+const TEXT_OFFSET = 1024;
+const FKP_PAGE = 3;
+const FKP_SIZE = 512;
+
+// Offsets inside the 1Table stream
+const STSH_OFFSET = 64;
+const PLCF_BTE_PAPX_OFFSET = 512;
+
+const SPRM_P_OUT_LVL = 0x2640;
+const SPRM_P_F_IN_TABLE = 0x2416;
+const SPRM_P_F_TTP = 0x2417;
+
+const FMTID_SUMMARY_INFORMATION = Buffer.from('E0859FF2F94F6810AB9108002B27B3D9', 'hex');
+
+const CP1252 = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const encodeCp1252 = (text) => Buffer.from(Array.from(text, ch => CP1252[ch] || ch.charCodeAt(0)));
+
+const DEFAULT_STYLES = [
+  { sti: 0, name: 'Normal' },
+  { sti: 1, name: 'heading 1' },
+  { sti: 2, name: 'heading 2' }
+];
+
+/**
+ * Paragraph properties: style index and the paragraph sprms the parser reads
+ */
+function buildPapx(paragraph) {
+  const istd = paragraph.style || 0;
+  const bytes = [istd & 0xFF, istd >> 8];
+  const sprm = (code, operand) => bytes.push(code & 0xFF, code >> 8, operand);
+
+  if (typeof paragraph.outlineLevel === 'number') sprm(SPRM_P_OUT_LVL, paragraph.outlineLevel);
+  if (paragraph.inTable) sprm(SPRM_P_F_IN_TABLE, 1);
+  if (paragraph.rowEnd) sprm(SPRM_P_F_TTP, 1);
+  if (bytes.length % 2) bytes.push(0);
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * WordDocument and 1Table streams for a list of paragraphs
+ * @param {Object} options - `paragraphs` of `{ text, end, style, outlineLevel, inTable, rowEnd }`
+ *   (`end` is the terminating character, a paragraph mark by default), `styles`, `nFib`,
+ *   `encrypted`, `clxPrefix`: bytes written before the piece table, and `unicode` to store the
+ *   text as UTF-16 rather than CP1252
+ */
+function buildWordStreams({
+  paragraphs, styles = DEFAULT_STYLES, nFib = 0x00C1, encrypted = false, clxPrefix = null, unicode = false
+}) {
+  const wordStream = Buffer.alloc(STREAM_SIZE);
+  const tableStream = Buffer.alloc(STREAM_SIZE);
+
+  const encode = unicode ? (value) => Buffer.from(value, 'utf16le') : encodeCp1252;
+  const runs = paragraphs.map(paragraph => encode(paragraph.text + (paragraph.end || '\r')));
+  const text = Buffer.concat(runs);
+  const characters = unicode ? text.length / 2 : text.length;
+
+  // FibBase, then FibRgW97 (14 words), FibRgLw97 (22 longs) and FibRgFcLcb97 (93 pairs)
+  wordStream.writeUInt16LE(0xA5EC, 0);
+  wordStream.writeUInt16LE(nFib, 2);
+  wordStream.writeUInt16LE(0x0409, 6);
+  wordStream.writeUInt16LE(0x0200 | (encrypted ? 0x0100 : 0), 0x0A);
+  wordStream.writeUInt16LE(14, 0x20);
+  wordStream.writeUInt16LE(22, 0x3E);
+  wordStream.writeUInt32LE(characters, 0x4C);
+  wordStream.writeUInt16LE(93, 0x98);
+  const setFcLcb = (index, fc, lcb) => {
+    wordStream.writeUInt32LE(fc, 0x9A + index * 8);
+    wordStream.writeUInt32LE(lcb, 0x9A + index * 8 + 4);
+  };
+
+  text.copy(wordStream, TEXT_OFFSET);
+
+  // One FKP: FC boundaries, then a BX (offset + PHE) per run, PAPXs packed from the end
+  const fkp = FKP_PAGE * FKP_SIZE;
+  let fc = TEXT_OFFSET;
+  wordStream.writeUInt32LE(fc, fkp);
+  let papxOffset = FKP_SIZE - 1;
+  paragraphs.forEach((paragraph, i) => {
+    fc += runs[i].length;
+    wordStream.writeUInt32LE(fc, fkp + (i + 1) * 4);
+
+    const papx = buildPapx(paragraph);
+    papxOffset -= papx.length + 2;
+    papxOffset -= papxOffset % 2;
+    wordStream[fkp + papxOffset] = 0;
+    wordStream[fkp + papxOffset + 1] = papx.length / 2;
+    papx.copy(wordStream, fkp + papxOffset + 2);
+    wordStream[fkp + (paragraphs.length + 1) * 4 + i * 13] = papxOffset / 2;
+  });
+  wordStream[fkp + FKP_SIZE - 1] = paragraphs.length;
+
+  // Clx: optional Prc bytes, then a Pcdt with one piece covering all text. A compressed
+  // piece's FC is doubled and flagged with bit 30.
+  let clx = 0;
+  if (clxPrefix) {
+    clxPrefix.copy(tableStream, 0);
+    clx = clxPrefix.length;
+  }
+  tableStream[clx] = 0x02;
+  tableStream.writeUInt32LE(16, clx + 1);
+  tableStream.writeUInt32LE(0, clx + 5);
+  tableStream.writeUInt32LE(characters, clx + 9);
+  tableStream.writeUInt32LE(unicode ? TEXT_OFFSET : (TEXT_OFFSET * 2) | 0x40000000, clx + 15);
+  setFcLcb(33, 0, clx + 21);
+
+  // STSH: STSHI (cstd, cbSTDBaseInFile), then an STD per style with its name as an Xstz
+  tableStream.writeUInt16LE(18, STSH_OFFSET);
+  tableStream.writeUInt16LE(styles.length, STSH_OFFSET + 2);
+  tableStream.writeUInt16LE(10, STSH_OFFSET + 4);
+  let std = STSH_OFFSET + 2 + 18;
+  styles.forEach(style => {
+    const cbStd = 10 + 2 + style.name.length * 2 + 2;
+    tableStream.writeUInt16LE(cbStd, std);
+    tableStream.writeUInt16LE(style.sti, std + 2);
+    tableStream.writeUInt16LE(style.name.length, std + 12);
+    tableStream.write(style.name, std + 14, 'utf16le');
+    std += 2 + cbStd;
+  });
+  setFcLcb(1, STSH_OFFSET, std - STSH_OFFSET);
+
+  // PlcBtePapx: one FC range pointing at the FKP page
+  tableStream.writeUInt32LE(TEXT_OFFSET, PLCF_BTE_PAPX_OFFSET);
+  tableStream.writeUInt32LE(fc, PLCF_BTE_PAPX_OFFSET + 4);
+  tableStream.writeUInt32LE(FKP_PAGE, PLCF_BTE_PAPX_OFFSET + 8);
+  setFcLcb(13, PLCF_BTE_PAPX_OFFSET, 12);
+
+  return { wordStream, tableStream };
+}
+
+/**
+ * SummaryInformation property set with the title and author as VT_LPSTR
+ */
+function buildSummaryInformation({ title = '', author = '' }) {
+  const properties = [[2, title], [4, author]].map(([id, value]) => {
+    const bytes = encodeCp1252(`${value}\0`);
+    const property = Buffer.alloc(8 + Math.ceil(bytes.length / 4) * 4);
+    property.writeUInt32LE(0x1E, 0);
+    property.writeUInt32LE(bytes.length, 4);
+    bytes.copy(property, 8);
+    return { id, property };
+  });
+
+  const header = Buffer.alloc(48);
+  header.writeUInt16LE(0xFFFE, 0);
+  header.writeUInt32LE(1, 24);
+  FMTID_SUMMARY_INFORMATION.copy(header, 28);
+  header.writeUInt32LE(48, 44);
+
+  const index = Buffer.alloc(8 + properties.length * 8);
+  let offset = index.length;
+  properties.forEach(({ id, property }, i) => {
+    index.writeUInt32LE(id, 8 + i * 8);
+    index.writeUInt32LE(offset, 12 + i * 8);
+    offset += property.length;
+  });
+  index.writeUInt32LE(offset, 0);
+  index.writeUInt32LE(properties.length, 4);
+
+  return Buffer.concat([header, index, ...properties.map(({ property }) => property)]);
+}
+
+/**
+ * A compound file holding full-size streams, one mini stream (`{ name, data, mini }`) and
+ * storages (`{ name, children }`) of further streams
+ */
+function buildCompoundFile(children) {
+  // Directory entries in depth-first order, each storage linked to its first child and each
+  // child to the next as its right sibling
+  const nodes = [{ name: 'Root Entry', type: 5 }];
+  const addChildren = (parent, items) => {
+    let previous = null;
+    items.forEach(item => {
+      const node = item.children ? { name: item.name, type: 1 } : { ...item, type: 2 };
+      if (previous) {
+        previous.right = nodes.length;
+      } else {
+        parent.child = nodes.length;
+      }
+      nodes.push(node);
+      previous = node;
+      if (item.children) {
+        addChildren(node, item.children);
+      }
+    });
+  };
+  addChildren(nodes[0], children);
+  const streams = nodes.filter(node => node.type === 2);
+
+  const fat = [FATSECT];
+  const allocate = (count) => {
+    const start = fat.length;
+    for (let i = 0; i < count; i++) {
+      fat.push(i === count - 1 ? ENDOFCHAIN : start + i + 1);
+    }
+    return start;
+  };
+
+  const directoryEntriesPerSector = SECTOR_SIZE / 128;
+  const directorySectors = Math.ceil(nodes.length / directoryEntriesPerSector);
+  const directorySector = allocate(directorySectors);
+  const miniFatSector = allocate(1);
+  const miniStreamData = Buffer.concat(streams.filter(stream => stream.mini).map(stream => {
+    const padded = Buffer.alloc(Math.ceil(stream.data.length / MINI_SECTOR_SIZE) * MINI_SECTOR_SIZE);
+    stream.data.copy(padded);
+    return padded;
+  }));
+  const miniStreamSector = allocate(Math.max(1, Math.ceil(miniStreamData.length / SECTOR_SIZE)));
+
+  const miniFat = [];
+  streams.forEach(stream => {
+    const sectors = Math.ceil(stream.data.length / (stream.mini ? MINI_SECTOR_SIZE : SECTOR_SIZE));
+    if (stream.mini) {
+      stream.start = miniFat.length;
+      for (let i = 0; i < sectors; i++) {
+        miniFat.push(i === sectors - 1 ? ENDOFCHAIN : stream.start + i + 1);
+      }
+    } else {
+      stream.start = allocate(sectors);
+    }
+  });
+  nodes[0].start = miniStreamSector;
+  nodes[0].size = miniStreamData.length;
+
+  const sectorCount = fat.length;
+  const file = Buffer.alloc(SECTOR_SIZE * (sectorCount + 1));
+  const sectorOffset = (sector) => (sector + 1) * SECTOR_SIZE;
+
+  // Header
+  Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]).copy(file, 0);
+  file.writeUInt16LE(0x3E, 0x18);
+  file.writeUInt16LE(3, 0x1A);
+  file.writeUInt16LE(0xFFFE, 0x1C);
+  file.writeUInt16LE(9, 0x1E);
+  file.writeUInt16LE(6, 0x20);
+  file.writeUInt32LE(1, 0x2C);
+  file.writeUInt32LE(directorySector, 0x30);
+  file.writeUInt32LE(STREAM_SIZE, 0x38);
+  file.writeUInt32LE(miniFatSector, 0x3C);
+  file.writeUInt32LE(1, 0x40);
+  file.writeUInt32LE(ENDOFCHAIN, 0x44);
+  for (let i = 0; i < 109; i++) {
+    file.writeUInt32LE(i === 0 ? 0 : FREESECT, 0x4C + i * 4);
+  }
+
+  for (let i = 0; i < SECTOR_SIZE / 4; i++) {
+    file.writeUInt32LE(i < fat.length ? fat[i] : FREESECT, sectorOffset(0) + i * 4);
+    file.writeUInt32LE(i < miniFat.length ? miniFat[i] : FREESECT, sectorOffset(miniFatSector) + i * 4);
+  }
+
+  for (let i = nodes.length; i < directorySectors * directoryEntriesPerSector; i++) {
+    file.writeUInt32LE(NOSTREAM, sectorOffset(directorySector) + i * 128 + 0x44);
+    file.writeUInt32LE(NOSTREAM, sectorOffset(directorySector) + i * 128 + 0x48);
+    file.writeUInt32LE(NOSTREAM, sectorOffset(directorySector) + i * 128 + 0x4C);
+  }
+  nodes.forEach((entry, i) => {
+    const offset = sectorOffset(directorySector) + i * 128;
+    file.write(`${entry.name}\0`, offset, 'utf16le');
+    file.writeUInt16LE((entry.name.length + 1) * 2, offset + 0x40);
+    file[offset + 0x42] = entry.type;
+    file[offset + 0x43] = 1;
+    file.writeUInt32LE(NOSTREAM, offset + 0x44);
+    file.writeUInt32LE(entry.right ?? NOSTREAM, offset + 0x48);
+    file.writeUInt32LE(entry.child ?? NOSTREAM, offset + 0x4C);
+    file.writeUInt32LE(entry.start ?? 0, offset + 0x74);
+    file.writeUInt32LE(entry.size ?? entry.data?.length ?? 0, offset + 0x78);
+  });
+
+  miniStreamData.copy(file, sectorOffset(miniStreamSector));
+  let miniOffset = 0;
+  streams.forEach(stream => {
+    if (stream.mini) {
+      stream.data.copy(file, sectorOffset(miniStreamSector) + miniOffset);
+      miniOffset += Math.ceil(stream.data.length / MINI_SECTOR_SIZE) * MINI_SECTOR_SIZE;
+    } else {
+      stream.data.copy(file, sectorOffset(stream.start));
+    }
+  });
+
+  return file;
+}
+
+/**
+ * A complete .doc file
+ * @param {Object} options - `buildWordStreams` options, `title`, `author`, `tableStream: false`
+ *   to leave out the 1Table stream as Word 6.0/95 files do, and `embedded`: `buildWordStreams`
+ *   options for a Word object embedded in the ObjectPool storage, listed before the main streams
+ */
+function buildDoc(options) {
+  const { wordStream, tableStream } = buildWordStreams(options);
+  const streams = [];
+  if (options.embedded) {
+    const embedded = buildWordStreams(options.embedded);
+    streams.push({
+      name: 'ObjectPool',
+      children: [{
+        name: '_1234567890',
+        children: [
+          { name: 'WordDocument', data: embedded.wordStream },
+          { name: '1Table', data: embedded.tableStream }
+        ]
+      }]
+    });
+  }
+  streams.push({ name: 'WordDocument', data: wordStream });
+  if (options.tableStream !== false) {
+    streams.push({ name: '1Table', data: tableStream });
+  }
+  streams.push({ name: '\u0005SummaryInformation', data: buildSummaryInformation(options), mini: true });
+  return buildCompoundFile(streams);
+}
+
+/**
+ * Copy a Word-saved file's streams into a new compound file, keeping the first
+ * `wordDocumentSize` bytes of its WordDocument stream
+ */
+function repackDoc(buffer, wordDocumentSize) {
+  const { readCompoundFile } = require('../../../utils/cfb');
+  const compoundFile = readCompoundFile(buffer);
+  return buildCompoundFile(compoundFile.entries
+    .filter(entry => entry.type === 'stream')
+    .map(entry => {
+      const data = compoundFile.getStream(entry.name);
+      return entry.name === 'WordDocument'
+        ? { name: entry.name, data: data.subarray(0, wordDocumentSize) }
+        : { name: entry.name, data, mini: data.length < STREAM_SIZE };
+    }));
+}
+
+const FIXTURES = {
+  'plain-text.doc': {
+    title: 'Checkout Redesign',
+    author: 'Sam Lee',
+    paragraphs: [
+      { text: 'Checkout takes too many steps on mobile.' },
+      { text: 'We will cut it to three steps – see \u0013 HYPERLINK "https://example.com/research" \u0014the research\u0015.' },
+      { text: 'Owners: “Payments” team.' }
+    ]
+  },
+  'headings.doc': {
+    title: 'Search PRD',
+    author: 'Alex Kim',
+    paragraphs: [
+      { text: 'Problem Statement', style: 1 },
+      { text: 'Users cannot find past orders.' },
+      { text: 'Requirements', style: 1 },
+      { text: 'Filtering', style: 2 },
+      { text: 'Filter orders by date and status.' },
+      { text: 'Success Metrics', outlineLevel: 0 },
+      { text: 'Order lookups rise from 20% to 35%.' }
+    ]
+  },
+  'table.doc': {
+    title: 'Feature List',
+    author: 'Sam Lee',
+    paragraphs: [
+      { text: 'Features', style: 1 },
+      { text: 'Feature', end: '\u0007', inTable: true },
+      { text: 'Priority', end: '\u0007', inTable: true },
+      { text: '', end: '\u0007', inTable: true, rowEnd: true },
+      { text: 'Saved cards', end: '\u0007', inTable: true },
+      { text: 'P0', end: '\u0007', inTable: true },
+      { text: '', end: '\u0007', inTable: true, rowEnd: true },
+      { text: 'Guest checkout', end: '\u0007', inTable: true },
+      { text: 'P1', end: '\u0007', inTable: true },
+      { text: '', end: '\u0007', inTable: true, rowEnd: true },
+      { text: 'Both ship in Q3.' }
+    ]
+  },
+  'encrypted.doc': {
+    encrypted: true,
+    paragraphs: [{ text: 'Confidential roadmap.' }]
+  },
+  'unicode.doc': {
+    title: 'Localisation',
+    author: 'Zoë Müller',
+    unicode: true,
+    paragraphs: [
+      { text: 'Localisation', style: 1 },
+      { text: 'Ship the menu in Ελληνικά, Русский and 日本語.' },
+      { text: 'Prices show as 1 200,50 € or ¥1,200.' }
+    ]
+  },
+  'embedded-object.doc': {
+    title: 'Release Notes',
+    paragraphs: [{ text: 'The release notes embed a spreadsheet.' }],
+    embedded: { paragraphs: [{ text: 'Text of the embedded object.' }] }
+  },
+  'word95.doc': {
+    nFib: 0x0068,
+    tableStream: false,
+    paragraphs: [{ text: 'Written in Word 95.' }]
+  }
+};
+
+if (require.main === module) {
+  if (process.argv[2] === '--repack') {
+    fs.writeFileSync(path.join(__dirname, 'word97.doc'), repackDoc(fs.readFileSync(process.argv[3]), STREAM_SIZE));
+  } else {
+    Object.entries(FIXTURES).forEach(([name, options]) => {
+      fs.writeFileSync(path.join(__dirname, name), buildDoc(options));
+    });
+  }
+}
+
+module.exports = { buildDoc };
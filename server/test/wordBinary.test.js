@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { extractWordDocument } = require('../utils/wordBinary');
+const { buildDoc } = require('./fixtures/doc/build');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/doc', name));
+
+describe('extractWordDocument', () => {
+  it('extracts plain text paragraphs with Windows-1252 characters and field results', () => {
+    const { paragraphs } = extractWordDocument(fixture('plain-text.doc'));
+
+    expect(paragraphs.map(paragraph => paragraph.text)).toEqual([
+      'Checkout takes too many steps on mobile.',
+      'We will cut it to three steps – see the research.',
+      'Owners: “Payments” team.'
+    ]);
+    expect(paragraphs.every(paragraph => paragraph.headingLevel === null && !paragraph.inTable)).toBe(true);
+  });
+
+  it('reads the title and author from SummaryInformation', () => {
+    const { title, author } = extractWordDocument(fixture('plain-text.doc'));
+
+    expect(title).toBe('Checkout Redesign');
+    expect(author).toBe('Sam Lee');
+  });
+
+  it('takes heading levels from heading styles and outline levels', () => {
+    const { paragraphs } = extractWordDocument(fixture('headings.doc'));
+
+    expect(paragraphs.map(paragraph => [paragraph.text, paragraph.headingLevel])).toEqual([
+      ['Problem Statement', 1],
+      ['Users cannot find past orders.', null],
+      ['Requirements', 1],
+      ['Filtering', 2],
+      ['Filter orders by date and status.', null],
+      ['Success Metrics', 1],
+      ['Order lookups rise from 20% to 35%.', null]
+    ]);
+  });
+
+  it('turns table rows into cells', () => {
+    const { paragraphs } = extractWordDocument(fixture('table.doc'));
+
+    expect(paragraphs.filter(paragraph => paragraph.inTable).map(paragraph => paragraph.cells)).toEqual([
+      ['Feature', 'Priority'],
+      ['Saved cards', 'P0'],
+      ['Guest checkout', 'P1']
+    ]);
+    expect(paragraphs[paragraphs.length - 1]).toEqual({ text: 'Both ship in Q3.', headingLevel: null, inTable: false });
+  });
+
+  it('reads text stored as UTF-16', () => {
+    const { paragraphs, author } = extractWordDocument(fixture('unicode.doc'));
+
+    expect(paragraphs.map(paragraph => [paragraph.text, paragraph.headingLevel])).toEqual([
+      ['Localisation', 1],
+      ['Ship the menu in Ελληνικά, Русский and 日本語.', null],
+      ['Prices show as 1 200,50 € or ¥1,200.', null]
+    ]);
+    expect(author).toBe('Zoë Müller');
+  });
+
+  it('reads a document saved by Word', () => {
+    // Word stores this file's text in a single 16-bit piece
+    expect(extractWordDocument(fixture('word97.doc'))).toEqual({
+      paragraphs: [{ text: 'test', headingLevel: null, inTable: false }],
+      title: '',
+      author: ''
+    });
+  });
+
+  it('refuses password-protected documents', () => {
+    expect(() => extractWordDocument(fixture('encrypted.doc')))
+      .toThrow('Password-protected Word documents are not supported');
+  });
+
+  it('refuses Word 6.0/95 documents', () => {
+    expect(() => extractWordDocument(fixture('word95.doc')))
+      .toThrow('Word 6.0/95 documents are not supported; please re-save the file as .docx');
+  });
+
+  it('stops on a property modifier with a corrupt size instead of looping', () => {
+    // Prc with cbGrpprl 0xFFFD (-3 when read as signed)
+    const buffer = buildDoc({ paragraphs: [{ text: 'Body' }], clxPrefix: Buffer.from([0x01, 0xFD, 0xFF]) });
+
+    expect(() => extractWordDocument(buffer)).toThrow('Word document has no piece table');
+  });
+
+  it('skips well-formed property modifiers before the piece table', () => {
+    const buffer = buildDoc({ paragraphs: [{ text: 'Body' }], clxPrefix: Buffer.from([0x01, 0x02, 0x00, 0x00, 0x00]) });
+
+    expect(extractWordDocument(buffer).paragraphs.map(paragraph => paragraph.text)).toEqual(['Body']);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Reader for Compound File Binary (CFB / OLE2) containers, the storage format
+ * behind legacy Office files such as Word 97-2003 .doc documents.
+ * See [MS-CFB] for the layout of the header, FAT, mini FAT and directory.
+ */
+
+const SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FREESECT = 0xFFFFFFFF;
+const HEADER_DIFAT_ENTRIES = 109;
+const DIRECTORY_ENTRY_SIZE = 128;
+
+const ENTRY_TYPES = {
+  1: 'storage',
+  2: 'stream',
+  5: 'root'
+};
+
+/**
+ * Whether a buffer starts with the CFB signature
+ */
+function isCompoundFile(buffer) {
+  return buffer.length >= SIGNATURE.length && buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE);
+}
+
+/**
+ * Parse a compound file and give access to its top-level streams by name
+ * @param {Buffer} buffer - Whole file contents
+ * @returns {Object} `{ entries, getStream(name) }`
+ */
+function readCompoundFile(buffer) {
+  if (!isCompoundFile(buffer)) {
+    throw new Error('Not a compound file (missing CFB signature)');
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1E);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const firstDirSector = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const firstMiniFatSector = buffer.readUInt32LE(0x3C);
+  const numMiniFatSectors = buffer.readUInt32LE(0x40);
+  let difatSector = buffer.readUInt32LE(0x44);
+  const numDifatSectors = buffer.readUInt32LE(0x48);
+
+  const maxSectors = Math.ceil(buffer.length / sectorSize);
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  // Collect FAT sector locations from the header DIFAT and any DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+    const sector = buffer.readUInt32LE(0x4C + i * 4);
+    if (sector !== FREESECT) {
+      fatSectors.push(sector);
+    }
+  }
+
+  const entriesPerSector = sectorSize / 4;
+  for (let i = 0; i < numDifatSectors && difatSector < maxSectors; i++) {
+    const offset = sectorOffset(difatSector);
+    for (let j = 0; j < entriesPerSector - 1; j++) {
+      const sector = buffer.readUInt32LE(offset + j * 4);
+      if (sector !== FREESECT) {
+        fatSectors.push(sector);
+      }
+    }
+    difatSector = buffer.readUInt32LE(offset + (entriesPerSector - 1) * 4);
+  }
+
+  const fat = [];
+  fatSectors.forEach(sector => {
+    const offset = sectorOffset(sector);
+    for (let j = 0; j < entriesPerSector && offset + j * 4 + 4 <= buffer.length; j++) {
+      fat.push(buffer.readUInt32LE(offset + j * 4));
+    }
+  });
+
+  // Follow a sector chain, guarding against loops in corrupt files
+  const chain = (start, table, limit) => {
+    const sectors = [];
+    const seen = new Set();
+    let sector = start;
+    while (sector !== ENDOFCHAIN && sector < table.length && !seen.has(sector) && sectors.length < limit) {
+      seen.add(sector);
+      sectors.push(sector);
+      sector = table[sector];
+    }
+    return sectors;
+  };
+
+  const readChain = (start) => {
+    const parts = chain(start, fat, maxSectors)
+      .map(sector => buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize));
+    return Buffer.concat(parts);
+  };
+
+  // Directory entries, by ID; unused slots are left empty
+  const directory = readChain(firstDirSector);
+  const directoryIds = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= directory.length; offset += DIRECTORY_ENTRY_SIZE) {
+    const nameLength = directory.readUInt16LE(offset + 0x40);
+    const type = ENTRY_TYPES[directory[offset + 0x42]];
+    if (!type || nameLength < 2) {
+      directoryIds.push(null);
+      continue;
+    }
+
+    directoryIds.push({
+      name: directory.toString('utf16le', offset, offset + Math.min(nameLength, 64) - 2),
+      type,
+      leftSibling: directory.readUInt32LE(offset + 0x44),
+      rightSibling: directory.readUInt32LE(offset + 0x48),
+      child: directory.readUInt32LE(offset + 0x4C),
+      startSector: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78)
+    });
+  }
+  const entries = directoryIds.filter(Boolean);
+
+  const root = entries.find(entry => entry.type === 'root');
+  if (!root) {
+    throw new Error('Compound file has no root directory entry');
+  }
+
+  // Small streams live in the mini stream, addressed through the mini FAT
+  let miniFat = null;
+  let miniStream = null;
+  const loadMiniStream = () => {
+    if (miniStream) {
+      return;
+    }
+    const miniFatData = numMiniFatSectors > 0 ? readChain(firstMiniFatSector) : Buffer.alloc(0);
+    miniFat = [];
+    for (let offset = 0; offset + 4 <= miniFatData.length; offset += 4) {
+      miniFat.push(miniFatData.readUInt32LE(offset));
+    }
+    miniStream = readChain(root.startSector);
+  };
+
+  // A storage's children form a tree through their sibling IDs, starting at its child ID.
+  // The whole tree is walked rather than searched by name order, which writers do not all keep.
+  const childrenOf = (storage) => {
+    const children = [];
+    const seen = new Set();
+    const pending = [storage.child];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      const entry = directoryIds[id];
+      if (!entry || seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      children.push(entry);
+      pending.push(entry.leftSibling, entry.rightSibling);
+    }
+    return children;
+  };
+
+  // Only top-level streams are looked up: storages such as ObjectPool hold embedded
+  // documents with streams of the same names
+  const getStream = (name) => {
+    const entry = childrenOf(root).find(candidate => candidate.type === 'stream' && candidate.name === name);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.size < miniStreamCutoff) {
+      loadMiniStream();
+      const parts = chain(entry.startSector, miniFat, Math.ceil(entry.size / miniSectorSize) + 1)
+        .map(sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize));
+      return Buffer.concat(parts).subarray(0, entry.size);
+    }
+
+    return readChain(entry.startSector).subarray(0, entry.size);
+  };
+
+  return {
+    entries,
+    getStream
+  };
+}
+
+module.exports = {
+  isCompoundFile,
+  readCompoundFile
+};
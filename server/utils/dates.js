@@ -0,0 +1,164 @@
+/**
+ * Helpers for finding the date and duration expressions PRDs use for
+ * deadlines and milestones ("by Q3 2025", "H2 2026", "2025-09-30",
+ * "March 2026", "within 6 weeks").
+ *
+ * Absolute expressions resolve to the last day of the period they name,
+ * as an ISO date string, together with the period's precision.
+ */
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const YEAR = '((?:19|20)\\d{2}|\'\\d{2})';
+
+// Most specific patterns first so "March 31, 2026" is not read as "March 2026"
+const DATE_PATTERNS = [
+  {
+    precision: 'day',
+    pattern: /\b((?:19|20)\d{2})-(\d{1,2})-(\d{1,2})\b/gi,
+    resolve: (m) => [Number(m[1]), Number(m[2]) - 1, Number(m[3])]
+  },
+  {
+    precision: 'day',
+    pattern: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+${YEAR}\\b`, 'gi'),
+    resolve: (m) => [parseYear(m[3]), monthIndex(m[1]), Number(m[2])]
+  },
+  {
+    precision: 'day',
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\.?,?\\s+${YEAR}\\b`, 'gi'),
+    resolve: (m) => [parseYear(m[3]), monthIndex(m[2]), Number(m[1])]
+  },
+  {
+    precision: 'month',
+    pattern: new RegExp(`\\b${MONTH_NAME}\\.?,?\\s+${YEAR}\\b`, 'gi'),
+    resolve: (m) => [parseYear(m[2]), monthIndex(m[1]), null]
+  },
+  {
+    precision: 'quarter',
+    pattern: new RegExp(`\\bQ([1-4])(?:\\s*|\\s*[-/]\\s*|\\s+of\\s+)(?:FY\\s*)?${YEAR}?`, 'gi'),
+    resolve: (m, referenceYear) => [m[2] ? parseYear(m[2]) : referenceYear, Number(m[1]) * 3 - 1, null],
+    assumesYear: (m) => !m[2]
+  },
+  {
+    precision: 'half',
+    pattern: new RegExp(`\\bH([12])(?:\\s*|\\s*[-/]\\s*)(?:FY\\s*)?${YEAR}?`, 'gi'),
+    resolve: (m, referenceYear) => [m[2] ? parseYear(m[2]) : referenceYear, Number(m[1]) * 6 - 1, null],
+    assumesYear: (m) => !m[2]
+  },
+  {
+    precision: 'year',
+    pattern: /\b(?:end\s+of|eoy|by|in|during|before)\s+((?:19|20)\d{2})\b/gi,
+    resolve: (m) => [Number(m[1]), 11, null],
+    offset: (m) => m[0].length - m[1].length
+  }
+];
+
+const DURATION_PATTERN = /\b(\d+(?:\.\d+)?|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve)\s+(business\s+days?|days?|weeks?|months?|quarters?|years?|sprints?)\b/gi;
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12
+};
+const UNIT_DAYS = {
+  day: 1, 'business day': 1.4, week: 7, sprint: 14, month: 30, quarter: 91, year: 365
+};
+
+function monthIndex(name) {
+  return MONTHS[name.slice(0, 3).toLowerCase()];
+}
+
+function parseYear(text) {
+  return text.startsWith('\'') ? 2000 + Number(text.slice(1)) : Number(text);
+}
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find absolute date expressions in text, in order of appearance
+ * @param {string} text - Text to search
+ * @param {Object} options - `referenceDate` supplies the year for "Q3" without a year
+ * @returns {Array} `[{ raw, index, date, precision, assumedYear }]`; `date` is the period end
+ */
+function findDates(text, { referenceDate = new Date() } = {}) {
+  const found = [];
+  const taken = [];
+  const referenceYear = referenceDate.getUTCFullYear();
+
+  DATE_PATTERNS.forEach(({ precision, pattern, resolve, assumesYear, offset }) => {
+    for (const match of text.matchAll(pattern)) {
+      const index = match.index + (offset ? offset(match) : 0);
+      const end = match.index + match[0].trimEnd().length;
+      if (taken.some(([from, to]) => index < to && end > from)) {
+        continue;
+      }
+
+      const [year, month, day] = resolve(match, referenceYear);
+      if (month === undefined || month < 0 || month > 11) {
+        continue;
+      }
+
+      // Day 0 of the next month is the last day of this one
+      const date = day
+        ? new Date(Date.UTC(year, month, day))
+        : new Date(Date.UTC(year, month + 1, 0));
+      if (day && date.getUTCMonth() !== month) {
+        continue;
+      }
+
+      taken.push([index, end]);
+      found.push({
+        raw: text.slice(index, end),
+        index,
+        date: toISODate(date),
+        precision,
+        assumedYear: assumesYear ? assumesYear(match) : false
+      });
+    }
+  });
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find duration expressions such as "6 weeks" or "two sprints"
+ * @returns {Array} `[{ raw, index, amount, unit, days }]`
+ */
+function findDurations(text) {
+  const found = [];
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    const word = match[1].toLowerCase();
+    const amount = NUMBER_WORDS[word] || Number(word);
+    const unit = match[2].toLowerCase().replace(/\s+/g, ' ').replace(/s$/, '');
+
+    found.push({
+      raw: match[0],
+      index: match.index,
+      amount,
+      unit,
+      days: Math.round(amount * UNIT_DAYS[unit])
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Add a number of days to an ISO date
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISODate(date);
+}
+
+module.exports = {
+  findDates,
+  findDurations,
+  addDays,
+  toISODate
+};
@@ -0,0 +1,142 @@
+/**
+ * Content fingerprints for duplicate detection.
+ *
+ * - contentHash: SHA-256 of the normalised text, so formatting, case and
+ *   punctuation differences (the same PRD as DOCX and as PDF) still match.
+ * - MinHash: a signature of word shingles whose agreement estimates the
+ *   Jaccard similarity of two documents, for near-duplicates.
+ * - Bands: the signature split into LSH bands; documents sharing any band
+ *   are candidates worth comparing, which keeps lookups indexable.
+ */
+
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 64;
+const BAND_SIZE = 4; // 16 bands of 4 rows: pairs above ~0.5 similarity share a band
+
+// Fixed seeds so signatures stay comparable across processes and releases
+const HASH_SEEDS = (() => {
+  let state = 0x9e3779b9;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+  return Array.from({ length: NUM_HASHES }, () => [next() | 1, next()]);
+})();
+
+/**
+ * Normalise text for fingerprinting: Unicode-normalised, lowercase, words only
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * SHA-256 of the normalised text
+ */
+function contentHash(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MinHash signature over word shingles
+ * @returns {Array<number>|null} NUM_HASHES unsigned 32-bit values, or null for empty text
+ */
+function minhashSignature(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const shingles = new Set();
+  if (words.length <= SHINGLE_SIZE) {
+    shingles.add(hashString(words.join(' ')));
+  } else {
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+    }
+  }
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  shingles.forEach(shingle => {
+    HASH_SEEDS.forEach(([multiplier, increment], i) => {
+      const value = (Math.imul(shingle, multiplier) + increment) >>> 0;
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    });
+  });
+
+  return signature;
+}
+
+/**
+ * LSH band keys for a signature, e.g. "3:1a2b3c4d"
+ */
+function signatureBands(signature) {
+  if (!signature) {
+    return [];
+  }
+
+  const bands = [];
+  for (let start = 0; start < signature.length; start += BAND_SIZE) {
+    const band = signature.slice(start, start + BAND_SIZE).join(',');
+    bands.push(`${start / BAND_SIZE}:${hashString(band).toString(16)}`);
+  }
+  return bands;
+}
+
+/**
+ * Estimated Jaccard similarity of two MinHash signatures (0-1)
+ */
+function estimateSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+
+  let agreeing = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) agreeing++;
+  }
+  return agreeing / a.length;
+}
+
+/**
+ * All fingerprints for a document's text
+ * @returns {Object} `{ contentHash, minhash, minhashBands }`
+ */
+function fingerprint(text) {
+  const minhash = minhashSignature(text);
+  return {
+    contentHash: contentHash(text),
+    minhash,
+    minhashBands: signatureBands(minhash)
+  };
+}
+
+module.exports = {
+  normalizeText,
+  contentHash,
+  minhashSignature,
+  signatureBands,
+  estimateSimilarity,
+  fingerprint
+};
@@ -0,0 +1,108 @@
+/**
+ * Pull a JSON object out of a model response that may wrap it in prose or a
+ * code fence, or stop mid-object when the model hit its token limit.
+ */
+
+const FENCE_PATTERN = /```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/;
+
+/**
+ * Find the first top-level JSON object or array, closing it if the text ends inside it
+ * @returns {Object|null} `{ json, truncated }`
+ */
+function findJSONValue(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) {
+    return null;
+  }
+
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      closers.push('}');
+    } else if (char === '[') {
+      closers.push(']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+      if (closers.length === 0) {
+        return { json: text.slice(start, i + 1), truncated: false };
+      }
+    }
+  }
+
+  return { json: closeTruncated(text.slice(start), inString, escaped, closers), truncated: true };
+}
+
+/**
+ * Close a cut-off value: finish the open string, drop a dangling key or comma, close brackets
+ */
+function closeTruncated(json, inString, escaped, closers) {
+  let closed = json;
+  if (inString) {
+    closed = (escaped ? closed.slice(0, -1) : closed) + '"';
+  }
+
+  // A key with no value ("name": or "name") or a trailing comma cannot be completed
+  closed = closed
+    .replace(/,\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '')
+    .replace(/\{\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '{')
+    .replace(/:\s*$/, ': null')
+    .replace(/,\s*$/, '');
+
+  return closed + closers.reverse().join('');
+}
+
+/**
+ * Parse the JSON in a model response
+ * @returns {Object} `{ value, truncated }`
+ * @throws {Error} When no JSON can be recovered
+ */
+function extractJSON(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Response was empty');
+  }
+
+  try {
+    return { value: JSON.parse(text), truncated: false };
+  } catch (error) {
+    // Fall through to the forgiving paths
+  }
+
+  const fenced = text.match(FENCE_PATTERN);
+  const candidates = fenced ? [fenced[1], text] : [text];
+
+  for (const candidate of candidates) {
+    const found = findJSONValue(candidate);
+    if (!found) {
+      continue;
+    }
+    try {
+      return { value: JSON.parse(found.json), truncated: found.truncated };
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  throw new Error('Response did not contain valid JSON');
+}
+
+module.exports = {
+  extractJSON
+};
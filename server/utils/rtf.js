@@ -0,0 +1,342 @@
+/**
+ * Minimal RTF reader that turns an RTF document into heading and paragraph
+ * blocks. It understands enough of the RTF 1.9 spec to keep paragraph
+ * boundaries, heading levels (from outline levels or "heading N" styles),
+ * list bullets and tables, and skips everything else.
+ */
+
+// Destinations whose content is never document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'info', 'pict', 'object', 'objdata', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'footnote', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'generator',
+  'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'filetbl', 'pgdsctbl', 'mmathPr', 'bkmkstart', 'bkmkend', 'shppict', 'nonshppict'
+]);
+
+// Windows-1252 characters in the 0x80-0x9F range that differ from Latin-1
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…',
+  0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š',
+  0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’',
+  0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+  0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ',
+  0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+const decodeCp1252 = (code) => CP1252[code] || String.fromCharCode(code);
+
+/**
+ * Convert RTF source into blocks
+ * @param {string} rtf - RTF document source
+ * @returns {Object} `{ blocks, title }`
+ */
+function rtfToBlocks(rtf) {
+  if (!/^\s*{\\rtf/.test(rtf)) {
+    throw new Error('Not a valid RTF document');
+  }
+
+  const blocks = [];
+  const styles = {};
+  let title = '';
+
+  // Group state is copied on "{" and restored on "}"
+  let state = { skip: false, destination: null, ucSkip: 1 };
+  const stack = [];
+
+  // Paragraph properties reset by \pard
+  let para = { style: 0, outlineLevel: null, inTable: false };
+  let text = '';
+  let cells = [];
+  let rows = [];
+  let pendingSkip = 0;
+
+  // Stylesheet entry being read
+  let styleEntry = null;
+
+  const headingLevel = () => {
+    if (para.outlineLevel !== null && para.outlineLevel < 9) {
+      return para.outlineLevel + 1;
+    }
+    const style = styles[para.style];
+    if (style) {
+      if (style.outlineLevel !== null && style.outlineLevel < 9) {
+        return style.outlineLevel + 1;
+      }
+      const match = style.name.match(/^heading\s*(\d)/i);
+      if (match) {
+        return Number(match[1]);
+      }
+      if (/^title$/i.test(style.name)) {
+        return 1;
+      }
+    }
+    return null;
+  };
+
+  const flushTable = () => {
+    if (rows.length > 0) {
+      blocks.push({ type: 'table', rows });
+      rows = [];
+    }
+  };
+
+  const endParagraph = () => {
+    // Paragraph marks inside a table cell only separate lines within the cell
+    if (para.inTable) {
+      text += ' ';
+      return;
+    }
+
+    const paragraph = text.replace(/[ \t]+$/gm, '').replace(/^\s*[·•▪●]\s*/, '- ').trim();
+    text = '';
+
+    flushTable();
+    if (!paragraph) {
+      return;
+    }
+
+    const level = headingLevel();
+    if (level && paragraph.length <= 200) {
+      blocks.push({ type: 'heading', level, text: paragraph.replace(/\s+/g, ' ') });
+    } else {
+      blocks.push({ type: 'paragraph', text: paragraph });
+    }
+  };
+
+  const appendText = (chunk) => {
+    if (pendingSkip > 0) {
+      const skipped = Math.min(pendingSkip, chunk.length);
+      pendingSkip -= skipped;
+      chunk = chunk.slice(skipped);
+    }
+    if (!chunk) {
+      return;
+    }
+
+    if (state.destination === 'stylesheet') {
+      if (styleEntry && !state.skip) {
+        styleEntry.name += chunk;
+      }
+      return;
+    }
+    if (state.destination === 'title') {
+      title += chunk;
+      return;
+    }
+    if (state.skip) {
+      return;
+    }
+    text += chunk;
+  };
+
+  const handleControlWord = (word, param) => {
+    // Destinations
+    if (word === 'stylesheet') {
+      state.destination = 'stylesheet';
+      return;
+    }
+    if (word === 'title' && stack.some(s => s.destination === 'info')) {
+      state.destination = 'title';
+      state.skip = false;
+      return;
+    }
+    if (word === 'info') {
+      state.destination = 'info';
+      state.skip = true;
+      return;
+    }
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      return;
+    }
+
+    if (state.destination === 'stylesheet') {
+      if (styleEntry) {
+        if (word === 's' || word === 'cs' || word === 'ds' || word === 'ts') {
+          styleEntry.number = word === 's' ? param : null;
+        } else if (word === 'outlinelevel') {
+          styleEntry.outlineLevel = param;
+        }
+      }
+      return;
+    }
+
+    switch (word) {
+      case 'par':
+      case 'sect':
+      case 'page':
+        if (!state.skip) endParagraph();
+        break;
+      case 'pard':
+        para = { style: 0, outlineLevel: null, inTable: false };
+        break;
+      case 's':
+        para.style = param;
+        break;
+      case 'outlinelevel':
+        para.outlineLevel = param;
+        break;
+      case 'intbl':
+        para.inTable = true;
+        break;
+      case 'cell':
+        if (!state.skip) {
+          cells.push(text.replace(/\s+/g, ' ').trim());
+          text = '';
+        }
+        break;
+      case 'row':
+        if (!state.skip) {
+          if (cells.length > 0) {
+            rows.push(cells);
+          }
+          cells = [];
+          text = '';
+        }
+        break;
+      case 'line':
+        appendText('\n');
+        break;
+      case 'tab':
+        appendText('\t');
+        break;
+      case 'emdash':
+        appendText('—');
+        break;
+      case 'endash':
+        appendText('–');
+        break;
+      case 'bullet':
+        appendText('•');
+        break;
+      case 'lquote':
+        appendText('‘');
+        break;
+      case 'rquote':
+        appendText('’');
+        break;
+      case 'ldblquote':
+        appendText('“');
+        break;
+      case 'rdblquote':
+        appendText('”');
+        break;
+      case 'uc':
+        state.ucSkip = param;
+        break;
+      case 'u': {
+        const code = param < 0 ? param + 65536 : param;
+        appendText(String.fromCharCode(code));
+        pendingSkip = state.ucSkip;
+        break;
+      }
+      default:
+        // Formatting words (fonts, sizes, colours, spacing) carry no text
+        break;
+    }
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      if (state.destination === 'stylesheet' && stack[stack.length - 1].destination === 'stylesheet' && !styleEntry) {
+        styleEntry = { number: 0, name: '', outlineLevel: null, depth: stack.length };
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '}') {
+      if (styleEntry && stack.length === styleEntry.depth) {
+        const name = styleEntry.name.replace(/;.*$/s, '').trim();
+        if (styleEntry.number !== null) {
+          styles[styleEntry.number] = { name, outlineLevel: styleEntry.outlineLevel };
+        }
+        styleEntry = null;
+      }
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+
+    if (ch === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === undefined) {
+        break;
+      }
+
+      // Control symbols
+      if (next === '\\' || next === '{' || next === '}') {
+        appendText(next);
+        i += 2;
+        continue;
+      }
+      if (next === '*') {
+        state.skip = true;
+        i += 2;
+        continue;
+      }
+      if (next === '\'') {
+        const code = parseInt(rtf.substr(i + 2, 2), 16);
+        if (!Number.isNaN(code)) {
+          appendText(decodeCp1252(code));
+        }
+        i += 4;
+        continue;
+      }
+      if (next === '~') {
+        appendText(' ');
+        i += 2;
+        continue;
+      }
+      if (next === '_') {
+        appendText('‑');
+        i += 2;
+        continue;
+      }
+      if (next === '\n' || next === '\r') {
+        if (!state.skip) endParagraph();
+        i += 2;
+        continue;
+      }
+      if (!/[a-zA-Z]/.test(next)) {
+        i += 2;
+        continue;
+      }
+
+      const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(rtf.slice(i + 1, i + 48));
+      const word = match[1];
+      handleControlWord(word, match[2] !== undefined ? parseInt(match[2], 10) : 1);
+      i += 1 + match[0].length;
+      continue;
+    }
+
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    // Plain text run up to the next special character
+    let end = i;
+    while (end < rtf.length && !['\\', '{', '}', '\r', '\n'].includes(rtf[end])) {
+      end++;
+    }
+    appendText(rtf.slice(i, end));
+    i = end;
+  }
+
+  endParagraph();
+  flushTable();
+
+  return { blocks, title: title.trim() };
+}
+
+module.exports = {
+  rtfToBlocks
+};
@@ -0,0 +1,85 @@
+/**
+ * Helpers for working with the nested section tree produced by DocumentParser.
+ *
+ * Each node looks like:
+ *   { id, level, title, key, body, start, bodyStart, end, children: [] }
+ * where start/bodyStart/end are character offsets into the document content.
+ */
+
+/**
+ * Flatten a section tree into document order
+ */
+function flattenSections(sections) {
+  if (!Array.isArray(sections)) {
+    return [];
+  }
+
+  const flat = [];
+  const visit = (nodes) => {
+    nodes.forEach(node => {
+      flat.push(node);
+      if (node.children?.length) {
+        visit(node.children);
+      }
+    });
+  };
+  visit(sections);
+
+  return flat;
+}
+
+/**
+ * Find the first section matching a section key
+ */
+function findSection(sections, key) {
+  return flattenSections(sections).find(node => node.key === key) || null;
+}
+
+/**
+ * Get the full text of a section, including its subsections
+ */
+function getSectionText(node) {
+  if (!node) {
+    return '';
+  }
+
+  const parts = [node.title, node.body, ...(node.children || []).map(getSectionText)];
+  return parts.filter(Boolean).join('\n');
+}
+
+/**
+ * Get section text by key. Accepts either a section tree or the legacy
+ * flat `{ key: text }` map that older clients still send.
+ */
+function getSectionTextByKey(sections, key) {
+  if (!sections) {
+    return '';
+  }
+
+  if (!Array.isArray(sections)) {
+    return typeof sections[key] === 'string' ? sections[key] : '';
+  }
+
+  return getSectionText(findSection(sections, key));
+}
+
+/**
+ * Find the innermost section containing a content offset
+ */
+function findSectionAtOffset(sections, offset) {
+  let match = null;
+  flattenSections(sections).forEach(node => {
+    if (offset >= node.start && offset < node.end) {
+      match = node;
+    }
+  });
+  return match;
+}
+
+module.exports = {
+  flattenSections,
+  findSection,
+  getSectionText,
+  getSectionTextByKey,
+  findSectionAtOffset
+};
@@ -0,0 +1,60 @@
+/**
+ * Helpers for reading tables from DocumentParser's `structuredData.tables`.
+ * Each table looks like `{ id, sectionId, sectionTitle, header, rows, start, end }`.
+ */
+
+/**
+ * Map a table's header cells to column indexes using header patterns
+ * @param {Object} table - Table with a `header` row
+ * @param {Object} patterns - `{ field: RegExp }`, matched in order against header cells
+ */
+function tableColumns(table, patterns) {
+  const columns = {};
+  Object.entries(patterns).forEach(([field, pattern]) => {
+    const index = table.header.findIndex((cell, i) => pattern.test(cell) && !Object.values(columns).includes(i));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+  return columns;
+}
+
+/**
+ * Read one record per row from tables whose header has a `name` column
+ * Fields without a matching column are null
+ */
+function readTableRows(tables, patterns) {
+  const records = [];
+
+  (tables || []).forEach(table => {
+    const columns = tableColumns(table, patterns);
+    if (columns.name === undefined) {
+      return;
+    }
+
+    table.rows.forEach(row => {
+      const name = row[columns.name]?.trim();
+      if (!name) {
+        return;
+      }
+      const record = { name };
+      Object.keys(patterns).forEach(field => {
+        if (field !== 'name') {
+          record[field] = columns[field] !== undefined ? row[columns[field]]?.trim() || null : null;
+        }
+      });
+      record.source = 'table';
+      record.tableId = table.id;
+      record.sectionId = table.sectionId;
+      record.row = row;
+      records.push(record);
+    });
+  });
+
+  return records;
+}
+
+module.exports = {
+  tableColumns,
+  readTableRows
+};
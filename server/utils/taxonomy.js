@@ -0,0 +1,80 @@
+/**
+ * Helpers for matching headings and content against a section taxonomy
+ * (see config/sectionTaxonomy.js for the entry shape).
+ */
+const { DEFAULT_SECTION_TAXONOMY } = require('../config/sectionTaxonomy');
+
+// Compiled copies of taxonomies, so repeated lookups do not rebuild patterns
+const compiledTaxonomies = new WeakMap();
+const compiledEntries = new WeakSet();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a case-insensitive pattern for a synonym
+ * Whitespace and hyphens are interchangeable and a trailing plural "s" is optional
+ */
+function synonymPattern(synonym) {
+  const words = synonym.trim().toLowerCase().split(/[\s-]+/).map(escapeRegExp);
+  const last = words.length - 1;
+  words[last] = words[last].endsWith('s') ? `${words[last].slice(0, -1)}s?` : `${words[last]}s?`;
+  return `\\b${words.join('[\\s-]*')}\\b`;
+}
+
+/**
+ * Attach compiled synonym patterns to taxonomy entries
+ * Already compiled taxonomies are returned unchanged
+ */
+function compileTaxonomy(taxonomy = DEFAULT_SECTION_TAXONOMY) {
+  if (compiledEntries.has(taxonomy)) {
+    return taxonomy;
+  }
+  if (compiledTaxonomies.has(taxonomy)) {
+    return compiledTaxonomies.get(taxonomy);
+  }
+
+  const entries = taxonomy.map(entry => ({
+    ...entry,
+    patterns: entry.synonyms.map(synonym => ({
+      synonym,
+      pattern: new RegExp(synonymPattern(synonym), 'i')
+    })),
+    pattern: new RegExp(entry.synonyms.map(synonymPattern).join('|'), 'i')
+  }));
+  compiledEntries.add(entries);
+  compiledTaxonomies.set(taxonomy, entries);
+
+  return entries;
+}
+
+/**
+ * Map a heading title to a taxonomy key
+ * The longest matching synonym wins, so "Non-goals" is not read as "Goals"
+ */
+function matchSectionKey(taxonomy, title) {
+  let best = null;
+
+  compileTaxonomy(taxonomy).forEach(entry => {
+    entry.patterns.forEach(({ synonym, pattern }) => {
+      if (pattern.test(title) && (!best || synonym.length > best.length)) {
+        best = { key: entry.key, length: synonym.length };
+      }
+    });
+  });
+
+  return best ? best.key : null;
+}
+
+/**
+ * Whether any synonym of a section appears anywhere in the content
+ */
+function mentionsSection(taxonomy, key, content) {
+  const entry = compileTaxonomy(taxonomy).find(candidate => candidate.key === key);
+  return entry ? entry.pattern.test(content) : false;
+}
+
+module.exports = {
+  compileTaxonomy,
+  matchSectionKey,
+  mentionsSection
+};
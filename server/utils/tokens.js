@@ -0,0 +1,39 @@
+/**
+ * Token estimates for prompt budgeting.
+ *
+ * Providers tokenize differently and we call several of them, so this errs on the
+ * high side rather than matching any one tokenizer: English prose averages about
+ * four characters per token, while JSON punctuation, numbers and non-Latin scripts
+ * run closer to one token per word piece or character.
+ */
+
+/**
+ * Estimate the tokens in a string
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  const symbols = text.match(/[^\p{L}\p{N}\s]/gu) || [];
+  // Characters outside Latin scripts are often a token each
+  const wide = text.match(/[^\u0000-\u024f\s]/gu) || [];
+
+  const byCharacters = Math.ceil(text.length / 4);
+  const byPieces = Math.ceil(words.length * 1.3) + symbols.length + wide.length;
+
+  return Math.max(byCharacters, byPieces);
+}
+
+/**
+ * Estimate the tokens of a value as it appears in a prompt (pretty-printed JSON)
+ */
+function estimateJSONTokens(value) {
+  return estimateTokens(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+}
+
+module.exports = {
+  estimateTokens,
+  estimateJSONTokens
+};
@@ -0,0 +1,435 @@
+/**
+ * Text extraction for Word 97-2003 binary documents (.doc).
+ * Reads the FIB, piece table, paragraph properties and stylesheet described
+ * in [MS-DOC] to recover paragraphs, table rows and heading levels.
+ */
+
+const { readCompoundFile } = require('./cfb');
+
+const WORD_IDENT = 0xA5EC;
+const NFIB_WORD97 = 0x00C1;
+
+// FIB flag bits
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_WHICH_TABLE_STREAM = 0x0200;
+
+// Indexes of fc/lcb pairs in FibRgFcLcb97
+const FC_STSHF = 1;
+const FC_PLCF_BTE_PAPX = 13;
+const FC_CLX = 33;
+
+// Paragraph sprms: outline level (0-8, 9 means body text), in-table and table-row-end flags
+const SPRM_P_OUT_LVL = 0x2640;
+const SPRM_P_F_IN_TABLE = 0x2416;
+const SPRM_P_F_TTP = 0x2417;
+// Built-in style identifiers (sti) for Heading 1-9 and Title
+const STI_TITLE = 62;
+
+const FKP_SIZE = 512;
+
+// Windows-1252 characters in the 0x80-0x9F range that differ from Latin-1
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…',
+  0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š',
+  0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’',
+  0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+  0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ',
+  0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+const decodeCp1252 = (bytes) => Array.from(bytes, code => CP1252[code] || String.fromCharCode(code)).join('');
+
+/**
+ * Read the File Information Block at the start of the WordDocument stream
+ */
+function readFib(wordStream) {
+  if (wordStream.length < 0x200 || wordStream.readUInt16LE(0) !== WORD_IDENT) {
+    throw new Error('Not a Word binary document');
+  }
+
+  const nFib = wordStream.readUInt16LE(2);
+  const flags = wordStream.readUInt16LE(0x0A);
+
+  if (nFib < NFIB_WORD97) {
+    throw new Error('Word 6.0/95 documents are not supported; please re-save the file as .docx');
+  }
+  if (flags & FLAG_ENCRYPTED) {
+    throw new Error('Password-protected Word documents are not supported');
+  }
+
+  // FibBase (32 bytes), then csw + FibRgW97, cslw + FibRgLw97, cbRgFcLcb + FibRgFcLcb
+  const csw = wordStream.readUInt16LE(0x20);
+  const rgLwStart = 0x22 + csw * 2 + 2;
+  const cslw = wordStream.readUInt16LE(0x22 + csw * 2);
+  const rgFcLcbStart = rgLwStart + cslw * 4 + 2;
+
+  const fcLcb = (index) => ({
+    fc: wordStream.readUInt32LE(rgFcLcbStart + index * 8),
+    lcb: wordStream.readUInt32LE(rgFcLcbStart + index * 8 + 4)
+  });
+
+  return {
+    nFib,
+    tableStreamName: flags & FLAG_WHICH_TABLE_STREAM ? '1Table' : '0Table',
+    ccpText: wordStream.readUInt32LE(rgLwStart + 3 * 4),
+    stshf: fcLcb(FC_STSHF),
+    plcfBtePapx: fcLcb(FC_PLCF_BTE_PAPX),
+    clx: fcLcb(FC_CLX)
+  };
+}
+
+/**
+ * Read the piece table (PlcPcd) from the Clx structure
+ */
+function readPieces(tableStream, clx) {
+  let offset = clx.fc;
+  const end = clx.fc + clx.lcb;
+
+  while (offset < end) {
+    const type = tableStream[offset];
+
+    if (type === 0x01) {
+      // Prc: property modifiers for pieces, not needed for text. The size is read unsigned so
+      // that a corrupt negative value cannot keep the offset from advancing.
+      offset += 3 + tableStream.readUInt16LE(offset + 1);
+    } else if (type === 0x02) {
+      const lcb = tableStream.readUInt32LE(offset + 1);
+      const plc = offset + 5;
+      const count = (lcb - 4) / 12;
+      const pieces = [];
+
+      for (let i = 0; i < count; i++) {
+        const rawFc = tableStream.readUInt32LE(plc + (count + 1) * 4 + i * 8 + 2);
+        const compressed = (rawFc & 0x40000000) !== 0;
+        const fc = rawFc & 0x3FFFFFFF;
+
+        pieces.push({
+          cpStart: tableStream.readUInt32LE(plc + i * 4),
+          cpEnd: tableStream.readUInt32LE(plc + (i + 1) * 4),
+          compressed,
+          // Compressed (8-bit) pieces store their byte offset doubled
+          fcStart: compressed ? fc / 2 : fc
+        });
+      }
+
+      return pieces;
+    } else {
+      break;
+    }
+  }
+
+  throw new Error('Word document has no piece table');
+}
+
+/**
+ * Read paragraph property runs: FC ranges with their style and outline level
+ */
+function readParagraphRuns(wordStream, tableStream, plcfBtePapx) {
+  const runs = [];
+  if (!plcfBtePapx.lcb) {
+    return runs;
+  }
+
+  const count = (plcfBtePapx.lcb - 4) / 8;
+  const pnStart = plcfBtePapx.fc + (count + 1) * 4;
+
+  for (let i = 0; i < count; i++) {
+    const pn = tableStream.readUInt32LE(pnStart + i * 4) & 0x3FFFFF;
+    const fkp = pn * FKP_SIZE;
+    if (fkp + FKP_SIZE > wordStream.length) {
+      continue;
+    }
+
+    const crun = wordStream[fkp + FKP_SIZE - 1];
+    for (let j = 0; j < crun; j++) {
+      const fcStart = wordStream.readUInt32LE(fkp + j * 4);
+      const fcEnd = wordStream.readUInt32LE(fkp + (j + 1) * 4);
+      const bOffset = wordStream[fkp + (crun + 1) * 4 + j * 13];
+
+      let istd = 0;
+      let sprms = { outlineLevel: null, inTable: false, rowEnd: false };
+
+      if (bOffset > 0) {
+        const papx = fkp + bOffset * 2;
+        let cb = wordStream[papx];
+        let grpprl = papx + 1;
+        let size;
+        if (cb === 0) {
+          cb = wordStream[papx + 1];
+          grpprl = papx + 2;
+          size = cb * 2;
+        } else {
+          size = cb * 2 - 1;
+        }
+
+        istd = wordStream.readUInt16LE(grpprl);
+        sprms = readParagraphSprms(wordStream, grpprl + 2, grpprl + size);
+      }
+
+      runs.push({ fcStart, fcEnd, istd, ...sprms });
+    }
+  }
+
+  return runs.sort((a, b) => a.fcStart - b.fcStart);
+}
+
+/**
+ * Scan a grpprl for the paragraph sprms we care about
+ */
+function readParagraphSprms(buffer, offset, end) {
+  const sprms = { outlineLevel: null, inTable: false, rowEnd: false };
+
+  while (offset + 2 < end) {
+    const sprm = buffer.readUInt16LE(offset);
+    offset += 2;
+
+    if (sprm === SPRM_P_OUT_LVL && buffer[offset] < 9) {
+      sprms.outlineLevel = buffer[offset];
+    } else if (sprm === SPRM_P_F_IN_TABLE) {
+      sprms.inTable = buffer[offset] === 1;
+    } else if (sprm === SPRM_P_F_TTP) {
+      sprms.rowEnd = buffer[offset] === 1;
+    }
+
+    // Operand size comes from the spra bits of the sprm
+    switch (sprm >> 13) {
+      case 0:
+      case 1:
+        offset += 1;
+        break;
+      case 2:
+      case 4:
+      case 5:
+        offset += 2;
+        break;
+      case 3:
+        offset += 4;
+        break;
+      case 7:
+        offset += 3;
+        break;
+      default:
+        // Variable length; sprmTDefTable stores a two-byte size
+        offset += sprm === 0xD608 ? buffer.readUInt16LE(offset) + 1 : buffer[offset] + 1;
+    }
+  }
+
+  return sprms;
+}
+
+/**
+ * Read style identifiers and names from the stylesheet (STSH)
+ */
+function readStyles(tableStream, stshf) {
+  const styles = [];
+  if (!stshf.lcb) {
+    return styles;
+  }
+
+  const cbStshi = tableStream.readUInt16LE(stshf.fc);
+  const stshi = stshf.fc + 2;
+  const cstd = tableStream.readUInt16LE(stshi);
+  const cbStdBase = tableStream.readUInt16LE(stshi + 2);
+  const end = stshf.fc + stshf.lcb;
+
+  let offset = stshf.fc + 2 + cbStshi;
+  for (let istd = 0; istd < cstd && offset + 2 <= end; istd++) {
+    const cbStd = tableStream.readUInt16LE(offset);
+    if (cbStd > 0) {
+      const sti = tableStream.readUInt16LE(offset + 2) & 0x0FFF;
+      const nameOffset = offset + 2 + cbStdBase;
+      let name = '';
+      if (nameOffset + 2 <= end) {
+        const cch = tableStream.readUInt16LE(nameOffset);
+        name = tableStream.toString('utf16le', nameOffset + 2, Math.min(nameOffset + 2 + cch * 2, end));
+      }
+      styles[istd] = { sti, name };
+    }
+    offset += 2 + cbStd;
+  }
+
+  return styles;
+}
+
+/**
+ * Read title and author from the SummaryInformation property set
+ */
+function readSummaryInformation(stream) {
+  const summary = { title: '', author: '' };
+  if (!stream || stream.length < 48) {
+    return summary;
+  }
+
+  const section = stream.readUInt32LE(44);
+  if (section + 8 > stream.length) {
+    return summary;
+  }
+
+  const count = stream.readUInt32LE(section + 4);
+  for (let i = 0; i < count; i++) {
+    const entry = section + 8 + i * 8;
+    if (entry + 8 > stream.length) {
+      break;
+    }
+    const id = stream.readUInt32LE(entry);
+    const valueOffset = section + stream.readUInt32LE(entry + 4);
+    // PIDSI_TITLE = 2, PIDSI_AUTHOR = 4, stored as VT_LPSTR (0x1E)
+    if ((id === 2 || id === 4) && valueOffset + 8 <= stream.length && stream.readUInt32LE(valueOffset) === 0x1E) {
+      const length = stream.readUInt32LE(valueOffset + 4);
+      const value = decodeCp1252(stream.subarray(valueOffset + 8, valueOffset + 8 + length)).replace(/\0+$/, '').trim();
+      summary[id === 2 ? 'title' : 'author'] = value;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Extract paragraphs from a Word 97-2003 document
+ * @param {Buffer} buffer - .doc file contents
+ * @returns {Object} `{ paragraphs: [{ text, headingLevel, inTable, cells }], title, author }`
+ */
+function extractWordDocument(buffer) {
+  const compoundFile = readCompoundFile(buffer);
+  const wordStream = compoundFile.getStream('WordDocument');
+  if (!wordStream) {
+    throw new Error('Not a Word document: WordDocument stream not found');
+  }
+
+  const fib = readFib(wordStream);
+  const tableStream = compoundFile.getStream(fib.tableStreamName);
+  if (!tableStream) {
+    throw new Error(`Word document is missing its ${fib.tableStreamName} stream`);
+  }
+
+  const pieces = readPieces(tableStream, fib.clx);
+  const runs = readParagraphRuns(wordStream, tableStream, fib.plcfBtePapx);
+  const styles = readStyles(tableStream, fib.stshf);
+
+  // Decode the main document text (CPs 0..ccpText) with each character's FC
+  const chars = [];
+  pieces.forEach(piece => {
+    const cpEnd = Math.min(piece.cpEnd, fib.ccpText);
+    for (let cp = piece.cpStart; cp < cpEnd; cp++) {
+      const index = cp - piece.cpStart;
+      if (piece.compressed) {
+        const fc = piece.fcStart + index;
+        if (fc >= wordStream.length) break;
+        chars.push({ ch: decodeCp1252([wordStream[fc]]), fc });
+      } else {
+        const fc = piece.fcStart + index * 2;
+        if (fc + 2 > wordStream.length) break;
+        chars.push({ ch: String.fromCharCode(wordStream.readUInt16LE(fc)), fc });
+      }
+    }
+  });
+
+  const runAt = (fc) => runs.find(candidate => fc >= candidate.fcStart && fc < candidate.fcEnd) || null;
+
+  const headingLevelAt = (fc) => {
+    const run = runAt(fc);
+    if (!run) {
+      return null;
+    }
+    if (run.outlineLevel !== null) {
+      return run.outlineLevel + 1;
+    }
+    const style = styles[run.istd];
+    if (!style) {
+      return null;
+    }
+    if (style.sti >= 1 && style.sti <= 9) {
+      return style.sti;
+    }
+    const match = style.name.match(/^heading\s*(\d)/i);
+    if (match) {
+      return Number(match[1]);
+    }
+    return style.sti === STI_TITLE ? 1 : null;
+  };
+
+  const paragraphs = [];
+  let text = '';
+  let cells = [];
+  let previousWasCellMark = false;
+  // Without paragraph properties, a second consecutive cell mark is taken as the row end
+  const hasTableProperties = runs.some(run => run.rowEnd);
+  // Field codes: keep the result (after 0x14) and drop the instruction
+  const fieldStack = [];
+
+  chars.forEach(({ ch, fc }) => {
+    const code = ch.charCodeAt(0);
+
+    if (code === 0x13) {
+      fieldStack.push('code');
+      return;
+    }
+    if (code === 0x14) {
+      if (fieldStack.length) fieldStack[fieldStack.length - 1] = 'result';
+      return;
+    }
+    if (code === 0x15) {
+      fieldStack.pop();
+      return;
+    }
+    if (fieldStack.includes('code')) {
+      return;
+    }
+
+    if (code === 0x07) {
+      const rowEnd = hasTableProperties ? Boolean(runAt(fc)?.rowEnd) : previousWasCellMark;
+      if (rowEnd) {
+        paragraphs.push({ text: cells.join(' | '), headingLevel: null, inTable: true, cells });
+        cells = [];
+      } else {
+        cells.push(text.replace(/\s+/g, ' ').trim());
+      }
+      text = '';
+      previousWasCellMark = true;
+      return;
+    }
+    previousWasCellMark = false;
+
+    if (code === 0x0D || code === 0x0C) {
+      if (runAt(fc)?.inTable || cells.length > 0 || fieldStack.length > 0) {
+        // Paragraph marks inside a table cell
+        text += ' ';
+        return;
+      }
+      const paragraph = text.trim();
+      if (paragraph) {
+        paragraphs.push({ text: paragraph, headingLevel: headingLevelAt(fc), inTable: false });
+      }
+      text = '';
+      return;
+    }
+
+    if (code === 0x0B) {
+      text += '\n';
+    } else if (code === 0x09) {
+      text += '\t';
+    } else if (code === 0x1E) {
+      text += '-';
+    } else if (code === 0xA0) {
+      text += ' ';
+    } else if (code >= 0x20) {
+      text += ch;
+    }
+  });
+
+  if (text.trim()) {
+    paragraphs.push({ text: text.trim(), headingLevel: null, inTable: false });
+  }
+
+  const summary = readSummaryInformation(compoundFile.getStream('\u0005SummaryInformation'));
+
+  return {
+    paragraphs,
+    title: summary.title,
+    author: summary.author
+  };
+}
+
+module.exports = {
+  extractWordDocument
+};